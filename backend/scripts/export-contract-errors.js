@@ -0,0 +1,13 @@
+import { writeFileSync } from 'fs';
+import { dirname, join, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { CONTRACT_ERRORS, CUSTOM_CONTRACT_ERRORS } from '../src/utils/contractErrors.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Catalog read by frontend/src/utils/contractErrors.js
+const OUTPUT = join(__dirname, '../../frontend/src/config/contractErrors.json');
+
+const catalog = { errors: CONTRACT_ERRORS, customErrors: CUSTOM_CONTRACT_ERRORS };
+writeFileSync(OUTPUT, JSON.stringify(catalog, null, 2) + '\n');
+console.log('Contract error catalog written to', relative(process.cwd(), OUTPUT));
@@ -0,0 +1,19 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Sign-In with Ethereum (EIP-4361) and session configuration
+ * `domain` must match the host the frontend is served from; SIWE messages
+ * for any other domain are rejected.
+ */
+export const authConfig = {
+  domain: process.env.SIWE_DOMAIN || 'localhost:3000',
+  // Sessions are signed with this secret; a random one is generated at
+  // startup when unset, so sessions do not survive a restart
+  jwtSecret: process.env.AUTH_JWT_SECRET || '',
+  sessionTtlSeconds: parseInt(process.env.AUTH_SESSION_TTL_SECONDS || '900', 10),
+  nonceTtlSeconds: parseInt(process.env.AUTH_NONCE_TTL_SECONDS || '300', 10),
+  backend: (process.env.AUTH_BACKEND || 'file').toLowerCase(),
+  filePath: process.env.AUTH_FILE_PATH || '.data/auth.json',
+};
@@ -1,110 +1,93 @@
 import { ethers } from 'ethers';
 import dotenv from 'dotenv';
+import { loadContractABI } from './loadABI.js';
+import { ProviderPool } from '../services/blockchain/providerPool.js';
+import { currentNetwork, defaultNetwork, networks } from './networks.js';
 
 dotenv.config();
 
 /**
  * Blockchain configuration
+ * Chain settings (RPC URL, chain ID, signer key, contract addresses) are per
+ * network, see config/networks.js.
  */
 export const blockchainConfig = {
-  rpcUrl: process.env.RPC_URL || 'http://localhost:8545',
-  privateKey: process.env.PRIVATE_KEY || '',
-  contractAddresses: {
-    tripRegistry: process.env.TRIP_REGISTRY_ADDRESS || '',
-    paymentEscrow: process.env.PAYMENT_ESCROW_ADDRESS || '',
-    carbonCredits: process.env.CARBON_CREDITS_ADDRESS || '',
-  },
-  chainId: parseInt(process.env.CHAIN_ID || '1337', 10),
+  networks,
+  defaultNetwork,
+  // Refuse to start when the deployed contracts do not match the ABIs
+  checkContracts: process.env.CONTRACT_CHECK !== 'false',
 };
 
+// Shared per network
+const providers = new Map();
+const contracts = new Map();
+
 /**
- * Get provider instance
+ * Get the provider of a network
+ * A pool over the network's RPC endpoints with failover, shared by every
+ * service on that network.
+ * @param {Object} [network] - Network (defaults to the current network)
+ * @returns {ProviderPool} Provider
  */
-export function getProvider() {
-  return new ethers.JsonRpcProvider(blockchainConfig.rpcUrl);
+export function getProvider(network = currentNetwork()) {
+  if (!providers.has(network.name)) {
+    providers.set(network.name, new ProviderPool(network));
+  }
+  return providers.get(network.name);
 }
 
 /**
- * Get signer instance (for write operations)
+ * Create a wallet for the backend signer of a network
+ * Contract writes must go through the transaction manager's shared signer
+ * (services/blockchain/transactionManager.js), which assigns nonces; separate
+ * wallets sending concurrently collide on nonces.
+ * @param {Object} [network] - Network (defaults to the current network)
  */
-export function getSigner() {
-  if (!blockchainConfig.privateKey) {
-    throw new Error('PRIVATE_KEY not set in environment variables');
+export function getSigner(network = currentNetwork()) {
+  if (!network.privateKey) {
+    throw new Error(`PRIVATE_KEY not set in environment variables for network ${network.name}`);
   }
-  const provider = getProvider();
-  return new ethers.Wallet(blockchainConfig.privateKey, provider);
+  return new ethers.Wallet(network.privateKey, getProvider(network));
 }
 
 /**
  * Get contract instance
  * @param {string} contractName - Name of the contract (TripRegistry, PaymentEscrow, CarbonCredits)
  * @param {boolean} withSigner - Whether to use signer (for write operations)
+ * @param {Object} [network] - Network (defaults to the current network)
  * @returns {ethers.Contract} Contract instance
  */
-export function getContract(contractName, withSigner = false) {
-  const address = blockchainConfig.contractAddresses[contractName.toLowerCase()];
-  if (!address) {
-    throw new Error(`Contract address for ${contractName} not found`);
+export function getContract(contractName, withSigner = false, network = currentNetwork()) {
+  const cacheKey = `${network.name}:${contractName}`;
+  if (!withSigner && contracts.has(cacheKey)) {
+    return contracts.get(cacheKey);
   }
 
-  // In production, load ABI from artifacts
-  // For now, we'll use the interface
-  const abi = getContractABI(contractName);
-  
-  const provider = withSigner ? getSigner() : getProvider();
-  return new ethers.Contract(address, abi, provider);
-}
-
-/**
- * Get contract ABI (simplified - in production, load from artifacts)
- * @param {string} contractName - Name of the contract
- * @returns {Array} Contract ABI
- */
-function getContractABI(contractName) {
-  // In production, load from compiled artifacts
-  // For MVP, return minimal ABI needed for our operations
-  const commonABI = [
-    'function createTrip(address,address,string,string,uint256,uint256,string) returns (uint256, uint256)',
-    'function startTrip(uint256)',
-    'function completeTrip(uint256,uint256,string)',
-    'function cancelTrip(uint256,string)',
-    'function getTripMetadata(uint256) view returns (tuple(uint256,address,address,address,string,string,uint256,uint256,uint8,uint256,uint256,uint256,string))',
-    'function getTripIdByToken(uint256) view returns (uint256)',
-    'function getTokenIdByTrip(uint256) view returns (uint256)',
-    'function isAuthorizedForTrip(uint256,address) view returns (bool)',
-    'event TripCreated(uint256 indexed, uint256 indexed, address indexed, address)',
-    'event TripStarted(uint256 indexed, uint256)',
-    'event TripCompleted(uint256 indexed, uint256, uint256)',
-    'event TripStatusUpdated(uint256 indexed, uint8, uint8)',
-  ];
-
-  if (contractName.toLowerCase() === 'tripregistry') {
-    return commonABI;
+  const key = contractName.charAt(0).toLowerCase() + contractName.slice(1);
+  const address = network.contractAddresses[key];
+  if (!address) {
+    throw new Error(`Contract address for ${contractName} not found on network ${network.name}`);
   }
 
-  if (contractName.toLowerCase() === 'paymentescrow') {
-    return [
-      'function createEscrow(uint256,address,tuple(bool,bool,bool,uint8,uint8)) payable returns (uint256)',
-      'function releasePayment(uint256,uint256,string)',
-      'function releaseOnTripCompletion(uint256,uint256)',
-      'function getEscrow(uint256) view returns (tuple(uint256,uint256,address,address,uint256,uint256,uint8,uint256,uint256,tuple(bool,bool,bool,uint8,uint8)))',
-      'function getEscrowByTrip(uint256) view returns (uint256)',
-      'function getEscrowBalance(uint256) view returns (uint256)',
-      'event EscrowCreated(uint256 indexed, uint256 indexed, address indexed, address, uint256)',
-      'event PaymentReleased(uint256 indexed, uint256, address indexed, string)',
-    ];
-  }
+  const { abi } = loadContractABI(contractName);
 
-  if (contractName.toLowerCase() === 'carboncredits') {
-    return [
-      'function mintReward(address,uint256,uint256,uint8) returns (uint256, uint256)',
-      'function balanceOf(address) view returns (uint256)',
-      'function getTotalCarbonOffset(address) view returns (uint256)',
-      'function getUserRewards(address) view returns (uint256[])',
-      'event CarbonCreditsMinted(uint256 indexed, address indexed, uint256 indexed, uint256, uint256, uint8)',
-    ];
+  const runner = withSigner ? getSigner(network) : getProvider(network);
+  const contract = new ethers.Contract(address, abi, runner);
+  if (!withSigner) {
+    contracts.set(cacheKey, contract);
   }
-
-  return [];
+  return contract;
 }
 
+/**
+ * Deployment manifest entry of a contract, if it is deployed at the configured address
+ * @param {string} contractName - Name of the contract (TripRegistry, PaymentEscrow, CarbonCredits)
+ * @param {Object} [network] - Network (defaults to the current network)
+ * @returns {Object|null} `{ address, deploymentBlock, transactionHash, abiHash }`
+ */
+export function getDeployedContract(contractName, network = currentNetwork()) {
+  const key = contractName.charAt(0).toLowerCase() + contractName.slice(1);
+  const entry = network.deployment?.contracts[contractName];
+  const address = network.contractAddresses[key];
+  return entry && address && entry.address.toLowerCase() === address.toLowerCase() ? entry : null;
+}
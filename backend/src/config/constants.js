@@ -0,0 +1,68 @@
+/**
+ * Contract enum names, indexed by their on-chain value
+ */
+export const TRIP_STATUS = ['Created', 'InTransit', 'Delivered', 'Cancelled', 'Disputed'];
+
+export const ESCROW_STATUS = ['Pending', 'PartiallyReleased', 'Released', 'Refunded', 'Disputed'];
+
+export const REWARD_TYPE = [
+  'TripCompletion',
+  'LowCarbonFootprint',
+  'CarbonNeutral',
+  'BatchOptimization',
+  'SustainableMode',
+];
+
+/**
+ * Fields trips can be sorted by in listings
+ */
+export const TRIP_SORT_FIELDS = [
+  'tripId',
+  'createdAt',
+  'startedAt',
+  'completedAt',
+  'distance',
+  'estimatedCarbonFootprint',
+  'status',
+];
+
+/**
+ * Automatic escrow release statuses
+ * pending  - queued, not attempted yet
+ * retrying - last attempt failed transiently, another is scheduled
+ * released - payment released on-chain
+ * skipped  - nothing to release (no escrow, already settled)
+ * failed   - gave up; needs operator attention
+ */
+export const RELEASE_STATUS = ['pending', 'retrying', 'released', 'skipped', 'failed'];
+
+/**
+ * Automatic carbon reward statuses
+ * pending  - queued, not attempted yet
+ * retrying - last attempt failed transiently, another is scheduled
+ * minted   - credits minted to the carrier (by the worker or found on-chain)
+ * skipped  - nothing to mint (no offset, no matching rule)
+ * failed   - gave up; needs operator attention
+ */
+export const REWARD_STATUS = ['pending', 'retrying', 'minted', 'skipped', 'failed'];
+
+/**
+ * Events webhook subscribers can receive, by contract
+ */
+export const WEBHOOK_EVENTS = {
+  TripCreated: 'TripRegistry',
+  TripStarted: 'TripRegistry',
+  TripCompleted: 'TripRegistry',
+  PaymentReleased: 'PaymentEscrow',
+  PaymentRefunded: 'PaymentEscrow',
+};
+
+/**
+ * Webhook delivery statuses
+ * pending   - queued, not attempted yet
+ * retrying  - last attempt failed, another is scheduled
+ * delivered - the subscriber answered with a 2xx status
+ * dead      - gave up (out of attempts, or the subscription is disabled or
+ *             deleted); listed as dead letters until redelivered
+ */
+export const DELIVERY_STATUS = ['pending', 'retrying', 'delivered', 'dead'];
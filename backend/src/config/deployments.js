@@ -0,0 +1,54 @@
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Manifests written by the deploy scripts (deployments/<network>.json)
+const DEPLOYMENTS_PATH = resolve(process.env.DEPLOYMENTS_PATH || join(__dirname, '../../../deployments'));
+
+let manifests = null;
+
+/**
+ * Read all deployment manifests
+ * @returns {Array<Object>} Manifests with the file they were read from
+ */
+function readManifests() {
+  if (!manifests) {
+    manifests = existsSync(DEPLOYMENTS_PATH)
+      ? readdirSync(DEPLOYMENTS_PATH)
+          .filter(file => file.endsWith('.json'))
+          .sort()
+          .map(file => {
+            const path = join(DEPLOYMENTS_PATH, file);
+            return { ...JSON.parse(readFileSync(path, 'utf8')), path };
+          })
+      : [];
+  }
+  return manifests;
+}
+
+/**
+ * Load the deployment manifest of a network
+ * @param {string} name - Network name (deployments/<name>.json)
+ * @returns {Object|null} Manifest, null if the network has none
+ */
+export function loadNetworkDeployment(name) {
+  return readManifests().find(manifest => manifest.network === name) || null;
+}
+
+/**
+ * Load the deployment manifest of a chain
+ * @param {number} chainId - Chain ID
+ * @returns {Object|null} `{ network, chainId, deployer, deployedAt, contracts, path }`, null if the chain has none
+ */
+export function loadDeployment(chainId) {
+  const matches = readManifests().filter(manifest => manifest.chainId === chainId);
+  if (matches.length > 1) {
+    throw new Error(
+      `Several deployment manifests for chain ${chainId}: ${matches.map(manifest => manifest.path).join(', ')}`
+    );
+  }
+  return matches[0] || null;
+}
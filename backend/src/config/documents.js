@@ -0,0 +1,21 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Document storage configuration (trip metadata and delivery proofs)
+ * `storage` selects where content is kept: `ipfs` adds it to the IPFS node at
+ * ipfsApiUrl (and pins it), `filesystem` keeps it under `directory`, named by
+ * CID, for offline development. Both give the same CIDs.
+ */
+export const documentConfig = {
+  storage: (process.env.DOCUMENT_STORAGE || 'filesystem').toLowerCase(),
+  directory: process.env.DOCUMENT_DIR || '.data/documents',
+  ipfsApiUrl: process.env.IPFS_API_URL || 'http://127.0.0.1:5001/api/v0',
+  ipfsTimeoutMs: parseInt(process.env.IPFS_TIMEOUT_MS || '30000', 10),
+  maxFileBytes: parseInt(process.env.DOCUMENT_MAX_FILE_BYTES || String(10 * 1024 * 1024), 10),
+  maxFiles: parseInt(process.env.DOCUMENT_MAX_FILES || '10', 10),
+  // Index of uploaded documents (name, content type, uploader)
+  backend: (process.env.DOCUMENT_BACKEND || 'file').toLowerCase(),
+  filePath: process.env.DOCUMENT_FILE_PATH || '.data/documents.json',
+};
@@ -0,0 +1,29 @@
+import dotenv from 'dotenv';
+import { getDeployedContract } from './blockchain.js';
+import { defaultNetwork } from './networks.js';
+
+dotenv.config();
+
+// Earliest deployment block in the deployment manifest of the indexed network
+const deploymentBlocks = ['TripRegistry', 'PaymentEscrow', 'CarbonCredits']
+  .map(name => getDeployedContract(name, defaultNetwork)?.deploymentBlock)
+  .filter(block => block !== undefined);
+const deploymentBlock = deploymentBlocks.length > 0 ? Math.min(...deploymentBlocks) : 0;
+
+/**
+ * Event indexer configuration
+ */
+export const indexerConfig = {
+  enabled: process.env.INDEXER_ENABLED === 'true',
+  // Block the contracts were deployed at; indexing starts here on first run
+  startBlock: process.env.INDEXER_START_BLOCK
+    ? parseInt(process.env.INDEXER_START_BLOCK, 10)
+    : deploymentBlock,
+  batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || '2000', 10),
+  confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '2', 10),
+  pollIntervalMs: parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '5000', 10),
+  // Number of recent block hashes kept for reorg detection
+  reorgDepth: parseInt(process.env.INDEXER_REORG_DEPTH || '64', 10),
+  backend: (process.env.INDEXER_BACKEND || 'file').toLowerCase(),
+  filePath: process.env.INDEXER_FILE_PATH || '.data/indexer.json',
+};
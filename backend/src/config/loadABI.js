@@ -1,41 +1,62 @@
-import { readFileSync } from 'fs';
+import { existsSync, readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Hardhat artifacts of the smart-contracts package
+const ARTIFACTS_PATH = resolve(process.env.CONTRACT_ARTIFACTS_PATH || join(__dirname, '../../../smart-contracts/artifacts'));
+
+// Bundle generated by `npm run export:abis` in smart-contracts
+const BUNDLE_PATH = join(__dirname, 'abis.json');
+
+const SOURCE_NAMES = {
+  TripRegistry: 'contracts/core/TripRegistry.sol',
+  PaymentEscrow: 'contracts/core/PaymentEscrow.sol',
+  CarbonCredits: 'contracts/core/CarbonCredits.sol',
+};
+
+const cache = new Map();
+let bundle = null;
+
 /**
- * Load contract ABI from Hardhat artifacts
- * @param {string} contractName - Name of the contract
- * @returns {Array} Contract ABI
+ * Load a contract ABI
+ * Reads the Hardhat artifact when the contracts have been compiled next to
+ * the backend, otherwise the generated bundle (src/config/abis.json).
+ * @param {string} contractName - Name of the contract (TripRegistry, PaymentEscrow, CarbonCredits)
+ * @returns {{ abi: Array, source: string }} Full ABI and the file it was read from
  */
 export function loadContractABI(contractName) {
-  try {
-    // Path to Hardhat artifacts (adjust if needed)
-    const artifactsPath = join(
-      __dirname,
-      '../../smart-contracts/artifacts/contracts',
-      `core/${contractName}.sol`,
-      `${contractName}.json`
-    );
-
-    const artifact = JSON.parse(readFileSync(artifactsPath, 'utf8'));
-    return artifact.abi;
-  } catch (error) {
-    console.warn(`Could not load ABI for ${contractName}, using minimal ABI`);
-    return getMinimalABI(contractName);
+  if (cache.has(contractName)) {
+    return cache.get(contractName);
   }
-}
 
-/**
- * Get minimal ABI if artifacts not available
- * @param {string} contractName - Name of the contract
- * @returns {Array} Minimal ABI
- */
-function getMinimalABI(contractName) {
-  // Fallback to minimal ABI defined in blockchain.js
-  // This is used if artifacts are not available
-  return [];
-}
+  const sourceName = SOURCE_NAMES[contractName];
+  if (!sourceName) {
+    throw new Error(`Unknown contract ${contractName}`);
+  }
+
+  let loaded;
+  const artifactPath = join(ARTIFACTS_PATH, sourceName, `${contractName}.json`);
 
+  if (existsSync(artifactPath)) {
+    loaded = { abi: JSON.parse(readFileSync(artifactPath, 'utf8')).abi, source: artifactPath };
+  } else {
+    if (!bundle) {
+      if (!existsSync(BUNDLE_PATH)) {
+        throw new Error(
+          `No ABI for ${contractName}: ${artifactPath} and ${BUNDLE_PATH} not found (run "npm run export:abis" in smart-contracts)`
+        );
+      }
+      bundle = JSON.parse(readFileSync(BUNDLE_PATH, 'utf8'));
+    }
+    if (!bundle[contractName]) {
+      throw new Error(`No ABI for ${contractName} in ${BUNDLE_PATH}`);
+    }
+    loaded = { abi: bundle[contractName].abi, source: BUNDLE_PATH };
+  }
+
+  cache.set(contractName, loaded);
+  return loaded;
+}
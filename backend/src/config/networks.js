@@ -0,0 +1,180 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import dotenv from 'dotenv';
+import { loadDeployment, loadNetworkDeployment } from './deployments.js';
+
+dotenv.config();
+
+// Contracts by configuration key, with the suffix of their address variables
+const CONTRACTS = {
+  tripRegistry: { name: 'TripRegistry', variable: 'TRIP_REGISTRY_ADDRESS' },
+  paymentEscrow: { name: 'PaymentEscrow', variable: 'PAYMENT_ESCROW_ADDRESS' },
+  carbonCredits: { name: 'CarbonCredits', variable: 'CARBON_CREDITS_ADDRESS' },
+};
+
+/**
+ * Split a comma-separated variable
+ * @param {string} value - Variable value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function splitList(value) {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Prefix of a network's variables (polygonMumbai → POLYGON_MUMBAI)
+ * @param {string} name - Network name
+ * @returns {string} Variable prefix
+ */
+export function networkEnvPrefix(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/-/g, '_')
+    .toUpperCase();
+}
+
+/**
+ * Build a network from its variables
+ * @param {string} name - Network name
+ * @param {string} envPrefix - Prefix of its variables ('' for the single network without NETWORKS)
+ * @param {Object} defaults - `{ chainId, rpcUrl, cacheNamespace }`
+ * @returns {Object} Network configuration
+ */
+function buildNetwork(name, envPrefix, defaults) {
+  const env = suffix => process.env[`${envPrefix}${suffix}`];
+  const chainId = env('CHAIN_ID') ? parseInt(env('CHAIN_ID'), 10) : defaults.chainId;
+  if (!Number.isInteger(chainId)) {
+    throw new Error(`Network ${name}: ${envPrefix}CHAIN_ID is not set and deployments/${name}.json does not exist`);
+  }
+
+  // RPC endpoints of the provider pool, with optional rate limits in the same order
+  const rpcUrls = splitList(env('RPC_URL') || defaults.rpcUrl || '');
+  if (rpcUrls.length === 0) {
+    throw new Error(`Network ${name}: ${envPrefix}RPC_URL is not set`);
+  }
+  const rateLimits = splitList(env('RPC_RATE_LIMITS') || '');
+  const rpcEndpoints = rpcUrls.map((url, index) => ({
+    url,
+    maxRequestsPerSecond: rateLimits[index] ? parseFloat(rateLimits[index]) : undefined,
+  }));
+
+  // Deployment manifest of the chain; *_ADDRESS variables override its addresses
+  const deployment = loadDeployment(chainId);
+  const contractAddresses = Object.fromEntries(
+    Object.entries(CONTRACTS).map(([key, { name: contractName, variable }]) => [
+      key,
+      env(variable) || deployment?.contracts[contractName]?.address || '',
+    ])
+  );
+
+  return {
+    name,
+    envPrefix,
+    chainId,
+    rpcEndpoints,
+    privateKey: env('PRIVATE_KEY') || process.env.PRIVATE_KEY || '',
+    contractAddresses,
+    deployment,
+    // Prefix of the cache collections of this network
+    cacheNamespace: env('CACHE_NAMESPACE') ?? defaults.cacheNamespace,
+  };
+}
+
+/**
+ * Networks from NETWORKS (e.g. `NETWORKS=sepolia,polygon`), each configured
+ * through variables prefixed with its name (SEPOLIA_RPC_URL, ...). Without
+ * NETWORKS there is a single network configured by RPC_URL, CHAIN_ID and the
+ * *_ADDRESS variables, whose cache collections are not prefixed.
+ * @returns {Map<string, Object>} Networks by name
+ */
+function loadNetworks() {
+  const names = splitList(process.env.NETWORKS || '');
+
+  if (names.length === 0) {
+    const chainId = parseInt(process.env.CHAIN_ID || '1337', 10);
+    const name = process.env.NETWORK_NAME || loadDeployment(chainId)?.network || 'default';
+    const network = buildNetwork(name, '', {
+      chainId,
+      rpcUrl: 'http://localhost:8545',
+      cacheNamespace: '',
+    });
+    return new Map([[name, network]]);
+  }
+
+  const networks = new Map();
+  for (const name of names) {
+    const network = buildNetwork(name, `${networkEnvPrefix(name)}_`, {
+      chainId: loadNetworkDeployment(name)?.chainId,
+      cacheNamespace: name,
+    });
+    if ([...networks.values()].some(other => other.chainId === network.chainId)) {
+      throw new Error(`Network ${name}: chain ${network.chainId} is already configured`);
+    }
+    networks.set(name, network);
+  }
+  return networks;
+}
+
+export const networks = loadNetworks();
+
+const defaultName = process.env.DEFAULT_NETWORK || networks.keys().next().value;
+if (!networks.has(defaultName)) {
+  throw new Error(`DEFAULT_NETWORK ${defaultName} is not in NETWORKS`);
+}
+
+/**
+ * Network used outside requests and when a request does not pick one
+ */
+export const defaultNetwork = networks.get(defaultName);
+
+/**
+ * Get a network by name
+ * @param {string} name - Network name
+ * @returns {Object|null} Network configuration, null if not configured
+ */
+export function getNetworkConfig(name) {
+  return networks.get(name) || null;
+}
+
+/**
+ * Get the network serving a chain
+ * @param {number} chainId - Chain ID
+ * @returns {Object|null} Network configuration, null if no network has the chain
+ */
+export function getNetworkByChainId(chainId) {
+  return [...networks.values()].find(network => network.chainId === chainId) || null;
+}
+
+const networkContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with a network as the current network
+ * Providers, signers, contracts and cache collections resolved while it runs
+ * (including in callbacks and promises it starts) belong to that network.
+ * @param {Object} network - Network configuration
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function runInNetwork(network, fn) {
+  return networkContext.run(network, fn);
+}
+
+/**
+ * Network of the current request, or the default network
+ * @returns {Object} Network configuration
+ */
+export function currentNetwork() {
+  return networkContext.getStore() || defaultNetwork;
+}
+
+/**
+ * Name of a storage collection in the current network's namespace
+ * @param {string} collection - Collection name
+ * @param {Object} [network] - Network (defaults to the current network)
+ * @returns {string} Namespaced collection name
+ */
+export function networkCollection(collection, network = currentNetwork()) {
+  return network.cacheNamespace ? `${network.cacheNamespace}_${collection}` : collection;
+}
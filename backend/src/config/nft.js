@@ -0,0 +1,15 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Trip NFT metadata configuration
+ * - publicUrl: public URL of the API (e.g. https://api.decentralogix.io/api), used
+ *   for the image links in token metadata; the request's host when unset
+ * - cacheSeconds: how long wallets and explorers may cache metadata and badges,
+ *   which follow the trip's live status
+ */
+export const nftConfig = {
+  publicUrl: (process.env.PUBLIC_API_URL || '').replace(/\/+$/, '') || null,
+  cacheSeconds: parseInt(process.env.NFT_CACHE_SECONDS || '60', 10),
+};
@@ -0,0 +1,31 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * RPC provider pool configuration
+ * Each network's RPC_URL may list several endpoints (comma-separated). Requests
+ * go to the endpoint with the lowest score (see services/blockchain/providerPool.js):
+ * - timeoutMs: a request with no answer in time counts as a failure
+ * - maxRequestsPerSecond: default rate limit of each endpoint (`0` for none);
+ *   `<NETWORK>RPC_RATE_LIMITS` sets it per endpoint
+ * - failureThreshold / cooldownMs: after this many consecutive failures an
+ *   endpoint is skipped for the cooldown, doubled on every further failure up
+ *   to maxCooldownMs
+ * - maxBlockLag: endpoints further behind the highest block seen are skipped
+ * - healthCheckIntervalMs: how often every endpoint's block number and chain
+ *   are checked
+ * - errorPenaltyMs / lagPenaltyMs: score added per unit of recent error rate
+ *   and per block behind, on top of the average latency
+ */
+export const rpcConfig = {
+  timeoutMs: parseInt(process.env.RPC_TIMEOUT_MS || '10000', 10),
+  maxRequestsPerSecond: parseFloat(process.env.RPC_MAX_REQUESTS_PER_SECOND || '0'),
+  failureThreshold: parseInt(process.env.RPC_FAILURE_THRESHOLD || '3', 10),
+  cooldownMs: parseInt(process.env.RPC_COOLDOWN_MS || '30000', 10),
+  maxCooldownMs: parseInt(process.env.RPC_MAX_COOLDOWN_MS || '300000', 10),
+  maxBlockLag: parseInt(process.env.RPC_MAX_BLOCK_LAG || '5', 10),
+  healthCheckIntervalMs: parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_MS || '15000', 10),
+  errorPenaltyMs: 5000,
+  lagPenaltyMs: 1000,
+};
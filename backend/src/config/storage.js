@@ -0,0 +1,19 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Storage configuration
+ * `backend` selects the adapter: memory, file or firestore. When unset,
+ * Firestore is used if a project ID is configured, otherwise memory.
+ */
+export const storageConfig = {
+  backend: (process.env.CACHE_BACKEND || (process.env.FIREBASE_PROJECT_ID ? 'firestore' : 'memory')).toLowerCase(),
+  filePath: process.env.CACHE_FILE_PATH || '.data/cache.json',
+  ttlSeconds: parseInt(process.env.CACHE_TTL_SECONDS || '60', 10),
+  firestore: {
+    projectId: process.env.FIREBASE_PROJECT_ID || '',
+    serviceAccount: process.env.FIREBASE_SERVICE_ACCOUNT || '',
+    prefix: process.env.FIRESTORE_COLLECTION_PREFIX || '',
+  },
+};
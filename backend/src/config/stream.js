@@ -0,0 +1,14 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Event stream configuration (GET /events/stream over SSE or WebSocket)
+ * - heartbeatMs: idle connections get a heartbeat this often, so proxies
+ *   don't close them and dead WebSocket clients are detected
+ * - maxClients: open streams allowed at once; further clients get 503
+ */
+export const streamConfig = {
+  heartbeatMs: parseInt(process.env.STREAM_HEARTBEAT_MS || '25000', 10),
+  maxClients: parseInt(process.env.STREAM_MAX_CLIENTS || '500', 10),
+};
@@ -0,0 +1,35 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Backend transaction configuration
+ * - confirmations: a transaction job is `confirmed` once its transaction is
+ *   this many blocks deep
+ * - gas: EIP-1559 fee policy. The priority fee is the given percentile of
+ *   recent priority fees (`eth_feeHistory`); the max fee is the next base fee
+ *   times `baseFeeMultiplier` plus the priority fee, capped at `maxFeeGwei`
+ * - stuck transactions: a transaction not mined after `stuckAfterSeconds` is
+ *   resent with fees bumped by `feeBumpPercent`, up to `maxFeeBumps` times,
+ *   then cancelled (if `cancelStuck`)
+ */
+export const transactionConfig = {
+  confirmations: parseInt(process.env.TX_CONFIRMATIONS || '1', 10),
+  backend: (process.env.TX_JOB_BACKEND || 'file').toLowerCase(),
+  filePath: process.env.TX_JOB_FILE_PATH || '.data/transactions.json',
+  gas: {
+    feeHistoryBlocks: parseInt(process.env.TX_FEE_HISTORY_BLOCKS || '10', 10),
+    priorityFeePercentile: parseFloat(process.env.TX_PRIORITY_FEE_PERCENTILE || '50'),
+    baseFeeMultiplier: parseFloat(process.env.TX_BASE_FEE_MULTIPLIER || '2'),
+    // Polygon rejects priority fees below 30 gwei
+    minPriorityFeeGwei: process.env.TX_MIN_PRIORITY_FEE_GWEI || null,
+    maxPriorityFeeGwei: process.env.TX_MAX_PRIORITY_FEE_GWEI || null,
+    maxFeeGwei: process.env.TX_MAX_FEE_GWEI || null,
+  },
+  stuckAfterSeconds: parseInt(process.env.TX_STUCK_AFTER_SECONDS || '180', 10),
+  // Nodes only accept a replacement that raises both fees by at least 10%
+  feeBumpPercent: Math.max(10, parseInt(process.env.TX_FEE_BUMP_PERCENT || '20', 10)),
+  maxFeeBumps: parseInt(process.env.TX_MAX_FEE_BUMPS || '3', 10),
+  cancelStuck: process.env.TX_CANCEL_STUCK !== 'false',
+  monitorIntervalMs: parseInt(process.env.TX_MONITOR_INTERVAL_MS || '15000', 10),
+};
@@ -0,0 +1,20 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Outbound webhook configuration
+ * - enabled: dispatch deliveries (subscriptions can be managed either way)
+ * - maxAttempts: attempts before a delivery is moved to the dead-letter list
+ * - retryBaseMs / retryMaxMs: exponential backoff between attempts
+ * - timeoutMs: a subscriber that does not answer in time counts as a failure
+ */
+export const webhookConfig = {
+  enabled: process.env.WEBHOOKS_ENABLED === 'true',
+  backend: (process.env.WEBHOOK_BACKEND || 'file').toLowerCase(),
+  filePath: process.env.WEBHOOK_FILE_PATH || '.data/webhooks.json',
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10),
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '10000', 10),
+  retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS || '3600000', 10),
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+};
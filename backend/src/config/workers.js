@@ -0,0 +1,25 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Background worker configuration
+ */
+export const workerConfig = {
+  backend: (process.env.WORKER_BACKEND || 'file').toLowerCase(),
+  filePath: process.env.WORKER_FILE_PATH || '.data/workers.json',
+  autoRelease: {
+    enabled: process.env.AUTO_RELEASE_ENABLED === 'true',
+    maxAttempts: parseInt(process.env.AUTO_RELEASE_MAX_ATTEMPTS || '5', 10),
+    retryBaseMs: parseInt(process.env.AUTO_RELEASE_RETRY_BASE_MS || '5000', 10),
+    retryMaxMs: parseInt(process.env.AUTO_RELEASE_RETRY_MAX_MS || '300000', 10),
+  },
+  carbonRewards: {
+    enabled: process.env.CARBON_REWARDS_ENABLED === 'true',
+    maxAttempts: parseInt(process.env.CARBON_REWARDS_MAX_ATTEMPTS || '5', 10),
+    retryBaseMs: parseInt(process.env.CARBON_REWARDS_RETRY_BASE_MS || '5000', 10),
+    retryMaxMs: parseInt(process.env.CARBON_REWARDS_RETRY_MAX_MS || '300000', 10),
+    // JSON array of reward rules, see services/carbon/rewardRules.js
+    rules: process.env.CARBON_REWARD_RULES || null,
+  },
+};
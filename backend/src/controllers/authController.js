@@ -0,0 +1,93 @@
+import { siweAuthService } from '../services/auth/siweAuthService.js';
+import { authConfig } from '../config/auth.js';
+import { currentNetwork } from '../config/networks.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Issue a nonce for a Sign-In with Ethereum message
+ * GET /auth/nonce
+ */
+export async function getNonce(req, res) {
+  try {
+    const { nonce, expiresAt } = await siweAuthService.createNonce();
+
+    res.json({
+      success: true,
+      data: {
+        nonce,
+        expiresAt,
+        domain: authConfig.domain,
+        chainId: currentNetwork().chainId,
+      },
+    });
+  } catch (error) {
+    logger.error('Error in getNonce controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to issue nonce',
+    });
+  }
+}
+
+/**
+ * Verify a signed SIWE message and start a session
+ * POST /auth/verify
+ */
+export async function verifySignIn(req, res) {
+  try {
+    const { message, signature } = req.body;
+
+    const session = await siweAuthService.signIn(message, signature);
+
+    res.json({
+      success: true,
+      data: session,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error in verifySignIn controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to sign in',
+    });
+  }
+}
+
+/**
+ * Get the current session
+ * GET /auth/session
+ */
+export async function getSession(req, res) {
+  const { address, chainId, expiresAt } = req.session;
+
+  res.json({
+    success: true,
+    data: { address, chainId, expiresAt },
+  });
+}
+
+/**
+ * End the current session
+ * POST /auth/logout
+ */
+export async function signOut(req, res) {
+  try {
+    await siweAuthService.signOut(req.session);
+
+    res.json({
+      success: true,
+    });
+  } catch (error) {
+    logger.error('Error in signOut controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to sign out',
+    });
+  }
+}
@@ -0,0 +1,92 @@
+import { escrowReleaseWorker } from '../services/workers/escrowReleaseWorker.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * List automatic escrow release records
+ * GET /payment/auto-release
+ */
+export async function listAutoReleases(req, res) {
+  try {
+    const { status } = req.query;
+
+    const records = await escrowReleaseWorker.listRecords(status);
+
+    res.json({
+      success: true,
+      data: records,
+    });
+  } catch (error) {
+    logger.error('Error in listAutoReleases controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list automatic releases',
+    });
+  }
+}
+
+/**
+ * Get the automatic release record for a trip
+ * GET /payment/auto-release/:tripId
+ */
+export async function getAutoRelease(req, res) {
+  try {
+    const { tripId } = req.params;
+
+    const record = await escrowReleaseWorker.getRecord(tripId);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'No automatic release recorded for trip',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: record,
+    });
+  } catch (error) {
+    logger.error('Error in getAutoRelease controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get automatic release',
+    });
+  }
+}
+
+/**
+ * Re-queue a failed or skipped automatic release (admin)
+ * POST /payment/auto-release/:tripId/retry
+ */
+export async function retryAutoRelease(req, res) {
+  try {
+    const { tripId } = req.params;
+
+    if (!escrowReleaseWorker.running) {
+      return res.status(503).json({
+        success: false,
+        error: 'Automatic release worker is not running',
+      });
+    }
+
+    const record = await escrowReleaseWorker.retry(tripId);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'No automatic release recorded for trip',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: record,
+    });
+  } catch (error) {
+    logger.error('Error in retryAutoRelease controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to retry automatic release',
+    });
+  }
+}
@@ -0,0 +1,92 @@
+import { carbonRewardWorker } from '../services/workers/carbonRewardWorker.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * List automatic carbon reward records
+ * GET /carbon/auto-rewards
+ */
+export async function listAutoRewards(req, res) {
+  try {
+    const { status } = req.query;
+
+    const records = await carbonRewardWorker.listRecords(status);
+
+    res.json({
+      success: true,
+      data: records,
+    });
+  } catch (error) {
+    logger.error('Error in listAutoRewards controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list automatic rewards',
+    });
+  }
+}
+
+/**
+ * Get the automatic reward record for a trip
+ * GET /carbon/auto-rewards/:tripId
+ */
+export async function getAutoReward(req, res) {
+  try {
+    const { tripId } = req.params;
+
+    const record = await carbonRewardWorker.getRecord(tripId);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'No automatic reward recorded for trip',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: record,
+    });
+  } catch (error) {
+    logger.error('Error in getAutoReward controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get automatic reward',
+    });
+  }
+}
+
+/**
+ * Re-queue a failed or skipped automatic reward (admin)
+ * POST /carbon/auto-rewards/:tripId/retry
+ */
+export async function retryAutoReward(req, res) {
+  try {
+    const { tripId } = req.params;
+
+    if (!carbonRewardWorker.running) {
+      return res.status(503).json({
+        success: false,
+        error: 'Carbon reward worker is not running',
+      });
+    }
+
+    const record = await carbonRewardWorker.retry(tripId);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'No automatic reward recorded for trip',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: record,
+    });
+  } catch (error) {
+    logger.error('Error in retryAutoReward controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to retry automatic reward',
+    });
+  }
+}
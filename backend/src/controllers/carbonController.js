@@ -1,44 +1,61 @@
 import { CarbonCreditsService } from '../services/blockchain/contractService.js';
-import { logger } from '../utils/logger.js';
+import { firestoreService } from '../services/cache/firestoreService.js';
+import { RewardHistoryService } from '../services/carbon/rewardHistoryService.js';
 
 const carbonCreditsService = new CarbonCreditsService();
+const rewardHistoryService = new RewardHistoryService(carbonCreditsService);
 
 /**
  * Get carbon credits for a wallet
  * GET /carbon/credits/:wallet
  */
-export async function getCarbonCredits(req, res) {
+export async function getCarbonCredits(req, res, next) {
   try {
     const { wallet } = req.params;
 
-    if (!wallet) {
-      return res.status(400).json({
-        success: false,
-        error: 'Wallet address is required',
-      });
-    }
+    // Try cache first, then blockchain
+    let credits = await firestoreService.getCredits(wallet);
 
-    // Validate wallet address format (basic check)
-    if (!/^0x[a-fA-F0-9]{40}$/.test(wallet)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid wallet address format',
-      });
+    if (!credits) {
+      credits = await carbonCreditsService.getCredits(wallet);
+      await firestoreService.saveCredits(wallet, credits);
     }
 
-    // Get carbon credits from blockchain
-    const credits = await carbonCreditsService.getCredits(wallet);
-
     res.json({
       success: true,
       data: credits,
     });
   } catch (error) {
-    logger.error('Error in getCarbonCredits controller', { error: error.message, stack: error.stack });
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to get carbon credits',
-    });
+    next(error);
   }
 }
 
+/**
+ * Get carbon reward history for a wallet
+ * GET /carbon/rewards/:wallet
+ */
+export async function getRewardHistory(req, res, next) {
+  try {
+    const { wallet } = req.params;
+    const { from, to, order, limit, cursor } = req.query;
+
+    const result = await rewardHistoryService.listRewards(wallet, {
+      from,
+      to,
+      order,
+      limit,
+      cursor,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...result.summary,
+        rewards: result.rewards,
+      },
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
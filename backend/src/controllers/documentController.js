@@ -0,0 +1,149 @@
+import { documentService } from '../services/documents/documentService.js';
+import { logger } from '../utils/logger.js';
+
+// Served inline; anything else is a download, so uploaded HTML or scripts never run on the API origin
+const INLINE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'application/json', 'text/plain'];
+
+/**
+ * Upload documents (e.g. files referenced by trip metadata)
+ * POST /documents
+ */
+export async function uploadDocuments(req, res) {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded (multipart field "files")',
+      });
+    }
+
+    const documents = [];
+    for (const file of req.files) {
+      documents.push(
+        await documentService.upload(file.buffer, {
+          name: file.originalname,
+          contentType: file.mimetype,
+          uploadedBy: req.session.address,
+        })
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      data: documents,
+    });
+  } catch (error) {
+    logger.error('Error in uploadDocuments controller', { error: error.message, stack: error.stack });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to upload documents',
+    });
+  }
+}
+
+/**
+ * Store trip metadata JSON, to pass as `ipfsMetadataHash` when creating the trip
+ * POST /documents/metadata
+ */
+export async function createTripMetadata(req, res) {
+  try {
+    const record = await documentService.createTripMetadata(req.body, req.session.address);
+
+    res.status(201).json({
+      success: true,
+      data: record,
+    });
+  } catch (error) {
+    logger.error('Error in createTripMetadata controller', { error: error.message, stack: error.stack });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to store trip metadata',
+    });
+  }
+}
+
+/**
+ * Store delivery proof files, to pass the manifest CID as `ipfsProofHash` when completing the trip
+ * POST /documents/proofs
+ */
+export async function createDeliveryProof(req, res) {
+  try {
+    const record = await documentService.createDeliveryProof(req.body, req.files || [], req.session.address);
+
+    logger.info('Delivery proof stored', { tripId: req.body.tripId, cid: record.cid, files: record.manifest.files.length });
+
+    res.status(201).json({
+      success: true,
+      data: record,
+    });
+  } catch (error) {
+    logger.error('Error in createDeliveryProof controller', { error: error.message, stack: error.stack });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to store delivery proof',
+    });
+  }
+}
+
+/**
+ * Get a document's details
+ * GET /documents/:cid/info
+ */
+export async function getDocumentInfo(req, res) {
+  try {
+    const record = await documentService.getRecord(req.params.cid);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: record,
+    });
+  } catch (error) {
+    logger.error('Error in getDocumentInfo controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get document',
+    });
+  }
+}
+
+/**
+ * Download a document
+ * GET /documents/:cid
+ */
+export async function getDocument(req, res) {
+  try {
+    const document = await documentService.getDocument(req.params.cid);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+      });
+    }
+
+    const { record, content } = document;
+    const inline = INLINE_TYPES.includes(record.contentType);
+
+    // Content never changes for a CID
+    res.set({
+      'Content-Type': inline ? record.contentType : 'application/octet-stream',
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${record.name.replace(/["\\\r\n]/g, '_')}"`,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      ETag: `"${record.cid}"`,
+    });
+    res.send(content);
+  } catch (error) {
+    logger.error('Error in getDocument controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get document',
+    });
+  }
+}
@@ -0,0 +1,300 @@
+import { eventIndexer } from '../services/indexer/eventIndexer.js';
+import { eventStream, parseCursor } from '../services/indexer/eventStream.js';
+import { currentNetwork } from '../config/networks.js';
+import { indexerConfig } from '../config/indexer.js';
+import { streamConfig } from '../config/stream.js';
+import { schemas } from '../middleware/validator.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Error body for a network the indexer does not index
+ * @param {Object} network - Network
+ * @returns {Object|null} Error body, null if the network is indexed
+ */
+function unindexedNetworkError(network) {
+  if (eventIndexer.indexes(network)) {
+    return null;
+  }
+  return {
+    success: false,
+    error: `Events are not indexed on network ${network.name} (indexed network: ${eventIndexer.network.name})`,
+    code: 'NETWORK_NOT_INDEXED',
+  };
+}
+
+/**
+ * Reject requests for a network the indexer does not index
+ * @param {Object} res - Express response
+ * @returns {boolean} True if the response was sent
+ */
+function rejectUnindexedNetwork(res) {
+  const error = unindexedNetworkError(currentNetwork());
+  if (!error) {
+    return false;
+  }
+  res.status(404).json(error);
+  return true;
+}
+
+/**
+ * Reason a new event stream cannot be opened
+ * @param {Object} [network] - Network of the stream (defaults to the current network)
+ * @returns {Object|null} `{ status, body }`, null if it can
+ */
+export function streamUnavailable(network = currentNetwork()) {
+  const notIndexed = unindexedNetworkError(network);
+  if (notIndexed) {
+    return { status: 404, body: notIndexed };
+  }
+  if (!indexerConfig.enabled) {
+    return {
+      status: 503,
+      body: {
+        success: false,
+        error: 'The event stream needs the event indexer (INDEXER_ENABLED=true)',
+        code: 'INDEXER_DISABLED',
+      },
+    };
+  }
+  if (!eventStream.hasCapacity()) {
+    return {
+      status: 503,
+      body: { success: false, error: 'Too many open event streams, try again later', code: 'STREAM_FULL' },
+    };
+  }
+  return null;
+}
+
+/**
+ * Subscription filters from validated stream parameters
+ * @param {Object} params - Validated `streamEvents` query
+ * @returns {Object} `{ filters, after }`
+ */
+function streamSubscription({ wallet, after, ...filters }) {
+  return { filters: { ...filters, account: wallet }, after: after ? parseCursor(after) : null };
+}
+
+/**
+ * Get indexed contract events
+ * GET /events
+ */
+export async function getEvents(req, res) {
+  if (rejectUnindexedNetwork(res)) {
+    return;
+  }
+
+  try {
+    const { contract, event, tripId, escrowId, account, fromBlock, toBlock } = req.query;
+
+    const events = await eventIndexer.getEvents({
+      contract,
+      event,
+      tripId,
+      escrowId,
+      account,
+      fromBlock,
+      toBlock,
+    });
+
+    res.json({
+      success: true,
+      data: events,
+    });
+  } catch (error) {
+    logger.error('Error in getEvents controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get events',
+    });
+  }
+}
+
+/**
+ * Get indexer checkpoint
+ * GET /events/status
+ */
+export async function getIndexerStatus(req, res) {
+  if (rejectUnindexedNetwork(res)) {
+    return;
+  }
+
+  try {
+    const checkpoint = await eventIndexer.getCheckpoint();
+
+    res.json({
+      success: true,
+      data: {
+        running: Boolean(eventIndexer.timer),
+        startBlock: eventIndexer.config.startBlock,
+        checkpoint,
+      },
+    });
+  } catch (error) {
+    logger.error('Error in getIndexerStatus controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get indexer status',
+    });
+  }
+}
+
+/**
+ * Stream indexed events as Server-Sent Events
+ * GET /events/stream
+ * Events are sent as messages with the event ID as SSE `id`, so a
+ * reconnecting EventSource resumes after the last one (`Last-Event-ID`).
+ */
+export async function streamEvents(req, res) {
+  const unavailable = streamUnavailable();
+  if (unavailable) {
+    return res.status(unavailable.status).json(unavailable.body);
+  }
+
+  const lastEventId = req.get('Last-Event-ID');
+  const { filters, after } = streamSubscription({ ...req.query, after: lastEventId || req.query.after });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  // compression() buffers writes until flushed
+  const write = chunk => {
+    res.write(chunk);
+    res.flush?.();
+  };
+  const send = message => {
+    if (message.type === 'event') {
+      write(`id: ${message.id}\ndata: ${JSON.stringify(message.data)}\n\n`);
+    } else {
+      write(`event: ${message.type}\ndata: ${JSON.stringify(message.data)}\n\n`);
+    }
+  };
+
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), streamConfig.heartbeatMs);
+  let unsubscribe = null;
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe?.();
+  });
+
+  try {
+    unsubscribe = await eventStream.subscribe(filters, after, send);
+    if (closed) {
+      unsubscribe();
+    }
+  } catch (error) {
+    logger.error('Error in streamEvents controller', { error: error.message, stack: error.stack });
+    write(`event: error\ndata: ${JSON.stringify({ error: error.message || 'Failed to stream events' })}\n\n`);
+    res.end();
+  }
+}
+
+/**
+ * Stream indexed events over a WebSocket
+ * The query string of the connection URL is the first subscription; a
+ * `{ "type": "subscribe", ...params }` message replaces it, and
+ * `{ "type": "unsubscribe" }` ends it. Messages sent are
+ * `{ type: 'event', id, data }`, `{ type: 'reorg', data }`,
+ * `{ type: 'subscribed', filters, after }` and `{ type: 'error', error }`.
+ * @param {WebSocket} socket - Accepted WebSocket
+ * @param {Object} query - Validated `streamEvents` query of the connection URL
+ * @param {Object} network - Network of the connection
+ */
+export function handleEventSocket(socket, query, network) {
+  let unsubscribe = null;
+  // Bumped by every subscribe and unsubscribe message; a subscription that
+  // opens after a newer message is closed again
+  let generation = 0;
+  let alive = true;
+
+  const send = message => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const subscribe = async params => {
+    const current = ++generation;
+    unsubscribe?.();
+    unsubscribe = null;
+
+    const unavailable = streamUnavailable(network);
+    if (unavailable) {
+      send({ type: 'error', error: unavailable.body.error, code: unavailable.body.code });
+      return;
+    }
+
+    const { filters, after } = streamSubscription(params);
+    send({ type: 'subscribed', filters: params, after });
+    try {
+      const subscription = await eventStream.subscribe(
+        filters,
+        after,
+        message => current === generation && send(message)
+      );
+      if (current !== generation || socket.readyState !== socket.OPEN) {
+        subscription();
+        return;
+      }
+      unsubscribe = subscription;
+    } catch (error) {
+      logger.error('Error in event socket subscription', { error: error.message, stack: error.stack });
+      if (current !== generation) {
+        return;
+      }
+      send({ type: 'error', error: error.message || 'Failed to stream events' });
+    }
+  };
+
+  socket.on('message', data => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      return send({ type: 'error', error: 'Messages must be JSON' });
+    }
+
+    if (message?.type === 'unsubscribe') {
+      generation += 1;
+      unsubscribe?.();
+      unsubscribe = null;
+      return;
+    }
+    if (message?.type !== 'subscribe') {
+      return send({ type: 'error', error: 'Unknown message type (expected subscribe or unsubscribe)' });
+    }
+
+    // `type` is not a filter; stripUnknown drops it
+    const { error, value } = schemas.streamEvents.query.validate(message, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      return send({ type: 'error', error: 'Validation error', details: error.details.map(detail => detail.message) });
+    }
+    subscribe(value);
+  });
+
+  // Drop clients that stop answering pings
+  socket.on('pong', () => {
+    alive = true;
+  });
+  const heartbeat = setInterval(() => {
+    if (!alive) {
+      return socket.terminate();
+    }
+    alive = false;
+    socket.ping();
+  }, streamConfig.heartbeatMs);
+
+  socket.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe?.();
+  });
+
+  subscribe(query);
+}
@@ -0,0 +1,50 @@
+import { tripTokenService } from '../services/nft/tripTokenService.js';
+import { renderTripBadge } from '../services/nft/tripBadge.js';
+import { nftConfig } from '../config/nft.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Base URL of a network's API, for links in token metadata
+ * @param {Object} req - Request
+ * @param {string} network - Network name
+ * @returns {string} URL without a trailing slash
+ */
+function networkApiUrl(req, network) {
+  const apiUrl = nftConfig.publicUrl || `${req.protocol}://${req.get('host')}/api`;
+  return `${apiUrl}/networks/${network}`;
+}
+
+/**
+ * Get the ERC-721 metadata of a trip NFT (the target of tokenURI)
+ * GET /nft/:tokenId
+ */
+export async function getTokenMetadata(req, res, next) {
+  try {
+    const token = await tripTokenService.getToken(req.params.tokenId);
+    const imageUrl = `${networkApiUrl(req, token.network)}/nft/${token.tokenId}/image.svg`;
+
+    // Served as-is (no `success` envelope): wallets expect the metadata schema
+    res.set('Cache-Control', `public, max-age=${nftConfig.cacheSeconds}`);
+    res.json(tripTokenService.buildMetadata(token, imageUrl));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the SVG shipment badge of a trip NFT
+ * GET /nft/:tokenId/image.svg
+ */
+export async function getTokenImage(req, res, next) {
+  try {
+    const token = await tripTokenService.getToken(req.params.tokenId);
+
+    res.set({
+      'Content-Type': 'image/svg+xml',
+      'Cache-Control': `public, max-age=${nftConfig.cacheSeconds}`,
+    });
+    res.send(renderTripBadge(token));
+  } catch (error) {
+    next(error);
+  }
+}
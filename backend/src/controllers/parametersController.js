@@ -0,0 +1,73 @@
+import { RewardParametersService } from '../services/carbon/rewardParametersService.js';
+
+const rewardParametersService = new RewardParametersService();
+
+/**
+ * Get the current reward parameters
+ * GET /carbon/parameters
+ */
+export async function getRewardParameters(req, res, next) {
+  try {
+    const parameters = await rewardParametersService.getParameters();
+
+    res.json({
+      success: true,
+      data: parameters,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Preview how proposed parameters change rewards, without applying them
+ * POST /carbon/parameters/preview
+ */
+export async function previewRewardParameters(req, res, next) {
+  try {
+    const { sampleOffsets, ...parameters } = req.body;
+
+    const preview = await rewardParametersService.preview(parameters, sampleOffsets);
+
+    res.json({
+      success: true,
+      data: preview,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Apply new reward parameters
+ * PUT /carbon/parameters
+ */
+export async function updateRewardParameters(req, res, next) {
+  try {
+    const result = await rewardParametersService.update(req.body);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the history of reward parameter changes
+ * GET /carbon/parameters/history
+ */
+export async function getRewardParameterHistory(req, res, next) {
+  try {
+    const history = await rewardParametersService.getHistory();
+
+    res.json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -1,40 +1,177 @@
 import { PaymentEscrowService } from '../services/blockchain/contractService.js';
-import { logger } from '../utils/logger.js';
+import { firestoreService } from '../services/cache/firestoreService.js';
+import { transactionJobs } from '../services/blockchain/transactionJobs.js';
+import { sendWalletTransaction } from '../middleware/walletTransaction.js';
 
 const paymentEscrowService = new PaymentEscrowService();
 
 /**
- * Release payment
- * POST /payment/release
+ * Invalidate the cached escrow after a deposit or release
+ * @param {Object} result - Decoded transaction result
+ */
+async function onEscrowChanged(result) {
+  await firestoreService.invalidateEscrow(result.escrowId);
+}
+
+// The escrow is cached on its first read
+transactionJobs.register('createEscrow', {
+  decode: receipt => paymentEscrowService.decodeCreateEscrow(receipt),
+});
+
+transactionJobs.register('depositToEscrow', {
+  decode: receipt => paymentEscrowService.decodeDepositToEscrow(receipt),
+  onMined: onEscrowChanged,
+});
+
+transactionJobs.register('releasePayment', {
+  decode: receipt => paymentEscrowService.decodeReleasePayment(receipt),
+  onMined: onEscrowChanged,
+});
+
+/**
+ * Create an escrow for a trip, funded by the payer's wallet
+ * POST /payment/escrow
+ * Responds with the transaction to sign until the body carries it (see middleware/walletTransaction.js).
+ * With `?async=true`, responds 202 with a transaction job (see GET /tx/:jobId)
+ */
+export async function createEscrow(req, res, next) {
+  try {
+    await sendWalletTransaction(req, res, 'createEscrow', {}, 201);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Deposit additional funds to an escrow from the payer's wallet
+ * POST /payment/escrow/:id/deposit
+ * Responds with the transaction to sign until the body carries it (see middleware/walletTransaction.js).
+ * With `?async=true`, responds 202 with a transaction job (see GET /tx/:jobId)
+ */
+export async function depositToEscrow(req, res, next) {
+  try {
+    await sendWalletTransaction(req, res, 'depositToEscrow');
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get escrow details
+ * GET /payment/escrow/:id
  */
-export async function releasePayment(req, res) {
+export async function getEscrow(req, res, next) {
   try {
-    const { escrowId, amount, reason } = req.body;
+    const { id } = req.params;
+
+    // Try cache first, then blockchain
+    let escrow = await firestoreService.getEscrow(id);
 
-    if (!escrowId || !amount) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: escrowId, amount',
-      });
+    if (!escrow) {
+      escrow = await paymentEscrowService.getEscrow(id);
+      await firestoreService.saveEscrow(id, escrow);
     }
 
-    // Release payment on blockchain
-    const result = await paymentEscrowService.releasePayment(
-      escrowId,
-      amount,
-      reason || ''
-    );
+    res.json({
+      success: true,
+      data: escrow,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get escrow for a trip
+ * GET /payment/trip/:tripId
+ */
+export async function getEscrowByTrip(req, res, next) {
+  try {
+    const { tripId } = req.params;
+
+    const escrowId = await paymentEscrowService.getEscrowByTrip(tripId);
+    const escrow = await paymentEscrowService.getEscrow(escrowId);
+    await firestoreService.saveEscrow(escrowId, escrow);
 
     res.json({
       success: true,
-      data: result,
+      data: escrow,
     });
   } catch (error) {
-    logger.error('Error in releasePayment controller', { error: error.message, stack: error.stack });
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to release payment',
+    next(error);
+  }
+}
+
+/**
+ * Get available escrow balance
+ * GET /payment/escrow/:id/balance
+ */
+export async function getEscrowBalance(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const balance = await paymentEscrowService.getEscrowBalance(id);
+
+    res.json({
+      success: true,
+      data: { escrowId: id, balance },
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Check whether payment can be released
+ * GET /payment/escrow/:id/can-release
+ */
+export async function canReleasePayment(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const result = await paymentEscrowService.canReleasePayment(id);
+
+    res.json({
+      success: true,
+      data: result,
     });
+  } catch (error) {
+    next(error);
   }
 }
 
+/**
+ * Release payment, signed by the payer's wallet
+ * POST /payment/release
+ * Responds with the transaction to sign until the body carries it (see middleware/walletTransaction.js).
+ * With `?async=true`, responds 202 with a transaction job (see GET /tx/:jobId)
+ */
+export async function releasePayment(req, res, next) {
+  try {
+    await sendWalletTransaction(req, res, 'releasePayment');
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Refund escrow to payer (admin)
+ * POST /payment/escrow/:id/refund
+ */
+export async function refundPayment(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    // Refund on blockchain
+    const result = await paymentEscrowService.refundPayment(id, reason);
+    await firestoreService.invalidateEscrow(id);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,108 @@
+import { RetirementService } from '../services/carbon/retirementService.js';
+import { renderCertificateHtml, renderCertificatePdf } from '../services/carbon/certificateRenderer.js';
+import { firestoreService } from '../services/cache/firestoreService.js';
+
+const retirementService = new RetirementService();
+
+/**
+ * Send a certificate in the requested format
+ * @param {Object} res - Express response
+ * @param {Object} certificate - Retirement certificate
+ * @param {string} format - json, html or pdf
+ */
+async function sendCertificate(res, certificate, format) {
+  if (format === 'html') {
+    return res.type('html').send(renderCertificateHtml(certificate));
+  }
+
+  if (format === 'pdf') {
+    const pdf = await renderCertificatePdf(certificate);
+    return res
+      .type('pdf')
+      .set('Content-Disposition', `inline; filename="${certificate.certificateId}.pdf"`)
+      .send(pdf);
+  }
+
+  return res.json({
+    success: true,
+    data: certificate,
+  });
+}
+
+/**
+ * Retire (burn) credits held by the backend wallet (admin)
+ * POST /carbon/retirements
+ */
+export async function retireCredits(req, res, next) {
+  try {
+    const { amount, beneficiary, periodStart, periodEnd, tripIds, note } = req.body;
+
+    const certificate = await retirementService.retire(amount, {
+      beneficiary,
+      periodStart,
+      periodEnd,
+      tripIds,
+      note,
+    });
+
+    // Balance changed
+    await firestoreService.invalidateCredits(certificate.account);
+
+    res.status(201).json({
+      success: true,
+      data: certificate,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the retirement certificate of a burn transaction
+ * GET /carbon/retirements/:txHash?format=json|html|pdf
+ */
+export async function getRetirementCertificate(req, res, next) {
+  try {
+    const { txHash } = req.params;
+    const { format } = req.query;
+
+    const certificate = await retirementService.getCertificate(txHash);
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        error: 'No carbon credit retirement in transaction',
+      });
+    }
+
+    await sendCertificate(res, certificate, format);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List retirement certificates from indexed burn events
+ * GET /carbon/retirements
+ */
+export async function listRetirements(req, res, next) {
+  try {
+    const { account } = req.query;
+
+    const certificates = await retirementService.listCertificates(account);
+
+    if (!certificates) {
+      return res.status(503).json({
+        success: false,
+        error: 'Event index is not available',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: certificates,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -1,110 +1,205 @@
 import { TripRegistryService } from '../services/blockchain/contractService.js';
 import { firestoreService } from '../services/cache/firestoreService.js';
+import { TripListService } from '../services/trips/tripListService.js';
+import { proofVerificationService } from '../services/trips/proofVerificationService.js';
+import { renderProofReportHtml, renderProofReportPdf } from '../services/trips/proofReportRenderer.js';
+import { transactionJobs } from '../services/blockchain/transactionJobs.js';
+import { sendWalletTransaction } from '../middleware/walletTransaction.js';
+import { TRIP_STATUS } from '../config/constants.js';
 import { logger } from '../utils/logger.js';
 
 const tripRegistryService = new TripRegistryService();
+const tripListService = new TripListService();
 
 /**
- * Create a new trip
+ * Build a time range filter from validated query bounds
+ * @param {number} [from] - Lower bound (unix seconds)
+ * @param {number} [to] - Upper bound (unix seconds)
+ * @returns {Object|undefined} Range, undefined if unbounded
+ */
+function timeRange(from, to) {
+  return from !== undefined || to !== undefined ? { from, to } : undefined;
+}
+
+/**
+ * Send a proof verification report in the requested format
+ * @param {Object} res - Express response
+ * @param {Object} report - Proof verification report
+ * @param {string} format - json, html or pdf
+ */
+async function sendProofReport(res, report, format) {
+  if (format === 'html') {
+    return res.type('html').send(renderProofReportHtml(report));
+  }
+
+  if (format === 'pdf') {
+    const pdf = await renderProofReportPdf(report);
+    return res
+      .type('pdf')
+      .set('Content-Disposition', `inline; filename="trip-${report.tripId}-proof-report.pdf"`)
+      .send(pdf);
+  }
+
+  return res.json({
+    success: true,
+    data: report,
+  });
+}
+
+/**
+ * Drop the cached copy of a started, completed or cancelled trip, to be
+ * re-read from the chain
+ * @param {Object} result - Decoded transaction result
+ */
+async function onTripChanged(result) {
+  await firestoreService.invalidateTrip(result.tripId);
+}
+
+// The trip is cached on its first read, in the shape getTripMetadata returns
+transactionJobs.register('createTrip', {
+  decode: receipt => tripRegistryService.decodeCreateTrip(receipt),
+});
+
+transactionJobs.register('startTrip', {
+  decode: receipt => tripRegistryService.decodeStartTrip(receipt),
+  onMined: onTripChanged,
+});
+
+transactionJobs.register('completeTrip', {
+  decode: receipt => tripRegistryService.decodeCompleteTrip(receipt),
+  onMined: onTripChanged,
+});
+
+transactionJobs.register('cancelTrip', {
+  decode: receipt => tripRegistryService.decodeCancelTrip(receipt),
+  onMined: onTripChanged,
+});
+
+/**
+ * Create a new trip, signed by the shipper's wallet
  * POST /trip/create
+ * Responds with the transaction to sign until the body carries it (see middleware/walletTransaction.js).
+ * With `?async=true`, responds 202 with a transaction job (see GET /tx/:jobId)
  */
-export async function createTrip(req, res) {
+export async function createTrip(req, res, next) {
   try {
-    const {
-      carrier,
-      receiver,
-      originLocation,
-      destinationLocation,
-      distance,
-      estimatedCarbonFootprint,
-      ipfsMetadataHash,
-    } = req.body;
-
-    // Validate required fields
-    if (!carrier || !receiver || !originLocation || !destinationLocation || !distance || !estimatedCarbonFootprint) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        required: ['carrier', 'receiver', 'originLocation', 'destinationLocation', 'distance', 'estimatedCarbonFootprint'],
-      });
-    }
+    await sendWalletTransaction(req, res, 'createTrip', {}, 201);
+  } catch (error) {
+    next(error);
+  }
+}
 
-    // Create trip on blockchain
-    const result = await tripRegistryService.createTrip({
-      carrier,
-      receiver,
-      originLocation,
-      destinationLocation,
-      distance: parseInt(distance, 10),
-      estimatedCarbonFootprint: parseInt(estimatedCarbonFootprint, 10),
-      ipfsMetadataHash: ipfsMetadataHash || '',
-    });
+/**
+ * Complete a trip (end trip), signed by the carrier's wallet
+ * POST /trip/end
+ * Responds with the transaction to sign until the body carries it (see middleware/walletTransaction.js).
+ * With `?async=true`, responds 202 with a transaction job (see GET /tx/:jobId)
+ */
+export async function endTrip(req, res, next) {
+  try {
+    await sendWalletTransaction(req, res, 'completeTrip');
+  } catch (error) {
+    next(error);
+  }
+}
 
-    // Cache trip data in Firestore (optional)
-    await firestoreService.saveTrip(result.tripId, {
-      carrier,
-      receiver,
-      originLocation,
-      destinationLocation,
-      distance,
-      estimatedCarbonFootprint,
-      ipfsMetadataHash,
-      status: 'Created',
-      createdAt: new Date().toISOString(),
-    });
+/**
+ * Start a trip, signed by the carrier's wallet
+ * POST /trip/:id/start
+ * Responds with the transaction to sign until the body carries it (see middleware/walletTransaction.js).
+ * With `?async=true`, responds 202 with a transaction job (see GET /tx/:jobId)
+ */
+export async function startTrip(req, res, next) {
+  try {
+    await sendWalletTransaction(req, res, 'startTrip');
+  } catch (error) {
+    next(error);
+  }
+}
 
-    res.status(201).json({
-      success: true,
-      data: result,
-    });
+/**
+ * Cancel a trip, signed by the shipper's or carrier's wallet
+ * POST /trip/:id/cancel
+ * Responds with the transaction to sign until the body carries it (see middleware/walletTransaction.js).
+ * With `?async=true`, responds 202 with a transaction job (see GET /tx/:jobId)
+ */
+export async function cancelTrip(req, res, next) {
+  try {
+    await sendWalletTransaction(req, res, 'cancelTrip');
   } catch (error) {
-    logger.error('Error in createTrip controller', { error: error.message, stack: error.stack });
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to create trip',
-    });
+    next(error);
   }
 }
 
 /**
- * Complete a trip (end trip)
- * POST /trip/end
+ * Override trip status (admin)
+ * PUT /trip/:id/status
  */
-export async function endTrip(req, res) {
+export async function updateTripStatus(req, res, next) {
   try {
-    const { tripId, actualCarbonFootprint, ipfsProofHash } = req.body;
+    const { id } = req.params;
+    // Status name or code, normalized to the code by the validator
+    const { status: code } = req.body;
 
-    if (!tripId || !actualCarbonFootprint) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: tripId, actualCarbonFootprint',
-      });
-    }
+    // Override status on blockchain
+    const result = await tripRegistryService.updateTripStatus(id, code);
 
-    // Complete trip on blockchain
-    const result = await tripRegistryService.completeTrip(
-      tripId,
-      parseInt(actualCarbonFootprint, 10),
-      ipfsProofHash || ''
-    );
+    // The override changes nothing but the status
+    await firestoreService.updateTrip(id, { status: code });
 
-    // Update cache
-    await firestoreService.updateTrip(tripId, {
-      status: 'Delivered',
-      actualCarbonFootprint,
-      completedAt: new Date().toISOString(),
+    res.json({
+      success: true,
+      data: { ...result, statusName: TRIP_STATUS[code] },
     });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List trips
+ * GET /trip
+ */
+export async function listTrips(req, res, next) {
+  try {
+    const {
+      shipper,
+      carrier,
+      receiver,
+      party,
+      status,
+      origin,
+      destination,
+      sort,
+      order,
+      limit,
+      cursor,
+    } = req.query;
+
+    const result = await tripListService.listTrips(
+      {
+        shipper: shipper && shipper.toLowerCase(),
+        carrier: carrier && carrier.toLowerCase(),
+        receiver: receiver && receiver.toLowerCase(),
+        party: party && party.toLowerCase(),
+        status,
+        created: timeRange(req.query.createdFrom, req.query.createdTo),
+        started: timeRange(req.query.startedFrom, req.query.startedTo),
+        completed: timeRange(req.query.completedFrom, req.query.completedTo),
+        origin,
+        destination,
+      },
+      { sort, order, limit, cursor }
+    );
 
     res.json({
       success: true,
-      data: result,
+      data: result.trips,
+      pagination: result.pagination,
+      source: result.source,
     });
   } catch (error) {
-    logger.error('Error in endTrip controller', { error: error.message, stack: error.stack });
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to complete trip',
-    });
+    next(error);
   }
 }
 
@@ -112,17 +207,10 @@ export async function endTrip(req, res) {
  * Get trip by ID
  * GET /trip/:id
  */
-export async function getTrip(req, res) {
+export async function getTrip(req, res, next) {
   try {
     const { id } = req.params;
 
-    if (!id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Trip ID is required',
-      });
-    }
-
     // Try to get from cache first
     let tripData = await firestoreService.getTrip(id);
 
@@ -139,11 +227,33 @@ export async function getTrip(req, res) {
       data: tripData,
     });
   } catch (error) {
-    logger.error('Error in getTrip controller', { error: error.message, stack: error.stack });
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to get trip',
-    });
+    next(error);
   }
 }
 
+/**
+ * Verify delivery proof documents against the trip's on-chain proof hash
+ * A proof that fails verification is still a report (`verified: false`).
+ * POST /trip/:id/verify-proof
+ */
+export async function verifyProof(req, res, next) {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No proof documents uploaded (multipart field "files")',
+      });
+    }
+
+    const report = await proofVerificationService.verify(req.params.id, req.files);
+    logger.info('Delivery proof verified', {
+      tripId: report.tripId,
+      verified: report.verified,
+      failed: report.checks.filter(check => !check.passed).map(check => check.name),
+    });
+
+    await sendProofReport(res, report, req.query.format);
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,32 @@
+import { transactionJobs } from '../services/blockchain/transactionJobs.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Get the status of an asynchronous transaction job
+ * GET /tx/:jobId
+ */
+export async function getTransactionJob(req, res) {
+  try {
+    const { jobId } = req.params;
+
+    const job = await transactionJobs.get(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction job not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    logger.error('Error in getTransactionJob controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get transaction job',
+    });
+  }
+}
@@ -0,0 +1,219 @@
+import { webhookService } from '../services/webhooks/webhookService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Register a webhook subscription
+ * POST /webhooks
+ */
+export async function createWebhook(req, res) {
+  try {
+    const subscription = await webhookService.createSubscription(req.body);
+
+    logger.info('Webhook subscription created', {
+      subscriptionId: subscription.subscriptionId,
+      url: subscription.url,
+      events: subscription.events,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: subscription,
+    });
+  } catch (error) {
+    logger.error('Error in createWebhook controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to create webhook subscription',
+    });
+  }
+}
+
+/**
+ * List webhook subscriptions
+ * GET /webhooks
+ */
+export async function listWebhooks(req, res) {
+  try {
+    const subscriptions = await webhookService.listSubscriptions();
+
+    res.json({
+      success: true,
+      data: subscriptions,
+    });
+  } catch (error) {
+    logger.error('Error in listWebhooks controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list webhook subscriptions',
+    });
+  }
+}
+
+/**
+ * Get a webhook subscription
+ * GET /webhooks/:subscriptionId
+ */
+export async function getWebhook(req, res) {
+  try {
+    const subscription = await webhookService.getSubscription(req.params.subscriptionId);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook subscription not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: subscription,
+    });
+  } catch (error) {
+    logger.error('Error in getWebhook controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get webhook subscription',
+    });
+  }
+}
+
+/**
+ * Update a webhook subscription
+ * PATCH /webhooks/:subscriptionId
+ */
+export async function updateWebhook(req, res) {
+  try {
+    const subscription = await webhookService.updateSubscription(req.params.subscriptionId, req.body);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook subscription not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: subscription,
+    });
+  } catch (error) {
+    logger.error('Error in updateWebhook controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to update webhook subscription',
+    });
+  }
+}
+
+/**
+ * Delete a webhook subscription
+ * DELETE /webhooks/:subscriptionId
+ */
+export async function deleteWebhook(req, res) {
+  try {
+    const deleted = await webhookService.deleteSubscription(req.params.subscriptionId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook subscription not found',
+      });
+    }
+
+    logger.info('Webhook subscription deleted', { subscriptionId: req.params.subscriptionId });
+
+    res.json({
+      success: true,
+    });
+  } catch (error) {
+    logger.error('Error in deleteWebhook controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to delete webhook subscription',
+    });
+  }
+}
+
+/**
+ * List webhook deliveries (`?status=dead` for the dead-letter list)
+ * GET /webhooks/deliveries
+ */
+export async function listWebhookDeliveries(req, res) {
+  try {
+    const deliveries = await webhookService.listDeliveries(req.query);
+
+    res.json({
+      success: true,
+      data: deliveries,
+    });
+  } catch (error) {
+    logger.error('Error in listWebhookDeliveries controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list webhook deliveries',
+    });
+  }
+}
+
+/**
+ * Get a webhook delivery with its attempts
+ * GET /webhooks/deliveries/:deliveryId
+ */
+export async function getWebhookDelivery(req, res) {
+  try {
+    const delivery = await webhookService.getDelivery(req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook delivery not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    logger.error('Error in getWebhookDelivery controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get webhook delivery',
+    });
+  }
+}
+
+/**
+ * Send a dead or delivered webhook delivery again
+ * POST /webhooks/deliveries/:deliveryId/redeliver
+ */
+export async function redeliverWebhook(req, res) {
+  try {
+    if (!webhookService.running) {
+      return res.status(503).json({
+        success: false,
+        error: 'Webhook deliveries are disabled (WEBHOOKS_ENABLED is not true)',
+      });
+    }
+
+    const delivery = await webhookService.redeliver(req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook delivery not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    logger.error('Error in redeliverWebhook controller', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to redeliver webhook',
+    });
+  }
+}
@@ -0,0 +1,58 @@
+import { timingSafeEqual } from 'crypto';
+import { siweAuthService } from '../services/auth/siweAuthService.js';
+
+/**
+ * Admin authentication middleware
+ * Requires the `X-Admin-Key` header to match ADMIN_API_KEY.
+ */
+export function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY || '';
+  const provided = req.get('X-Admin-Key') || '';
+
+  if (!expected) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin API is disabled (ADMIN_API_KEY not set)',
+    });
+  }
+
+  const providedBytes = Buffer.from(provided);
+  const expectedBytes = Buffer.from(expected);
+  const valid = providedBytes.length === expectedBytes.length && timingSafeEqual(providedBytes, expectedBytes);
+
+  if (!valid) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or missing admin key',
+    });
+  }
+
+  next();
+}
+
+/**
+ * Session authentication middleware
+ * Requires an `Authorization: Bearer <token>` header with a session token
+ * from POST /auth/verify, and sets `req.session` ({ address, chainId,
+ * sessionId, expiresAt }).
+ */
+export async function requireAuth(req, res, next) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Sign in required (Authorization: Bearer <token>)',
+    });
+  }
+
+  try {
+    req.session = await siweAuthService.verifySession(token);
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to verify session',
+    });
+  }
+}
@@ -1,19 +1,27 @@
+import { decodeContractError } from '../utils/contractErrors.js';
 import { logger } from '../utils/logger.js';
 
 /**
  * Error handling middleware
+ * Contract reverts are answered with their catalog status, message and code
+ * (see utils/contractErrors.js); other errors with their `status`, or 500.
  */
 export function errorHandler(err, req, res, next) {
-  logger.error('Unhandled error', {
+  const contractError = decodeContractError(err);
+  const status = contractError?.status || err.status || 500;
+
+  logger[status >= 500 ? 'error' : 'warn'](contractError ? 'Contract call reverted' : 'Unhandled error', {
     error: err.message,
+    ...(contractError && { reason: contractError.reason }),
     stack: err.stack,
     path: req.path,
     method: req.method,
   });
 
-  res.status(err.status || 500).json({
+  res.status(status).json({
     success: false,
-    error: err.message || 'Internal server error',
+    error: contractError?.message || err.message || 'Internal server error',
+    ...(contractError ? { code: contractError.code } : err.status && err.code && { code: err.code }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   });
 }
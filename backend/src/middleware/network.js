@@ -0,0 +1,53 @@
+import { defaultNetwork, getNetworkConfig, networks, runInNetwork } from '../config/networks.js';
+
+/**
+ * Resolve the network a request picks
+ * @param {string} [fromPath] - Network in the path
+ * @param {string} [fromHeader] - X-Network header
+ * @returns {Object} `{ network }`, or `{ status, body }` to reject the request with
+ */
+export function resolveNetwork(fromPath, fromHeader) {
+  if (fromPath && fromHeader && fromPath !== fromHeader) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: `X-Network header (${fromHeader}) does not match the network in the path (${fromPath})`,
+        code: 'NETWORK_MISMATCH',
+      },
+    };
+  }
+
+  const name = fromPath || fromHeader;
+  const network = name ? getNetworkConfig(name) : defaultNetwork;
+  if (!network) {
+    return {
+      status: 404,
+      body: {
+        success: false,
+        error: `Unknown network ${name} (configured: ${[...networks.keys()].join(', ')})`,
+        code: 'UNKNOWN_NETWORK',
+      },
+    };
+  }
+  return { network };
+}
+
+/**
+ * Network selection middleware
+ * Picks the network of the request from the `:network` path segment
+ * (/api/networks/:network/...) or the `X-Network` header, defaulting to
+ * DEFAULT_NETWORK. The rest of the request runs with it as the current
+ * network, sets `req.network` and echoes the name in the `X-Network`
+ * response header.
+ */
+export function selectNetwork(req, res, next) {
+  const { network, status, body } = resolveNetwork(req.params.network, req.get('X-Network'));
+  if (!network) {
+    return res.status(status).json(body);
+  }
+
+  req.network = network;
+  res.set('X-Network', network.name);
+  runInNetwork(network, next);
+}
@@ -0,0 +1,95 @@
+import { tripAccessService } from '../services/auth/tripAccessService.js';
+import { PaymentEscrowService } from '../services/blockchain/contractService.js';
+
+const paymentEscrowService = new PaymentEscrowService();
+
+/**
+ * Trip ID from a route parameter
+ * @param {string} name - Parameter name
+ * @returns {Function} Resolver
+ */
+export function tripIdFromParam(name) {
+  return async req => req.params[name];
+}
+
+/**
+ * Trip ID from a body field
+ * @param {string} name - Body field name
+ * @returns {Function} Resolver
+ */
+export function tripIdFromBody(name) {
+  return async req => req.body[name];
+}
+
+/**
+ * Trip ID of the escrow whose ID is selected from the request
+ * @param {Function} selectEscrowId - (req) => escrow ID
+ * @returns {Function} Resolver
+ */
+export function tripIdFromEscrow(selectEscrowId) {
+  return async req => {
+    const escrowId = selectEscrowId(req);
+    if (!/^\d+$/.test(String(escrowId ?? ''))) {
+      return undefined;
+    }
+
+    // getEscrow reverts for unknown escrows; errorHandler answers 404
+    const escrow = await paymentEscrowService.getEscrow(escrowId);
+    return escrow.tripId;
+  };
+}
+
+/**
+ * Trip role authorization middleware
+ * Must run after requireAuth. Allows the request if the signed-in wallet has
+ * one of `roles` on the trip (see TripAccessService.getRoles) and sets
+ * `req.tripRoles`.
+ * @param {string[]} roles - Allowed roles (shipper, carrier, receiver, owner)
+ * @param {Function} resolveTripId - async (req) => trip ID; undefined if missing, null if not found.
+ *   May throw an error with a `status` (and optional `code`), or a contract revert, to reject the request.
+ * @returns {Function} Express middleware
+ */
+export function requireTripRole(roles, resolveTripId) {
+  return async (req, res, next) => {
+    try {
+      const tripId = await resolveTripId(req);
+
+      if (tripId === null) {
+        return res.status(404).json({
+          success: false,
+          error: 'Trip not found',
+          code: 'TRIP_NOT_FOUND',
+        });
+      }
+
+      if (!/^\d+$/.test(String(tripId ?? ''))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid or missing trip ID',
+        });
+      }
+
+      const callerRoles = await tripAccessService.getRoles(tripId, req.session.address);
+
+      if (callerRoles === null) {
+        return res.status(404).json({
+          success: false,
+          error: 'Trip not found',
+          code: 'TRIP_NOT_FOUND',
+        });
+      }
+
+      if (!callerRoles.some(role => roles.includes(role))) {
+        return res.status(403).json({
+          success: false,
+          error: `Only the trip ${roles.join(' or ')} can perform this action`,
+        });
+      }
+
+      req.tripRoles = callerRoles;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
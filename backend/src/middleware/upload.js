@@ -0,0 +1,43 @@
+import multer from 'multer';
+import { documentConfig } from '../config/documents.js';
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: documentConfig.maxFileBytes, files: documentConfig.maxFiles },
+});
+
+/**
+ * Multipart upload middleware
+ * Reads the files sent in `field` into memory (`req.files`) and the other
+ * form fields into `req.body`, up to DOCUMENT_MAX_FILES files of
+ * DOCUMENT_MAX_FILE_BYTES each.
+ * @param {string} field - Form field of the files
+ * @returns {Function} Express middleware
+ */
+export function uploadFiles(field) {
+  const handler = upload.array(field, documentConfig.maxFiles);
+
+  return (req, res, next) => {
+    handler(req, res, error => {
+      if (!error) {
+        return next();
+      }
+      if (!(error instanceof multer.MulterError)) {
+        return next(error);
+      }
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          error: `${error.field} is too large (max ${documentConfig.maxFileBytes} bytes per file)`,
+        });
+      }
+      res.status(400).json({
+        success: false,
+        error: error.code === 'LIMIT_UNEXPECTED_FILE' || error.code === 'LIMIT_FILE_COUNT'
+          ? `Send up to ${documentConfig.maxFiles} files in the "${field}" field`
+          : error.message,
+      });
+    });
+  };
+}
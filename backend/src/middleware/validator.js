@@ -1,53 +1,539 @@
-import Joi from 'joi';
+import BaseJoi from 'joi';
+import { ethers } from 'ethers';
+import { CID } from 'multiformats/cid';
+import {
+  TRIP_STATUS,
+  TRIP_SORT_FIELDS,
+  RELEASE_STATUS,
+  REWARD_STATUS,
+  DELIVERY_STATUS,
+  WEBHOOK_EVENTS,
+} from '../config/constants.js';
+import { parseTime } from '../utils/time.js';
+
+const UINT256_MAX = 2n ** 256n - 1n;
+const REQUEST_PARTS = ['params', 'query', 'body'];
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Joi with Ethereum types
+ * - uint256: decimal string or safe integer, normalized to a decimal string
+ *   (never a JS number, so values above 2^53 survive); supports min(), max()
+ *   and positive()
+ * - address: hex address, normalized to its EIP-55 checksum form
+ * - timestamp: unix seconds or ISO 8601 date, normalized to unix seconds
+ */
+const Joi = BaseJoi.extend(
+  joi => ({
+    type: 'uint256',
+    base: joi.any(),
+    messages: {
+      'uint256.base': '{{#label}} must be an unsigned integer (decimal string) up to 2^256-1',
+      'uint256.min': '{{#label}} must be greater than or equal to {{#limit}}',
+      'uint256.max': '{{#label}} must be less than or equal to {{#limit}}',
+    },
+    validate(value, helpers) {
+      const isInteger =
+        typeof value === 'number'
+          ? Number.isSafeInteger(value) && value >= 0
+          : typeof value === 'string' && /^\d+$/.test(value);
+
+      if (!isInteger || BigInt(value) > UINT256_MAX) {
+        return { value, errors: helpers.error('uint256.base') };
+      }
+      return { value: BigInt(value).toString() };
+    },
+    rules: {
+      min: {
+        method(limit) {
+          return this.$_addRule({ name: 'min', args: { limit } });
+        },
+        validate(value, helpers, { limit }) {
+          return BigInt(value) >= BigInt(limit) ? value : helpers.error('uint256.min', { limit: String(limit) });
+        },
+      },
+      max: {
+        method(limit) {
+          return this.$_addRule({ name: 'max', args: { limit } });
+        },
+        validate(value, helpers, { limit }) {
+          return BigInt(value) <= BigInt(limit) ? value : helpers.error('uint256.max', { limit: String(limit) });
+        },
+      },
+      positive: {
+        method() {
+          return this.min(1);
+        },
+      },
+    },
+  }),
+  joi => ({
+    type: 'address',
+    base: joi.string(),
+    messages: {
+      'address.base': '{{#label}} must be an Ethereum address (0x followed by 40 hex characters)',
+      'address.checksum': '{{#label}} has an invalid EIP-55 checksum',
+    },
+    validate(value, helpers) {
+      if (!/^0x[a-fA-F0-9]{40}$/.test(value)) {
+        return { value, errors: helpers.error('address.base') };
+      }
+      try {
+        return { value: ethers.getAddress(value) };
+      } catch {
+        return { value, errors: helpers.error('address.checksum') };
+      }
+    },
+  }),
+  joi => ({
+    type: 'timestamp',
+    base: joi.any(),
+    messages: {
+      'timestamp.base': '{{#label}} must be unix seconds or an ISO 8601 date',
+    },
+    validate(value, helpers) {
+      const seconds = parseTime(String(value));
+      if (seconds === undefined || Number.isNaN(seconds)) {
+        return { value, errors: helpers.error('timestamp.base') };
+      }
+      return { value: seconds };
+    },
+  })
+);
 
 /**
  * Validation middleware
+ * `schema` is a Joi schema for the body, or an object of Joi schemas keyed by
+ * request part (`params`, `query`, `body`). Unknown keys are stripped and the
+ * validated (normalized) values replace the originals. Errors from all parts
+ * are reported together.
  */
 export function validate(schema) {
+  const parts = Joi.isSchema(schema) ? { body: schema } : schema;
+
   return (req, res, next) => {
-    const { error, value } = schema.validate(req.body, {
-      abortEarly: false,
-      stripUnknown: true,
-    });
+    const details = [];
+    const values = {};
+
+    for (const part of REQUEST_PARTS) {
+      if (!parts[part]) {
+        continue;
+      }
 
-    if (error) {
+      const { error, value } = parts[part].validate(req[part] || {}, {
+        abortEarly: false,
+        stripUnknown: true,
+      });
+
+      if (error) {
+        details.push(
+          ...error.details.map(detail => ({
+            field: detail.path.join('.'),
+            location: part,
+            message: detail.message,
+          }))
+        );
+      } else {
+        values[part] = value;
+      }
+    }
+
+    if (details.length > 0) {
       return res.status(400).json({
         success: false,
         error: 'Validation error',
-        details: error.details.map(detail => ({
-          field: detail.path.join('.'),
-          message: detail.message,
-        })),
+        details,
       });
     }
 
-    req.body = value;
+    Object.assign(req, values);
     next();
   };
 }
 
-// Validation schemas
+// Reusable fields
+const id = () => Joi.uint256().positive();
+const sortOrder = () => Joi.string().valid('asc', 'desc').default('desc');
+const pageSize = () => Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(20);
+const signature = () => Joi.string().pattern(/^0x[a-fA-F0-9]{130}$/, '65-byte hex signature');
+const transactionHash = () => Joi.string().pattern(/^0x[a-fA-F0-9]{64}$/, 'transaction hash');
+const calendarDate = () =>
+  Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/, 'YYYY-MM-DD')
+    .custom((value, helpers) => (Number.isNaN(Date.parse(value)) ? helpers.error('any.invalid') : value));
+
+/**
+ * Resolve a trip status name (e.g. "Delivered") or code (e.g. 2 or "2")
+ * @param {*} value - Status
+ * @returns {number} Status code, -1 if invalid
+ */
+function tripStatusCode(value) {
+  const code = /^\d+$/.test(String(value)) ? Number(value) : TRIP_STATUS.indexOf(value);
+  return code < TRIP_STATUS.length ? code : -1;
+}
+
+// Trip status by name or code, normalized to the code
+const tripStatus = () =>
+  Joi.any()
+    .custom((value, helpers) => {
+      const code = tripStatusCode(value);
+      return code < 0 ? helpers.error('any.only') : code;
+    })
+    .messages({ 'any.only': `{{#label}} must be one of: ${TRIP_STATUS.join(', ')} (or 0-${TRIP_STATUS.length - 1})` });
+
+// Comma-separated list of trip statuses, normalized to an array of codes
+const tripStatusList = () =>
+  Joi.string()
+    .custom((value, helpers) => {
+      const codes = value.split(',').map(tripStatusCode);
+      return codes.includes(-1) ? helpers.error('any.only') : codes;
+    })
+    .messages({ 'any.only': `{{#label}} must be a comma-separated list of: ${TRIP_STATUS.join(', ')}` });
+
+// Bonuses are percentages of the base amount; the contract rejects a 0 multiplier
+const rewardParameters = {
+  baseMultiplier: Joi.uint256().positive().max(1000000).required(),
+  lowCarbonBonus: Joi.uint256().max(1000).required(),
+  carbonNeutralBonus: Joi.uint256().max(1000).required(),
+  batchOptimizationBonus: Joi.uint256().max(1000).required(),
+};
+
+// `?async=true` submits the transaction and responds 202 with a job ID
+const asyncQuery = Joi.object({ async: Joi.boolean().truthy('1').falsy('0').default(false) });
+
+// Calls sent by the caller's wallet (see middleware/walletTransaction.js) take
+// the signed transaction, or the hash of one the wallet broadcast; without
+// either, the transaction to sign is returned
+const walletSigned = body => Joi.object({
+  ...body,
+  signedTransaction: Joi.string().pattern(/^0x[a-fA-F0-9]+$/, 'hex'),
+  txHash: transactionHash(),
+}).oxor('signedTransaction', 'txHash');
+
+// Webhook endpoints receive POSTs from the backend
+const webhookUrl = () => Joi.string().uri({ scheme: ['http', 'https'] });
+const webhookEvents = () =>
+  Joi.array()
+    .items(Joi.string().valid(...Object.keys(WEBHOOK_EVENTS)))
+    .min(1)
+    .unique();
+
+// IPFS CID (v0 or v1), normalized to CIDv1 base32
+const cid = () =>
+  Joi.string()
+    .custom((value, helpers) => {
+      try {
+        return CID.parse(value).toV1().toString();
+      } catch {
+        return helpers.error('any.invalid');
+      }
+    })
+    .messages({ 'any.invalid': '{{#label}} must be an IPFS CID' });
+
+const idParams = Joi.object({ id: id().required() });
+const tripIdParams = Joi.object({ tripId: id().required() });
+const webhookParams = Joi.object({ subscriptionId: Joi.string().guid().required() });
+
+// Validation schemas, one per route
 export const schemas = {
-  createTrip: Joi.object({
-    carrier: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).required(),
-    receiver: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).required(),
-    originLocation: Joi.string().required(),
-    destinationLocation: Joi.string().required(),
-    distance: Joi.number().integer().positive().required(),
-    estimatedCarbonFootprint: Joi.number().integer().positive().required(),
-    ipfsMetadataHash: Joi.string().allow('').optional(),
+  // Auth
+  verifySignIn: Joi.object({
+    message: Joi.string().max(4096).required(),
+    signature: Joi.string().pattern(/^0x[a-fA-F0-9]+$/, 'hex').required(),
   }),
 
-  endTrip: Joi.object({
-    tripId: Joi.string().required(),
-    actualCarbonFootprint: Joi.number().integer().positive().required(),
-    ipfsProofHash: Joi.string().allow('').optional(),
+  // Trips
+  createTrip: {
+    query: asyncQuery,
+    body: walletSigned({
+      carrier: Joi.address().required(),
+      receiver: Joi.address().required(),
+      originLocation: Joi.string().trim().required(),
+      destinationLocation: Joi.string().trim().required(),
+      distance: Joi.uint256().positive().required(),
+      estimatedCarbonFootprint: Joi.uint256().positive().required(),
+      ipfsMetadataHash: Joi.string().allow('').default(''),
+    }),
+  },
+
+  endTrip: {
+    query: asyncQuery,
+    body: walletSigned({
+      tripId: id().required(),
+      actualCarbonFootprint: Joi.uint256().required(),
+      ipfsProofHash: Joi.string().allow('').default(''),
+    }),
+  },
+
+  startTrip: {
+    params: idParams,
+    query: asyncQuery,
+    body: walletSigned(),
+  },
+
+  cancelTrip: {
+    params: idParams,
+    query: asyncQuery,
+    body: walletSigned({
+      reason: Joi.string().trim().required(),
+    }),
+  },
+
+  updateTripStatus: {
+    params: idParams,
+    body: Joi.object({
+      status: tripStatus().required(),
+    }),
+  },
+
+  listTrips: {
+    query: Joi.object({
+      shipper: Joi.address(),
+      carrier: Joi.address(),
+      receiver: Joi.address(),
+      party: Joi.address(),
+      status: tripStatusList(),
+      origin: Joi.string(),
+      destination: Joi.string(),
+      createdFrom: Joi.timestamp(),
+      createdTo: Joi.timestamp(),
+      startedFrom: Joi.timestamp(),
+      startedTo: Joi.timestamp(),
+      completedFrom: Joi.timestamp(),
+      completedTo: Joi.timestamp(),
+      sort: Joi.string()
+        .valid(...TRIP_SORT_FIELDS)
+        .default('createdAt'),
+      order: sortOrder(),
+      limit: pageSize(),
+      cursor: Joi.string(),
+    }),
+  },
+
+  getTrip: {
+    params: idParams,
+  },
+
+  verifyProof: {
+    params: idParams,
+    query: Joi.object({
+      format: Joi.string().valid('json', 'html', 'pdf').default('json'),
+    }),
+  },
+
+  // Payments
+  createEscrow: {
+    query: asyncQuery,
+    body: walletSigned({
+      tripId: id().required(),
+      payee: Joi.address().required(),
+      amount: Joi.uint256().positive().required(),
+      conditions: Joi.object({
+        requiresTripCompletion: Joi.boolean().default(true),
+        requiresDeliveryProof: Joi.boolean().default(false),
+        requiresReceiverConfirmation: Joi.boolean().default(false),
+        milestonePercentage: Joi.number().integer().min(0).max(100).default(0),
+        completionPercentage: Joi.number().integer().min(0).max(100).default(100),
+      })
+        .default()
+        .custom((conditions, helpers) =>
+          conditions.milestonePercentage + conditions.completionPercentage > 100
+            ? helpers.message('{{#label}} milestonePercentage and completionPercentage must sum to at most 100')
+            : conditions
+        ),
+    }),
+  },
+
+  getEscrow: {
+    params: idParams,
+  },
+
+  depositToEscrow: {
+    params: idParams,
+    query: asyncQuery,
+    body: walletSigned({
+      amount: Joi.uint256().positive().required(),
+    }),
+  },
+
+  refundPayment: {
+    params: idParams,
+    body: Joi.object({
+      reason: Joi.string().trim().required(),
+    }),
+  },
+
+  getEscrowByTrip: {
+    params: tripIdParams,
+  },
+
+  releasePayment: {
+    query: asyncQuery,
+    body: walletSigned({
+      escrowId: id().required(),
+      amount: Joi.uint256().positive().required(),
+      reason: Joi.string().allow('').default(''),
+    }),
+  },
+
+  listAutoReleases: {
+    query: Joi.object({
+      status: Joi.string().valid(...RELEASE_STATUS),
+    }),
+  },
+
+  autoRelease: {
+    params: tripIdParams,
+  },
+
+  // Carbon credits
+  getCarbonCredits: {
+    params: Joi.object({ wallet: Joi.address().required() }),
+  },
+
+  getRewardHistory: {
+    params: Joi.object({ wallet: Joi.address().required() }),
+    query: Joi.object({
+      from: Joi.timestamp(),
+      to: Joi.timestamp(),
+      order: sortOrder(),
+      limit: pageSize(),
+      cursor: Joi.string(),
+    }),
+  },
+
+  retireCredits: Joi.object({
+    amount: Joi.uint256().positive().required(),
+    beneficiary: Joi.string().trim().max(200).required(),
+    periodStart: calendarDate(),
+    periodEnd: calendarDate().custom((value, helpers) => {
+      const { periodStart } = helpers.state.ancestors[0];
+      return periodStart && periodStart > value ? helpers.message('{{#label}} must not be before periodStart') : value;
+    }),
+    tripIds: Joi.array().items(id()).max(50).default([]),
+    note: Joi.string().max(500),
   }),
 
-  releasePayment: Joi.object({
-    escrowId: Joi.string().required(),
-    amount: Joi.string().required(),
-    reason: Joi.string().allow('').optional(),
+  listRetirements: {
+    query: Joi.object({
+      account: Joi.address(),
+    }),
+  },
+
+  getRetirementCertificate: {
+    params: Joi.object({
+      txHash: transactionHash().required(),
+    }),
+    query: Joi.object({
+      format: Joi.string().valid('json', 'html', 'pdf').default('json'),
+    }),
+  },
+
+  previewRewardParameters: Joi.object({
+    ...rewardParameters,
+    sampleOffsets: Joi.array().items(Joi.uint256()).min(1).max(20),
   }),
-};
 
+  updateRewardParameters: Joi.object(rewardParameters),
+
+  listAutoRewards: {
+    query: Joi.object({
+      status: Joi.string().valid(...REWARD_STATUS),
+    }),
+  },
+
+  autoReward: {
+    params: tripIdParams,
+  },
+
+  // Transaction jobs
+  getTransactionJob: {
+    params: Joi.object({ jobId: Joi.string().guid().required() }),
+  },
+
+  // Events
+  getEvents: {
+    query: Joi.object({
+      contract: Joi.string().valid('TripRegistry', 'PaymentEscrow', 'CarbonCredits'),
+      event: Joi.string().custom(value => value.split(',')),
+      tripId: id(),
+      escrowId: id(),
+      account: Joi.address(),
+      fromBlock: Joi.number().integer().min(0),
+      toBlock: Joi.number().integer().min(0),
+    }),
+  },
+
+  streamEvents: {
+    query: Joi.object({
+      contract: Joi.string().valid('TripRegistry', 'PaymentEscrow', 'CarbonCredits'),
+      event: Joi.string().custom(value => value.split(',')),
+      tripId: id(),
+      escrowId: id(),
+      wallet: Joi.address(),
+      // Last event seen: event ID, <block>-<logIndex> or a block number
+      after: Joi.string().pattern(/^\d+([-:]\d+)?$/, 'event ID, <block>-<logIndex> or block number'),
+    }),
+  },
+
+  // Webhooks
+  createWebhook: Joi.object({
+    url: webhookUrl().required(),
+    events: webhookEvents().required(),
+    tripId: id(),
+    description: Joi.string().max(200).allow(''),
+  }),
+
+  updateWebhook: {
+    params: webhookParams,
+    body: Joi.object({
+      url: webhookUrl(),
+      events: webhookEvents(),
+      tripId: id().allow(null),
+      description: Joi.string().max(200).allow(''),
+      active: Joi.boolean(),
+    }).min(1),
+  },
+
+  webhook: {
+    params: webhookParams,
+  },
+
+  listWebhookDeliveries: {
+    query: Joi.object({
+      status: Joi.string().valid(...DELIVERY_STATUS),
+      subscriptionId: Joi.string().guid(),
+    }),
+  },
+
+  webhookDelivery: {
+    params: Joi.object({ deliveryId: Joi.string().max(100).required() }),
+  },
+
+  // Documents
+  createTripMetadata: Joi.object({
+    description: Joi.string().max(2000),
+    cargo: Joi.object().unknown(true),
+    references: Joi.object().pattern(Joi.string(), Joi.string().max(200)),
+    documents: Joi.array()
+      .items(Joi.object({ cid: cid().required(), name: Joi.string().max(200) }))
+      .max(50),
+  })
+    .unknown(true)
+    .min(1),
+
+  createDeliveryProof: Joi.object({
+    tripId: id().required(),
+    notes: Joi.string().max(2000).allow('').default(''),
+    receiverSignature: signature(),
+  }),
+
+  document: {
+    params: Joi.object({ cid: cid().required() }),
+  },
+
+  // Trip NFTs
+  nftToken: {
+    params: Joi.object({ tokenId: id().required() }),
+  },
+};
@@ -0,0 +1,63 @@
+import { transactionJobs } from '../services/blockchain/transactionJobs.js';
+import { walletTransactions } from '../services/blockchain/walletTransactions.js';
+
+/**
+ * Wallet-signed transaction middleware
+ * For routes whose contract call the caller's wallet must send (see
+ * WalletTransactionService); must run after requireAuth and validation.
+ * Without `signedTransaction` or `txHash` in the body, responds with the
+ * unsigned transaction for the signed-in wallet to sign. With one, relays it
+ * and sets `req.walletTransaction` for the handler.
+ * @param {Function} buildCall - (req) => contract call
+ * @returns {Function} Express middleware
+ */
+export function walletTransaction(buildCall) {
+  return async (req, res, next) => {
+    try {
+      const { signedTransaction, txHash } = req.body;
+      const call = buildCall(req);
+
+      if (!signedTransaction && !txHash) {
+        const transaction = await walletTransactions.prepare(call, req.session.address);
+        return res.json({
+          success: true,
+          data: { transaction },
+        });
+      }
+
+      req.walletTransaction = await walletTransactions.relay(call, req.session.address, { signedTransaction, txHash });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Respond to a request whose wallet transaction was relayed
+ * Like backend-sent transactions: with `?async=true`, responds 202 with a
+ * transaction job (see GET /tx/:jobId); otherwise waits for it and responds
+ * with the result of the job type's handler.
+ * @param {Object} req - Express request (with `walletTransaction`)
+ * @param {Object} res - Express response
+ * @param {string} type - Registered transaction job type
+ * @param {Object} [context] - Data passed to the handler's onMined
+ * @param {number} [status] - Status of the synchronous response
+ */
+export async function sendWalletTransaction(req, res, type, context = {}, status = 200) {
+  const tx = req.walletTransaction;
+
+  if (req.query.async) {
+    const job = await transactionJobs.submit(type, async () => tx, context, { relayed: true });
+    return res.status(202).location(`/api/tx/${job.jobId}`).json({
+      success: true,
+      data: job,
+    });
+  }
+
+  const result = await transactionJobs.settle(type, await walletTransactions.wait(tx), context);
+  res.status(status).json({
+    success: true,
+    data: result,
+  });
+}
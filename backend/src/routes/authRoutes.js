@@ -0,0 +1,36 @@
+import express from 'express';
+import { getNonce, verifySignIn, getSession, signOut } from '../controllers/authController.js';
+import { requireAuth } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validator.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /auth/nonce
+ * @desc    Issue a nonce for a Sign-In with Ethereum message
+ * @access  Public
+ */
+router.get('/nonce', getNonce);
+
+/**
+ * @route   POST /auth/verify
+ * @desc    Verify a signed SIWE message and issue a session token
+ * @access  Public
+ */
+router.post('/verify', validate(schemas.verifySignIn), verifySignIn);
+
+/**
+ * @route   GET /auth/session
+ * @desc    Get the current session
+ * @access  Private (session)
+ */
+router.get('/session', requireAuth, getSession);
+
+/**
+ * @route   POST /auth/logout
+ * @desc    End the current session
+ * @access  Private (session)
+ */
+router.post('/logout', requireAuth, signOut);
+
+export default router;
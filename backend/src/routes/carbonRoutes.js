@@ -1,5 +1,15 @@
 import express from 'express';
-import { getCarbonCredits } from '../controllers/carbonController.js';
+import { getCarbonCredits, getRewardHistory } from '../controllers/carbonController.js';
+import { listAutoRewards, getAutoReward, retryAutoReward } from '../controllers/autoRewardController.js';
+import { retireCredits, listRetirements, getRetirementCertificate } from '../controllers/retirementController.js';
+import {
+  getRewardParameters,
+  previewRewardParameters,
+  updateRewardParameters,
+  getRewardParameterHistory,
+} from '../controllers/parametersController.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validator.js';
 
 const router = express.Router();
 
@@ -8,7 +18,84 @@ const router = express.Router();
  * @desc    Get carbon credits for a wallet
  * @access  Public
  */
-router.get('/credits/:wallet', getCarbonCredits);
+router.get('/credits/:wallet', validate(schemas.getCarbonCredits), getCarbonCredits);
+
+/**
+ * @route   GET /carbon/rewards/:wallet
+ * @desc    Get carbon reward history for a wallet
+ * @access  Public
+ */
+router.get('/rewards/:wallet', validate(schemas.getRewardHistory), getRewardHistory);
+
+/**
+ * @route   POST /carbon/retirements
+ * @desc    Retire (burn) credits held by the backend wallet and issue a certificate
+ * @access  Admin (X-Admin-Key)
+ */
+router.post('/retirements', requireAdmin, validate(schemas.retireCredits), retireCredits);
+
+/**
+ * @route   GET /carbon/retirements
+ * @desc    List retirement certificates from indexed burn events
+ * @access  Public
+ */
+router.get('/retirements', validate(schemas.listRetirements), listRetirements);
+
+/**
+ * @route   GET /carbon/retirements/:txHash
+ * @desc    Get the retirement certificate of a burn transaction (JSON, HTML or PDF)
+ * @access  Public
+ */
+router.get('/retirements/:txHash', validate(schemas.getRetirementCertificate), getRetirementCertificate);
+
+/**
+ * @route   GET /carbon/parameters
+ * @desc    Get the current CarbonCredits reward parameters
+ * @access  Admin (X-Admin-Key)
+ */
+router.get('/parameters', requireAdmin, getRewardParameters);
+
+/**
+ * @route   GET /carbon/parameters/history
+ * @desc    Get the history of reward parameter changes
+ * @access  Admin (X-Admin-Key)
+ */
+router.get('/parameters/history', requireAdmin, getRewardParameterHistory);
+
+/**
+ * @route   POST /carbon/parameters/preview
+ * @desc    Preview how proposed reward parameters change rewards
+ * @access  Admin (X-Admin-Key)
+ */
+router.post('/parameters/preview', requireAdmin, validate(schemas.previewRewardParameters), previewRewardParameters);
+
+/**
+ * @route   PUT /carbon/parameters
+ * @desc    Update the CarbonCredits reward parameters
+ * @access  Admin (X-Admin-Key)
+ */
+router.put('/parameters', requireAdmin, validate(schemas.updateRewardParameters), updateRewardParameters);
+
+/**
+ * @route   GET /carbon/auto-rewards
+ * @desc    List automatic carbon reward records
+ * @access  Public
+ */
+router.get('/auto-rewards', validate(schemas.listAutoRewards), listAutoRewards);
+
+/**
+ * @route   GET /carbon/auto-rewards/:tripId
+ * @desc    Get the automatic carbon reward record for a trip
+ * @access  Public
+ */
+router.get('/auto-rewards/:tripId', validate(schemas.autoReward), getAutoReward);
+
+/**
+ * @route   POST /carbon/auto-rewards/:tripId/retry
+ * @desc    Re-queue a failed or skipped automatic carbon reward
+ * @access  Admin (X-Admin-Key)
+ */
+router.post('/auto-rewards/:tripId/retry', requireAdmin, validate(schemas.autoReward), retryAutoReward);
 
 export default router;
 
@@ -0,0 +1,58 @@
+import express from 'express';
+import {
+  uploadDocuments,
+  createTripMetadata,
+  createDeliveryProof,
+  getDocumentInfo,
+  getDocument,
+} from '../controllers/documentController.js';
+import { requireAuth } from '../middleware/auth.js';
+import { uploadFiles } from '../middleware/upload.js';
+import { validate, schemas } from '../middleware/validator.js';
+import { requireTripRole, tripIdFromBody } from '../middleware/tripAccess.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /documents
+ * @desc    Upload documents (multipart field "files")
+ * @access  Private (session)
+ */
+router.post('/', requireAuth, uploadFiles('files'), uploadDocuments);
+
+/**
+ * @route   POST /documents/metadata
+ * @desc    Store trip metadata JSON and get its CID for createTrip
+ * @access  Private (session)
+ */
+router.post('/metadata', requireAuth, validate(schemas.createTripMetadata), createTripMetadata);
+
+/**
+ * @route   POST /documents/proofs
+ * @desc    Store delivery proof files (multipart field "files") and get the manifest CID for completeTrip
+ * @access  Private (trip carrier)
+ */
+router.post(
+  '/proofs',
+  requireAuth,
+  uploadFiles('files'),
+  validate(schemas.createDeliveryProof),
+  requireTripRole(['carrier'], tripIdFromBody('tripId')),
+  createDeliveryProof
+);
+
+/**
+ * @route   GET /documents/:cid/info
+ * @desc    Get a document's name, content type, size and uploader
+ * @access  Public
+ */
+router.get('/:cid/info', validate(schemas.document), getDocumentInfo);
+
+/**
+ * @route   GET /documents/:cid
+ * @desc    Download a document
+ * @access  Public
+ */
+router.get('/:cid', validate(schemas.document), getDocument);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import { getEvents, getIndexerStatus, streamEvents } from '../controllers/eventController.js';
+import { validate, schemas } from '../middleware/validator.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /events/status
+ * @desc    Get event indexer checkpoint
+ * @access  Public
+ */
+router.get('/status', getIndexerStatus);
+
+/**
+ * @route   GET /events/stream
+ * @desc    Stream indexed contract events (Server-Sent Events; WebSocket upgrades are handled by eventSocket.js)
+ * @access  Public
+ */
+router.get('/stream', validate(schemas.streamEvents), streamEvents);
+
+/**
+ * @route   GET /events
+ * @desc    Query indexed contract events
+ * @access  Public
+ */
+router.get('/', validate(schemas.getEvents), getEvents);
+
+export default router;
@@ -0,0 +1,77 @@
+import { STATUS_CODES } from 'http';
+import { WebSocketServer } from 'ws';
+import { handleEventSocket, streamUnavailable } from '../controllers/eventController.js';
+import { resolveNetwork } from '../middleware/network.js';
+import { schemas } from '../middleware/validator.js';
+import { logger } from '../utils/logger.js';
+
+// GET /api/events/stream and /api/networks/:network/events/stream
+const STREAM_PATH = /^\/api(?:\/networks\/([^/]+))?\/events\/stream\/?$/;
+
+/**
+ * Answer an upgrade request with an HTTP error and close the socket
+ * @param {net.Socket} socket - Upgrade socket
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ */
+function rejectUpgrade(socket, status, body) {
+  const json = JSON.stringify(body);
+  socket.end(
+    `HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\n` +
+      'Content-Type: application/json\r\n' +
+      `Content-Length: ${Buffer.byteLength(json)}\r\n` +
+      'Connection: close\r\n\r\n' +
+      json
+  );
+}
+
+/**
+ * Accept WebSocket connections to the event stream on an HTTP server
+ * Connections pick the network like other requests (path or X-Network
+ * header) and pass the same query parameters as GET /events/stream.
+ * @param {http.Server} server - Server returned by app.listen
+ */
+export function attachEventSocket(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = STREAM_PATH.exec(url.pathname);
+    if (!match) {
+      return rejectUpgrade(socket, 404, { success: false, error: 'Route not found', path: url.pathname });
+    }
+
+    const { network, status, body } = resolveNetwork(
+      match[1] && decodeURIComponent(match[1]),
+      req.headers['x-network']
+    );
+    if (!network) {
+      return rejectUpgrade(socket, status, body);
+    }
+    const unavailable = streamUnavailable(network);
+    if (unavailable) {
+      return rejectUpgrade(socket, unavailable.status, unavailable.body);
+    }
+
+    const { error, value } = schemas.streamEvents.query.validate(Object.fromEntries(url.searchParams), {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+    if (error) {
+      return rejectUpgrade(socket, 400, {
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          location: 'query',
+          message: detail.message,
+        })),
+      });
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      logger.info('Event stream WebSocket connected', { ip: req.socket.remoteAddress });
+      handleEventSocket(ws, value, network);
+    });
+  });
+}
@@ -1,23 +1,79 @@
 import express from 'express';
+import authRoutes from './authRoutes.js';
 import tripRoutes from './tripRoutes.js';
 import paymentRoutes from './paymentRoutes.js';
 import carbonRoutes from './carbonRoutes.js';
+import eventRoutes from './eventRoutes.js';
+import txRoutes from './txRoutes.js';
+import webhookRoutes from './webhookRoutes.js';
+import documentRoutes from './documentRoutes.js';
+import nftRoutes from './nftRoutes.js';
+import { transactionManagers } from '../services/blockchain/transactionManager.js';
+import { getProvider } from '../config/blockchain.js';
+import { defaultNetwork, networks } from '../config/networks.js';
 
 const router = express.Router();
 
+// How long the health check waits for each network's node
+const RPC_TIMEOUT_MS = 5000;
+
+/**
+ * Status of a network's RPC endpoints and backend signer
+ * @param {Object} network - Network
+ * @returns {Promise<Object>} `{ name, chainId, default, rpc, transactions }`
+ */
+async function networkStatus(network) {
+  const provider = getProvider(network);
+  let rpc;
+  let timer;
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`no response within ${RPC_TIMEOUT_MS / 1000}s`)), RPC_TIMEOUT_MS);
+    });
+    const [blockNumber, chainId] = await Promise.race([
+      Promise.all([provider.getBlockNumber(), provider.send('eth_chainId', [])]),
+      timeout,
+    ]);
+    rpc = Number(chainId) === network.chainId
+      ? { status: 'ok', blockNumber }
+      : { status: 'wrong-chain', blockNumber, chainId: Number(chainId) };
+  } catch (error) {
+    rpc = { status: 'unreachable', error: error.shortMessage || error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+  rpc.endpoints = provider.getStatus().endpoints;
+
+  return {
+    name: network.name,
+    chainId: network.chainId,
+    default: network === defaultNetwork,
+    rpc,
+    transactions: transactionManagers.get(network).getStatus(),
+  };
+}
+
 // Health check endpoint
-router.get('/health', (req, res) => {
+router.get('/health', async (req, res) => {
+  const statuses = await Promise.all([...networks.values()].map(networkStatus));
   res.json({
-    status: 'ok',
+    status: statuses.every(network => network.rpc.status === 'ok') ? 'ok' : 'degraded',
     timestamp: new Date().toISOString(),
     service: 'decentralogix-backend',
+    networks: statuses,
   });
 });
 
 // API routes
+router.use('/auth', authRoutes);
 router.use('/trip', tripRoutes);
 router.use('/payment', paymentRoutes);
 router.use('/carbon', carbonRoutes);
+router.use('/events', eventRoutes);
+router.use('/tx', txRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/documents', documentRoutes);
+router.use('/nft', nftRoutes);
 
 export default router;
 
@@ -0,0 +1,21 @@
+import express from 'express';
+import { getTokenMetadata, getTokenImage } from '../controllers/nftController.js';
+import { validate, schemas } from '../middleware/validator.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /nft/:tokenId
+ * @desc    Get the ERC-721 metadata of a trip NFT (TripRegistry tokenURI)
+ * @access  Public
+ */
+router.get('/:tokenId', validate(schemas.nftToken), getTokenMetadata);
+
+/**
+ * @route   GET /nft/:tokenId/image.svg
+ * @desc    Get the SVG shipment badge of a trip NFT
+ * @access  Public
+ */
+router.get('/:tokenId/image.svg', validate(schemas.nftToken), getTokenImage);
+
+export default router;
@@ -1,14 +1,124 @@
 import express from 'express';
-import { releasePayment } from '../controllers/paymentController.js';
+import {
+  createEscrow,
+  depositToEscrow,
+  getEscrow,
+  getEscrowByTrip,
+  getEscrowBalance,
+  canReleasePayment,
+  releasePayment,
+  refundPayment,
+} from '../controllers/paymentController.js';
+import { listAutoReleases, getAutoRelease, retryAutoRelease } from '../controllers/autoReleaseController.js';
+import { requireAdmin, requireAuth } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validator.js';
+import { requireTripRole, tripIdFromBody, tripIdFromEscrow } from '../middleware/tripAccess.js';
+import { walletTransaction } from '../middleware/walletTransaction.js';
+import { PaymentEscrowService } from '../services/blockchain/contractService.js';
 
 const router = express.Router();
+const paymentEscrowService = new PaymentEscrowService();
+
+/**
+ * @route   POST /payment/escrow
+ * @desc    Create an escrow for a trip (signed and funded by the shipper's wallet)
+ * @access  Private (trip shipper)
+ */
+router.post(
+  '/escrow',
+  requireAuth,
+  validate(schemas.createEscrow),
+  requireTripRole(['shipper'], tripIdFromBody('tripId')),
+  walletTransaction(req =>
+    paymentEscrowService.createEscrowCall(req.body.tripId, req.body.payee, req.body.conditions, req.body.amount)
+  ),
+  createEscrow
+);
+
+/**
+ * @route   GET /payment/escrow/:id
+ * @desc    Get escrow details
+ * @access  Public
+ */
+router.get('/escrow/:id', validate(schemas.getEscrow), getEscrow);
+
+/**
+ * @route   GET /payment/escrow/:id/balance
+ * @desc    Get available escrow balance
+ * @access  Public
+ */
+router.get('/escrow/:id/balance', validate(schemas.getEscrow), getEscrowBalance);
+
+/**
+ * @route   GET /payment/escrow/:id/can-release
+ * @desc    Check whether payment can be released
+ * @access  Public
+ */
+router.get('/escrow/:id/can-release', validate(schemas.getEscrow), canReleasePayment);
+
+/**
+ * @route   POST /payment/escrow/:id/deposit
+ * @desc    Top up an escrow (signed and funded by the payer's wallet)
+ * @access  Private (trip shipper)
+ */
+router.post(
+  '/escrow/:id/deposit',
+  requireAuth,
+  validate(schemas.depositToEscrow),
+  requireTripRole(['shipper'], tripIdFromEscrow(req => req.params.id)),
+  walletTransaction(req => paymentEscrowService.depositToEscrowCall(req.params.id, req.body.amount)),
+  depositToEscrow
+);
+
+/**
+ * @route   POST /payment/escrow/:id/refund
+ * @desc    Refund unreleased escrow balance to the payer
+ * @access  Admin (X-Admin-Key)
+ */
+router.post('/escrow/:id/refund', requireAdmin, validate(schemas.refundPayment), refundPayment);
+
+/**
+ * @route   GET /payment/trip/:tripId
+ * @desc    Get escrow for a trip
+ * @access  Public
+ */
+router.get('/trip/:tripId', validate(schemas.getEscrowByTrip), getEscrowByTrip);
 
 /**
  * @route   POST /payment/release
- * @desc    Release payment from escrow
+ * @desc    Release payment from escrow (signed by the payer's or contract owner's wallet)
+ * @access  Private (trip shipper or contract owner)
+ */
+router.post(
+  '/release',
+  requireAuth,
+  validate(schemas.releasePayment),
+  requireTripRole(['shipper', 'owner'], tripIdFromEscrow(req => req.body.escrowId)),
+  walletTransaction(req =>
+    paymentEscrowService.releasePaymentCall(req.body.escrowId, req.body.amount, req.body.reason)
+  ),
+  releasePayment
+);
+
+/**
+ * @route   GET /payment/auto-release
+ * @desc    List automatic escrow release records
  * @access  Public
  */
-router.post('/release', releasePayment);
+router.get('/auto-release', validate(schemas.listAutoReleases), listAutoReleases);
 
-export default router;
+/**
+ * @route   GET /payment/auto-release/:tripId
+ * @desc    Get the automatic release record for a trip
+ * @access  Public
+ */
+router.get('/auto-release/:tripId', validate(schemas.autoRelease), getAutoRelease);
 
+/**
+ * @route   POST /payment/auto-release/:tripId/retry
+ * @desc    Re-queue a failed or skipped automatic release
+ * @access  Admin (X-Admin-Key)
+ */
+router.post('/auto-release/:tripId/retry', requireAdmin, validate(schemas.autoRelease), retryAutoRelease);
+
+export default router;
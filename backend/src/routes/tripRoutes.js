@@ -1,28 +1,108 @@
 import express from 'express';
-import { createTrip, endTrip, getTrip } from '../controllers/tripController.js';
+import {
+  createTrip,
+  endTrip,
+  getTrip,
+  listTrips,
+  startTrip,
+  cancelTrip,
+  updateTripStatus,
+  verifyProof,
+} from '../controllers/tripController.js';
+import { requireAdmin, requireAuth } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validator.js';
+import { requireTripRole, tripIdFromParam, tripIdFromBody } from '../middleware/tripAccess.js';
+import { uploadFiles } from '../middleware/upload.js';
+import { walletTransaction } from '../middleware/walletTransaction.js';
+import { TripRegistryService } from '../services/blockchain/contractService.js';
 
 const router = express.Router();
+const tripRegistryService = new TripRegistryService();
 
 /**
  * @route   POST /trip/create
- * @desc    Create a new trip
- * @access  Public
+ * @desc    Create a new trip (signed by the shipper's wallet)
+ * @access  Private (session)
  */
-router.post('/create', createTrip);
+router.post(
+  '/create',
+  requireAuth,
+  validate(schemas.createTrip),
+  walletTransaction(req => tripRegistryService.createTripCall(req.body)),
+  createTrip
+);
 
 /**
  * @route   POST /trip/end
- * @desc    Complete/end a trip
+ * @desc    Complete/end a trip (signed by the carrier's wallet)
+ * @access  Private (trip carrier)
+ */
+router.post(
+  '/end',
+  requireAuth,
+  validate(schemas.endTrip),
+  requireTripRole(['carrier'], tripIdFromBody('tripId')),
+  walletTransaction(req =>
+    tripRegistryService.completeTripCall(req.body.tripId, req.body.actualCarbonFootprint, req.body.ipfsProofHash)
+  ),
+  endTrip
+);
+
+/**
+ * @route   POST /trip/:id/start
+ * @desc    Start a trip (moves it to InTransit; signed by the carrier's wallet)
+ * @access  Private (trip carrier)
+ */
+router.post(
+  '/:id/start',
+  requireAuth,
+  validate(schemas.startTrip),
+  requireTripRole(['carrier'], tripIdFromParam('id')),
+  walletTransaction(req => tripRegistryService.startTripCall(req.params.id)),
+  startTrip
+);
+
+/**
+ * @route   POST /trip/:id/cancel
+ * @desc    Cancel a trip with a reason (signed by the shipper's or carrier's wallet)
+ * @access  Private (trip shipper or carrier)
+ */
+router.post(
+  '/:id/cancel',
+  requireAuth,
+  validate(schemas.cancelTrip),
+  requireTripRole(['shipper', 'carrier'], tripIdFromParam('id')),
+  walletTransaction(req => tripRegistryService.cancelTripCall(req.params.id, req.body.reason)),
+  cancelTrip
+);
+
+/**
+ * @route   PUT /trip/:id/status
+ * @desc    Override trip status
+ * @access  Admin (X-Admin-Key)
+ */
+router.put('/:id/status', requireAdmin, validate(schemas.updateTripStatus), updateTripStatus);
+
+/**
+ * @route   GET /trip
+ * @desc    List trips with filters, sorting and cursor pagination
  * @access  Public
  */
-router.post('/end', endTrip);
+router.get('/', validate(schemas.listTrips), listTrips);
 
 /**
  * @route   GET /trip/:id
  * @desc    Get trip by ID
  * @access  Public
  */
-router.get('/:id', getTrip);
+router.get('/:id', validate(schemas.getTrip), getTrip);
+
+/**
+ * @route   POST /trip/:id/verify-proof
+ * @desc    Verify delivery proof documents against the on-chain proof hash
+ * @access  Public
+ */
+router.post('/:id/verify-proof', uploadFiles('files'), validate(schemas.verifyProof), verifyProof);
 
 export default router;
 
@@ -0,0 +1,14 @@
+import express from 'express';
+import { getTransactionJob } from '../controllers/txController.js';
+import { validate, schemas } from '../middleware/validator.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /tx/:jobId
+ * @desc    Get the status of an asynchronous transaction job
+ * @access  Public
+ */
+router.get('/:jobId', validate(schemas.getTransactionJob), getTransactionJob);
+
+export default router;
@@ -0,0 +1,73 @@
+import express from 'express';
+import {
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhook,
+} from '../controllers/webhookController.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validator.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /webhooks
+ * @desc    Register a webhook subscription (the response includes its signing secret)
+ * @access  Admin (X-Admin-Key)
+ */
+router.post('/', requireAdmin, validate(schemas.createWebhook), createWebhook);
+
+/**
+ * @route   GET /webhooks
+ * @desc    List webhook subscriptions
+ * @access  Admin (X-Admin-Key)
+ */
+router.get('/', requireAdmin, listWebhooks);
+
+/**
+ * @route   GET /webhooks/deliveries
+ * @desc    List webhook deliveries (?status=dead for the dead-letter list)
+ * @access  Admin (X-Admin-Key)
+ */
+router.get('/deliveries', requireAdmin, validate(schemas.listWebhookDeliveries), listWebhookDeliveries);
+
+/**
+ * @route   GET /webhooks/deliveries/:deliveryId
+ * @desc    Get a webhook delivery with its attempts
+ * @access  Admin (X-Admin-Key)
+ */
+router.get('/deliveries/:deliveryId', requireAdmin, validate(schemas.webhookDelivery), getWebhookDelivery);
+
+/**
+ * @route   POST /webhooks/deliveries/:deliveryId/redeliver
+ * @desc    Send a dead or delivered webhook delivery again
+ * @access  Admin (X-Admin-Key)
+ */
+router.post('/deliveries/:deliveryId/redeliver', requireAdmin, validate(schemas.webhookDelivery), redeliverWebhook);
+
+/**
+ * @route   GET /webhooks/:subscriptionId
+ * @desc    Get a webhook subscription
+ * @access  Admin (X-Admin-Key)
+ */
+router.get('/:subscriptionId', requireAdmin, validate(schemas.webhook), getWebhook);
+
+/**
+ * @route   PATCH /webhooks/:subscriptionId
+ * @desc    Update a webhook subscription's URL, events, trip filter, description or active flag
+ * @access  Admin (X-Admin-Key)
+ */
+router.patch('/:subscriptionId', requireAdmin, validate(schemas.updateWebhook), updateWebhook);
+
+/**
+ * @route   DELETE /webhooks/:subscriptionId
+ * @desc    Delete a webhook subscription
+ * @access  Admin (X-Admin-Key)
+ */
+router.delete('/:subscriptionId', requireAdmin, validate(schemas.webhook), deleteWebhook);
+
+export default router;
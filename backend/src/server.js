@@ -7,6 +7,19 @@ import dotenv from 'dotenv';
 import routes from './routes/index.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { logger } from './utils/logger.js';
+import { indexerConfig } from './config/indexer.js';
+import { eventIndexer } from './services/indexer/eventIndexer.js';
+import { workerConfig } from './config/workers.js';
+import { escrowReleaseWorker } from './services/workers/escrowReleaseWorker.js';
+import { carbonRewardWorker } from './services/workers/carbonRewardWorker.js';
+import { webhookConfig } from './config/webhooks.js';
+import { webhookService } from './services/webhooks/webhookService.js';
+import { transactionJobs } from './services/blockchain/transactionJobs.js';
+import { transactionManagers } from './services/blockchain/transactionManager.js';
+import { contractCheckService } from './services/blockchain/contractCheck.js';
+import { blockchainConfig } from './config/blockchain.js';
+import { selectNetwork } from './middleware/network.js';
+import { attachEventSocket } from './routes/eventSocket.js';
 
 dotenv.config();
 
@@ -42,8 +55,9 @@ app.use((req, res, next) => {
   next();
 });
 
-// API routes
-app.use('/api', routes);
+// API routes, on the network picked by the path or the X-Network header
+app.use('/api/networks/:network', selectNetwork, routes);
+app.use('/api', selectNetwork, routes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -51,11 +65,62 @@ app.use(notFoundHandler);
 // Error handler
 app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`Server running on port ${PORT}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(`Health check: http://localhost:${PORT}/api/health`);
+/**
+ * Check the deployed contracts, then start the server
+ */
+async function start() {
+  if (blockchainConfig.checkContracts) {
+    const report = await contractCheckService.check();
+    if (!report.ok) {
+      logger.error(`Deployed contracts do not match the ABIs, not starting:\n${contractCheckService.formatReport(report)}`);
+      process.exitCode = 1;
+      return;
+    }
+    logger.info('Deployed contracts match the ABIs');
+  }
+
+  const server = app.listen(PORT, () => {
+    logger.info(`Server running on port ${PORT}`);
+    logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info(`Health check: http://localhost:${PORT}/api/health`);
+
+    // Replace backend transactions that get stuck on every network, then keep
+    // following asynchronous transactions submitted before a restart
+    transactionManagers.start();
+    transactionJobs.resume().catch(error => {
+      logger.error('Failed to resume transaction jobs', { error: error.message });
+    });
+
+    // Start background workers before the indexer so they see its first events
+    if (workerConfig.autoRelease.enabled) {
+      escrowReleaseWorker.start().catch(error => {
+        logger.error('Failed to start escrow release worker', { error: error.message });
+      });
+    }
+    if (workerConfig.carbonRewards.enabled) {
+      carbonRewardWorker.start().catch(error => {
+        logger.error('Failed to start carbon reward worker', { error: error.message });
+      });
+    }
+    if (webhookConfig.enabled) {
+      webhookService.start().catch(error => {
+        logger.error('Failed to start webhook service', { error: error.message });
+      });
+    }
+
+    // Start event indexer
+    if (indexerConfig.enabled) {
+      eventIndexer.start();
+    }
+  });
+
+  // WebSocket connections to the event stream
+  attachEventSocket(server);
+}
+
+start().catch(error => {
+  logger.error('Failed to start server', { error: error.message });
+  process.exit(1);
 });
 
 export default app;
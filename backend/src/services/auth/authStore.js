@@ -0,0 +1,12 @@
+import { authConfig } from '../../config/auth.js';
+import { storageConfig } from '../../config/storage.js';
+import { createStorageAdapter } from '../cache/adapters/index.js';
+
+/**
+ * Shared storage for authentication state (SIWE nonces, revoked sessions)
+ * Resolves to a storage adapter.
+ */
+export const authStore = createStorageAdapter(authConfig.backend, {
+  filePath: authConfig.filePath,
+  firestore: storageConfig.firestore,
+});
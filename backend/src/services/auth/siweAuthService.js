@@ -0,0 +1,177 @@
+import { randomBytes, randomUUID } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { SiweMessage, generateNonce } from 'siwe';
+import { ethers } from 'ethers';
+import { authConfig } from '../../config/auth.js';
+import { getProvider } from '../../config/blockchain.js';
+import { getNetworkByChainId, networks } from '../../config/networks.js';
+import { authStore } from './authStore.js';
+import { logger } from '../../utils/logger.js';
+
+const NONCE_COLLECTION = 'auth_nonces';
+const REVOKED_COLLECTION = 'auth_revoked_sessions';
+
+/**
+ * Create an error carrying an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Sign-In with Ethereum (EIP-4361) authentication
+ * The client asks for a nonce, has the wallet sign a SIWE message containing
+ * it, and exchanges message and signature for a short-lived session token
+ * (JWT, `sub` = checksummed wallet address). Nonces are single use.
+ */
+export class SiweAuthService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.config] - Auth configuration
+   * @param {Promise<Object>|Object} [options.store] - Storage adapter
+   * @param {ethers.Provider} [options.provider] - Provider for contract wallet (EIP-1271) signatures
+   *   (defaults to the provider of the network of the message's chain)
+   */
+  constructor({ config = authConfig, store = authStore, provider = null } = {}) {
+    this.config = config;
+    this.store = store;
+    this.provider = provider;
+    this.secret = config.jwtSecret;
+
+    if (!this.secret) {
+      this.secret = randomBytes(32).toString('hex');
+      logger.warn('AUTH_JWT_SECRET not set, using a random secret (sessions end on restart)');
+    }
+  }
+
+  /**
+   * Issue a nonce for a SIWE message
+   * @returns {Promise<Object>} Nonce and its expiry
+   */
+  async createNonce() {
+    const store = await this.store;
+    const nonce = generateNonce();
+    const expiresAt = new Date(Date.now() + this.config.nonceTtlSeconds * 1000).toISOString();
+
+    await this._prune(store);
+    await store.set(NONCE_COLLECTION, nonce, { expiresAt });
+
+    return { nonce, expiresAt };
+  }
+
+  /**
+   * Verify a signed SIWE message and start a session
+   * @param {string} message - EIP-4361 message
+   * @param {string} signature - Wallet signature of the message
+   * @returns {Promise<Object>} Session token, address and expiry
+   */
+  async signIn(message, signature) {
+    const store = await this.store;
+
+    let siweMessage;
+    try {
+      siweMessage = new SiweMessage(message);
+    } catch (error) {
+      throw authError(400, `Invalid SIWE message: ${error.message || error}`);
+    }
+
+    // Consume the nonce before checking the signature so it cannot be retried
+    const nonce = await store.get(NONCE_COLLECTION, siweMessage.nonce);
+    if (!nonce || Date.parse(nonce.expiresAt) <= Date.now()) {
+      throw authError(401, 'Unknown or expired nonce');
+    }
+    await store.delete(NONCE_COLLECTION, siweMessage.nonce);
+
+    // Sessions are valid on every network; the message may be for any of them
+    const network = getNetworkByChainId(siweMessage.chainId);
+    if (!network) {
+      const chainIds = [...networks.values()].map(served => served.chainId).join(', ');
+      throw authError(401, `SIWE message is for chain ${siweMessage.chainId}, expected one of ${chainIds}`);
+    }
+
+    const result = await siweMessage.verify(
+      { signature, domain: this.config.domain, nonce: siweMessage.nonce, time: new Date().toISOString() },
+      { provider: this.provider || getProvider(network), suppressExceptions: true }
+    );
+
+    if (!result.success) {
+      const reason = result.error ? result.error.type : 'verification failed';
+      throw authError(401, `Invalid SIWE signature: ${reason}`);
+    }
+
+    const address = ethers.getAddress(siweMessage.address);
+    const sessionId = randomUUID();
+    const token = jwt.sign({ chainId: siweMessage.chainId }, this.secret, {
+      subject: address,
+      jwtid: sessionId,
+      expiresIn: this.config.sessionTtlSeconds,
+    });
+    const expiresAt = new Date(Date.now() + this.config.sessionTtlSeconds * 1000).toISOString();
+
+    logger.info('SIWE sign-in', { address, sessionId });
+
+    return { token, address, expiresAt };
+  }
+
+  /**
+   * Verify a session token
+   * @param {string} token - Session token
+   * @returns {Promise<Object>} Session (address, chainId, sessionId, expiresAt)
+   */
+  async verifySession(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.secret);
+    } catch (error) {
+      throw authError(401, error.name === 'TokenExpiredError' ? 'Session expired' : 'Invalid session token');
+    }
+
+    const store = await this.store;
+    if (await store.get(REVOKED_COLLECTION, payload.jti)) {
+      throw authError(401, 'Session has been signed out');
+    }
+
+    return {
+      address: payload.sub,
+      chainId: payload.chainId,
+      sessionId: payload.jti,
+      expiresAt: new Date(payload.exp * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * End a session before it expires
+   * @param {Object} session - Session returned by verifySession
+   * @returns {Promise<void>}
+   */
+  async signOut(session) {
+    const store = await this.store;
+    await store.set(REVOKED_COLLECTION, session.sessionId, {
+      address: session.address,
+      expiresAt: session.expiresAt,
+    });
+  }
+
+  /**
+   * Drop expired nonces and revocations of expired sessions
+   * @param {Object} store - Storage adapter
+   * @returns {Promise<void>}
+   */
+  async _prune(store) {
+    const now = Date.now();
+
+    for (const collection of [NONCE_COLLECTION, REVOKED_COLLECTION]) {
+      const expired = (await store.list(collection)).filter(doc => Date.parse(doc.expiresAt) <= now);
+      for (const doc of expired) {
+        await store.delete(collection, doc.id);
+      }
+    }
+  }
+}
+
+export const siweAuthService = new SiweAuthService();
@@ -0,0 +1,49 @@
+import { TripRegistryService } from '../blockchain/contractService.js';
+
+export const TRIP_ROLES = ['shipper', 'carrier', 'receiver'];
+
+/**
+ * Resolves what a wallet may do on a trip
+ * Roles come from the trip's shipper/carrier/receiver fields, the wallets
+ * that send the parties' transactions. The contract owner gets the `owner`
+ * role via isAuthorizedForTrip.
+ */
+export class TripAccessService {
+  /**
+   * @param {TripRegistryService} [tripRegistryService] - Trip registry service
+   */
+  constructor(tripRegistryService = new TripRegistryService()) {
+    this.tripRegistryService = tripRegistryService;
+  }
+
+  /**
+   * Get the roles of a wallet on a trip
+   * @param {string} tripId - Trip ID
+   * @param {string} address - Wallet address
+   * @returns {Promise<string[]|null>} Roles (empty if none), or null if the trip does not exist
+   */
+  async getRoles(tripId, address) {
+    let metadata;
+    try {
+      metadata = await this.tripRegistryService.getTripMetadata(tripId);
+    } catch (error) {
+      // getTripMetadata reverts for unknown trips
+      if (error.code === 'CALL_EXCEPTION') {
+        return null;
+      }
+      throw error;
+    }
+
+    const caller = address.toLowerCase();
+    const roles = TRIP_ROLES.filter(role => metadata[role].toLowerCase() === caller);
+
+    // Parties are already known; the contract also authorizes its owner
+    if (roles.length === 0 && (await this.tripRegistryService.isAuthorizedForTrip(tripId, address))) {
+      roles.push('owner');
+    }
+
+    return roles;
+  }
+}
+
+export const tripAccessService = new TripAccessService();
@@ -0,0 +1,216 @@
+import { ethers } from 'ethers';
+import { getDeployedContract } from '../../config/blockchain.js';
+import { networks } from '../../config/networks.js';
+import { ProviderPool } from './providerPool.js';
+import { loadContractABI } from '../../config/loadABI.js';
+
+// How long to wait for the node before reporting the code as unreadable
+const CODE_TIMEOUT_MS = 15000;
+
+/**
+ * Functions called and events decoded by the backend services, by contract
+ */
+export const REQUIRED_ABI = {
+  TripRegistry: {
+    functions: [
+      'createTrip(address,address,string,string,uint256,uint256,string)',
+      'startTrip(uint256)',
+      'completeTrip(uint256,uint256,string)',
+      'cancelTrip(uint256,string)',
+      'updateTripStatus(uint256,uint8)',
+      'getTripMetadata(uint256)',
+      'getTripIdByToken(uint256)',
+      'isAuthorizedForTrip(uint256,address)',
+      'getTotalTrips()',
+    ],
+    events: [
+      'TripCreated(uint256,uint256,address,address)',
+      'TripStarted(uint256,uint256)',
+      'TripCompleted(uint256,uint256,uint256)',
+    ],
+  },
+  PaymentEscrow: {
+    functions: [
+      'createEscrow(uint256,address,(bool,bool,bool,uint8,uint8))',
+      'depositToEscrow(uint256)',
+      'releasePayment(uint256,uint256,string)',
+      'refundPayment(uint256,string)',
+      'releaseOnTripCompletion(uint256,uint256)',
+      'getEscrow(uint256)',
+      'getEscrowByTrip(uint256)',
+      'getEscrowBalance(uint256)',
+      'canReleasePayment(uint256)',
+    ],
+    events: [
+      'EscrowCreated(uint256,uint256,address,address,uint256)',
+      'PaymentReleased(uint256,uint256,address,string)',
+      'PaymentRefunded(uint256,uint256,string)',
+    ],
+  },
+  CarbonCredits: {
+    functions: [
+      'mintReward(address,uint256,uint256,uint8)',
+      'calculateReward(uint256,uint8)',
+      'getRewardParameters()',
+      'updateRewardParameters((uint256,uint256,uint256,uint256))',
+      'getReward(uint256)',
+      'getUserRewards(address)',
+      'getPendingRewards(address)',
+      'burnCredits(uint256,string)',
+      'balanceOf(address)',
+      'getTotalCarbonOffset(address)',
+    ],
+    events: [
+      'CarbonCreditsMinted(uint256,address,uint256,uint256,uint256,uint8)',
+      'CarbonCreditsBurned(address,uint256,string)',
+      'RewardParametersUpdated(uint256,uint256,uint256)',
+    ],
+  },
+};
+
+/**
+ * Startup check of the deployed contracts against the loaded ABIs
+ * For each contract on each network it verifies that:
+ * - the ABI declares every function and event the services use
+ * - the ABI is the one recorded in the deployment manifest, when the contract
+ *   is deployed at the address in the manifest
+ * - code is deployed at the configured address
+ * - the deployed bytecode contains the selector of every ABI function and the
+ *   topic of every event the services use (a contract compiled from
+ *   different sources is missing some of them)
+ */
+export class ContractCheckService {
+  /**
+   * Check all contracts on all networks
+   * Uses its own providers, destroyed afterwards, so an unreachable node does
+   * not keep the process alive
+   * @returns {Promise<Object>} `{ ok, contracts: [{ network, name, address, abiSource, problems }] }`
+   */
+  async check() {
+    const contracts = [];
+
+    for (const network of networks.values()) {
+      const provider = new ProviderPool(network);
+      try {
+        for (const name of Object.keys(REQUIRED_ABI)) {
+          contracts.push(await this._checkContract(name, network, provider));
+        }
+      } finally {
+        provider.destroy();
+      }
+    }
+
+    return {
+      ok: contracts.every(contract => contract.problems.length === 0),
+      contracts,
+    };
+  }
+
+  /**
+   * Readable report of a check
+   * @param {Object} report - Result of check()
+   * @returns {string} One line per contract, followed by its problems
+   */
+  formatReport(report) {
+    return report.contracts
+      .map(({ network, name, address, abiSource, problems }) => {
+        const header = `${name} on ${network} at ${address || '(no address)'} (ABI: ${abiSource || 'not loaded'})`;
+        if (problems.length === 0) {
+          return `${header}: OK`;
+        }
+        return [`${header}:`, ...problems.map(problem => `  - ${problem}`)].join('\n');
+      })
+      .join('\n');
+  }
+
+  /**
+   * Check one contract
+   * @param {string} name - Contract name
+   * @param {Object} network - Network
+   * @param {ethers.Provider} provider - Provider
+   * @returns {Promise<Object>} `{ network, name, address, abiSource, problems }`
+   * @private
+   */
+  async _checkContract(name, network, provider) {
+    const key = name.charAt(0).toLowerCase() + name.slice(1);
+    const result = {
+      network: network.name,
+      name,
+      address: network.contractAddresses[key] || null,
+      abiSource: null,
+      problems: [],
+    };
+
+    let abi;
+    let contractInterface;
+    try {
+      const loaded = loadContractABI(name);
+      abi = loaded.abi;
+      contractInterface = new ethers.Interface(abi);
+      result.abiSource = loaded.source;
+    } catch (error) {
+      result.problems.push(`ABI could not be loaded: ${error.message}`);
+      return result;
+    }
+
+    const deployed = getDeployedContract(name, network);
+    if (deployed?.abiHash && deployed.abiHash !== ethers.id(JSON.stringify(abi))) {
+      result.problems.push(`ABI differs from the deployed one (abiHash in ${network.deployment.path})`);
+    }
+
+    const required = REQUIRED_ABI[name];
+    for (const signature of required.functions) {
+      if (!contractInterface.getFunction(signature)) {
+        result.problems.push(`ABI has no function ${signature}`);
+      }
+    }
+    for (const signature of required.events) {
+      if (!contractInterface.getEvent(signature)) {
+        result.problems.push(`ABI has no event ${signature}`);
+      }
+    }
+
+    if (!result.address) {
+      const variable = `${network.envPrefix}${name.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}_ADDRESS`;
+      result.problems.push(
+        `No address: ${variable} is not set and there is no deployment manifest for chain ${network.chainId}`
+      );
+      return result;
+    }
+
+    let code;
+    let timer;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`no response within ${CODE_TIMEOUT_MS / 1000}s`)), CODE_TIMEOUT_MS);
+      });
+      code = (await Promise.race([provider.getCode(result.address), timeout])).toLowerCase();
+    } catch (error) {
+      result.problems.push(`Could not read deployed code: ${error.shortMessage || error.message}`);
+      return result;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (code === '0x') {
+      result.problems.push('No contract deployed at this address');
+      return result;
+    }
+
+    contractInterface.forEachFunction(fragment => {
+      if (!code.includes(fragment.selector.slice(2))) {
+        result.problems.push(`Deployed bytecode has no function ${fragment.format('sighash')} (${fragment.selector})`);
+      }
+    });
+    for (const signature of required.events) {
+      const fragment = contractInterface.getEvent(signature);
+      if (fragment && !code.includes(fragment.topicHash.slice(2))) {
+        result.problems.push(`Deployed bytecode does not emit ${signature}`);
+      }
+    }
+
+    return result;
+  }
+}
+
+export const contractCheckService = new ContractCheckService();
@@ -1,135 +1,205 @@
+import { ethers } from 'ethers';
 import { getContract, getProvider } from '../../config/blockchain.js';
+import { transactionManagers } from './transactionManager.js';
 import { logger } from '../../utils/logger.js';
 
+/**
+ * Find and decode the first event with the given name in a receipt
+ * @param {ethers.Contract} contract - Contract whose interface decodes the logs
+ * @param {ethers.TransactionReceipt} receipt - Receipt
+ * @param {string} name - Event name
+ * @returns {ethers.LogDescription|undefined} Decoded event
+ */
+function findEvent(contract, receipt, name) {
+  return receipt.logs
+    .map(log => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find(parsed => parsed && parsed.name === name);
+}
+
 /**
  * Service for interacting with TripRegistry contract
  */
 export class TripRegistryService {
-  constructor() {
-    this.contract = getContract('TripRegistry', false);
-    this.writeContract = getContract('TripRegistry', true);
+  /**
+   * Contract on the current network
+   * @returns {ethers.Contract} Read-only contract
+   */
+  get contract() {
+    return getContract('TripRegistry', false);
+  }
+
+  /**
+   * Contract on the current network, connected to its backend signer
+   * @returns {ethers.Contract} Contract for writes
+   */
+  get writeContract() {
+    return this.contract.connect(transactionManagers.get().signer);
   }
 
   /**
-   * Create a new trip
+   * createTrip call, for the shipper's wallet to sign
    * @param {Object} tripData - Trip data
-   * @returns {Promise<Object>} Transaction result
+   * @returns {Object} Contract call (see WalletTransactionService)
    */
-  async createTrip(tripData) {
-    try {
-      const {
-        carrier,
-        receiver,
-        originLocation,
-        destinationLocation,
-        distance,
-        estimatedCarbonFootprint,
-        ipfsMetadataHash = '',
-      } = tripData;
+  createTripCall(tripData) {
+    const {
+      carrier,
+      receiver,
+      originLocation,
+      destinationLocation,
+      distance,
+      estimatedCarbonFootprint,
+      ipfsMetadataHash = '',
+    } = tripData;
+
+    return {
+      contract: this.contract,
+      method: 'createTrip',
+      args: [carrier, receiver, originLocation, destinationLocation, distance, estimatedCarbonFootprint, ipfsMetadataHash],
+    };
+  }
 
-      logger.info('Creating trip on blockchain', { carrier, receiver, distance });
+  /**
+   * Get the trip ID and token ID from a mined createTrip transaction
+   * @param {ethers.TransactionReceipt} receipt - Receipt
+   * @returns {Object} Transaction result
+   */
+  decodeCreateTrip(receipt) {
+    const parsed = findEvent(this.contract, receipt, 'TripCreated');
+    if (!parsed) {
+      throw new Error('TripCreated event not found in transaction receipt');
+    }
 
-      const tx = await this.writeContract.createTrip(
-        carrier,
-        receiver,
-        originLocation,
-        destinationLocation,
-        distance,
-        estimatedCarbonFootprint,
-        ipfsMetadataHash
-      );
-
-      logger.info('Trip creation transaction sent', { txHash: tx.hash });
-
-      // Wait for transaction confirmation
-      const receipt = await tx.wait();
-      logger.info('Trip creation confirmed', { txHash: receipt.hash, blockNumber: receipt.blockNumber });
-
-      // Parse events to get trip ID and token ID
-      const event = receipt.logs.find(log => {
-        try {
-          const parsed = this.contract.interface.parseLog(log);
-          return parsed && parsed.name === 'TripCreated';
-        } catch {
-          return false;
-        }
-      });
+    return {
+      success: true,
+      tripId: parsed.args.tripId.toString(),
+      tokenId: parsed.args.tokenId.toString(),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
 
-      if (event) {
-        const parsed = this.contract.interface.parseLog(event);
-        const tripId = parsed.args[0];
-        const tokenId = parsed.args[1];
-
-        return {
-          success: true,
-          tripId: tripId.toString(),
-          tokenId: tokenId.toString(),
-          txHash: receipt.hash,
-          blockNumber: receipt.blockNumber,
-        };
-      }
+  /**
+   * startTrip call, for the carrier's wallet to sign
+   * @param {string} tripId - Trip ID
+   * @returns {Object} Contract call (see WalletTransactionService)
+   */
+  startTripCall(tripId) {
+    return { contract: this.contract, method: 'startTrip', args: [tripId] };
+  }
 
-      throw new Error('TripCreated event not found in transaction receipt');
-    } catch (error) {
-      logger.error('Error creating trip', { error: error.message });
-      throw error;
+  /**
+   * Get the result of a mined startTrip transaction
+   * @param {ethers.TransactionReceipt} receipt - Receipt
+   * @returns {Object} Transaction result
+   */
+  decodeStartTrip(receipt) {
+    const parsed = findEvent(this.contract, receipt, 'TripStarted');
+    if (!parsed) {
+      throw new Error('TripStarted event not found in transaction receipt');
     }
+
+    return {
+      success: true,
+      tripId: parsed.args.tripId.toString(),
+      startedAt: parsed.args.startedAt.toString(),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
   }
 
   /**
-   * Start a trip
+   * completeTrip call, for the carrier's wallet to sign
    * @param {string} tripId - Trip ID
-   * @returns {Promise<Object>} Transaction result
+   * @param {string} actualCarbonFootprint - Actual carbon footprint
+   * @param {string} ipfsProofHash - IPFS hash for delivery proof
+   * @returns {Object} Contract call (see WalletTransactionService)
    */
-  async startTrip(tripId) {
-    try {
-      logger.info('Starting trip', { tripId });
+  completeTripCall(tripId, actualCarbonFootprint, ipfsProofHash = '') {
+    return { contract: this.contract, method: 'completeTrip', args: [tripId, actualCarbonFootprint, ipfsProofHash] };
+  }
 
-      const tx = await this.writeContract.startTrip(tripId);
-      const receipt = await tx.wait();
+  /**
+   * Get the result of a mined completeTrip transaction
+   * @param {ethers.TransactionReceipt} receipt - Receipt
+   * @returns {Object} Transaction result
+   */
+  decodeCompleteTrip(receipt) {
+    const parsed = findEvent(this.contract, receipt, 'TripCompleted');
+    if (!parsed) {
+      throw new Error('TripCompleted event not found in transaction receipt');
+    }
 
-      logger.info('Trip started', { tripId, txHash: receipt.hash });
+    return {
+      success: true,
+      tripId: parsed.args.tripId.toString(),
+      actualCarbonFootprint: parsed.args.actualCarbonFootprint.toString(),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
 
-      return {
-        success: true,
-        tripId,
-        txHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-      };
-    } catch (error) {
-      logger.error('Error starting trip', { tripId, error: error.message });
-      throw error;
+  /**
+   * cancelTrip call, for the shipper's or carrier's wallet to sign
+   * @param {string} tripId - Trip ID
+   * @param {string} reason - Cancellation reason
+   * @returns {Object} Contract call (see WalletTransactionService)
+   */
+  cancelTripCall(tripId, reason = '') {
+    return { contract: this.contract, method: 'cancelTrip', args: [tripId, reason] };
+  }
+
+  /**
+   * Get the result of a mined cancelTrip transaction
+   * @param {ethers.TransactionReceipt} receipt - Receipt
+   * @returns {Object} Transaction result
+   */
+  decodeCancelTrip(receipt) {
+    // cancelTrip records the reason as trip metadata
+    const parsed = findEvent(this.contract, receipt, 'TripMetadataUpdated');
+    if (!parsed || parsed.args.field !== 'cancellation_reason') {
+      throw new Error('Trip cancellation not found in transaction receipt');
     }
+
+    return {
+      success: true,
+      tripId: parsed.args.tripId.toString(),
+      reason: ethers.toUtf8String(parsed.args.newValue),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
   }
 
   /**
-   * Complete a trip
+   * Override trip status (contract owner only)
    * @param {string} tripId - Trip ID
-   * @param {string} actualCarbonFootprint - Actual carbon footprint
-   * @param {string} ipfsProofHash - IPFS hash for delivery proof
+   * @param {number} status - New status code
    * @returns {Promise<Object>} Transaction result
    */
-  async completeTrip(tripId, actualCarbonFootprint, ipfsProofHash = '') {
+  async updateTripStatus(tripId, status) {
     try {
-      logger.info('Completing trip', { tripId, actualCarbonFootprint });
+      logger.info('Updating trip status', { tripId, status });
 
-      const tx = await this.writeContract.completeTrip(
-        tripId,
-        actualCarbonFootprint,
-        ipfsProofHash
-      );
-      const receipt = await tx.wait();
+      const tx = await this.writeContract.updateTripStatus(tripId, status);
+      const receipt = await transactionManagers.get().wait(tx);
 
-      logger.info('Trip completed', { tripId, txHash: receipt.hash });
+      logger.info('Trip status updated', { tripId, status, txHash: receipt.hash });
 
       return {
         success: true,
         tripId,
+        status,
         txHash: receipt.hash,
         blockNumber: receipt.blockNumber,
       };
     } catch (error) {
-      logger.error('Error completing trip', { tripId, error: error.message });
+      logger.error('Error updating trip status', { tripId, error: error.message });
       throw error;
     }
   }
@@ -137,26 +207,27 @@ export class TripRegistryService {
   /**
    * Get trip metadata
    * @param {string} tripId - Trip ID
+   * @param {string|number} [blockTag] - Block to read at
    * @returns {Promise<Object>} Trip metadata
    */
-  async getTripMetadata(tripId) {
+  async getTripMetadata(tripId, blockTag = 'latest') {
     try {
-      const metadata = await this.contract.getTripMetadata(tripId);
+      const metadata = await this.contract.getTripMetadata(tripId, { blockTag });
 
       return {
-        tripId: metadata[0].toString(),
-        shipper: metadata[1],
-        carrier: metadata[2],
-        receiver: metadata[3],
-        originLocation: metadata[4],
-        destinationLocation: metadata[5],
-        distance: metadata[6].toString(),
-        estimatedCarbonFootprint: metadata[7].toString(),
-        status: metadata[8],
-        createdAt: metadata[9].toString(),
-        startedAt: metadata[10].toString(),
-        completedAt: metadata[11].toString(),
-        ipfsMetadataHash: metadata[12],
+        tripId: metadata.tripId.toString(),
+        shipper: metadata.shipper,
+        carrier: metadata.carrier,
+        receiver: metadata.receiver,
+        originLocation: metadata.originLocation,
+        destinationLocation: metadata.destinationLocation,
+        distance: metadata.distance.toString(),
+        estimatedCarbonFootprint: metadata.estimatedCarbonFootprint.toString(),
+        status: Number(metadata.status),
+        createdAt: metadata.createdAt.toString(),
+        startedAt: metadata.startedAt.toString(),
+        completedAt: metadata.completedAt.toString(),
+        ipfsMetadataHash: metadata.ipfsMetadataHash,
       };
     } catch (error) {
       logger.error('Error getting trip metadata', { tripId, error: error.message });
@@ -179,6 +250,35 @@ export class TripRegistryService {
     }
   }
 
+  /**
+   * Check if an address is a party to a trip (or the contract owner)
+   * @param {string} tripId - Trip ID
+   * @param {string} account - Address to check
+   * @returns {Promise<boolean>} True if authorized
+   */
+  async isAuthorizedForTrip(tripId, account) {
+    try {
+      return await this.contract.isAuthorizedForTrip(tripId, account);
+    } catch (error) {
+      logger.error('Error checking trip authorization', { tripId, account, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get total number of trips created
+   * @returns {Promise<number>} Trip count
+   */
+  async getTotalTrips() {
+    try {
+      const count = await this.contract.getTotalTrips();
+      return Number(count);
+    } catch (error) {
+      logger.error('Error getting total trips', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Listen to trip events
    * @param {Function} callback - Callback function for events
@@ -191,7 +291,9 @@ export class TripRegistryService {
         tokenId: tokenId.toString(),
         shipper,
         carrier,
-        blockNumber: event.blockNumber,
+        blockNumber: event.log.blockNumber,
+        transactionHash: event.log.transactionHash,
+        logIndex: event.log.index,
       });
     });
 
@@ -200,7 +302,9 @@ export class TripRegistryService {
         type: 'TripStarted',
         tripId: tripId.toString(),
         startedAt: startedAt.toString(),
-        blockNumber: event.blockNumber,
+        blockNumber: event.log.blockNumber,
+        transactionHash: event.log.transactionHash,
+        logIndex: event.log.index,
       });
     });
 
@@ -210,7 +314,9 @@ export class TripRegistryService {
         tripId: tripId.toString(),
         completedAt: completedAt.toString(),
         actualCarbonFootprint: actualCarbonFootprint.toString(),
-        blockNumber: event.blockNumber,
+        blockNumber: event.log.blockNumber,
+        transactionHash: event.log.transactionHash,
+        logIndex: event.log.index,
       });
     });
   }
@@ -220,68 +326,175 @@ export class TripRegistryService {
  * Service for interacting with PaymentEscrow contract
  */
 export class PaymentEscrowService {
-  constructor() {
-    this.contract = getContract('PaymentEscrow', false);
-    this.writeContract = getContract('PaymentEscrow', true);
+  /**
+   * Contract on the current network
+   * @returns {ethers.Contract} Read-only contract
+   */
+  get contract() {
+    return getContract('PaymentEscrow', false);
   }
 
   /**
-   * Release payment
-   * @param {string} escrowId - Escrow ID
-   * @param {string} amount - Amount to release (in wei)
-   * @param {string} reason - Reason for release
-   * @returns {Promise<Object>} Transaction result
+   * Contract on the current network, connected to its backend signer
+   * @returns {ethers.Contract} Contract for writes
    */
-  async releasePayment(escrowId, amount, reason = '') {
-    try {
-      logger.info('Releasing payment', { escrowId, amount });
+  get writeContract() {
+    return this.contract.connect(transactionManagers.get().signer);
+  }
 
-      const tx = await this.writeContract.releasePayment(escrowId, amount, reason);
-      const receipt = await tx.wait();
+  /**
+   * createEscrow call, for the payer's wallet to sign and fund
+   * @param {string} tripId - Trip ID
+   * @param {string} payee - Address receiving payment (carrier)
+   * @param {Object} conditions - Payment release conditions
+   * @param {string} amount - Amount to lock (in wei)
+   * @returns {Object} Contract call (see WalletTransactionService)
+   */
+  createEscrowCall(tripId, payee, conditions, amount) {
+    return {
+      contract: this.contract,
+      method: 'createEscrow',
+      args: [
+        tripId,
+        payee,
+        [
+          conditions.requiresTripCompletion,
+          conditions.requiresDeliveryProof,
+          conditions.requiresReceiverConfirmation,
+          conditions.milestonePercentage,
+          conditions.completionPercentage,
+        ],
+      ],
+      value: amount,
+    };
+  }
 
-      logger.info('Payment released', { escrowId, txHash: receipt.hash });
+  /**
+   * Get the result of a mined createEscrow transaction
+   * @param {ethers.TransactionReceipt} receipt - Receipt
+   * @returns {Object} Transaction result
+   */
+  decodeCreateEscrow(receipt) {
+    const parsed = findEvent(this.contract, receipt, 'EscrowCreated');
+    if (!parsed) {
+      throw new Error('EscrowCreated event not found in transaction receipt');
+    }
 
-      return {
-        success: true,
-        escrowId,
-        amount,
-        txHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-      };
-    } catch (error) {
-      logger.error('Error releasing payment', { escrowId, error: error.message });
-      throw error;
+    return {
+      success: true,
+      escrowId: parsed.args.escrowId.toString(),
+      tripId: parsed.args.tripId.toString(),
+      payer: parsed.args.payer,
+      payee: parsed.args.payee,
+      amount: parsed.args.amount.toString(),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * depositToEscrow call, for the payer's wallet to sign and fund
+   * @param {string} escrowId - Escrow ID
+   * @param {string} amount - Amount to deposit (in wei)
+   * @returns {Object} Contract call (see WalletTransactionService)
+   */
+  depositToEscrowCall(escrowId, amount) {
+    return { contract: this.contract, method: 'depositToEscrow', args: [escrowId], value: amount };
+  }
+
+  /**
+   * Get the result of a mined depositToEscrow transaction
+   * @param {ethers.TransactionReceipt} receipt - Receipt
+   * @returns {Object} Transaction result
+   */
+  decodeDepositToEscrow(receipt) {
+    const parsed = findEvent(this.contract, receipt, 'PaymentDeposited');
+    if (!parsed) {
+      throw new Error('PaymentDeposited event not found in transaction receipt');
     }
+
+    return {
+      success: true,
+      escrowId: parsed.args.escrowId.toString(),
+      amount: parsed.args.amount.toString(),
+      totalAmount: parsed.args.totalAmount.toString(),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
   }
 
   /**
-   * Release payment on trip completion
+   * Refund the unreleased escrow balance to the payer (contract owner only)
    * @param {string} escrowId - Escrow ID
-   * @param {string} tripId - Trip ID
+   * @param {string} reason - Reason for refund
    * @returns {Promise<Object>} Transaction result
    */
-  async releaseOnTripCompletion(escrowId, tripId) {
+  async refundPayment(escrowId, reason = '') {
     try {
-      logger.info('Releasing payment on trip completion', { escrowId, tripId });
+      logger.info('Refunding payment', { escrowId, reason });
 
-      const tx = await this.writeContract.releaseOnTripCompletion(escrowId, tripId);
-      const receipt = await tx.wait();
+      const tx = await this.writeContract.refundPayment(escrowId, reason);
+      const receipt = await transactionManagers.get().wait(tx);
 
-      logger.info('Payment released on completion', { escrowId, txHash: receipt.hash });
+      logger.info('Payment refunded', { escrowId, txHash: receipt.hash });
 
       return {
         success: true,
         escrowId,
-        tripId,
+        reason,
         txHash: receipt.hash,
         blockNumber: receipt.blockNumber,
       };
     } catch (error) {
-      logger.error('Error releasing payment on completion', { escrowId, error: error.message });
+      logger.error('Error refunding payment', { escrowId, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * releasePayment call, for the payer's wallet to sign
+   * @param {string} escrowId - Escrow ID
+   * @param {string} amount - Amount to release (in wei)
+   * @param {string} reason - Reason for release
+   * @returns {Object} Contract call (see WalletTransactionService)
+   */
+  releasePaymentCall(escrowId, amount, reason = '') {
+    return { contract: this.contract, method: 'releasePayment', args: [escrowId, amount, reason] };
+  }
+
+  /**
+   * Get the result of a mined releasePayment transaction
+   * @param {ethers.TransactionReceipt} receipt - Receipt
+   * @returns {Object} Transaction result
+   */
+  decodeReleasePayment(receipt) {
+    const parsed = findEvent(this.contract, receipt, 'PaymentReleased');
+    if (!parsed) {
+      throw new Error('PaymentReleased event not found in transaction receipt');
+    }
+
+    return {
+      success: true,
+      escrowId: parsed.args.escrowId.toString(),
+      amount: parsed.args.amount.toString(),
+      recipient: parsed.args.recipient,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * Send a releaseOnTripCompletion transaction without waiting for it to be mined
+   * Its PaymentReleased event is decoded by decodeReleasePayment.
+   * @param {string} escrowId - Escrow ID
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<ethers.TransactionResponse>} Submitted transaction
+   */
+  async sendReleaseOnTripCompletion(escrowId, tripId) {
+    logger.info('Releasing payment on trip completion', { escrowId, tripId });
+    return this.writeContract.releaseOnTripCompletion(escrowId, tripId);
+  }
+
   /**
    * Get escrow details
    * @param {string} escrowId - Escrow ID
@@ -291,15 +504,22 @@ export class PaymentEscrowService {
     try {
       const escrow = await this.contract.getEscrow(escrowId);
       return {
-        escrowId: escrow[0].toString(),
-        tripId: escrow[1].toString(),
-        payer: escrow[2],
-        payee: escrow[3],
-        amount: escrow[4].toString(),
-        releasedAmount: escrow[5].toString(),
-        status: escrow[6],
-        createdAt: escrow[7].toString(),
-        releasedAt: escrow[8].toString(),
+        escrowId: escrow.escrowId.toString(),
+        tripId: escrow.tripId.toString(),
+        payer: escrow.payer,
+        payee: escrow.payee,
+        amount: escrow.amount.toString(),
+        releasedAmount: escrow.releasedAmount.toString(),
+        status: Number(escrow.status),
+        createdAt: escrow.createdAt.toString(),
+        releasedAt: escrow.releasedAt.toString(),
+        conditions: {
+          requiresTripCompletion: escrow.conditions.requiresTripCompletion,
+          requiresDeliveryProof: escrow.conditions.requiresDeliveryProof,
+          requiresReceiverConfirmation: escrow.conditions.requiresReceiverConfirmation,
+          milestonePercentage: Number(escrow.conditions.milestonePercentage),
+          completionPercentage: Number(escrow.conditions.completionPercentage),
+        },
       };
     } catch (error) {
       logger.error('Error getting escrow', { escrowId, error: error.message });
@@ -321,14 +541,375 @@ export class PaymentEscrowService {
       throw error;
     }
   }
+
+  /**
+   * Get available (unreleased) escrow balance
+   * @param {string} escrowId - Escrow ID
+   * @returns {Promise<string>} Balance in wei
+   */
+  async getEscrowBalance(escrowId) {
+    try {
+      const balance = await this.contract.getEscrowBalance(escrowId);
+      return balance.toString();
+    } catch (error) {
+      logger.error('Error getting escrow balance', { escrowId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether an escrow's release conditions are met
+   * @param {string} escrowId - Escrow ID
+   * @returns {Promise<Object>} Release check result and reason
+   */
+  async canReleasePayment(escrowId) {
+    try {
+      const [canRelease, reason] = await this.contract.canReleasePayment(escrowId);
+      return { escrowId, canRelease, reason };
+    } catch (error) {
+      logger.error('Error checking payment release', { escrowId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Listen to payment events
+   * @param {Function} callback - Callback function for events
+   */
+  listenToEvents(callback) {
+    this.contract.on('PaymentReleased', (escrowId, amount, recipient, reason, event) => {
+      callback({
+        type: 'PaymentReleased',
+        escrowId: escrowId.toString(),
+        amount: amount.toString(),
+        recipient,
+        reason,
+        blockNumber: event.log.blockNumber,
+        transactionHash: event.log.transactionHash,
+        logIndex: event.log.index,
+      });
+    });
+
+    this.contract.on('PaymentRefunded', (escrowId, amount, reason, event) => {
+      callback({
+        type: 'PaymentRefunded',
+        escrowId: escrowId.toString(),
+        amount: amount.toString(),
+        reason,
+        blockNumber: event.log.blockNumber,
+        transactionHash: event.log.transactionHash,
+        logIndex: event.log.index,
+      });
+    });
+  }
 }
 
 /**
  * Service for interacting with CarbonCredits contract
  */
 export class CarbonCreditsService {
-  constructor() {
-    this.contract = getContract('CarbonCredits', false);
+  /**
+   * Contract on the current network
+   * @returns {ethers.Contract} Read-only contract
+   */
+  get contract() {
+    return getContract('CarbonCredits', false);
+  }
+
+  /**
+   * Contract on the current network, connected to its backend signer
+   * @returns {ethers.Contract} Contract for writes
+   */
+  get writeContract() {
+    return this.contract.connect(transactionManagers.get().signer);
+  }
+
+  /**
+   * Provider of the current network
+   * @returns {ethers.Provider} Provider
+   */
+  get provider() {
+    return getProvider();
+  }
+
+  /**
+   * Send a mintReward transaction without waiting for it to be mined
+   * (backend signer must be the minter)
+   * @param {string} recipient - Address receiving the credits
+   * @param {string} tripId - Trip ID
+   * @param {string} carbonOffset - Carbon offset (kg CO2)
+   * @param {number} rewardType - RewardType code
+   * @returns {Promise<ethers.TransactionResponse>} Submitted transaction
+   */
+  async sendMintReward(recipient, tripId, carbonOffset, rewardType) {
+    logger.info('Minting carbon reward', { recipient, tripId, carbonOffset, rewardType });
+    return this.writeContract.mintReward(recipient, tripId, carbonOffset, rewardType);
+  }
+
+  /**
+   * Get the reward minted by a mined mintReward transaction
+   * @param {ethers.TransactionReceipt} receipt - Receipt
+   * @returns {Object} Transaction result
+   */
+  decodeMintReward(receipt) {
+    const parsed = findEvent(this.contract, receipt, 'CarbonCreditsMinted');
+    if (!parsed) {
+      throw new Error('CarbonCreditsMinted event not found in transaction receipt');
+    }
+
+    return {
+      success: true,
+      rewardId: parsed.args.rewardId.toString(),
+      tripId: parsed.args.tripId.toString(),
+      amount: parsed.args.amount.toString(),
+      carbonOffset: parsed.args.carbonOffset.toString(),
+      rewardType: Number(parsed.args.rewardType),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * Calculate the credits a reward would mint
+   * @param {string} carbonOffset - Carbon offset (kg CO2)
+   * @param {number} rewardType - RewardType code
+   * @returns {Promise<string>} Credit amount
+   */
+  async calculateReward(carbonOffset, rewardType) {
+    try {
+      const amount = await this.contract.calculateReward(carbonOffset, rewardType);
+      return amount.toString();
+    } catch (error) {
+      logger.error('Error calculating carbon reward', { carbonOffset, rewardType, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get reward parameters
+   * @param {number|string} [blockTag] - Block to read at (defaults to latest)
+   * @returns {Promise<Object>} Reward parameters
+   */
+  async getRewardParameters(blockTag = 'latest') {
+    try {
+      const parameters = await this.contract.getRewardParameters({ blockTag });
+
+      return {
+        baseMultiplier: parameters.baseMultiplier.toString(),
+        lowCarbonBonus: parameters.lowCarbonBonus.toString(),
+        carbonNeutralBonus: parameters.carbonNeutralBonus.toString(),
+        batchOptimizationBonus: parameters.batchOptimizationBonus.toString(),
+      };
+    } catch (error) {
+      logger.error('Error getting reward parameters', { blockTag, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update reward parameters (backend signer must be the owner)
+   * @param {Object} parameters - New reward parameters
+   * @returns {Promise<Object>} Transaction result
+   */
+  async updateRewardParameters(parameters) {
+    try {
+      logger.info('Updating reward parameters', parameters);
+
+      const tx = await this.writeContract.updateRewardParameters([
+        parameters.baseMultiplier,
+        parameters.lowCarbonBonus,
+        parameters.carbonNeutralBonus,
+        parameters.batchOptimizationBonus,
+      ]);
+      const receipt = await transactionManagers.get().wait(tx);
+
+      logger.info('Reward parameters updated', { txHash: receipt.hash, blockNumber: receipt.blockNumber });
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      };
+    } catch (error) {
+      logger.error('Error updating reward parameters', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get RewardParametersUpdated events straight from the chain
+   * @param {number} [fromBlock] - First block to search
+   * @returns {Promise<Array>} Events in chain order
+   */
+  async getRewardParameterEvents(fromBlock = 0) {
+    try {
+      const events = await this.contract.queryFilter(this.contract.filters.RewardParametersUpdated(), fromBlock);
+
+      return events.map(event => ({
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        logIndex: event.index,
+        args: {
+          baseMultiplier: event.args.baseMultiplier.toString(),
+          lowCarbonBonus: event.args.lowCarbonBonus.toString(),
+          carbonNeutralBonus: event.args.carbonNeutralBonus.toString(),
+        },
+      }));
+    } catch (error) {
+      logger.error('Error getting reward parameter events', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get reward details
+   * @param {string} rewardId - Reward ID
+   * @returns {Promise<Object>} Reward details
+   */
+  async getReward(rewardId) {
+    try {
+      const reward = await this.contract.getReward(rewardId);
+
+      return {
+        rewardId: reward.rewardId.toString(),
+        recipient: reward.recipient,
+        tripId: reward.tripId.toString(),
+        amount: reward.amount.toString(),
+        carbonOffset: reward.carbonOffset.toString(),
+        rewardType: Number(reward.rewardType),
+        createdAt: reward.createdAt.toString(),
+        claimedAt: reward.claimedAt.toString(),
+      };
+    } catch (error) {
+      logger.error('Error getting carbon reward', { rewardId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the reward IDs of a wallet, oldest first
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<string[]>} Reward IDs
+   */
+  async getUserRewards(walletAddress) {
+    try {
+      const rewardIds = await this.contract.getUserRewards(walletAddress);
+      return rewardIds.map(id => id.toString());
+    } catch (error) {
+      logger.error('Error getting user rewards', { walletAddress, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the total of unclaimed rewards for a wallet
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<string>} Pending credit amount
+   */
+  async getPendingRewards(walletAddress) {
+    try {
+      const pending = await this.contract.getPendingRewards(walletAddress);
+      return pending.toString();
+    } catch (error) {
+      logger.error('Error getting pending rewards', { walletAddress, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Burn (retire) credits held by the backend signer
+   * @param {string} amount - Amount of credits to burn
+   * @param {string} reason - Retirement reason recorded on-chain
+   * @returns {Promise<Object>} Transaction result
+   */
+  async burnCredits(amount, reason) {
+    try {
+      logger.info('Burning carbon credits', { amount });
+
+      const tx = await this.writeContract.burnCredits(amount, reason);
+      const receipt = await transactionManagers.get().wait(tx);
+
+      logger.info('Carbon credits burned', { txHash: receipt.hash, blockNumber: receipt.blockNumber });
+
+      return {
+        success: true,
+        amount: amount.toString(),
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      };
+    } catch (error) {
+      logger.error('Error burning carbon credits', { amount, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the CarbonCreditsBurned event emitted by a transaction
+   * @param {string} txHash - Transaction hash
+   * @returns {Promise<Object|null>} Burn details, or null if the transaction has no burn
+   */
+  async getBurn(txHash) {
+    try {
+      const receipt = await this.provider.getTransactionReceipt(txHash);
+      if (!receipt) {
+        return null;
+      }
+
+      const address = (await this.contract.getAddress()).toLowerCase();
+      for (const log of receipt.logs.filter(log => log.address.toLowerCase() === address)) {
+        let parsed;
+        try {
+          parsed = this.contract.interface.parseLog(log);
+        } catch {
+          parsed = null;
+        }
+
+        if (parsed && parsed.name === 'CarbonCreditsBurned') {
+          const block = await this.provider.getBlock(receipt.blockNumber);
+          return {
+            account: parsed.args.account,
+            amount: parsed.args.amount.toString(),
+            reason: parsed.args.reason,
+            contractAddress: log.address,
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            blockHash: receipt.blockHash,
+            logIndex: log.index,
+            timestamp: block.timestamp,
+          };
+        }
+      }
+
+      return null;
+    } catch (error) {
+      logger.error('Error getting burn', { txHash, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the reward minted to a recipient for a trip
+   * @param {string} recipient - Reward recipient
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<Object|null>} Reward details, or null if none was minted
+   */
+  async findTripReward(recipient, tripId) {
+    try {
+      const rewardIds = await this.getUserRewards(recipient);
+
+      // Newest first: a trip's reward is usually among the latest
+      for (const rewardId of rewardIds.reverse()) {
+        const reward = await this.getReward(rewardId);
+        if (reward.tripId === String(tripId)) {
+          return reward;
+        }
+      }
+
+      return null;
+    } catch (error) {
+      logger.error('Error finding trip reward', { recipient, tripId, error: error.message });
+      throw error;
+    }
   }
 
   /**
@@ -0,0 +1,121 @@
+import { ethers } from 'ethers';
+import { transactionConfig } from '../../config/transactions.js';
+
+/**
+ * Parse an optional gwei amount
+ * @param {string|null} value - Amount in gwei
+ * @returns {bigint|null} Amount in wei, null if unset
+ */
+function parseGwei(value) {
+  return value === null ? null : ethers.parseUnits(value, 'gwei');
+}
+
+/**
+ * Median of a list of amounts
+ * @param {bigint[]} values - Amounts
+ * @returns {bigint} Median, 0 for an empty list
+ */
+function median(values) {
+  if (values.length === 0) {
+    return 0n;
+  }
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Increase an amount by a percentage, rounding up
+ * @param {bigint} value - Amount
+ * @param {number} percent - Percentage
+ * @returns {bigint} Increased amount
+ */
+function increase(value, percent) {
+  return value + (value * BigInt(percent) + 99n) / 100n;
+}
+
+/**
+ * Fee policy for backend transactions
+ * On EIP-1559 chains fees come from `eth_feeHistory`: the priority fee is the
+ * median of the configured reward percentile over recent blocks, clamped to
+ * the configured bounds, and the max fee leaves room for the base fee to rise.
+ * Chains without a base fee get a legacy gas price. All fees respect the
+ * configured caps.
+ */
+export class GasStrategy {
+  /**
+   * @param {ethers.Provider} provider - Provider
+   * @param {Object} [config] - Fee policy (defaults to transactionConfig.gas)
+   */
+  constructor(provider, config = transactionConfig.gas) {
+    this.provider = provider;
+    this.config = config;
+    this.minPriorityFee = parseGwei(config.minPriorityFeeGwei);
+    this.maxPriorityFee = parseGwei(config.maxPriorityFeeGwei);
+    this.maxFee = parseGwei(config.maxFeeGwei);
+  }
+
+  /**
+   * Fees for a new transaction
+   * @returns {Promise<Object>} `{ maxFeePerGas, maxPriorityFeePerGas }` or `{ gasPrice }`
+   */
+  async getFees() {
+    const history = await this.provider.send('eth_feeHistory', [
+      ethers.toQuantity(this.config.feeHistoryBlocks),
+      'latest',
+      [this.config.priorityFeePercentile],
+    ]);
+    const baseFees = (history.baseFeePerGas || []).map(BigInt);
+
+    if (baseFees.length === 0 || baseFees.every(fee => fee === 0n)) {
+      const { gasPrice } = await this.provider.getFeeData();
+      return { gasPrice: this.maxFee !== null && gasPrice > this.maxFee ? this.maxFee : gasPrice };
+    }
+
+    // The last entry is the base fee of the next block
+    const nextBaseFee = baseFees[baseFees.length - 1];
+    let maxPriorityFeePerGas = median((history.reward || []).map(rewards => BigInt(rewards[0])));
+
+    if (this.minPriorityFee !== null && maxPriorityFeePerGas < this.minPriorityFee) {
+      maxPriorityFeePerGas = this.minPriorityFee;
+    }
+    if (this.maxPriorityFee !== null && maxPriorityFeePerGas > this.maxPriorityFee) {
+      maxPriorityFeePerGas = this.maxPriorityFee;
+    }
+
+    const multiplier = BigInt(Math.round(this.config.baseFeeMultiplier * 100));
+    let maxFeePerGas = (nextBaseFee * multiplier) / 100n + maxPriorityFeePerGas;
+
+    if (this.maxFee !== null && maxFeePerGas > this.maxFee) {
+      maxFeePerGas = this.maxFee;
+    }
+    if (maxPriorityFeePerGas > maxFeePerGas) {
+      maxPriorityFeePerGas = maxFeePerGas;
+    }
+
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  /**
+   * Fees for replacing a transaction: the previous fees bumped by `percent`,
+   * or the current fees if those are higher
+   * @param {Object} previous - Fees of the transaction being replaced
+   * @param {number} percent - Minimum increase
+   * @returns {Promise<Object|null>} Replacement fees, null if they would exceed the caps
+   */
+  async getReplacementFees(previous, percent) {
+    const current = await this.getFees();
+    const fees = {};
+
+    for (const field of Object.keys(previous)) {
+      const bumped = increase(previous[field], percent);
+      fees[field] = current[field] !== undefined && current[field] > bumped ? current[field] : bumped;
+    }
+
+    const maxFeePerGas = fees.maxFeePerGas ?? fees.gasPrice;
+    if (this.maxFee !== null && maxFeePerGas > this.maxFee) {
+      return null;
+    }
+
+    return fees;
+  }
+}
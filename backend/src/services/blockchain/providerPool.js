@@ -0,0 +1,462 @@
+import { ethers } from 'ethers';
+import { rpcConfig } from '../../config/rpc.js';
+import { logger } from '../../utils/logger.js';
+
+// Weight of the latest sample in the latency and error rate averages
+const EWMA_WEIGHT = 0.2;
+
+// JSON-RPC errors that mean the endpoint is throttling us, not that the call failed
+const RATE_LIMIT_CODES = new Set([-32005, 429]);
+const RATE_LIMIT_MESSAGE = /rate limit|too many requests|limit exceeded|exceeded .*capacity/i;
+
+// A failed-over broadcast the first endpoint already accepted
+const ALREADY_KNOWN = /already known|known transaction/i;
+
+/**
+ * One RPC endpoint of a pool, with its health and rate limit state
+ */
+class RpcEndpoint {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - RPC URL
+   * @param {number} [options.maxRequestsPerSecond] - Rate limit (`0` for none)
+   * @param {number} index - Position in the network's RPC_URL list
+   * @param {Object} config - Pool configuration
+   */
+  constructor({ url, maxRequestsPerSecond }, index, config) {
+    this.url = url;
+    this.index = index;
+    this.config = config;
+    this.rateLimit = maxRequestsPerSecond ?? config.maxRequestsPerSecond;
+    // Token bucket holding up to one second of requests
+    this.tokens = Math.max(this.rateLimit, 1);
+    this.refilledAt = Date.now();
+
+    this.latencyMs = null;
+    this.errorRate = 0;
+    this.consecutiveFailures = 0;
+    this.cooldownUntil = 0;
+    this.blockNumber = null;
+    this.chainId = null;
+    this.wrongChain = false;
+    this.requests = 0;
+    this.failures = 0;
+    this.lastError = null;
+  }
+
+  /**
+   * URL without path or credentials, which often hold API keys
+   * @returns {string} Label for logs and status
+   */
+  get label() {
+    try {
+      const { protocol, host } = new URL(this.url);
+      return `${protocol}//${host}`;
+    } catch {
+      return `endpoint ${this.index}`;
+    }
+  }
+
+  /**
+   * Check whether the endpoint can take requests now
+   * @param {number} now - Current time in ms
+   * @param {number|null} headBlock - Highest block seen on any endpoint
+   * @returns {boolean} True if not cooling down, on the right chain and not lagging
+   */
+  isHealthy(now, headBlock) {
+    return this.cooldownUntil <= now && !this.wrongChain && this.lag(headBlock) <= this.config.maxBlockLag;
+  }
+
+  /**
+   * Blocks behind the highest block seen on any endpoint
+   * @param {number|null} headBlock - Highest block seen
+   * @returns {number} Lag, 0 while unknown
+   */
+  lag(headBlock) {
+    return headBlock === null || this.blockNumber === null ? 0 : Math.max(headBlock - this.blockNumber, 0);
+  }
+
+  /**
+   * Score of the endpoint, lower is better
+   * @param {number|null} headBlock - Highest block seen
+   * @returns {number} Average latency plus error rate and block lag penalties
+   */
+  score(headBlock) {
+    return (
+      (this.latencyMs ?? 0) +
+      this.errorRate * this.config.errorPenaltyMs +
+      this.lag(headBlock) * this.config.lagPenaltyMs
+    );
+  }
+
+  /**
+   * Take a request from the rate limit
+   * @param {number} now - Current time in ms
+   * @returns {boolean} False if the endpoint is at its rate limit
+   */
+  tryTake(now) {
+    if (!this.rateLimit) {
+      return true;
+    }
+    this.tokens = Math.min(this.tokens + ((now - this.refilledAt) / 1000) * this.rateLimit, Math.max(this.rateLimit, 1));
+    this.refilledAt = now;
+    if (this.tokens < 1) {
+      return false;
+    }
+    this.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Time until the rate limit allows another request
+   * @returns {number} Delay in ms
+   */
+  waitMs() {
+    return this.rateLimit ? Math.ceil(((1 - this.tokens) / this.rateLimit) * 1000) : 0;
+  }
+
+  /**
+   * Record a successful request
+   * @param {number} latencyMs - Request duration
+   */
+  recordSuccess(latencyMs) {
+    this.requests++;
+    this.latencyMs = this.latencyMs === null ? latencyMs : this.latencyMs + EWMA_WEIGHT * (latencyMs - this.latencyMs);
+    this.errorRate *= 1 - EWMA_WEIGHT;
+    this.consecutiveFailures = 0;
+    this.cooldownUntil = 0;
+  }
+
+  /**
+   * Record a failed request, cooling the endpoint down after repeated failures
+   * @param {Error} error - Failure
+   * @param {number} [retryAfterMs] - Cool down for this long right away (rate limited)
+   * @returns {boolean} True if the endpoint started cooling down
+   */
+  recordFailure(error, retryAfterMs = null) {
+    this.requests++;
+    this.failures++;
+    this.errorRate = this.errorRate * (1 - EWMA_WEIGHT) + EWMA_WEIGHT;
+    this.consecutiveFailures++;
+    this.lastError = { message: error.shortMessage || error.message, at: new Date().toISOString() };
+
+    const { failureThreshold, cooldownMs, maxCooldownMs } = this.config;
+    let cooldown = retryAfterMs;
+    if (cooldown === null && this.consecutiveFailures >= failureThreshold) {
+      cooldown = Math.min(cooldownMs * 2 ** (this.consecutiveFailures - failureThreshold), maxCooldownMs);
+    }
+    if (cooldown === null) {
+      return false;
+    }
+    this.cooldownUntil = Date.now() + cooldown;
+    return true;
+  }
+
+  /**
+   * Status for the health check
+   * @param {number|null} headBlock - Highest block seen
+   * @returns {Object} Endpoint status
+   */
+  toJSON(headBlock) {
+    const now = Date.now();
+    let status = 'ok';
+    if (this.wrongChain) {
+      status = 'wrong-chain';
+    } else if (this.cooldownUntil > now) {
+      status = 'cooling-down';
+    } else if (this.lag(headBlock) > this.config.maxBlockLag) {
+      status = 'lagging';
+    }
+
+    return {
+      url: this.label,
+      status,
+      score: Math.round(this.score(headBlock)),
+      latencyMs: this.latencyMs === null ? null : Math.round(this.latencyMs),
+      errorRate: Number(this.errorRate.toFixed(3)),
+      blockNumber: this.blockNumber,
+      blockLag: this.lag(headBlock),
+      chainId: this.chainId,
+      requests: this.requests,
+      failures: this.failures,
+      cooldownUntil: this.cooldownUntil > now ? new Date(this.cooldownUntil).toISOString() : null,
+      rateLimit: this.rateLimit || null,
+      lastError: this.lastError,
+    };
+  }
+}
+
+/**
+ * Provider over several RPC endpoints of one network
+ * Each request goes to the healthy endpoint with the lowest score (average
+ * latency, recent error rate and block lag) that is under its rate limit, and
+ * fails over to the next one on transport errors, timeouts and throttling.
+ * JSON-RPC errors such as reverts are answers, not endpoint failures.
+ *
+ * Endpoints failing `failureThreshold` times in a row cool down; a periodic
+ * health check reads every endpoint's block number (and chain, once) and
+ * brings cooled-down endpoints back when they answer again. Signed
+ * transactions are also broadcast to the other healthy endpoints, so any of
+ * them can report on pending transactions.
+ *
+ * Events are polled with eth_getLogs; filter IDs would be tied to one node.
+ */
+export class ProviderPool extends ethers.JsonRpcProvider {
+  /**
+   * @param {Object} network - Network (`name`, `chainId`, `rpcEndpoints`)
+   * @param {Object} [config] - Pool configuration (defaults to rpcConfig)
+   */
+  constructor(network, config = rpcConfig) {
+    const chain = ethers.Network.from(network.chainId);
+    // No request cache: block numbers and nonces must be read fresh every time
+    super(network.rpcEndpoints[0].url, chain, {
+      staticNetwork: chain,
+      batchMaxCount: 1,
+      polling: true,
+      cacheTimeout: -1,
+    });
+    this.networkName = network.name;
+    this.expectedChainId = network.chainId;
+    this.config = config;
+    this.endpoints = network.rpcEndpoints.map((endpoint, index) => new RpcEndpoint(endpoint, index, config));
+    this.headBlock = null;
+    this.healthTimer = null;
+  }
+
+  /**
+   * Send a JSON-RPC payload through the best endpoint, failing over on errors
+   * @param {Object|Array<Object>} payload - JSON-RPC payload
+   * @returns {Promise<Array<Object>>} JSON-RPC responses
+   */
+  async _send(payload) {
+    this._startHealthChecks();
+
+    const tried = new Set();
+    let lastError;
+    while (tried.size < this.endpoints.length) {
+      const endpoint = await this._acquire(tried);
+      tried.add(endpoint);
+
+      try {
+        const response = await this._request(endpoint, payload);
+        if (payload.method === 'eth_blockNumber' && response[0]?.result) {
+          this._recordBlock(endpoint, Number(response[0].result));
+        }
+        if (payload.method === 'eth_sendRawTransaction') {
+          return this._broadcast(endpoint, payload, response, tried.size > 1);
+        }
+        return response;
+      } catch (error) {
+        lastError = error;
+        this._recordFailure(endpoint, error);
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Status of the endpoints
+   * @returns {Object} `{ headBlock, endpoints }`
+   */
+  getStatus() {
+    return {
+      headBlock: this.headBlock,
+      endpoints: this.endpoints.map(endpoint => endpoint.toJSON(this.headBlock)),
+    };
+  }
+
+  /**
+   * Check every endpoint's chain and block number
+   * Runs every `healthCheckIntervalMs` once the pool is in use.
+   */
+  async checkEndpoints() {
+    await Promise.all(
+      this.endpoints.map(async endpoint => {
+        if (!endpoint.tryTake(Date.now())) {
+          return;
+        }
+        try {
+          if (endpoint.chainId === null) {
+            const [{ result: chainId }] = await this._request(endpoint, this._payload('eth_chainId'));
+            endpoint.chainId = Number(chainId);
+            endpoint.wrongChain = endpoint.chainId !== this.expectedChainId;
+            if (endpoint.wrongChain) {
+              logger.error('RPC endpoint is on another chain, not using it', {
+                network: this.networkName,
+                endpoint: endpoint.label,
+                chainId: endpoint.chainId,
+                expected: this.expectedChainId,
+              });
+            }
+          }
+          const [{ result: blockNumber }] = await this._request(endpoint, this._payload('eth_blockNumber'));
+          this._recordBlock(endpoint, Number(blockNumber));
+        } catch (error) {
+          this._recordFailure(endpoint, error);
+        }
+      })
+    );
+  }
+
+  /**
+   * Stop the health checks and the provider
+   */
+  destroy() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+    super.destroy();
+  }
+
+  /**
+   * Start the periodic health check, on first use
+   * @private
+   */
+  _startHealthChecks() {
+    if (this.healthTimer || this.destroyed || !this.config.healthCheckIntervalMs) {
+      return;
+    }
+    this.healthTimer = setInterval(() => this.checkEndpoints(), this.config.healthCheckIntervalMs);
+    this.healthTimer.unref();
+    this.checkEndpoints();
+  }
+
+  /**
+   * Wait for the best endpoint not tried yet that is under its rate limit
+   * Prefers healthy endpoints; when none is left, uses the others in the
+   * order their cooldown ends rather than failing outright.
+   * @param {Set<RpcEndpoint>} tried - Endpoints already tried for this request
+   * @returns {Promise<RpcEndpoint>} Endpoint, with a request taken from its rate limit
+   * @private
+   */
+  async _acquire(tried) {
+    for (;;) {
+      const now = Date.now();
+      const remaining = this.endpoints.filter(endpoint => !tried.has(endpoint));
+      const healthy = remaining
+        .filter(endpoint => endpoint.isHealthy(now, this.headBlock))
+        .sort((a, b) => a.score(this.headBlock) - b.score(this.headBlock));
+      const candidates =
+        healthy.length > 0
+          ? healthy
+          : remaining.filter(endpoint => !endpoint.wrongChain).sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+      if (candidates.length === 0) {
+        throw new Error(`No RPC endpoint of network ${this.networkName} is on chain ${this.expectedChainId}`);
+      }
+
+      const endpoint = candidates.find(candidate => candidate.tryTake(now));
+      if (endpoint) {
+        return endpoint;
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(...candidates.map(candidate => candidate.waitMs()))));
+    }
+  }
+
+  /**
+   * Send a payload to one endpoint
+   * Throws on transport errors, timeouts and throttling, which fail over.
+   * @param {RpcEndpoint} endpoint - Endpoint
+   * @param {Object|Array<Object>} payload - JSON-RPC payload
+   * @returns {Promise<Array<Object>>} JSON-RPC responses
+   * @private
+   */
+  async _request(endpoint, payload) {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.timeout = this.config.timeoutMs;
+    // Fail over instead of waiting out the endpoint's throttling
+    request.retryFunc = async () => false;
+    request.body = JSON.stringify(payload);
+    request.setHeader('content-type', 'application/json');
+
+    const startedAt = Date.now();
+    const response = await request.send();
+    if (response.statusCode === 429) {
+      throw rateLimitError(response.headers['retry-after']);
+    }
+    response.assertOk();
+
+    const body = Array.isArray(response.bodyJson) ? response.bodyJson : [response.bodyJson];
+    const throttled = body.find(
+      ({ error }) => error && (RATE_LIMIT_CODES.has(error.code) || RATE_LIMIT_MESSAGE.test(error.message || ''))
+    );
+    if (throttled) {
+      throw rateLimitError(null, throttled.error.message);
+    }
+
+    endpoint.recordSuccess(Date.now() - startedAt);
+    return body;
+  }
+
+  /**
+   * Return the result of a broadcast and send the transaction to the other healthy endpoints
+   * @param {RpcEndpoint} endpoint - Endpoint that accepted the transaction
+   * @param {Object} payload - eth_sendRawTransaction payload
+   * @param {Array<Object>} response - Its response
+   * @param {boolean} failedOver - Whether an earlier endpoint failed (and may have accepted it)
+   * @returns {Array<Object>} Response
+   * @private
+   */
+  _broadcast(endpoint, payload, response, failedOver) {
+    const [rawTx] = payload.params;
+    if (failedOver && response[0]?.error && ALREADY_KNOWN.test(response[0].error.message || '')) {
+      return [{ jsonrpc: '2.0', id: payload.id, result: ethers.keccak256(rawTx) }];
+    }
+
+    if (!response[0]?.error) {
+      const now = Date.now();
+      for (const other of this.endpoints) {
+        if (other !== endpoint && other.isHealthy(now, this.headBlock) && other.tryTake(now)) {
+          this._request(other, this._payload('eth_sendRawTransaction', [rawTx])).catch(() => {});
+        }
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Record a block number reported by an endpoint
+   * @private
+   */
+  _recordBlock(endpoint, blockNumber) {
+    endpoint.blockNumber = blockNumber;
+    if (this.headBlock === null || blockNumber > this.headBlock) {
+      this.headBlock = blockNumber;
+    }
+  }
+
+  /**
+   * Record a failed request and log it
+   * @private
+   */
+  _recordFailure(endpoint, error) {
+    const retryAfterMs = error.rateLimited ? (error.retryAfterMs ?? this.config.cooldownMs) : null;
+    const coolingDown = endpoint.recordFailure(error, retryAfterMs);
+    logger.warn(coolingDown ? 'RPC endpoint failing, cooling down' : 'RPC endpoint request failed', {
+      network: this.networkName,
+      endpoint: endpoint.label,
+      error: error.shortMessage || error.message,
+      cooldownUntil: coolingDown ? new Date(endpoint.cooldownUntil).toISOString() : undefined,
+    });
+  }
+
+  /**
+   * Build a standalone JSON-RPC payload
+   * @private
+   */
+  _payload(method, params = []) {
+    return { method, params, id: `pool-${Date.now()}-${Math.random().toString(36).slice(2)}`, jsonrpc: '2.0' };
+  }
+}
+
+/**
+ * Error for a throttled request
+ * @param {string} [retryAfter] - Retry-After header (seconds)
+ * @param {string} [message] - Endpoint's error message
+ * @returns {Error} Error with `rateLimited` and `retryAfterMs` (null without Retry-After)
+ */
+function rateLimitError(retryAfter, message = 'Too many requests') {
+  const error = new Error(`Rate limited: ${message}`);
+  const seconds = parseInt(retryAfter, 10);
+  error.rateLimited = true;
+  error.retryAfterMs = seconds > 0 ? seconds * 1000 : null;
+  return error;
+}
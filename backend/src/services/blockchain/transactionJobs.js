@@ -0,0 +1,394 @@
+import { randomUUID } from 'crypto';
+import { getProvider } from '../../config/blockchain.js';
+import { currentNetwork, getNetworkConfig, runInNetwork } from '../../config/networks.js';
+import { storageConfig } from '../../config/storage.js';
+import { transactionConfig } from '../../config/transactions.js';
+import { createStorageAdapter } from '../cache/adapters/index.js';
+import { transactionManagers } from './transactionManager.js';
+import { logger } from '../../utils/logger.js';
+
+const COLLECTION = 'transaction_jobs';
+
+export const JOB_STATUS = ['submitted', 'mined', 'confirmed', 'failed', 'replaced'];
+
+// Jobs still being followed; resumed after a restart
+const OPEN_STATUSES = ['submitted', 'mined'];
+
+/**
+ * Asynchronous transaction jobs
+ * `submit` sends a transaction and returns a job right away; the job is then
+ * followed in the background through `submitted` → `mined` → `confirmed`
+ * (`transactionConfig.confirmations` blocks deep), or ends as `failed`
+ * (reverted) or `replaced` (another transaction took its nonce).
+ *
+ * Each job type registers a handler: `decode(receipt)` builds the job result
+ * (e.g. the trip ID from TripCreated) and the optional `onMined(result,
+ * context)` applies side effects such as cache updates. Jobs are persisted,
+ * and open jobs are resumed by `resume()` after a restart.
+ *
+ * Fee bumps and cancellations by the transaction manager are recorded in
+ * `replacements`. When a fee bump is mined, `txHash` moves to it; when a
+ * cancellation is mined, the job ends as `replaced`.
+ *
+ * A job belongs to the network of the request that submitted it and is
+ * followed on that network.
+ *
+ * Jobs may also follow a transaction signed by a user's wallet and relayed by
+ * the API (`relayed`, see WalletTransactionService). The transaction manager
+ * does not replace those; fee bumps the wallet sends for the same call are
+ * recorded as `speed-up` replacements.
+ */
+export class TransactionJobService {
+  /**
+   * @param {Object} [config] - Transaction job configuration (defaults to transactionConfig)
+   */
+  constructor(config = transactionConfig) {
+    this.config = config;
+    this.store = createStorageAdapter(config.backend, {
+      filePath: config.filePath,
+      firestore: storageConfig.firestore,
+    });
+    this.handlers = new Map();
+    // Backend-sent jobs being followed, by network and nonce
+    this.following = new Map();
+
+    transactionManagers.on('replaced', replacement => {
+      this._recordReplacement(replacement).catch(error => {
+        logger.error('Failed to record transaction replacement', { nonce: replacement.nonce, error: error.message });
+      });
+    });
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type (e.g. createTrip)
+   * @param {Object} handler - `{ decode(receipt), onMined?(result, context) }`
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Send a transaction and start following it
+   * @param {string} type - Registered job type
+   * @param {Function} send - async () => submitted transaction
+   * @param {Object} [context] - Data passed to the handler's onMined
+   * @param {Object} [options] - `{ relayed }`: `send` returns a transaction relayed from a user's wallet
+   * @returns {Promise<Object>} Job
+   */
+  async submit(type, send, context = {}, { relayed = false } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown transaction job type: ${type}`);
+    }
+
+    const network = currentNetwork();
+
+    // Block to search from for replacements of the transaction
+    const startBlock = await getProvider(network).getBlockNumber();
+    const tx = await send();
+    const now = new Date().toISOString();
+    const job = {
+      jobId: randomUUID(),
+      type,
+      network: network.name,
+      status: 'submitted',
+      txHash: tx.hash,
+      from: tx.from,
+      nonce: tx.nonce,
+      relayed,
+      startBlock,
+      confirmationsRequired: this.config.confirmations,
+      blockNumber: null,
+      result: null,
+      error: null,
+      replacements: [],
+      replacedBy: null,
+      context,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const store = await this.store;
+    await store.set(COLLECTION, job.jobId, job);
+    logger.info('Transaction job submitted', { jobId: job.jobId, type, txHash: tx.hash });
+
+    this._follow(job, tx, network);
+    return this._view(job);
+  }
+
+  /**
+   * Decode a mined transaction and apply its side effects, as a job of the type does
+   * For requests that wait for their transaction instead of submitting a job.
+   * @param {string} type - Registered job type
+   * @param {ethers.TransactionReceipt} receipt - Receipt
+   * @param {Object} [context] - Data passed to the handler's onMined
+   * @returns {Promise<Object>} Result
+   */
+  async settle(type, receipt, context = {}) {
+    const handler = this.handlers.get(type);
+    const result = handler.decode(receipt);
+    if (handler.onMined) {
+      await handler.onMined(result, context);
+    }
+    return result;
+  }
+
+  /**
+   * Get a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job with its current confirmation count, null if not found
+   */
+  async get(jobId) {
+    const store = await this.store;
+    const job = await store.get(COLLECTION, jobId);
+    if (!job) {
+      return null;
+    }
+
+    const network = getNetworkConfig(job.network);
+    const currentBlock = job.blockNumber !== null && network ? await getProvider(network).getBlockNumber() : null;
+    return this._view(job, currentBlock);
+  }
+
+  /**
+   * Resume following jobs left open by a previous run
+   */
+  async resume() {
+    const store = await this.store;
+    const jobs = (await store.list(COLLECTION))
+      .map(({ id, ...job }) => job)
+      .filter(job => OPEN_STATUSES.includes(job.status));
+
+    for (const job of jobs) {
+      if (!this.handlers.has(job.type)) {
+        logger.warn('Cannot resume transaction job of unknown type', { jobId: job.jobId, type: job.type });
+        continue;
+      }
+
+      const network = getNetworkConfig(job.network);
+      if (!network) {
+        logger.warn('Cannot resume transaction job of a network that is no longer configured', {
+          jobId: job.jobId,
+          network: job.network,
+        });
+        continue;
+      }
+      const provider = getProvider(network);
+
+      // Follow the latest replacement the node still knows
+      const hashes = [job.txHash, ...job.replacements.map(replacement => replacement.txHash)].reverse();
+      let tx = null;
+      for (const hash of hashes) {
+        const sent = await provider.getTransaction(hash);
+        // Whichever one was mined settles the job
+        if (sent && (tx === null || sent.blockNumber !== null)) {
+          tx = sent;
+          if (sent.blockNumber !== null) {
+            break;
+          }
+        }
+      }
+
+      if (!tx) {
+        await this._update(job, {
+          status: 'failed',
+          error: { message: 'Transaction was dropped before it was mined' },
+        });
+        continue;
+      }
+
+      tx = tx.replaceableTransaction(job.startBlock);
+      if (tx.blockNumber === null && !job.relayed) {
+        transactionManagers.get(network).track(
+          tx,
+          job.replacements.map(replacement => ({ hash: replacement.txHash, reason: replacement.reason }))
+        );
+      }
+
+      this._follow(job, tx, network);
+    }
+
+    if (jobs.length > 0) {
+      logger.info('Resumed transaction jobs', { count: jobs.length });
+    }
+  }
+
+  /**
+   * Follow a job in the background, on its network
+   * @param {Object} job - Job
+   * @param {ethers.TransactionResponse} tx - Its transaction
+   * @param {Object} network - Its network
+   * @private
+   */
+  _follow(job, tx, network) {
+    // Only backend-sent transactions are replaced by the transaction manager
+    const key = job.relayed ? null : `${network.name}:${job.nonce}`;
+    if (key) {
+      this.following.set(key, job);
+    }
+
+    runInNetwork(network, () => this._track(job, tx))
+      .catch(error => {
+        logger.error('Error following transaction job', { jobId: job.jobId, error: error.message });
+      })
+      .finally(() => {
+        if (key) {
+          this.following.delete(key);
+        }
+      });
+  }
+
+  /**
+   * Record a fee bump or cancellation on the job it belongs to
+   * @param {Object} replacement - `replaced` event from the transaction manager
+   * @private
+   */
+  async _recordReplacement({ network, nonce, hash, reason, fees }) {
+    const job = this.following.get(`${network}:${nonce}`);
+    if (!job || job.status !== 'submitted') {
+      return;
+    }
+
+    await this._update(job, {
+      replacements: [...job.replacements, { txHash: hash, reason, ...fees, replacedAt: new Date().toISOString() }],
+    });
+  }
+
+  /**
+   * Wait for a job's transaction to be mined and confirmed, updating the job
+   * Runs with the job's network as the current network.
+   * @param {Object} job - Job
+   * @param {ethers.TransactionResponse} tx - Its transaction
+   * @private
+   */
+  async _track(job, tx) {
+    if (job.status === 'submitted') {
+      let receipt;
+
+      try {
+        receipt = job.relayed ? await tx.wait() : await transactionManagers.get().wait(tx);
+      } catch (error) {
+        if (error.code !== 'TRANSACTION_REPLACED') {
+          await this._update(job, {
+            status: 'failed',
+            blockNumber: error.receipt?.blockNumber ?? null,
+            error: { message: error.reason || error.shortMessage || error.message, code: error.code },
+          });
+          return;
+        }
+        receipt = error.receipt;
+
+        // A wallet resent the same call with higher fees
+        if (job.relayed && error.reason === 'repriced') {
+          await this._update(job, {
+            replacements: [
+              ...job.replacements,
+              { txHash: receipt.hash, reason: 'speed-up', replacedAt: new Date().toISOString() },
+            ],
+          });
+        }
+      }
+
+      // The receipt may belong to a fee bump, a cancellation or a transaction
+      // sent by someone else with the same nonce
+      const sentAs = this._sentAs(job, receipt.hash);
+      if (sentAs === null || sentAs === 'cancel') {
+        await this._update(job, {
+          status: 'replaced',
+          replacedBy: receipt.hash,
+          error: {
+            message: sentAs === 'cancel' ? 'Transaction was cancelled' : 'Transaction was replaced',
+            code: 'TRANSACTION_REPLACED',
+          },
+        });
+        return;
+      }
+
+      if (receipt.hash !== job.txHash) {
+        await this._update(job, { txHash: receipt.hash });
+      }
+
+      if (receipt.status === 0) {
+        await this._update(job, {
+          status: 'failed',
+          blockNumber: receipt.blockNumber,
+          error: { message: 'Transaction reverted', code: 'CALL_EXCEPTION' },
+        });
+        return;
+      }
+
+      const handler = this.handlers.get(job.type);
+      let result;
+
+      try {
+        result = handler.decode(receipt);
+      } catch (error) {
+        await this._update(job, {
+          status: 'failed',
+          blockNumber: receipt.blockNumber,
+          error: { message: error.message },
+        });
+        return;
+      }
+
+      if (handler.onMined) {
+        try {
+          await handler.onMined(result, job.context);
+        } catch (error) {
+          logger.error('Transaction job side effects failed', { jobId: job.jobId, error: error.message });
+        }
+      }
+
+      await this._update(job, { status: 'mined', blockNumber: receipt.blockNumber, result });
+      logger.info('Transaction job mined', { jobId: job.jobId, txHash: job.txHash, blockNumber: receipt.blockNumber });
+    }
+
+    await getProvider().waitForTransaction(job.txHash, job.confirmationsRequired);
+    await this._update(job, { status: 'confirmed' });
+  }
+
+  /**
+   * How a transaction with the job's nonce was sent
+   * @param {Object} job - Job
+   * @param {string} hash - Transaction hash
+   * @returns {string|null} `original`, `speed-up` or `cancel`; null if not sent for this job
+   * @private
+   */
+  _sentAs(job, hash) {
+    if (hash === job.txHash) {
+      return 'original';
+    }
+    const replacement = job.replacements.find(sent => sent.txHash === hash);
+    return replacement ? replacement.reason : null;
+  }
+
+  /**
+   * Apply and persist a job update
+   * @param {Object} job - Job (updated in place)
+   * @param {Object} fields - Changed fields
+   * @private
+   */
+  async _update(job, fields) {
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+    const store = await this.store;
+    await store.set(COLLECTION, job.jobId, job);
+  }
+
+  /**
+   * Public view of a job (without the handler context)
+   * @param {Object} job - Job
+   * @param {number|null} [currentBlock] - Current block, to count confirmations
+   * @returns {Object} Job view
+   * @private
+   */
+  _view(job, currentBlock = null) {
+    const { context, ...view } = job;
+    return {
+      ...view,
+      confirmations:
+        currentBlock !== null && job.blockNumber !== null ? Math.max(0, currentBlock - job.blockNumber + 1) : 0,
+    };
+  }
+}
+
+export const transactionJobs = new TransactionJobService();
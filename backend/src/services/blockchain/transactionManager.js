@@ -0,0 +1,463 @@
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import { getSigner } from '../../config/blockchain.js';
+import { transactionConfig } from '../../config/transactions.js';
+import { currentNetwork, defaultNetwork, networks } from '../../config/networks.js';
+import { GasStrategy } from './gasStrategy.js';
+import { logger } from '../../utils/logger.js';
+
+// Nonce errors mean our local nonce is stale (e.g. another process or a
+// previous run used it); they are retried after a resync
+const NONCE_ERRORS = ['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'];
+const MAX_NONCE_RETRIES = 3;
+
+const FEE_FIELDS = ['maxFeePerGas', 'maxPriorityFeePerGas', 'gasPrice'];
+const CANCEL_GAS_LIMIT = 21000n;
+
+/**
+ * Fee fields of a transaction as decimal strings
+ * @param {Object} fees - Fees in wei
+ * @returns {Object} Fees as strings
+ */
+function feesToJSON(fees) {
+  return Object.fromEntries(Object.entries(fees).map(([field, value]) => [field, value.toString()]));
+}
+
+/**
+ * Signer that routes transactions through a TransactionManager
+ * Reads, gas estimation and signing are delegated to the manager's wallet.
+ */
+class ManagedSigner extends ethers.AbstractSigner {
+  /**
+   * @param {TransactionManager} manager - Transaction manager
+   * @param {ethers.Provider} provider - Provider
+   */
+  constructor(manager, provider) {
+    super(provider);
+    this.manager = manager;
+  }
+
+  async getAddress() {
+    return this.manager.wallet.address;
+  }
+
+  connect(provider) {
+    return new ManagedSigner(this.manager, provider);
+  }
+
+  async signTransaction(tx) {
+    return this.manager.wallet.signTransaction(tx);
+  }
+
+  async signMessage(message) {
+    return this.manager.wallet.signMessage(message);
+  }
+
+  async signTypedData(domain, types, value) {
+    return this.manager.wallet.signTypedData(domain, types, value);
+  }
+
+  async sendTransaction(tx) {
+    return this.manager.sendTransaction(tx);
+  }
+}
+
+/**
+ * Transaction manager for the backend signer of a network
+ * All writes on the network share one wallet. Submissions are queued and sent one at a time
+ * with locally assigned nonces, so concurrent requests never reuse a nonce.
+ * The nonce is (re)synced from the pending block on first use, so transactions
+ * a previous run left in the mempool are accounted for, and again after any
+ * failed submission. Submitted transactions are tracked until mined.
+ *
+ * Fees come from the GasStrategy unless the caller sets them. While running,
+ * a monitor resends transactions that stay unmined for `stuckAfterSeconds`
+ * under the same nonce with bumped fees, and cancels them (a 0-value
+ * transaction to self) once `maxFeeBumps` is used up.
+ *
+ * Emits `replaced` with `{ nonce, previousHash, hash, reason, fees }` for every
+ * replacement (`reason` is `speed-up` or `cancel`).
+ */
+export class TransactionManager extends EventEmitter {
+  /**
+   * @param {Object} [config] - Transaction configuration (defaults to transactionConfig)
+   * @param {Object} [network] - Network (defaults to the default network)
+   */
+  constructor(config = transactionConfig, network = defaultNetwork) {
+    super();
+    this.config = config;
+    this.network = network;
+    this.wallet = null;
+    this.gasStrategy = null;
+    this.managedSigner = null;
+    this.nextNonce = null;
+    this.queue = Promise.resolve();
+    this.queued = 0;
+    this.pending = new Map();
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Start the stuck transaction monitor
+   */
+  start() {
+    if (this.timer || this.config.stuckAfterSeconds <= 0) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.checkStuck().catch(error => {
+        logger.error('Error checking for stuck transactions', { error: error.message });
+      });
+    }, this.config.monitorIntervalMs);
+    this.timer.unref();
+
+    logger.info('Stuck transaction monitor started', {
+      network: this.network.name,
+      stuckAfterSeconds: this.config.stuckAfterSeconds,
+      feeBumpPercent: this.config.feeBumpPercent,
+      maxFeeBumps: this.config.maxFeeBumps,
+    });
+  }
+
+  /**
+   * Stop the stuck transaction monitor
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Signer for contract writes (`contract.connect(transactionManagers.get().signer)`)
+   * @returns {ethers.AbstractSigner} Managed signer
+   */
+  get signer() {
+    if (!this.managedSigner) {
+      this.managedSigner = new ManagedSigner(this, this._getWallet().provider);
+    }
+    return this.managedSigner;
+  }
+
+  /**
+   * Queue a transaction for submission
+   * @param {Object} request - Transaction request (nonce is assigned here)
+   * @returns {Promise<ethers.TransactionResponse>} Submitted transaction
+   */
+  sendTransaction(request) {
+    this.queued += 1;
+    const submission = this.queue.then(() => this._submit(request));
+    this.queue = submission.catch(() => {}).finally(() => {
+      this.queued -= 1;
+    });
+    return submission;
+  }
+
+  /**
+   * Wait for a submitted transaction to be mined
+   * @param {ethers.TransactionResponse} tx - Submitted transaction
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  async wait(tx) {
+    // Contract calls return responses that do not detect replacements; wait
+    // on the wallet's response for the same hash instead
+    const entry = this.pending.get(tx.nonce);
+    const waitable = entry && entry.tx.hash === tx.hash ? entry.tx : tx;
+
+    try {
+      return await waitable.wait();
+    } catch (error) {
+      // A fee bump is the same call under a new hash; report it as mined
+      if (error.code === 'TRANSACTION_REPLACED' && error.reason === 'repriced' && error.receipt.status === 1) {
+        return error.receipt;
+      }
+      throw error;
+    } finally {
+      this.pending.delete(tx.nonce);
+    }
+  }
+
+  /**
+   * Track a transaction sent by a previous run, so it is monitored again
+   * @param {ethers.TransactionResponse} tx - Transaction
+   * @param {Object[]} [replacements] - Replacements already sent, `{ hash, reason }`
+   */
+  track(tx, replacements = []) {
+    if (this.pending.has(tx.nonce)) {
+      return;
+    }
+    this._track(tx, replacements);
+  }
+
+  /**
+   * Replace transactions that have been pending longer than `stuckAfterSeconds`
+   */
+  async checkStuck() {
+    if (this.pending.size === 0 || this.checking) {
+      return;
+    }
+    this.checking = true;
+
+    try {
+      const { address, provider } = this._getWallet();
+      const minedNonce = await provider.getTransactionCount(address, 'latest');
+      const stuckBefore = Date.now() - this.config.stuckAfterSeconds * 1000;
+
+      for (const entry of this.pending.values()) {
+        // Mined entries are removed by wait()
+        if (entry.nonce >= minedNonce && entry.lastSentAt <= stuckBefore && !entry.abandoned) {
+          await this._replace(entry);
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Resync the next nonce from the pending block
+   * @returns {Promise<number>} Next nonce
+   */
+  async resync() {
+    const { address, provider } = this._getWallet();
+    const [latest, pending] = await Promise.all([
+      provider.getTransactionCount(address, 'latest'),
+      provider.getTransactionCount(address, 'pending'),
+    ]);
+
+    if (pending > latest) {
+      logger.warn('Signer has transactions pending in the mempool', { address, count: pending - latest });
+    }
+
+    // Forget tracked transactions that have since been mined or dropped
+    for (const nonce of this.pending.keys()) {
+      if (nonce < latest) {
+        this.pending.delete(nonce);
+      }
+    }
+
+    this.nextNonce = pending;
+    logger.info('Signer nonce synced', { network: this.network.name, address, nonce: pending });
+    return pending;
+  }
+
+  /**
+   * Transaction manager status
+   * @returns {Object} Signer address, next nonce, queue length and pending transactions
+   */
+  getStatus() {
+    return {
+      address: this.wallet?.address ?? null,
+      nextNonce: this.nextNonce,
+      queued: this.queued,
+      pending: [...this.pending.values()].map(entry => ({
+        hash: entry.tx.hash,
+        nonce: entry.nonce,
+        to: entry.to,
+        submittedAt: entry.submittedAt,
+        fees: feesToJSON(entry.fees),
+        replacements: entry.replacements,
+      })),
+    };
+  }
+
+  /**
+   * Backend wallet, created on first use (requires the network's private key)
+   * @returns {ethers.Wallet} Wallet
+   * @private
+   */
+  _getWallet() {
+    if (!this.wallet) {
+      this.wallet = getSigner(this.network);
+      this.gasStrategy = new GasStrategy(this.wallet.provider, this.config.gas);
+    }
+    return this.wallet;
+  }
+
+  /**
+   * Submit a transaction with the next nonce
+   * @param {Object} request - Transaction request
+   * @returns {Promise<ethers.TransactionResponse>} Submitted transaction
+   * @private
+   */
+  async _submit(request) {
+    for (let attempt = 0; ; attempt++) {
+      if (this.nextNonce === null) {
+        await this.resync();
+      }
+
+      const nonce = this.nextNonce;
+
+      try {
+        const wallet = this._getWallet();
+        const fees = FEE_FIELDS.some(field => request[field] != null) ? {} : await this.gasStrategy.getFees();
+        const tx = await wallet.sendTransaction({ ...request, ...fees, nonce });
+
+        this.nextNonce = nonce + 1;
+        this._track(tx);
+        logger.info('Transaction submitted', { network: this.network.name, txHash: tx.hash, nonce, ...feesToJSON(fees) });
+
+        return tx;
+      } catch (error) {
+        // A failed submission may or may not have used the nonce (e.g. a
+        // timeout after the node accepted it), so always resync
+        this.nextNonce = null;
+
+        if (!NONCE_ERRORS.includes(error.code) || attempt >= MAX_NONCE_RETRIES) {
+          throw error;
+        }
+        logger.warn('Nonce conflict, resyncing', { nonce, attempt: attempt + 1, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Add a transaction to the pending list
+   * @param {ethers.TransactionResponse} tx - Transaction
+   * @param {Object[]} [replacements] - Replacements already sent
+   * @private
+   */
+  _track(tx, replacements = []) {
+    const fees = Object.fromEntries(FEE_FIELDS.filter(field => tx[field] != null).map(field => [field, tx[field]]));
+    if (fees.gasPrice !== undefined && fees.maxFeePerGas !== undefined) {
+      delete fees.gasPrice;
+    }
+
+    this.pending.set(tx.nonce, {
+      nonce: tx.nonce,
+      to: tx.to,
+      tx,
+      fees,
+      submittedAt: Math.floor(Date.now() / 1000),
+      lastSentAt: Date.now(),
+      replacements: [...replacements],
+      abandoned: false,
+    });
+  }
+
+  /**
+   * Resend a stuck transaction with bumped fees, or cancel it
+   * @param {Object} entry - Pending entry
+   * @private
+   */
+  async _replace(entry) {
+    const speedUps = entry.replacements.filter(replacement => replacement.reason === 'speed-up').length;
+    const cancelled = entry.replacements.some(replacement => replacement.reason === 'cancel');
+    const cancel = cancelled || speedUps >= this.config.maxFeeBumps;
+
+    if (cancel && !this.config.cancelStuck) {
+      entry.abandoned = true;
+      logger.warn('Transaction still pending after all fee bumps', { txHash: entry.tx.hash, nonce: entry.nonce });
+      return;
+    }
+
+    const fees = await this.gasStrategy.getReplacementFees(entry.fees, this.config.feeBumpPercent);
+    if (!fees) {
+      entry.abandoned = true;
+      logger.warn('Cannot bump stuck transaction above TX_MAX_FEE_GWEI', { txHash: entry.tx.hash, nonce: entry.nonce });
+      return;
+    }
+
+    const { tx } = entry;
+    const reason = cancel ? 'cancel' : 'speed-up';
+    const request = cancel
+      ? { to: this.wallet.address, value: 0n, data: '0x', gasLimit: CANCEL_GAS_LIMIT }
+      : { to: tx.to, value: tx.value, data: tx.data, gasLimit: tx.gasLimit };
+
+    try {
+      const replacement = await this.wallet.sendTransaction({
+        ...request,
+        ...fees,
+        nonce: entry.nonce,
+        chainId: tx.chainId,
+      });
+
+      Object.assign(entry, { tx: replacement, fees, lastSentAt: Date.now() });
+      entry.replacements.push({ hash: replacement.hash, reason });
+
+      logger.warn('Replaced stuck transaction', {
+        network: this.network.name,
+        nonce: entry.nonce,
+        previousHash: tx.hash,
+        txHash: replacement.hash,
+        reason,
+        ...feesToJSON(fees),
+      });
+      this.emit('replaced', {
+        nonce: entry.nonce,
+        previousHash: tx.hash,
+        hash: replacement.hash,
+        reason,
+        fees: feesToJSON(fees),
+      });
+    } catch (error) {
+      // The original was mined in the meantime; wait() will clear the entry
+      if (error.code === 'NONCE_EXPIRED') {
+        return;
+      }
+
+      // Try again on the next check, bumping from the fees just offered
+      Object.assign(entry, { fees, lastSentAt: Date.now() });
+      logger.warn('Failed to replace stuck transaction', { nonce: entry.nonce, reason, error: error.message });
+    }
+  }
+}
+
+/**
+ * Transaction managers, one per network, created on first use
+ * Re-emits `replaced` from every manager with `network` (its name) added.
+ */
+export class TransactionManagerRegistry extends EventEmitter {
+  /**
+   * @param {Object} [config] - Transaction configuration (defaults to transactionConfig)
+   */
+  constructor(config = transactionConfig) {
+    super();
+    this.config = config;
+    this.managers = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Transaction manager of a network
+   * @param {Object} [network] - Network (defaults to the current network)
+   * @returns {TransactionManager} Transaction manager
+   */
+  get(network = currentNetwork()) {
+    let manager = this.managers.get(network.name);
+    if (!manager) {
+      manager = new TransactionManager(this.config, network);
+      manager.on('replaced', replacement => this.emit('replaced', { ...replacement, network: network.name }));
+      this.managers.set(network.name, manager);
+      if (this.started) {
+        manager.start();
+      }
+    }
+    return manager;
+  }
+
+  /**
+   * Start the stuck transaction monitors of all networks with a signer
+   */
+  start() {
+    this.started = true;
+    for (const network of networks.values()) {
+      if (network.privateKey) {
+        this.get(network).start();
+      }
+    }
+  }
+
+  /**
+   * Stop all stuck transaction monitors
+   */
+  stop() {
+    this.started = false;
+    for (const manager of this.managers.values()) {
+      manager.stop();
+    }
+  }
+}
+
+export const transactionManagers = new TransactionManagerRegistry();
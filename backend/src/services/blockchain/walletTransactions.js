@@ -0,0 +1,194 @@
+import { ethers } from 'ethers';
+import { getProvider } from '../../config/blockchain.js';
+import { currentNetwork } from '../../config/networks.js';
+import { transactionConfig } from '../../config/transactions.js';
+import { GasStrategy } from './gasStrategy.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Create an error carrying an HTTP status and an error code
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function walletTransactionError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Contract calls signed by the caller's wallet
+ * Trip and escrow parties act from their own wallets: the contracts check
+ * `msg.sender`, and escrows are funded by their payer. The API prepares the
+ * unsigned transaction (`prepare`), the wallet signs it, and the API relays
+ * it (`relay`): a signed transaction is checked and broadcast, or the hash of
+ * a transaction the wallet broadcast itself is looked up and checked. Either
+ * way it must be the prepared call, sent from the signed-in wallet.
+ *
+ * A call is `{ contract, method, args, value? }`, built by the contract
+ * services. The backend signer never sends these calls, and its transaction
+ * manager does not bump their fees; the wallet does.
+ */
+export class WalletTransactionService {
+  /**
+   * @param {Object} [config] - Transaction configuration (defaults to transactionConfig)
+   */
+  constructor(config = transactionConfig) {
+    this.config = config;
+    // Gas strategies, by network name
+    this.gasStrategies = new Map();
+  }
+
+  /**
+   * Build the unsigned transaction of a call
+   * Gas is estimated from `from`, so a call the contract would reject fails
+   * here with its revert reason.
+   * @param {Object} call - Contract call
+   * @param {string} from - Wallet that will sign it
+   * @returns {Promise<Object>} Transaction request; amounts as decimal strings
+   */
+  async prepare(call, from) {
+    const network = currentNetwork();
+    const provider = getProvider(network);
+    const request = await this._request(call, from);
+
+    const gasLimit = await provider.estimateGas(request);
+    const nonce = await provider.getTransactionCount(request.from, 'pending');
+    const fees = await this._gasStrategy(network).getFees();
+
+    return {
+      from: request.from,
+      to: request.to,
+      data: request.data,
+      value: request.value.toString(),
+      chainId: network.chainId,
+      nonce,
+      gasLimit: gasLimit.toString(),
+      ...Object.fromEntries(Object.entries(fees).map(([field, fee]) => [field, fee.toString()])),
+    };
+  }
+
+  /**
+   * Relay a call signed by a wallet
+   * @param {Object} call - Contract call
+   * @param {string} from - Signed-in wallet, which must have signed it
+   * @param {Object} signed - `{ signedTransaction }` to broadcast, or `{ txHash }` of a broadcast transaction
+   * @returns {Promise<ethers.TransactionResponse>} Transaction
+   */
+  async relay(call, from, { signedTransaction, txHash }) {
+    const network = currentNetwork();
+    const provider = getProvider(network);
+    const expected = await this._request(call, from);
+    const startBlock = await provider.getBlockNumber();
+
+    let tx;
+    if (signedTransaction) {
+      try {
+        tx = ethers.Transaction.from(signedTransaction);
+      } catch {
+        tx = null;
+      }
+      if (!tx?.signature) {
+        throw walletTransactionError(400, 'INVALID_TRANSACTION', 'signedTransaction is not a signed transaction');
+      }
+    } else {
+      tx = await provider.getTransaction(txHash);
+      if (!tx) {
+        throw walletTransactionError(404, 'TRANSACTION_NOT_FOUND', `Transaction ${txHash} was not found`);
+      }
+    }
+
+    this._check(tx, expected, call, network);
+
+    if (signedTransaction) {
+      tx = await provider.broadcastTransaction(signedTransaction);
+    }
+    logger.info('Wallet transaction relayed', { method: call.method, from: tx.from, txHash: tx.hash });
+
+    // Mined transactions have nothing left to be replaced by
+    return tx.blockNumber === null ? tx.replaceableTransaction(startBlock) : tx;
+  }
+
+  /**
+   * Wait for a relayed transaction to be mined
+   * A wallet speed-up (the same call with higher fees) counts as mined.
+   * @param {ethers.TransactionResponse} tx - Relayed transaction
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  async wait(tx) {
+    try {
+      return await tx.wait();
+    } catch (error) {
+      if (error.code === 'TRANSACTION_REPLACED' && error.reason === 'repriced' && error.receipt.status === 1) {
+        return error.receipt;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Transaction fields a call must have
+   * @param {Object} call - Contract call
+   * @param {string} from - Sending wallet
+   * @returns {Promise<Object>} `{ from, to, data, value }`
+   * @private
+   */
+  async _request({ contract, method, args, value = 0n }, from) {
+    return {
+      from: ethers.getAddress(from),
+      to: await contract.getAddress(),
+      data: contract.interface.encodeFunctionData(method, args),
+      value: BigInt(value),
+    };
+  }
+
+  /**
+   * Check that a signed transaction is the expected call
+   * @param {ethers.Transaction|ethers.TransactionResponse} tx - Signed transaction
+   * @param {Object} expected - Expected fields (see _request)
+   * @param {Object} call - Contract call
+   * @param {Object} network - Current network
+   * @private
+   */
+  _check(tx, expected, call, network) {
+    if (tx.from.toLowerCase() !== expected.from.toLowerCase()) {
+      throw walletTransactionError(
+        403,
+        'WRONG_SIGNER',
+        `Transaction was signed by ${tx.from}, not the signed-in wallet ${expected.from}`
+      );
+    }
+
+    const matches =
+      tx.to?.toLowerCase() === expected.to.toLowerCase() &&
+      tx.data.toLowerCase() === expected.data.toLowerCase() &&
+      BigInt(tx.value) === expected.value &&
+      BigInt(tx.chainId) === BigInt(network.chainId);
+
+    if (!matches) {
+      throw walletTransactionError(
+        400,
+        'TRANSACTION_MISMATCH',
+        `Transaction is not the ${call.method} call of this request on chain ${network.chainId}`
+      );
+    }
+  }
+
+  /**
+   * Gas strategy of a network, created on first use
+   * @param {Object} network - Network
+   * @returns {GasStrategy} Gas strategy
+   * @private
+   */
+  _gasStrategy(network) {
+    if (!this.gasStrategies.has(network.name)) {
+      this.gasStrategies.set(network.name, new GasStrategy(getProvider(network), this.config.gas));
+    }
+    return this.gasStrategies.get(network.name);
+  }
+}
+
+export const walletTransactions = new WalletTransactionService();
@@ -0,0 +1,105 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * File storage adapter
+ * Persists all collections to a single JSON file so cached data survives
+ * restarts during local development without any external service.
+ */
+export class FileAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.filePath - Path of the JSON database file
+   */
+  constructor({ filePath }) {
+    this.name = 'file';
+    this.filePath = filePath;
+    this.data = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the database file into memory on first access
+   * @returns {Promise<Object>} Collections keyed by name
+   */
+  async _load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    try {
+      this.data = JSON.parse(await readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not read cache file, starting empty', { filePath: this.filePath, error: error.message });
+      }
+      this.data = {};
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Write the database to disk (writes are serialized and atomic)
+   * @returns {Promise<void>}
+   */
+  _persist() {
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const tmpPath = `${this.filePath}.tmp`;
+        await mkdir(dirname(this.filePath), { recursive: true });
+        await writeFile(tmpPath, JSON.stringify(this.data));
+        await rename(tmpPath, this.filePath);
+      });
+    return this.writeQueue;
+  }
+
+  async _collection(collection) {
+    const data = await this._load();
+    if (!data[collection]) {
+      data[collection] = {};
+    }
+    return data[collection];
+  }
+
+  async get(collection, id) {
+    const doc = (await this._collection(collection))[String(id)];
+    return doc ? structuredClone(doc) : null;
+  }
+
+  async set(collection, id, data) {
+    (await this._collection(collection))[String(id)] = structuredClone(data);
+    await this._persist();
+  }
+
+  async setMany(collection, entries) {
+    const docs = await this._collection(collection);
+    for (const { id, data } of entries) {
+      docs[String(id)] = structuredClone(data);
+    }
+    await this._persist();
+  }
+
+  async merge(collection, id, data) {
+    const docs = await this._collection(collection);
+    docs[String(id)] = { ...(docs[String(id)] || {}), ...structuredClone(data) };
+    await this._persist();
+  }
+
+  async delete(collection, id) {
+    delete (await this._collection(collection))[String(id)];
+    await this._persist();
+  }
+
+  async list(collection) {
+    const docs = await this._collection(collection);
+    return Object.entries(docs).map(([id, doc]) => ({ id, ...structuredClone(doc) }));
+  }
+  async listRange(collection, startId, endId) {
+    return (await this.list(collection))
+      .filter(({ id }) => id >= startId && id <= endId)
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Firestore storage adapter
+ * Requires the optional `firebase-admin` dependency. Use `create()` rather
+ * than the constructor so a missing package surfaces as a rejected promise.
+ */
+export class FirestoreAdapter {
+  constructor(db, { prefix = '', documentId = '__name__' } = {}) {
+    this.name = 'firestore';
+    this.db = db;
+    this.prefix = prefix;
+    this.documentId = documentId;
+  }
+
+  /**
+   * Initialize firebase-admin and build the adapter
+   * @param {Object} options - Adapter options
+   * @param {string} options.projectId - Firebase project ID
+   * @param {string} [options.serviceAccount] - Service account JSON string
+   * @param {string} [options.prefix] - Collection name prefix
+   * @returns {Promise<FirestoreAdapter>} Adapter instance
+   */
+  static async create({ projectId, serviceAccount, prefix }) {
+    const { default: admin } = await import('firebase-admin');
+
+    if (!admin.apps.length) {
+      admin.initializeApp({
+        projectId,
+        credential: serviceAccount
+          ? admin.credential.cert(JSON.parse(serviceAccount))
+          : admin.credential.applicationDefault(),
+      });
+    }
+
+    return new FirestoreAdapter(admin.firestore(), { prefix, documentId: admin.firestore.FieldPath.documentId() });
+  }
+
+  _doc(collection, id) {
+    return this.db.collection(`${this.prefix}${collection}`).doc(String(id));
+  }
+
+  async get(collection, id) {
+    const snapshot = await this._doc(collection, id).get();
+    return snapshot.exists ? snapshot.data() : null;
+  }
+
+  async set(collection, id, data) {
+    await this._doc(collection, id).set(data);
+  }
+
+  async setMany(collection, entries) {
+    // Firestore batches are limited to 500 writes
+    for (let i = 0; i < entries.length; i += 500) {
+      const batch = this.db.batch();
+      for (const { id, data } of entries.slice(i, i + 500)) {
+        batch.set(this._doc(collection, id), data);
+      }
+      await batch.commit();
+    }
+  }
+
+  async merge(collection, id, data) {
+    await this._doc(collection, id).set(data, { merge: true });
+  }
+
+  async delete(collection, id) {
+    await this._doc(collection, id).delete();
+  }
+
+  async list(collection) {
+    const snapshot = await this.db.collection(`${this.prefix}${collection}`).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+  async listRange(collection, startId, endId) {
+    const snapshot = await this.db
+      .collection(`${this.prefix}${collection}`)
+      .orderBy(this.documentId)
+      .startAt(String(startId))
+      .endAt(String(endId))
+      .get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+}
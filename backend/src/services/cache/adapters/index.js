@@ -0,0 +1,38 @@
+import { MemoryAdapter } from './memoryAdapter.js';
+import { FileAdapter } from './fileAdapter.js';
+import { FirestoreAdapter } from './firestoreAdapter.js';
+
+/**
+ * Create a storage adapter
+ * All adapters expose the same async interface:
+ * get(collection, id), set(collection, id, data), setMany(collection, entries),
+ * merge(collection, id, data), delete(collection, id), list(collection) and
+ * listRange(collection, startId, endId), the documents whose IDs sort between
+ * the two (inclusive), in ID order.
+ *
+ * Rejects when the requested backend is unknown or cannot be initialized
+ * (e.g. firebase-admin is not installed) rather than keeping the data in
+ * memory, where it would be lost on restart. Memory is only used when asked for.
+ *
+ * @param {string} backend - Adapter name (memory, file, firestore)
+ * @param {Object} options - Adapter options
+ * @returns {Promise<Object>} Storage adapter
+ */
+export async function createStorageAdapter(backend, options = {}) {
+  switch (backend) {
+    case 'file':
+      return new FileAdapter({ filePath: options.filePath });
+    case 'firestore':
+      try {
+        return await FirestoreAdapter.create(options.firestore || {});
+      } catch (error) {
+        throw new Error(`Storage backend "firestore" unavailable: ${error.message}`);
+      }
+    case 'memory':
+      return new MemoryAdapter();
+    default:
+      throw new Error(`Unknown storage backend "${backend}" (expected memory, file or firestore)`);
+  }
+}
+
+export { MemoryAdapter, FileAdapter, FirestoreAdapter };
@@ -0,0 +1,59 @@
+/**
+ * In-memory storage adapter
+ * Data lives for the lifetime of the process; used for tests and for
+ * data that can be rebuilt, such as the cache.
+ */
+export class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.collections = new Map();
+  }
+
+  /**
+   * Get (or lazily create) a collection map
+   * @param {string} collection - Collection name
+   * @returns {Map} Collection map
+   */
+  _collection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  async get(collection, id) {
+    const doc = this._collection(collection).get(String(id));
+    return doc ? structuredClone(doc) : null;
+  }
+
+  async set(collection, id, data) {
+    this._collection(collection).set(String(id), structuredClone(data));
+  }
+
+  async setMany(collection, entries) {
+    for (const { id, data } of entries) {
+      this._collection(collection).set(String(id), structuredClone(data));
+    }
+  }
+
+  async merge(collection, id, data) {
+    const existing = this._collection(collection).get(String(id)) || {};
+    this._collection(collection).set(String(id), { ...existing, ...structuredClone(data) });
+  }
+
+  async delete(collection, id) {
+    this._collection(collection).delete(String(id));
+  }
+
+  async list(collection) {
+    return Array.from(this._collection(collection).entries()).map(([id, doc]) => ({
+      id,
+      ...structuredClone(doc),
+    }));
+  }
+  async listRange(collection, startId, endId) {
+    return (await this.list(collection))
+      .filter(({ id }) => id >= startId && id <= endId)
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+}
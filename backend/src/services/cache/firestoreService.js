@@ -0,0 +1,213 @@
+import { storageConfig } from '../../config/storage.js';
+import { networkCollection } from '../../config/networks.js';
+import { createStorageAdapter } from './adapters/index.js';
+import { logger } from '../../utils/logger.js';
+
+const COLLECTIONS = {
+  trips: 'trips',
+  escrows: 'escrows',
+  credits: 'credits',
+};
+
+/**
+ * Cache service for trip, escrow and carbon credit data
+ * Sits in front of the blockchain to reduce RPC reads. The storage backend is
+ * pluggable (memory, file or Firestore) and selected through `storageConfig`.
+ * Cache failures are logged and never propagate to callers. Collections are
+ * prefixed with the cache namespace of the current network.
+ */
+export class CacheService {
+  /**
+   * @param {Object} [config] - Storage configuration (defaults to storageConfig)
+   * @param {Object} [adapter] - Pre-built storage adapter
+   */
+  constructor(config = storageConfig, adapter = null) {
+    this.config = config;
+    this.ready = adapter
+      ? Promise.resolve(adapter)
+      : createStorageAdapter(config.backend, config).then(
+        created => {
+          logger.info('Cache initialized', { backend: created.name });
+          return created;
+        },
+        // Everything cached can be read from the chain again, so the cache
+        // keeps running in memory; other stores fail instead
+        error => {
+          logger.error('Cache backend unavailable, caching in memory until restart', {
+            backend: config.backend,
+            error: error.message,
+          });
+          return createStorageAdapter('memory');
+        }
+      );
+  }
+
+  /**
+   * Run an operation against the adapter, swallowing errors
+   * @param {string} operation - Operation name for logging
+   * @param {Function} fn - Receives the adapter
+   * @param {*} fallback - Value returned on failure
+   */
+  async _run(operation, fn, fallback = null) {
+    try {
+      return await fn(await this.ready);
+    } catch (error) {
+      logger.warn('Cache operation failed', { operation, error: error.message });
+      return fallback;
+    }
+  }
+
+  /**
+   * Check whether a cached entry is still fresh
+   * @param {Object} entry - Cached document with `cachedAt`
+   * @returns {boolean} True if within the configured TTL
+   */
+  _isFresh(entry) {
+    if (!entry || !entry.cachedAt) {
+      return false;
+    }
+    return Date.now() - new Date(entry.cachedAt).getTime() < this.config.ttlSeconds * 1000;
+  }
+
+  /**
+   * Get the underlying storage adapter
+   * @returns {Promise<Object>} Storage adapter
+   */
+  getAdapter() {
+    return this.ready;
+  }
+
+  /**
+   * Save trip data
+   * @param {string} tripId - Trip ID
+   * @param {Object} tripData - Trip data
+   */
+  async saveTrip(tripId, tripData) {
+    return this._run('saveTrip', adapter =>
+      adapter.set(networkCollection(COLLECTIONS.trips), tripId, {
+        ...tripData,
+        tripId: String(tripId),
+        cachedAt: new Date().toISOString(),
+      })
+    );
+  }
+
+  /**
+   * Get cached trip data
+   * Stale entries are treated as misses, like escrows and credits.
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<Object|null>} Trip data or null on cache miss
+   */
+  async getTrip(tripId) {
+    const trip = await this._run('getTrip', adapter => adapter.get(networkCollection(COLLECTIONS.trips), tripId));
+    return this._isFresh(trip) ? trip : null;
+  }
+
+  /**
+   * Merge fields into cached trip data
+   * Trips that are not cached yet are skipped so the next read loads the full
+   * record from the chain instead of a partial one. If the merge fails the
+   * entry is dropped rather than left stale.
+   * @param {string} tripId - Trip ID
+   * @param {Object} updates - Fields to update, in the shape getTripMetadata returns
+   */
+  async updateTrip(tripId, updates) {
+    const merged = await this._run(
+      'updateTrip',
+      async adapter => {
+        if (!(await adapter.get(networkCollection(COLLECTIONS.trips), tripId))) {
+          return true;
+        }
+        await adapter.merge(networkCollection(COLLECTIONS.trips), tripId, {
+          ...updates,
+          cachedAt: new Date().toISOString(),
+        });
+        return true;
+      },
+      false
+    );
+    if (!merged) {
+      await this.invalidateTrip(tripId);
+    }
+  }
+
+  /**
+   * Drop cached trip data after a state change
+   * @param {string} tripId - Trip ID
+   */
+  async invalidateTrip(tripId) {
+    return this._run('invalidateTrip', adapter => adapter.delete(networkCollection(COLLECTIONS.trips), tripId));
+  }
+
+  /**
+   * Save escrow data
+   * @param {string} escrowId - Escrow ID
+   * @param {Object} escrowData - Escrow data
+   */
+  async saveEscrow(escrowId, escrowData) {
+    return this._run('saveEscrow', adapter =>
+      adapter.set(networkCollection(COLLECTIONS.escrows), escrowId, {
+        ...escrowData,
+        escrowId: String(escrowId),
+        cachedAt: new Date().toISOString(),
+      })
+    );
+  }
+
+  /**
+   * Get cached escrow data
+   * Escrow balances change on release, so stale entries are treated as misses.
+   * @param {string} escrowId - Escrow ID
+   * @returns {Promise<Object|null>} Escrow data or null on cache miss
+   */
+  async getEscrow(escrowId) {
+    const escrow = await this._run('getEscrow', adapter => adapter.get(networkCollection(COLLECTIONS.escrows), escrowId));
+    return this._isFresh(escrow) ? escrow : null;
+  }
+
+  /**
+   * Drop cached escrow data after a state change
+   * @param {string} escrowId - Escrow ID
+   */
+  async invalidateEscrow(escrowId) {
+    return this._run('invalidateEscrow', adapter => adapter.delete(networkCollection(COLLECTIONS.escrows), escrowId));
+  }
+
+  /**
+   * Save carbon credit data for a wallet
+   * @param {string} walletAddress - Wallet address
+   * @param {Object} credits - Credit data
+   */
+  async saveCredits(walletAddress, credits) {
+    return this._run('saveCredits', adapter =>
+      adapter.set(networkCollection(COLLECTIONS.credits), walletAddress.toLowerCase(), {
+        ...credits,
+        cachedAt: new Date().toISOString(),
+      })
+    );
+  }
+
+  /**
+   * Get cached carbon credit data for a wallet
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<Object|null>} Credit data or null on cache miss
+   */
+  async getCredits(walletAddress) {
+    const credits = await this._run('getCredits', adapter =>
+      adapter.get(networkCollection(COLLECTIONS.credits), walletAddress.toLowerCase())
+    );
+    return this._isFresh(credits) ? credits : null;
+  }
+
+  /**
+   * Drop cached carbon credit data after a mint or burn
+   * @param {string} walletAddress - Wallet address
+   */
+  async invalidateCredits(walletAddress) {
+    return this._run('invalidateCredits', adapter =>
+      adapter.delete(networkCollection(COLLECTIONS.credits), walletAddress.toLowerCase())
+    );
+  }
+}
+
+export const firestoreService = new CacheService();
@@ -0,0 +1,66 @@
+import { renderReportHtml, renderReportPdf } from '../reports/reportRenderer.js';
+
+/**
+ * Label/value rows shown on every certificate format
+ * @param {Object} certificate - Retirement certificate
+ * @returns {Array<[string, string]>} Rows
+ */
+function certificateRows(certificate) {
+  const period =
+    certificate.periodStart || certificate.periodEnd
+      ? `${certificate.periodStart || '…'} to ${certificate.periodEnd || '…'}`
+      : null;
+
+  return [
+    ['Certificate ID', certificate.certificateId],
+    ['Credits retired', certificate.amount],
+    ['Beneficiary', certificate.beneficiary],
+    ['Period', period],
+    ['Linked trips', certificate.tripIds.length > 0 ? certificate.tripIds.join(', ') : null],
+    ['Note', certificate.note],
+    ['Reason', certificate.structured ? null : certificate.reason],
+    ['Retired by', certificate.account],
+    ['Retired at', certificate.retiredAt],
+    ['Transaction', certificate.transactionHash],
+    ['Block', `${certificate.blockNumber} (log ${certificate.logIndex})`],
+    ['Contract', `${certificate.contract.name} ${certificate.contract.address} (chain ${certificate.contract.chainId})`],
+    ['Verification', `${certificate.verification.status} at ${certificate.verification.checkedAt}`],
+  ];
+}
+
+/**
+ * Report layout of a retirement certificate
+ * @param {Object} certificate - Retirement certificate
+ * @returns {Object} Report for the report renderer
+ */
+function certificateReport(certificate) {
+  return {
+    title: `Carbon Credit Retirement Certificate ${certificate.certificateId}`,
+    heading: 'Carbon Credit Retirement Certificate',
+    subtitle: 'DecentraLogix Carbon Credits (DLXCC)',
+    color: '#065f46',
+    border: '#10b981',
+    rows: certificateRows(certificate),
+    footer:
+      'These credits were permanently burned on-chain. Verify this certificate by looking up the ' +
+      `CarbonCreditsBurned event of the transaction above on chain ${certificate.contract.chainId}.`,
+  };
+}
+
+/**
+ * Render a retirement certificate as a printable HTML page
+ * @param {Object} certificate - Retirement certificate
+ * @returns {string} HTML document
+ */
+export function renderCertificateHtml(certificate) {
+  return renderReportHtml(certificateReport(certificate));
+}
+
+/**
+ * Render a retirement certificate as a PDF
+ * @param {Object} certificate - Retirement certificate
+ * @returns {Promise<Buffer>} PDF document
+ */
+export function renderCertificatePdf(certificate) {
+  return renderReportPdf(certificateReport(certificate));
+}
@@ -0,0 +1,203 @@
+import { ethers } from 'ethers';
+import { CarbonCreditsService } from '../blockchain/contractService.js';
+import { eventIndexer } from '../indexer/eventIndexer.js';
+import { currentNetwork } from '../../config/networks.js';
+
+// Marks a burn reason as a structured retirement
+export const RETIREMENT_REASON_TYPE = 'dlx-retirement';
+
+/**
+ * Encode retirement details as the on-chain burn reason
+ * Keys are written in a fixed order so the same details always produce the
+ * same reason string.
+ * @param {Object} details - Retirement details
+ * @param {string} details.beneficiary - Who the retirement is made for
+ * @param {string} [details.periodStart] - Start of the covered period (YYYY-MM-DD)
+ * @param {string} [details.periodEnd] - End of the covered period (YYYY-MM-DD)
+ * @param {string[]} [details.tripIds] - Trips whose emissions are offset
+ * @param {string} [details.note] - Free-text note
+ * @returns {string} Burn reason
+ */
+export function encodeRetirementReason({ beneficiary, periodStart, periodEnd, tripIds, note }) {
+  const reason = { type: RETIREMENT_REASON_TYPE, v: 1, beneficiary };
+  if (periodStart) {
+    reason.periodStart = periodStart;
+  }
+  if (periodEnd) {
+    reason.periodEnd = periodEnd;
+  }
+  if (tripIds && tripIds.length > 0) {
+    reason.tripIds = tripIds.map(String);
+  }
+  if (note) {
+    reason.note = note;
+  }
+  return JSON.stringify(reason);
+}
+
+/**
+ * Decode a burn reason written by encodeRetirementReason
+ * @param {string} reason - Burn reason
+ * @returns {Object|null} Retirement details, or null for free-text reasons
+ */
+export function parseRetirementReason(reason) {
+  let parsed;
+  try {
+    parsed = JSON.parse(reason);
+  } catch {
+    return null;
+  }
+
+  if (!parsed || parsed.type !== RETIREMENT_REASON_TYPE) {
+    return null;
+  }
+
+  return {
+    beneficiary: parsed.beneficiary || null,
+    periodStart: parsed.periodStart || null,
+    periodEnd: parsed.periodEnd || null,
+    tripIds: Array.isArray(parsed.tripIds) ? parsed.tripIds.map(String) : [],
+    note: parsed.note || null,
+  };
+}
+
+/**
+ * Service for retiring carbon credits and issuing retirement certificates
+ * A certificate is derived entirely from the burn transaction, so it can be
+ * reissued at any time. It is verified against the CarbonCreditsBurned event
+ * in the event index.
+ */
+export class RetirementService {
+  /**
+   * @param {CarbonCreditsService} [carbonCreditsService] - Carbon credits service
+   * @param {EventIndexer} [indexer] - Event indexer
+   */
+  constructor(carbonCreditsService = new CarbonCreditsService(), indexer = eventIndexer) {
+    this.carbonCreditsService = carbonCreditsService;
+    this.indexer = indexer;
+  }
+
+  /**
+   * Retire credits held by the backend signer
+   * @param {string} amount - Amount of credits to burn
+   * @param {Object} details - Retirement details (see encodeRetirementReason)
+   * @returns {Promise<Object>} Retirement certificate
+   */
+  async retire(amount, details) {
+    const result = await this.carbonCreditsService.burnCredits(amount, encodeRetirementReason(details));
+    return this.getCertificate(result.txHash);
+  }
+
+  /**
+   * Build the certificate for a burn transaction
+   * @param {string} txHash - Burn transaction hash
+   * @returns {Promise<Object|null>} Certificate, or null if the transaction has no burn
+   */
+  async getCertificate(txHash) {
+    const burn = await this.carbonCreditsService.getBurn(txHash);
+    if (!burn) {
+      return null;
+    }
+
+    return {
+      ...this._format(burn),
+      verification: await this._verify(burn),
+    };
+  }
+
+  /**
+   * List certificates from indexed burn events
+   * @param {string} [account] - Only burns by this account
+   * @returns {Promise<Array|null>} Certificates, newest first, or null if the index is unavailable
+   */
+  async listCertificates(account) {
+    if (!(await this.indexer.isAvailable())) {
+      return null;
+    }
+
+    const events = await this.indexer.getEvents({ event: 'CarbonCreditsBurned', account });
+    return events.reverse().map(event => ({
+      ...this._format({
+        account: ethers.getAddress(event.args.account),
+        amount: event.args.amount,
+        reason: event.args.reason,
+        contractAddress: null,
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        logIndex: event.logIndex,
+        timestamp: event.timestamp,
+      }),
+      verification: { status: 'verified', eventId: event.id, checkedAt: new Date().toISOString() },
+    }));
+  }
+
+  /**
+   * Shape a burn as a certificate
+   * @param {Object} burn - Burn details
+   * @returns {Object} Certificate without verification
+   */
+  _format(burn) {
+    const details = parseRetirementReason(burn.reason);
+
+    return {
+      certificateId: `DLX-RET-${burn.blockNumber}-${burn.logIndex}`,
+      account: burn.account,
+      amount: burn.amount,
+      structured: details !== null,
+      beneficiary: details ? details.beneficiary : null,
+      periodStart: details ? details.periodStart : null,
+      periodEnd: details ? details.periodEnd : null,
+      tripIds: details ? details.tripIds : [],
+      note: details ? details.note : null,
+      reason: burn.reason,
+      retiredAt: new Date(Number(burn.timestamp) * 1000).toISOString(),
+      transactionHash: burn.transactionHash,
+      blockNumber: burn.blockNumber,
+      blockHash: burn.blockHash,
+      logIndex: burn.logIndex,
+      contract: {
+        name: 'CarbonCredits',
+        address: burn.contractAddress || currentNetwork().contractAddresses.carbonCredits,
+        chainId: currentNetwork().chainId,
+      },
+    };
+  }
+
+  /**
+   * Check a burn against the indexed CarbonCreditsBurned event
+   * Statuses: verified (indexed event matches), pending (not indexed yet),
+   * mismatch (indexed event differs or is missing), unavailable (no index).
+   * @param {Object} burn - Burn details read from the receipt
+   * @returns {Promise<Object>} Verification result
+   */
+  async _verify(burn) {
+    const checkedAt = new Date().toISOString();
+
+    if (!(await this.indexer.isAvailable())) {
+      return { status: 'unavailable', eventId: null, checkedAt };
+    }
+
+    const [event] = (
+      await this.indexer.getEvents({
+        event: 'CarbonCreditsBurned',
+        fromBlock: burn.blockNumber,
+        toBlock: burn.blockNumber,
+      })
+    ).filter(event => event.transactionHash === burn.transactionHash && event.logIndex === burn.logIndex);
+
+    if (!event) {
+      const checkpoint = await this.indexer.getCheckpoint();
+      const status = checkpoint.blockNumber < burn.blockNumber ? 'pending' : 'mismatch';
+      return { status, eventId: null, checkedAt };
+    }
+
+    const matches =
+      event.blockHash === burn.blockHash &&
+      event.args.account === burn.account.toLowerCase() &&
+      event.args.amount === burn.amount &&
+      event.args.reason === burn.reason;
+
+    return { status: matches ? 'verified' : 'mismatch', eventId: event.id, checkedAt };
+  }
+}
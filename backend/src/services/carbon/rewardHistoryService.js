@@ -0,0 +1,100 @@
+import { CarbonCreditsService } from '../blockchain/contractService.js';
+import { REWARD_TYPE } from '../../config/constants.js';
+import { decodeCursor, encodeCursor } from '../../utils/cursor.js';
+
+// Number of getReward calls in flight while resolving a page
+const RESOLVE_CONCURRENCY = 10;
+
+/**
+ * Service for a wallet's carbon reward history
+ * Resolves the IDs from getUserRewards through getReward. Reward IDs grow with
+ * mint time, so pages are resolved lazily and the date filter stops the scan
+ * as soon as it leaves the requested range.
+ */
+export class RewardHistoryService {
+  /**
+   * @param {CarbonCreditsService} [carbonCreditsService] - Carbon credits service
+   */
+  constructor(carbonCreditsService = new CarbonCreditsService()) {
+    this.carbonCreditsService = carbonCreditsService;
+  }
+
+  /**
+   * List rewards of a wallet
+   * @param {string} wallet - Wallet address
+   * @param {Object} options - Filter and pagination options
+   * @param {number} [options.from] - Earliest creation time (unix seconds, inclusive)
+   * @param {number} [options.to] - Latest creation time (unix seconds, inclusive)
+   * @param {string} options.order - `asc` or `desc` (by creation)
+   * @param {number} options.limit - Page size
+   * @param {string} [options.cursor] - Cursor from the previous page
+   * @returns {Promise<Object>} Summary, page of rewards and pagination info
+   */
+  async listRewards(wallet, { from, to, order, limit, cursor }) {
+    const after = cursor ? decodeCursor(cursor, decoded => /^\d+$/.test(String(decoded.id))).id : null;
+    const [rewardIds, pendingRewards] = await Promise.all([
+      this.carbonCreditsService.getUserRewards(wallet),
+      this.carbonCreditsService.getPendingRewards(wallet),
+    ]);
+
+    let ids = order === 'desc' ? [...rewardIds].reverse() : rewardIds;
+    if (after) {
+      const position = BigInt(after);
+      ids = ids.filter(id => (order === 'desc' ? BigInt(id) < position : BigInt(id) > position));
+    }
+
+    const rewards = [];
+    let exhausted = false;
+
+    for (let start = 0; start < ids.length && rewards.length <= limit && !exhausted; start += RESOLVE_CONCURRENCY) {
+      const batch = await Promise.all(
+        ids.slice(start, start + RESOLVE_CONCURRENCY).map(id => this.carbonCreditsService.getReward(id))
+      );
+
+      for (const reward of batch) {
+        const createdAt = Number(reward.createdAt);
+        const beforeRange = from !== undefined && createdAt < from;
+        const afterRange = to !== undefined && createdAt > to;
+
+        // Past the end of the range in scan order: nothing further can match
+        if ((order === 'desc' && beforeRange) || (order === 'asc' && afterRange)) {
+          exhausted = true;
+          break;
+        }
+        if (!beforeRange && !afterRange) {
+          rewards.push(this._format(reward));
+        }
+      }
+    }
+
+    const page = rewards.slice(0, limit);
+    const hasMore = rewards.length > limit;
+
+    return {
+      summary: {
+        walletAddress: wallet,
+        rewardCount: rewardIds.length,
+        pendingRewards,
+      },
+      rewards: page,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ id: page[page.length - 1].rewardId }) : null,
+      },
+    };
+  }
+
+  /**
+   * Shape a reward for the API
+   * @param {Object} reward - Reward from getReward
+   * @returns {Object} Reward with type name and claim state
+   */
+  _format(reward) {
+    return {
+      ...reward,
+      rewardTypeName: REWARD_TYPE[reward.rewardType],
+      claimed: reward.claimedAt !== '0',
+    };
+  }
+}
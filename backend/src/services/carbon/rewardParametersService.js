@@ -0,0 +1,168 @@
+import { CarbonCreditsService } from '../blockchain/contractService.js';
+import { eventIndexer } from '../indexer/eventIndexer.js';
+import { indexerConfig } from '../../config/indexer.js';
+import { REWARD_TYPE } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+
+export const REWARD_PARAMETER_FIELDS = [
+  'baseMultiplier',
+  'lowCarbonBonus',
+  'carbonNeutralBonus',
+  'batchOptimizationBonus',
+];
+
+export const DEFAULT_SAMPLE_OFFSETS = ['1', '10', '100', '1000'];
+
+// Bonus applied to each reward type, mirroring CarbonCredits.calculateReward
+const BONUS_FIELD = {
+  LowCarbonFootprint: 'lowCarbonBonus',
+  CarbonNeutral: 'carbonNeutralBonus',
+  BatchOptimization: 'batchOptimizationBonus',
+};
+
+/**
+ * Calculate a reward off-chain with the contract's formula
+ * calculateReward can only use the live parameters, so proposed parameters
+ * are previewed with this copy of it.
+ * @param {string} carbonOffset - Carbon offset (kg CO2)
+ * @param {string} rewardTypeName - Reward type name
+ * @param {Object} parameters - Reward parameters
+ * @returns {bigint} Credit amount
+ */
+export function computeReward(carbonOffset, rewardTypeName, parameters) {
+  const baseAmount = BigInt(carbonOffset) * BigInt(parameters.baseMultiplier);
+  const bonusField = BONUS_FIELD[rewardTypeName];
+  const bonus = bonusField ? (baseAmount * BigInt(parameters[bonusField])) / 100n : 0n;
+  return baseAmount + bonus;
+}
+
+/**
+ * Service for CarbonCredits reward parameters
+ */
+export class RewardParametersService {
+  /**
+   * @param {CarbonCreditsService} [carbonCreditsService] - Carbon credits service
+   * @param {EventIndexer} [indexer] - Event indexer
+   */
+  constructor(carbonCreditsService = new CarbonCreditsService(), indexer = eventIndexer) {
+    this.carbonCreditsService = carbonCreditsService;
+    this.indexer = indexer;
+  }
+
+  /**
+   * Get the live reward parameters
+   * @returns {Promise<Object>} Reward parameters
+   */
+  async getParameters() {
+    return this.carbonCreditsService.getRewardParameters();
+  }
+
+  /**
+   * Compare rewards under the live and proposed parameters
+   * Current amounts come from calculateReward; `formulaMatches` is false if
+   * the off-chain formula disagrees with it, in which case the proposed
+   * amounts cannot be trusted.
+   * @param {Object} proposed - Proposed reward parameters
+   * @param {string[]} [sampleOffsets] - Carbon offsets to preview
+   * @returns {Promise<Object>} Preview
+   */
+  async preview(proposed, sampleOffsets = DEFAULT_SAMPLE_OFFSETS) {
+    const current = await this.getParameters();
+
+    const samples = await Promise.all(
+      sampleOffsets.flatMap(carbonOffset =>
+        REWARD_TYPE.map(async (rewardTypeName, rewardType) => {
+          const onChain = await this.carbonCreditsService.calculateReward(carbonOffset, rewardType);
+          const expected = computeReward(carbonOffset, rewardTypeName, current).toString();
+          const proposedAmount = computeReward(carbonOffset, rewardTypeName, proposed);
+          const change = proposedAmount - BigInt(onChain);
+
+          return {
+            carbonOffset,
+            rewardType,
+            rewardTypeName,
+            current: onChain,
+            proposed: proposedAmount.toString(),
+            change: change.toString(),
+            changePercent: onChain === '0' ? null : Number((change * 10000n) / BigInt(onChain)) / 100,
+            formulaMatches: expected === onChain,
+          };
+        })
+      )
+    );
+
+    return {
+      current,
+      proposed,
+      formulaMatches: samples.every(sample => sample.formulaMatches),
+      samples,
+    };
+  }
+
+  /**
+   * Apply new reward parameters
+   * @param {Object} parameters - New reward parameters
+   * @returns {Promise<Object>} Transaction result with the preview of the change
+   */
+  async update(parameters) {
+    const preview = await this.preview(parameters);
+    const { txHash, blockNumber } = await this.carbonCreditsService.updateRewardParameters(parameters);
+    return { txHash, blockNumber, preview };
+  }
+
+  /**
+   * Get the history of parameter changes, newest first
+   * Built from RewardParametersUpdated events (from the index when available).
+   * The event omits batchOptimizationBonus, so full parameter sets before and
+   * after each change are read at the event's block; nodes that prune old
+   * state return only the event values.
+   * @returns {Promise<Array>} Parameter changes
+   */
+  async getHistory() {
+    const events = (await this.indexer.isAvailable())
+      ? await this.indexer.getEvents({ contract: 'CarbonCredits', event: 'RewardParametersUpdated' })
+      : await this.carbonCreditsService.getRewardParameterEvents(indexerConfig.startBlock);
+
+    const provider = this.carbonCreditsService.provider;
+    const history = [];
+
+    for (const event of events) {
+      const [transaction, block, parameters, previous] = await Promise.all([
+        provider.getTransaction(event.transactionHash),
+        event.timestamp === undefined ? provider.getBlock(event.blockNumber) : null,
+        this._parametersAt(event.blockNumber),
+        this._parametersAt(event.blockNumber - 1),
+      ]);
+
+      history.push({
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+        changedAt: new Date(Number(block ? block.timestamp : event.timestamp) * 1000).toISOString(),
+        changedBy: transaction ? transaction.from : null,
+        parameters: parameters || { ...event.args, batchOptimizationBonus: null },
+        previous,
+      });
+    }
+
+    return history.reverse();
+  }
+
+  /**
+   * Read the parameters at a block
+   * @param {number} blockNumber - Block number
+   * @returns {Promise<Object|null>} Parameters, or null if the node has no state for the block
+   */
+  async _parametersAt(blockNumber) {
+    if (blockNumber < 0) {
+      return null;
+    }
+
+    try {
+      return await this.carbonCreditsService.getRewardParameters(blockNumber);
+    } catch (error) {
+      logger.warn('Historical reward parameters unavailable', { blockNumber, error: error.message });
+      return null;
+    }
+  }
+}
@@ -0,0 +1,107 @@
+import { REWARD_TYPE } from '../../config/constants.js';
+
+/**
+ * Rules used when CARBON_REWARD_RULES is not set
+ * Evaluated in order; the first matching rule picks the reward type.
+ */
+export const DEFAULT_REWARD_RULES = [
+  { rewardType: 'CarbonNeutral', maxActualFootprint: 0 },
+  { rewardType: 'LowCarbonFootprint', minReductionPercent: 30 },
+  { rewardType: 'TripCompletion' },
+];
+
+const NUMERIC_CONDITIONS = [
+  'minOffset',
+  'minReductionPercent',
+  'maxActualFootprint',
+  'maxFootprintPerKm',
+  'minDistance',
+  'maxDistance',
+  'minBatchSize',
+  'batchWindowSeconds',
+];
+
+/**
+ * Parse and validate reward rules
+ * Rule conditions (all optional, all must hold):
+ *   minOffset           - offset (estimated - actual, kg CO2) at least this
+ *   minReductionPercent - offset as a share of the estimate, in percent
+ *   maxActualFootprint  - actual footprint at most this (0 = carbon neutral)
+ *   maxFootprintPerKm   - actual footprint per km at most this
+ *   minDistance, maxDistance - trip distance bounds (km)
+ *   carriers            - carrier addresses the rule applies to
+ *   minBatchSize        - carrier completed at least this many trips (this
+ *                         one included) within batchWindowSeconds (default 86400)
+ * @param {string|Array|null} source - JSON string or rule array (null for defaults)
+ * @returns {Array} Normalized rules
+ */
+export function parseRewardRules(source) {
+  const rules = typeof source === 'string' ? JSON.parse(source) : source || DEFAULT_REWARD_RULES;
+
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error('Carbon reward rules must be a non-empty array');
+  }
+
+  return rules.map((rule, index) => {
+    if (!REWARD_TYPE.includes(rule.rewardType)) {
+      throw new Error(`Reward rule ${index}: rewardType must be one of ${REWARD_TYPE.join(', ')}`);
+    }
+
+    for (const condition of NUMERIC_CONDITIONS) {
+      if (rule[condition] !== undefined && !(typeof rule[condition] === 'number' && rule[condition] >= 0)) {
+        throw new Error(`Reward rule ${index}: ${condition} must be a non-negative number`);
+      }
+    }
+
+    if (rule.carriers !== undefined && !Array.isArray(rule.carriers)) {
+      throw new Error(`Reward rule ${index}: carriers must be an array of addresses`);
+    }
+
+    return {
+      ...rule,
+      carriers: rule.carriers && rule.carriers.map(address => address.toLowerCase()),
+      batchWindowSeconds: rule.minBatchSize !== undefined ? rule.batchWindowSeconds ?? 86400 : undefined,
+    };
+  });
+}
+
+/**
+ * Pick the reward type for a completed trip
+ * @param {Object} trip - Trip metadata
+ * @param {string} actualCarbonFootprint - Footprint reported on completion
+ * @param {Array} rules - Normalized rules
+ * @param {Function} [countBatch] - async (carrier, completedAt, windowSeconds) => trips completed in the window
+ * @returns {Promise<Object|null>} `{ rewardType, rewardTypeName, rule }`, or null if no rule matches
+ */
+export async function classifyReward(trip, actualCarbonFootprint, rules, countBatch = null) {
+  const estimated = Number(trip.estimatedCarbonFootprint);
+  const actual = Number(actualCarbonFootprint);
+  const distance = Number(trip.distance);
+  const offset = estimated - actual;
+  const reduction = estimated > 0 ? (offset / estimated) * 100 : 0;
+  const carrier = trip.carrier.toLowerCase();
+
+  for (const [index, rule] of rules.entries()) {
+    const matches =
+      (rule.minOffset === undefined || offset >= rule.minOffset) &&
+      (rule.minReductionPercent === undefined || reduction >= rule.minReductionPercent) &&
+      (rule.maxActualFootprint === undefined || actual <= rule.maxActualFootprint) &&
+      (rule.maxFootprintPerKm === undefined || (distance > 0 && actual / distance <= rule.maxFootprintPerKm)) &&
+      (rule.minDistance === undefined || distance >= rule.minDistance) &&
+      (rule.maxDistance === undefined || distance <= rule.maxDistance) &&
+      (!rule.carriers || rule.carriers.includes(carrier)) &&
+      (rule.minBatchSize === undefined ||
+        (countBatch !== null &&
+          (await countBatch(carrier, Number(trip.completedAt), rule.batchWindowSeconds)) >= rule.minBatchSize));
+
+    if (matches) {
+      return {
+        rewardType: REWARD_TYPE.indexOf(rule.rewardType),
+        rewardTypeName: rule.rewardType,
+        rule: index,
+      };
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,73 @@
+import * as dagPB from '@ipld/dag-pb';
+import { UnixFS } from 'ipfs-unixfs';
+import { CID } from 'multiformats/cid';
+import * as raw from 'multiformats/codecs/raw';
+import { sha256 } from 'multiformats/hashes/sha2';
+
+// Defaults of `ipfs add --cid-version 1`: 256 KiB chunks, raw leaves and a
+// balanced DAG of up to 174 links per node
+const CHUNK_SIZE = 262144;
+const MAX_LINKS = 174;
+
+/**
+ * Options to pass to `ipfs.add` so an IPFS node returns the CID computeCid computes
+ */
+export const IPFS_ADD_OPTIONS = {
+  cidVersion: 1,
+  rawLeaves: true,
+  chunker: `size-${CHUNK_SIZE}`,
+};
+
+/**
+ * Build a parent node over a group of child nodes
+ * @param {Array} children - `{ cid, size, fileSize }` of each child
+ * @returns {Promise<Object>} `{ cid, size, fileSize }` of the parent
+ */
+async function parentNode(children) {
+  const unixfs = new UnixFS({ type: 'file', blockSizes: children.map(child => child.fileSize) });
+  const bytes = dagPB.encode(
+    dagPB.prepare({
+      Data: unixfs.marshal(),
+      Links: children.map(child => ({ Name: '', Tsize: child.size, Hash: child.cid })),
+    })
+  );
+
+  return {
+    cid: CID.createV1(dagPB.code, await sha256.digest(bytes)),
+    size: bytes.length + children.reduce((total, child) => total + child.size, 0),
+    fileSize: children.reduce((total, child) => total + child.fileSize, 0),
+  };
+}
+
+/**
+ * Compute the IPFS CID of a file
+ * Gives the CID an IPFS node returns for `ipfs add --cid-version 1` (and for
+ * IPFS_ADD_OPTIONS), so documents keep their CID whichever storage backend
+ * holds them. Files up to 256 KiB are a single raw block.
+ * @param {Uint8Array} bytes - File content
+ * @returns {Promise<string>} CIDv1 (base32)
+ */
+export async function computeCid(bytes) {
+  let nodes = [];
+  for (let offset = 0; offset < bytes.length || offset === 0; offset += CHUNK_SIZE) {
+    const chunk = bytes.subarray(offset, offset + CHUNK_SIZE);
+    nodes.push({
+      cid: CID.createV1(raw.code, await sha256.digest(chunk)),
+      size: chunk.length,
+      fileSize: chunk.length,
+    });
+  }
+
+  if (nodes.length === 1) {
+    return nodes[0].cid.toString();
+  }
+
+  while (nodes.length > 1) {
+    const parents = [];
+    for (let index = 0; index < nodes.length; index += MAX_LINKS) {
+      parents.push(await parentNode(nodes.slice(index, index + MAX_LINKS)));
+    }
+    nodes = parents;
+  }
+  return nodes[0].cid.toString();
+}
@@ -0,0 +1,53 @@
+import { ethers } from 'ethers';
+import { currentNetwork } from '../../config/networks.js';
+
+/**
+ * EIP-712 type of the receipt a receiver signs for a delivery proof
+ */
+export const DELIVERY_RECEIPT_TYPES = {
+  DeliveryReceipt: [
+    { name: 'tripId', type: 'uint256' },
+    { name: 'carrier', type: 'address' },
+    { name: 'documents', type: 'string[]' },
+  ],
+};
+
+/**
+ * EIP-712 domain of delivery receipts on a network
+ * Bound to the chain and its TripRegistry, so a receipt cannot be replayed
+ * for a trip of another deployment.
+ * @param {Object} [network] - Network (defaults to the current network)
+ * @returns {Object} Domain
+ */
+export function deliveryReceiptDomain(network = currentNetwork()) {
+  return {
+    name: 'DecentraLogix Delivery Receipt',
+    version: '1',
+    chainId: network.chainId,
+    verifyingContract: network.contractAddresses.tripRegistry,
+  };
+}
+
+/**
+ * Recover the signer of a delivery receipt
+ * The receiver signs the trip, its carrier and the CIDs of the proof files,
+ * in manifest order, with `signTypedData`.
+ * @param {Object} receipt - Signed receipt
+ * @param {string} receipt.tripId - Trip ID
+ * @param {string} receipt.carrier - Carrier address
+ * @param {string[]} receipt.documents - CIDs of the proof files
+ * @param {string} signature - Signature
+ * @returns {string|null} Checksummed signer address, null if the signature is malformed
+ */
+export function recoverReceiptSigner({ tripId, carrier, documents }, signature) {
+  try {
+    return ethers.verifyTypedData(
+      deliveryReceiptDomain(),
+      DELIVERY_RECEIPT_TYPES,
+      { tripId, carrier, documents },
+      signature
+    );
+  } catch {
+    return null;
+  }
+}
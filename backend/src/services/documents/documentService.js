@@ -0,0 +1,236 @@
+import { documentConfig } from '../../config/documents.js';
+import { storageConfig } from '../../config/storage.js';
+import { createStorageAdapter } from '../cache/adapters/index.js';
+import { createDocumentStore } from './stores/index.js';
+import { computeCid } from './cid.js';
+import { recoverReceiptSigner } from './deliveryReceipt.js';
+import { TripRegistryService } from '../blockchain/contractService.js';
+
+const COLLECTION = 'documents';
+
+/**
+ * `type` of the JSON documents built by the service
+ */
+export const TRIP_METADATA_TYPE = 'decentralogix/trip-metadata';
+export const DELIVERY_PROOF_TYPE = 'decentralogix/delivery-proof';
+
+/**
+ * Create an error carrying an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function documentError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Trip documents: metadata JSON, delivery proof files and proof manifests
+ * Content goes to the configured document store (IPFS or the filesystem
+ * stand-in) and is addressed by CID; the returned CIDs are what `createTrip`
+ * takes as `ipfsMetadataHash` and `completeTrip` as `ipfsProofHash`. An index
+ * keeps each document's name, content type and uploader, and only indexed
+ * documents are served back.
+ *
+ * A delivery proof is a JSON manifest listing the CIDs of its files, with
+ * the receiver's signed receipt when there is one (see deliveryReceipt.js).
+ * It has no timestamp, so the same files, trip, notes and signature always
+ * give the same CID.
+ */
+export class DocumentService {
+  /**
+   * @param {Object} [options] - Dependencies and configuration
+   */
+  constructor({
+    config = documentConfig,
+    store = createDocumentStore(documentConfig.storage, documentConfig),
+    index = createStorageAdapter(documentConfig.backend, {
+      filePath: documentConfig.filePath,
+      firestore: storageConfig.firestore,
+    }),
+    tripRegistryService = new TripRegistryService(),
+  } = {}) {
+    this.config = config;
+    this.store = store;
+    this.index = index;
+    this.tripRegistryService = tripRegistryService;
+  }
+
+  /**
+   * Store a document
+   * Uploading content that is already stored returns the existing record.
+   * @param {Uint8Array} bytes - Content
+   * @param {Object} details - Document details
+   * @param {string} details.name - File name
+   * @param {string} details.contentType - MIME type
+   * @param {string} details.uploadedBy - Address of the uploader
+   * @param {string} [details.kind] - `file`, `trip-metadata` or `delivery-proof`
+   * @param {string} [details.tripId] - Trip the document belongs to
+   * @returns {Promise<Object>} Document record
+   */
+  async upload(bytes, { name, contentType, uploadedBy, kind = 'file', tripId = null }) {
+    if (bytes.length === 0) {
+      throw documentError(400, `${name} is empty`);
+    }
+
+    const store = await this.store;
+    const index = await this.index;
+    const cid = await store.put(bytes);
+
+    const existing = await index.get(COLLECTION, cid);
+    if (existing) {
+      return existing;
+    }
+
+    const record = {
+      cid,
+      uri: `ipfs://${cid}`,
+      name,
+      contentType: contentType || 'application/octet-stream',
+      size: bytes.length,
+      kind,
+      tripId,
+      uploadedBy,
+      storage: store.name,
+      createdAt: new Date().toISOString(),
+    };
+    await index.set(COLLECTION, cid, record);
+    return record;
+  }
+
+  /**
+   * Store trip metadata JSON
+   * @param {Object} metadata - Metadata (description, cargo, references, attached documents)
+   * @param {string} uploadedBy - Address of the uploader
+   * @returns {Promise<Object>} Document record, with the stored `document`
+   */
+  async createTripMetadata(metadata, uploadedBy) {
+    await this._requireDocuments((metadata.documents || []).map(document => document.cid));
+
+    const document = { type: TRIP_METADATA_TYPE, version: 1, ...metadata };
+    const record = await this.upload(Buffer.from(JSON.stringify(document)), {
+      name: 'metadata.json',
+      contentType: 'application/json',
+      kind: 'trip-metadata',
+      uploadedBy,
+    });
+    return { ...record, document };
+  }
+
+  /**
+   * Store delivery proof files and their manifest
+   * @param {Object} proof - Proof details
+   * @param {string} proof.tripId - Trip ID
+   * @param {string} [proof.notes] - Notes from the carrier
+   * @param {string} [proof.receiverSignature] - Receiver's signed receipt of the files, in upload order
+   * @param {Array} files - Uploaded files (`{ buffer, originalname, mimetype }`)
+   * @param {string} uploadedBy - Address of the uploader (the carrier)
+   * @returns {Promise<Object>} Manifest record, with the `manifest`
+   */
+  async createDeliveryProof({ tripId, notes = '', receiverSignature }, files, uploadedBy) {
+    if (files.length === 0) {
+      throw documentError(400, 'A delivery proof needs at least one file');
+    }
+
+    if (receiverSignature) {
+      const cids = await Promise.all(files.map(file => computeCid(file.buffer)));
+      await this._requireReceiverSignature(tripId, uploadedBy, cids, receiverSignature);
+    }
+
+    const entries = [];
+    for (const file of files) {
+      const { cid } = await this.upload(file.buffer, {
+        name: file.originalname,
+        contentType: file.mimetype,
+        uploadedBy,
+        tripId,
+      });
+      entries.push({ cid, name: file.originalname, contentType: file.mimetype, size: file.buffer.length });
+    }
+
+    const manifest = {
+      type: DELIVERY_PROOF_TYPE,
+      version: 1,
+      tripId,
+      files: entries,
+      notes,
+      submittedBy: uploadedBy,
+      ...(receiverSignature && { receiverSignature }),
+    };
+    const record = await this.upload(Buffer.from(JSON.stringify(manifest)), {
+      name: 'proof.json',
+      contentType: 'application/json',
+      kind: 'delivery-proof',
+      uploadedBy,
+      tripId,
+    });
+    return { ...record, manifest };
+  }
+
+  /**
+   * Get a document record
+   * @param {string} cid - CID
+   * @returns {Promise<Object|null>} Document record, null if not uploaded here
+   */
+  async getRecord(cid) {
+    const index = await this.index;
+    return index.get(COLLECTION, cid);
+  }
+
+  /**
+   * Get a document with its content
+   * @param {string} cid - CID
+   * @returns {Promise<Object|null>} `{ record, content }`, null if not uploaded here
+   */
+  async getDocument(cid) {
+    const record = await this.getRecord(cid);
+    if (!record) {
+      return null;
+    }
+
+    const store = await this.store;
+    const content = await store.get(cid);
+    return content ? { record, content } : null;
+  }
+
+  /**
+   * Check that a delivery receipt was signed by the trip's receiver
+   * @param {string} tripId - Trip ID
+   * @param {string} carrier - Carrier address
+   * @param {string[]} cids - CIDs of the proof files
+   * @param {string} signature - Receiver signature
+   * @private
+   */
+  async _requireReceiverSignature(tripId, carrier, cids, signature) {
+    const signer = recoverReceiptSigner({ tripId, carrier, documents: cids }, signature);
+    if (!signer) {
+      throw documentError(400, 'Malformed receiver signature');
+    }
+
+    const trip = await this.tripRegistryService.getTripMetadata(tripId);
+    if (signer.toLowerCase() !== trip.receiver.toLowerCase()) {
+      throw documentError(
+        422,
+        `Receiver signature is from ${signer}, not the trip receiver ${trip.receiver}; ` +
+          'it must sign these files, in upload order'
+      );
+    }
+  }
+
+  /**
+   * Check that documents were uploaded
+   * @param {string[]} cids - CIDs
+   * @private
+   */
+  async _requireDocuments(cids) {
+    for (const cid of cids) {
+      if (!(await this.getRecord(cid))) {
+        throw documentError(404, `Document ${cid} not found`);
+      }
+    }
+  }
+}
+
+export const documentService = new DocumentService();
@@ -0,0 +1,58 @@
+import { mkdir, readFile, rename, stat, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { computeCid } from '../cid.js';
+
+/**
+ * Content-addressed filesystem store
+ * Stand-in for an IPFS node during offline development: each document is a
+ * file named by its CID, so content is stored once and never changes.
+ */
+export class FilesystemStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory holding the documents
+   */
+  constructor({ directory }) {
+    this.name = 'filesystem';
+    this.directory = directory;
+  }
+
+  /**
+   * Store a document
+   * @param {Uint8Array} bytes - Content
+   * @returns {Promise<string>} CID
+   */
+  async put(bytes) {
+    const cid = await computeCid(bytes);
+    const path = join(this.directory, cid);
+
+    try {
+      await stat(path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      await mkdir(this.directory, { recursive: true });
+      await writeFile(`${path}.tmp`, bytes);
+      await rename(`${path}.tmp`, path);
+    }
+
+    return cid;
+  }
+
+  /**
+   * Read a document
+   * @param {string} cid - CID
+   * @returns {Promise<Buffer|null>} Content, null if not stored
+   */
+  async get(cid) {
+    try {
+      return await readFile(join(this.directory, cid));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,34 @@
+import { FilesystemStore } from './filesystemStore.js';
+import { IpfsStore } from './ipfsStore.js';
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * Create a document store
+ * All stores expose the same async interface: put(bytes) -> CID and
+ * get(cid) -> content. CIDs are the same in every store (see cid.js).
+ *
+ * Falls back to the filesystem store when the requested one cannot be
+ * initialized (e.g. ipfs-http-client is not installed).
+ *
+ * @param {string} storage - Store name (ipfs, filesystem)
+ * @param {Object} options - Store options
+ * @returns {Promise<Object>} Document store
+ */
+export async function createDocumentStore(storage, options = {}) {
+  try {
+    switch (storage) {
+      case 'ipfs':
+        return await IpfsStore.create({ url: options.ipfsApiUrl, timeoutMs: options.ipfsTimeoutMs });
+      case 'filesystem':
+        return new FilesystemStore({ directory: options.directory });
+      default:
+        logger.warn(`Unknown document storage "${storage}", using filesystem`);
+        return new FilesystemStore({ directory: options.directory });
+    }
+  } catch (error) {
+    logger.warn(`Document storage "${storage}" unavailable, using filesystem`, { error: error.message });
+    return new FilesystemStore({ directory: options.directory });
+  }
+}
+
+export { FilesystemStore, IpfsStore };
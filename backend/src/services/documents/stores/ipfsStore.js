@@ -0,0 +1,50 @@
+import { IPFS_ADD_OPTIONS } from '../cid.js';
+
+/**
+ * IPFS store
+ * Adds and pins documents on an IPFS node through its HTTP API. Requires
+ * `ipfs-http-client`; use `create()` rather than the constructor so a missing
+ * package surfaces as a rejected promise.
+ */
+export class IpfsStore {
+  constructor(client, { timeoutMs }) {
+    this.name = 'ipfs';
+    this.client = client;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Connect to an IPFS node
+   * @param {Object} options - Store options
+   * @param {string} options.url - HTTP API URL (e.g. http://127.0.0.1:5001/api/v0)
+   * @param {number} options.timeoutMs - Request timeout
+   * @returns {Promise<IpfsStore>} Store instance
+   */
+  static async create({ url, timeoutMs }) {
+    const { create } = await import('ipfs-http-client');
+    return new IpfsStore(create({ url, timeout: timeoutMs }), { timeoutMs });
+  }
+
+  /**
+   * Add and pin a document
+   * @param {Uint8Array} bytes - Content
+   * @returns {Promise<string>} CID
+   */
+  async put(bytes) {
+    const { cid } = await this.client.add(bytes, { ...IPFS_ADD_OPTIONS, pin: true });
+    return cid.toString();
+  }
+
+  /**
+   * Read a document
+   * @param {string} cid - CID
+   * @returns {Promise<Buffer>} Content
+   */
+  async get(cid) {
+    const chunks = [];
+    for await (const chunk of this.client.cat(cid, { timeout: this.timeoutMs })) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+}
@@ -0,0 +1,439 @@
+import { EventEmitter } from 'events';
+import { getContract, getProvider } from '../../config/blockchain.js';
+import { indexerConfig } from '../../config/indexer.js';
+import { currentNetwork, defaultNetwork } from '../../config/networks.js';
+import { storageConfig } from '../../config/storage.js';
+import { createStorageAdapter } from '../cache/adapters/index.js';
+import { TripProjection } from './tripProjection.js';
+import { logger } from '../../utils/logger.js';
+
+const INDEXED_CONTRACTS = ['TripRegistry', 'PaymentEscrow', 'CarbonCredits'];
+
+const COLLECTIONS = {
+  events: 'events',
+  state: 'indexer_state',
+  blocks: 'indexer_blocks',
+};
+
+/**
+ * Build a sortable event ID from its chain position
+ * @param {number} blockNumber - Block number
+ * @param {number} logIndex - Log index within the block
+ * @returns {string} Event ID
+ */
+export function eventId(blockNumber, logIndex) {
+  return `${String(blockNumber).padStart(12, '0')}-${String(logIndex).padStart(6, '0')}`;
+}
+
+/**
+ * ID of a stored block hash, sortable like event IDs
+ * @param {number} blockNumber - Block number
+ * @returns {string} Document ID
+ */
+function blockId(blockNumber) {
+  return String(blockNumber).padStart(12, '0');
+}
+
+/**
+ * Range of event IDs in a block range
+ * @param {number} [fromBlock] - First block (inclusive), from the first when absent
+ * @param {number} [toBlock] - Last block (inclusive), to the latest when absent
+ * @returns {string[]} First and last possible event ID
+ */
+function eventIdRange(fromBlock = 0, toBlock = 999999999999) {
+  return [eventId(fromBlock, 0), eventId(toBlock, 999999)];
+}
+
+/**
+ * Check whether an event record matches query filters
+ * @param {Object} event - Event record
+ * @param {Object} filters - Filters, as for `getEvents`
+ * @returns {boolean} True if the event matches every given filter
+ */
+export function matchesEventFilters(event, filters) {
+  const events = filters.event && [].concat(filters.event);
+  const account = filters.account && filters.account.toLowerCase();
+
+  return (
+    (!filters.contract || event.contract === filters.contract) &&
+    (!events || events.includes(event.event)) &&
+    (filters.tripId === undefined || event.tripId === String(filters.tripId)) &&
+    (filters.escrowId === undefined || event.escrowId === String(filters.escrowId)) &&
+    (!account || event.accounts.includes(account)) &&
+    (filters.fromBlock === undefined || event.blockNumber >= filters.fromBlock) &&
+    (filters.toBlock === undefined || event.blockNumber <= filters.toBlock)
+  );
+}
+
+/**
+ * Convert decoded event args into plain JSON values
+ * @param {Object} fragment - Event fragment
+ * @param {Array} args - Decoded args
+ * @returns {Object} Args keyed by parameter name
+ */
+function toPlainArgs(fragment, args) {
+  const plain = {};
+  fragment.inputs.forEach((input, index) => {
+    const value = args[index];
+    if (typeof value === 'bigint') {
+      plain[input.name] = input.type === 'uint8' ? Number(value) : value.toString();
+    } else if (input.type === 'address') {
+      plain[input.name] = value.toLowerCase();
+    } else {
+      plain[input.name] = value;
+    }
+  });
+  return plain;
+}
+
+/**
+ * Persistent indexer for TripRegistry, PaymentEscrow and CarbonCredits events
+ * Backfills from the deployment block, keeps a checkpoint so it resumes after
+ * restarts, and rolls back events from orphaned blocks on chain reorgs.
+ *
+ * Projections registered with `addProjection` derive read models (e.g. the
+ * trip index) from each batch and are rolled back together with the events.
+ *
+ * Emits `event` for every newly indexed event and `reorg` on rollback.
+ *
+ * Only the default network is indexed; on other networks `isAvailable` is
+ * false so readers fall back to the chain.
+ */
+export class EventIndexer extends EventEmitter {
+  /**
+   * @param {Object} [config] - Indexer configuration (defaults to indexerConfig)
+   */
+  constructor(config = indexerConfig) {
+    super();
+    this.config = config;
+    this.network = defaultNetwork;
+    this.provider = getProvider(this.network);
+    this.contracts = INDEXED_CONTRACTS.map(name => ({ name, contract: getContract(name, false, this.network) }));
+    this.store = createStorageAdapter(config.backend, {
+      filePath: config.filePath,
+      firestore: storageConfig.firestore,
+    });
+    this.projections = [];
+    this.timer = null;
+    this.syncing = null;
+  }
+
+  /**
+   * Register a projection
+   * @param {Object} projection - Object with `apply(store, records)` and `rollback(store, orphaned)`
+   */
+  addProjection(projection) {
+    this.projections.push(projection);
+  }
+
+  /**
+   * Start polling the chain for new events
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    const contracts = await Promise.all(
+      this.contracts.map(async ({ name, contract }) => ({ name, address: await contract.getAddress() }))
+    );
+    logger.info('Starting event indexer', { contracts, startBlock: this.config.startBlock });
+
+    const tick = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        logger.error('Event indexer sync failed', { error: error.message });
+      }
+      this.timer = setTimeout(tick, this.config.pollIntervalMs);
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Get the current checkpoint
+   * @returns {Promise<Object|null>} Last indexed block number and hash
+   */
+  async getCheckpoint() {
+    const store = await this.store;
+    return store.get(COLLECTIONS.state, 'checkpoint');
+  }
+
+  /**
+   * Index all confirmed blocks since the checkpoint
+   * Concurrent calls share the same run.
+   * @returns {Promise<Object>} Sync summary
+   */
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this._sync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async _sync() {
+    const store = await this.store;
+    const head = await this.provider.getBlockNumber();
+    const target = head - this.config.confirmations;
+    let indexed = 0;
+
+    // Checked before every batch, so a reorg during a long catch-up is
+    // rolled back before more blocks are indexed on top of it
+    for (;;) {
+      await this._handleReorg(store);
+      const checkpoint = await this.getCheckpoint();
+      const fromBlock = checkpoint ? checkpoint.blockNumber + 1 : this.config.startBlock;
+      if (fromBlock > target) {
+        break;
+      }
+      const toBlock = Math.min(fromBlock + this.config.batchSize - 1, target);
+      indexed += await this._indexRange(store, fromBlock, toBlock, target);
+    }
+
+    const latest = await this.getCheckpoint();
+    return { head, indexedTo: latest ? latest.blockNumber : null, indexed };
+  }
+
+  /**
+   * Fetch, decode and store events for a block range, then advance the checkpoint
+   * @param {Object} store - Storage adapter
+   * @param {number} fromBlock - First block (inclusive)
+   * @param {number} toBlock - Last block (inclusive)
+   * @param {number} target - Last block of the sync, to tell which blocks are within the reorg window
+   * @returns {Promise<number>} Number of events stored
+   */
+  async _indexRange(store, fromBlock, toBlock, target = toBlock) {
+    const addresses = await Promise.all(this.contracts.map(({ contract }) => contract.getAddress()));
+    const logs = await this.provider.getLogs({ address: addresses, fromBlock, toBlock });
+
+    // Blocks read for timestamps and hashes, each fetched once
+    const blocks = new Map();
+    const getBlock = async number => {
+      if (!blocks.has(number)) {
+        blocks.set(number, await this.provider.getBlock(number));
+      }
+      return blocks.get(number);
+    };
+    const records = [];
+
+    for (const log of logs) {
+      const record = this._decode(log);
+      if (!record) {
+        continue;
+      }
+      record.timestamp = (await getBlock(log.blockNumber)).timestamp;
+      records.push(record);
+    }
+
+    if (records.length > 0) {
+      await store.setMany(COLLECTIONS.events, records.map(record => ({ id: record.id, data: record })));
+    }
+
+    for (const projection of this.projections) {
+      await projection.apply(store, records);
+    }
+
+    // Hash of every block within the reorg window, so a rollback stops at
+    // the common ancestor rather than at the end of an earlier batch
+    // (and of the last block, the checkpoint, in any case)
+    const windowStart = Math.min(Math.max(fromBlock, target - this.config.reorgDepth + 1), toBlock);
+    const hashes = [];
+    for (let number = windowStart; number <= toBlock; number++) {
+      hashes.push({ id: blockId(number), data: { blockNumber: number, blockHash: (await getBlock(number)).hash } });
+    }
+    await store.setMany(COLLECTIONS.blocks, hashes);
+    await store.set(COLLECTIONS.state, 'checkpoint', {
+      blockNumber: toBlock,
+      blockHash: hashes[hashes.length - 1].data.blockHash,
+      updatedAt: new Date().toISOString(),
+    });
+    await this._pruneBlocks(store, toBlock);
+
+    if (records.length > 0) {
+      logger.info('Indexed events', { fromBlock, toBlock, count: records.length });
+    }
+    records.forEach(record => this.emit('event', record));
+
+    return records.length;
+  }
+
+  /**
+   * Decode a raw log into an event record
+   * @param {Object} log - Raw log
+   * @returns {Object|null} Event record, or null if no ABI matches
+   */
+  _decode(log) {
+    const source = this.contracts.find(
+      ({ contract }) => contract.target.toLowerCase() === log.address.toLowerCase()
+    );
+    if (!source) {
+      return null;
+    }
+
+    let parsed;
+    try {
+      parsed = source.contract.interface.parseLog(log);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed) {
+      logger.warn('Skipping undecodable log', { address: log.address, topic: log.topics[0] });
+      return null;
+    }
+
+    const args = toPlainArgs(parsed.fragment, parsed.args);
+    const accounts = parsed.fragment.inputs
+      .filter(input => input.type === 'address')
+      .map(input => args[input.name]);
+
+    return {
+      id: eventId(log.blockNumber, log.index),
+      contract: source.name,
+      event: parsed.name,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      args,
+      tripId: args.tripId ?? null,
+      escrowId: args.escrowId ?? null,
+      rewardId: args.rewardId ?? null,
+      accounts: [...new Set(accounts)],
+    };
+  }
+
+  /**
+   * Detect a reorg below the checkpoint and roll back to the common ancestor
+   * @param {Object} store - Storage adapter
+   */
+  async _handleReorg(store) {
+    const checkpoint = await this.getCheckpoint();
+    if (!checkpoint) {
+      return;
+    }
+
+    const current = await this.provider.getBlock(checkpoint.blockNumber);
+    if (current && current.hash === checkpoint.blockHash) {
+      return;
+    }
+
+    // Walk back through the stored block hashes to find the common ancestor
+    const known = (await store.listRange(COLLECTIONS.blocks, blockId(0), blockId(checkpoint.blockNumber))).reverse();
+    let ancestor = null;
+    for (const entry of known) {
+      const block = await this.provider.getBlock(entry.blockNumber);
+      if (block && block.hash === entry.blockHash) {
+        ancestor = entry;
+        break;
+      }
+    }
+
+    const rollbackTo = ancestor
+      ? ancestor.blockNumber
+      : Math.max(checkpoint.blockNumber - this.config.reorgDepth, this.config.startBlock - 1);
+
+    logger.warn('Chain reorganization detected, rolling back', {
+      checkpoint: checkpoint.blockNumber,
+      rollbackTo,
+    });
+
+    const orphaned = await store.listRange(COLLECTIONS.events, ...eventIdRange(rollbackTo + 1));
+    for (const event of orphaned) {
+      await store.delete(COLLECTIONS.events, event.id);
+    }
+    for (const projection of this.projections) {
+      await projection.rollback(store, orphaned);
+    }
+    for (const entry of known.filter(entry => entry.blockNumber > rollbackTo)) {
+      await store.delete(COLLECTIONS.blocks, entry.id);
+    }
+
+    if (rollbackTo < this.config.startBlock) {
+      await store.delete(COLLECTIONS.state, 'checkpoint');
+    } else {
+      const block = ancestor || { blockNumber: rollbackTo, blockHash: (await this.provider.getBlock(rollbackTo)).hash };
+      await store.set(COLLECTIONS.state, 'checkpoint', {
+        blockNumber: block.blockNumber,
+        blockHash: block.blockHash,
+        updatedAt: new Date().toISOString(),
+      });
+    }
+
+    this.emit('reorg', { from: checkpoint.blockNumber, to: rollbackTo, removed: orphaned.length });
+  }
+
+  /**
+   * Drop stored block hashes that are deeper than the reorg window
+   * @param {Object} store - Storage adapter
+   * @param {number} latest - Latest indexed block
+   */
+  async _pruneBlocks(store, latest) {
+    const oldest = latest - this.config.reorgDepth;
+    if (oldest <= 0) {
+      return;
+    }
+    const stale = await store.listRange(COLLECTIONS.blocks, blockId(0), blockId(oldest - 1));
+    for (const entry of stale) {
+      await store.delete(COLLECTIONS.blocks, entry.id);
+    }
+  }
+
+  /**
+   * Check whether the index can serve queries on the current network
+   * @returns {Promise<boolean>} True on the indexed network, while running and once at least one batch is indexed
+   */
+  async isAvailable() {
+    return this.indexes(currentNetwork()) && Boolean(this.timer) && Boolean(await this.getCheckpoint());
+  }
+
+  /**
+   * Check whether a network is the indexed one
+   * @param {Object} network - Network
+   * @returns {boolean} True if its events are indexed
+   */
+  indexes(network) {
+    return network.name === this.network.name;
+  }
+
+  /**
+   * List all documents of an indexer collection (e.g. a projection)
+   * @param {string} collection - Collection name
+   * @returns {Promise<Array>} Documents
+   */
+  async listDocuments(collection) {
+    const store = await this.store;
+    return store.list(collection);
+  }
+
+  /**
+   * Query indexed events
+   * @param {Object} [filters] - Query filters
+   * @param {string} [filters.contract] - Contract name
+   * @param {string|string[]} [filters.event] - Event name(s)
+   * @param {string} [filters.tripId] - Trip ID
+   * @param {string} [filters.escrowId] - Escrow ID
+   * @param {string} [filters.account] - Address appearing in the event
+   * @param {number} [filters.fromBlock] - First block (inclusive)
+   * @param {number} [filters.toBlock] - Last block (inclusive)
+   * @returns {Promise<Array>} Matching events in chain order
+   */
+  async getEvents(filters = {}) {
+    const store = await this.store;
+    const events = await store.listRange(COLLECTIONS.events, ...eventIdRange(filters.fromBlock, filters.toBlock));
+    return events.filter(event => matchesEventFilters(event, filters));
+  }
+}
+
+export const eventIndexer = new EventIndexer();
+eventIndexer.addProjection(new TripProjection());
@@ -0,0 +1,146 @@
+import { eventId, eventIndexer, matchesEventFilters } from './eventIndexer.js';
+import { streamConfig } from '../../config/stream.js';
+
+// Highest log index, to resume after a whole block
+const LAST_LOG_INDEX = 999999;
+
+/**
+ * Parse a resume cursor
+ * Accepts an event ID (`000000000007-000001`), `<block>-<logIndex>` or
+ * `<block>:<logIndex>`, or a block number alone to resume after that block.
+ * @param {string} value - Cursor
+ * @returns {string|null} Event ID of the last event seen, null if invalid
+ */
+export function parseCursor(value) {
+  const match = /^(\d+)(?:[-:](\d+))?$/.exec(String(value ?? '').trim());
+  if (!match) {
+    return null;
+  }
+  const logIndex = match[2] === undefined ? LAST_LOG_INDEX : parseInt(match[2], 10);
+  return eventId(parseInt(match[1], 10), logIndex);
+}
+
+/**
+ * Live feed of indexed trip, escrow and carbon events
+ * Subscribers get every newly indexed event matching their filters, after
+ * the events since their cursor have been replayed from the index, in chain
+ * order and without duplicates. Events are delivered once the indexer has
+ * indexed them, INDEXER_CONFIRMATIONS blocks behind the head.
+ *
+ * On a chain reorganization subscribers get a `reorg` message and their
+ * cursor moves back to the common ancestor, so re-indexed events are sent again.
+ */
+export class EventStream {
+  /**
+   * @param {Object} [options]
+   * @param {EventIndexer} [options.indexer] - Event source (defaults to the event indexer)
+   * @param {Object} [options.config] - Stream configuration (defaults to streamConfig)
+   */
+  constructor({ indexer = eventIndexer, config = streamConfig } = {}) {
+    this.indexer = indexer;
+    this.config = config;
+    this.subscribers = new Set();
+    this.listening = false;
+  }
+
+  /**
+   * Check whether another client can connect
+   * @returns {boolean} False at STREAM_MAX_CLIENTS open streams
+   */
+  hasCapacity() {
+    return this.subscribers.size < this.config.maxClients;
+  }
+
+  /**
+   * Subscribe to events
+   * @param {Object} filters - `{ contract, event, tripId, escrowId, account }`, as for GET /events
+   * @param {string|null} after - Event ID of the last event seen (see parseCursor), null for new events only
+   * @param {Function} send - Called with `{ type: 'event', id, data }` and `{ type: 'reorg', data }` messages
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async subscribe(filters, after, send) {
+    this._listen();
+
+    // Hold live events back until the replay is done
+    const subscriber = { filters, send, lastId: after, buffer: after ? [] : null };
+    this.subscribers.add(subscriber);
+    const unsubscribe = () => this.subscribers.delete(subscriber);
+
+    if (after) {
+      try {
+        const fromBlock = parseInt(after.split('-')[0], 10);
+        let missed = await this.indexer.getEvents({ ...filters, fromBlock });
+        // Events read before a reorg that happened during the replay are orphaned
+        if (subscriber.rollbackId) {
+          missed = missed.filter(record => record.id <= subscriber.rollbackId);
+        }
+        const pending = subscriber.buffer;
+        subscriber.buffer = null;
+        [...missed, ...pending].forEach(record => this._deliver(subscriber, record));
+      } catch (error) {
+        unsubscribe();
+        throw error;
+      }
+    }
+
+    return unsubscribe;
+  }
+
+  /**
+   * Number of open subscriptions
+   * @returns {number} Subscribers
+   */
+  get size() {
+    return this.subscribers.size;
+  }
+
+  /**
+   * Follow the indexer, on the first subscription
+   * @private
+   */
+  _listen() {
+    if (this.listening) {
+      return;
+    }
+    this.listening = true;
+
+    this.indexer.on('event', record => {
+      for (const subscriber of this.subscribers) {
+        if (subscriber.buffer) {
+          subscriber.buffer.push(record);
+        } else {
+          this._deliver(subscriber, record);
+        }
+      }
+    });
+
+    this.indexer.on('reorg', reorg => {
+      const rollbackId = eventId(reorg.to, LAST_LOG_INDEX);
+      for (const subscriber of this.subscribers) {
+        if (subscriber.lastId && subscriber.lastId > rollbackId) {
+          subscriber.lastId = rollbackId;
+        }
+        if (subscriber.buffer) {
+          subscriber.buffer = subscriber.buffer.filter(record => record.id <= rollbackId);
+          subscriber.rollbackId =
+            subscriber.rollbackId && subscriber.rollbackId < rollbackId ? subscriber.rollbackId : rollbackId;
+        }
+        subscriber.send({ type: 'reorg', data: reorg });
+      }
+    });
+  }
+
+  /**
+   * Send an event to a subscriber if it matches and is past its cursor
+   * @private
+   */
+  _deliver(subscriber, record) {
+    if ((subscriber.lastId && record.id <= subscriber.lastId) || !matchesEventFilters(record, subscriber.filters)) {
+      return;
+    }
+    subscriber.lastId = record.id;
+    subscriber.send({ type: 'event', id: record.id, data: record });
+  }
+}
+
+export const eventStream = new EventStream();
@@ -0,0 +1,77 @@
+import { TripRegistryService } from '../blockchain/contractService.js';
+import { logger } from '../../utils/logger.js';
+
+export const TRIP_INDEX_COLLECTION = 'trip_index';
+
+/**
+ * Trip index projection
+ * Keeps one document per trip with the current on-chain metadata, refreshed
+ * whenever a TripRegistry event touches the trip. The actual carbon footprint
+ * is only available from `TripCompleted`, so it is taken from the event.
+ */
+export class TripProjection {
+  /**
+   * @param {TripRegistryService} [tripRegistryService] - Trip registry service
+   */
+  constructor(tripRegistryService = new TripRegistryService()) {
+    this.tripRegistryService = tripRegistryService;
+  }
+
+  /**
+   * Apply a batch of newly indexed events
+   * @param {Object} store - Indexer storage adapter
+   * @param {Array} records - Event records
+   */
+  async apply(store, records) {
+    const tripRecords = records.filter(record => record.contract === 'TripRegistry' && record.tripId);
+
+    for (const tripId of new Set(tripRecords.map(record => record.tripId))) {
+      await this._refresh(store, tripId);
+    }
+
+    for (const record of tripRecords.filter(record => record.event === 'TripCompleted')) {
+      await store.merge(TRIP_INDEX_COLLECTION, record.tripId, {
+        actualCarbonFootprint: record.args.actualCarbonFootprint,
+      });
+    }
+  }
+
+  /**
+   * Re-sync trips touched by events from orphaned blocks
+   * @param {Object} store - Indexer storage adapter
+   * @param {Array} orphaned - Removed event records
+   */
+  async rollback(store, orphaned) {
+    const tripRecords = orphaned.filter(record => record.contract === 'TripRegistry' && record.tripId);
+
+    for (const tripId of new Set(tripRecords.map(record => record.tripId))) {
+      await this._refresh(store, tripId);
+    }
+
+    for (const record of tripRecords.filter(record => record.event === 'TripCompleted')) {
+      if (await store.get(TRIP_INDEX_COLLECTION, record.tripId)) {
+        await store.merge(TRIP_INDEX_COLLECTION, record.tripId, { actualCarbonFootprint: null });
+      }
+    }
+  }
+
+  /**
+   * Reload a trip's metadata from the chain
+   * Trips whose creation was reorged out no longer exist and are removed.
+   * @param {Object} store - Indexer storage adapter
+   * @param {string} tripId - Trip ID
+   */
+  async _refresh(store, tripId) {
+    try {
+      const metadata = await this.tripRegistryService.getTripMetadata(tripId);
+      await store.merge(TRIP_INDEX_COLLECTION, tripId, metadata);
+    } catch (error) {
+      if (/Trip does not exist/.test(error.message)) {
+        await store.delete(TRIP_INDEX_COLLECTION, tripId);
+        return;
+      }
+      logger.error('Error refreshing trip index', { tripId, error: error.message });
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,84 @@
+import { TRIP_STATUS } from '../../config/constants.js';
+import { escapeHtml } from '../../utils/html.js';
+
+const WIDTH = 500;
+const HEIGHT = 500;
+
+// Label and color of each trip status
+const STATUS_STYLES = {
+  Created: { label: 'Created', color: '#6b7280' },
+  InTransit: { label: 'In Transit', color: '#2563eb' },
+  Delivered: { label: 'Delivered', color: '#16a34a' },
+  Cancelled: { label: 'Cancelled', color: '#dc2626' },
+  Disputed: { label: 'Disputed', color: '#d97706' },
+};
+
+/**
+ * Shorten text to fit a line of the badge
+ * @param {string} value - Text
+ * @param {number} max - Maximum characters
+ * @returns {string} Text, with an ellipsis if cut
+ */
+function truncate(value, max) {
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+/**
+ * Format a whole number with thousands separators
+ * @param {string} value - uint256 as a decimal string
+ * @returns {string} Formatted number
+ */
+function formatNumber(value) {
+  return BigInt(value).toLocaleString('en-US');
+}
+
+/**
+ * Human-readable label of a trip status
+ * @param {number} status - On-chain status value
+ * @returns {string} Label (e.g. `In Transit`)
+ */
+export function tripStatusLabel(status) {
+  return STATUS_STYLES[TRIP_STATUS[status]]?.label || 'Unknown';
+}
+
+/**
+ * Render the shipment badge of a trip NFT
+ * Shows the route, distance, carbon footprint and current status, so the
+ * image in wallets changes as the trip moves along.
+ * @param {Object} token - Trip token (see TripTokenService.getToken)
+ * @returns {string} SVG document
+ */
+export function renderTripBadge({ tokenId, trip, actualCarbonFootprint, network }) {
+  const style = STATUS_STYLES[TRIP_STATUS[trip.status]] || { label: 'Unknown', color: '#6b7280' };
+  const pillWidth = style.label.length * 10 + 32;
+  const carbon = actualCarbonFootprint
+    ? `${formatNumber(actualCarbonFootprint)} kg (est. ${formatNumber(trip.estimatedCarbonFootprint)})`
+    : `${formatNumber(trip.estimatedCarbonFootprint)} kg (est.)`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="DecentraLogix trip ${escapeHtml(trip.tripId)}: ${escapeHtml(style.label)}">
+  <clipPath id="card"><rect width="${WIDTH}" height="${HEIGHT}" rx="24"/></clipPath>
+  <g clip-path="url(#card)">
+    <rect width="${WIDTH}" height="${HEIGHT}" fill="#1e1b4b"/>
+    <rect x="0" y="${HEIGHT - 12}" width="${WIDTH}" height="12" fill="${style.color}"/>
+  </g>
+  <g font-family="Helvetica, Arial, sans-serif">
+    <text x="36" y="60" font-size="16" letter-spacing="3" fill="#a5b4fc">DECENTRALOGIX</text>
+    <text x="36" y="112" font-size="40" font-weight="700" fill="#ffffff">Trip #${escapeHtml(trip.tripId)}</text>
+    <rect x="36" y="136" width="${pillWidth}" height="32" rx="16" fill="${style.color}"/>
+    <text x="${36 + pillWidth / 2}" y="158" font-size="16" font-weight="700" fill="#ffffff" text-anchor="middle">${escapeHtml(style.label)}</text>
+
+    <text x="36" y="222" font-size="13" letter-spacing="2" fill="#a5b4fc">FROM</text>
+    <text x="36" y="250" font-size="22" fill="#ffffff">${escapeHtml(truncate(trip.originLocation, 32))}</text>
+    <text x="36" y="296" font-size="13" letter-spacing="2" fill="#a5b4fc">TO</text>
+    <text x="36" y="324" font-size="22" fill="#ffffff">${escapeHtml(truncate(trip.destinationLocation, 32))}</text>
+
+    <text x="36" y="378" font-size="13" letter-spacing="2" fill="#a5b4fc">DISTANCE</text>
+    <text x="36" y="404" font-size="18" fill="#ffffff">${formatNumber(trip.distance)} km</text>
+    <text x="200" y="378" font-size="13" letter-spacing="2" fill="#a5b4fc">CO₂</text>
+    <text x="200" y="404" font-size="18" fill="#ffffff">${escapeHtml(carbon)}</text>
+
+    <text x="36" y="456" font-size="13" fill="#818cf8">DLXTRIP #${escapeHtml(tokenId)} · ${escapeHtml(network)}</text>
+  </g>
+</svg>
+`;
+}
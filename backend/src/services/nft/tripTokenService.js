@@ -0,0 +1,114 @@
+import { TripRegistryService } from '../blockchain/contractService.js';
+import { eventIndexer } from '../indexer/eventIndexer.js';
+import { currentNetwork } from '../../config/networks.js';
+import { TRIP_STATUS } from '../../config/constants.js';
+import { tripStatusLabel } from './tripBadge.js';
+import { logger } from '../../utils/logger.js';
+
+const DELIVERED = TRIP_STATUS.indexOf('Delivered');
+
+/**
+ * ERC-721 metadata of trip NFTs
+ * TripRegistry's tokenURI points at the backend once its base URI is set, so
+ * wallets and explorers get this live view of the trip instead of the static
+ * IPFS hash. The actual carbon footprint is only in `TripCompleted`, so it is
+ * included when the event indexer has the event.
+ */
+export class TripTokenService {
+  /**
+   * @param {TripRegistryService} [tripRegistryService] - Trip registry service
+   * @param {EventIndexer} [indexer] - Event indexer
+   */
+  constructor(tripRegistryService = new TripRegistryService(), indexer = eventIndexer) {
+    this.tripRegistryService = tripRegistryService;
+    this.indexer = indexer;
+  }
+
+  /**
+   * Get a token with its trip, read from the chain of the current network
+   * @param {string} tokenId - NFT token ID
+   * @returns {Promise<Object>} `{ tokenId, network, trip, actualCarbonFootprint }`
+   */
+  async getToken(tokenId) {
+    const tripId = await this.tripRegistryService.getTripIdByToken(tokenId);
+    const trip = await this.tripRegistryService.getTripMetadata(tripId);
+
+    return {
+      tokenId: String(tokenId),
+      network: currentNetwork().name,
+      trip,
+      actualCarbonFootprint: trip.status === DELIVERED ? await this._actualCarbonFootprint(tripId) : null,
+    };
+  }
+
+  /**
+   * Build the token metadata JSON (ERC-721 metadata schema, with OpenSea-style attributes)
+   * @param {Object} token - Token from getToken
+   * @param {string} imageUrl - URL of the token's badge
+   * @returns {Object} Token metadata
+   */
+  buildMetadata({ tokenId, network, trip, actualCarbonFootprint }, imageUrl) {
+    const status = tripStatusLabel(trip.status);
+
+    const attributes = [
+      { trait_type: 'Status', value: status },
+      { trait_type: 'Origin', value: trip.originLocation },
+      { trait_type: 'Destination', value: trip.destinationLocation },
+      { trait_type: 'Distance (km)', value: Number(trip.distance), display_type: 'number' },
+      { trait_type: 'Estimated CO2 (kg)', value: Number(trip.estimatedCarbonFootprint), display_type: 'number' },
+    ];
+    if (actualCarbonFootprint) {
+      attributes.push({ trait_type: 'Actual CO2 (kg)', value: Number(actualCarbonFootprint), display_type: 'number' });
+    }
+    for (const [traitType, timestamp] of [
+      ['Created', trip.createdAt],
+      ['Started', trip.startedAt],
+      ['Completed', trip.completedAt],
+    ]) {
+      if (timestamp !== '0') {
+        attributes.push({ trait_type: traitType, value: Number(timestamp), display_type: 'date' });
+      }
+    }
+
+    return {
+      name: `DecentraLogix Trip #${trip.tripId}`,
+      description:
+        `Shipment from ${trip.originLocation} to ${trip.destinationLocation} (${trip.distance} km), ` +
+        `${status.toLowerCase()}. Shipped by ${trip.shipper} to ${trip.receiver}, carried by ${trip.carrier}.`,
+      image: imageUrl,
+      attributes,
+      properties: {
+        tripId: trip.tripId,
+        tokenId,
+        network,
+        shipper: trip.shipper,
+        carrier: trip.carrier,
+        receiver: trip.receiver,
+        ...(trip.ipfsMetadataHash && { documents: `ipfs://${trip.ipfsMetadataHash}` }),
+      },
+    };
+  }
+
+  /**
+   * Actual carbon footprint from the trip's indexed TripCompleted event
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<string|null>} Footprint in kg, null when not indexed
+   * @private
+   */
+  async _actualCarbonFootprint(tripId) {
+    try {
+      if (await this.indexer.isAvailable()) {
+        const events = await this.indexer.getEvents({ event: 'TripCompleted', tripId });
+        return events.length > 0 ? events[events.length - 1].args.actualCarbonFootprint : null;
+      }
+    } catch (error) {
+      logger.warn('Event index unavailable, leaving out the actual carbon footprint', {
+        tripId,
+        error: error.message,
+      });
+    }
+    return null;
+  }
+}
+
+export const tripTokenService = new TripTokenService();
@@ -0,0 +1,120 @@
+import PDFDocument from 'pdfkit';
+import { escapeHtml } from '../../utils/html.js';
+
+/**
+ * Printable report: retirement certificates and proof verification reports
+ * @typedef {Object} Report
+ * @property {string} title - Document title
+ * @property {string} heading - Heading on the page
+ * @property {string} subtitle - Line under the heading
+ * @property {string} color - Heading color
+ * @property {string} border - Page border color (HTML)
+ * @property {Array<[string, *]>} rows - Label/value rows; empty values are left out
+ * @property {Array<Object>} [sections] - `{ heading, monospace, items }` tables after the rows, with
+ *   items `{ label, value, detail, passed }`; `passed` (true or false) colors the value
+ * @property {string} footer - Closing note
+ */
+
+/**
+ * Drop rows without a value
+ * @param {Array<[string, *]>} rows - Label/value rows
+ * @returns {Array<[string, *]>} Rows to show
+ */
+function filledRows(rows) {
+  return rows.filter(([, value]) => value !== null && value !== undefined && value !== '');
+}
+
+/**
+ * Render a report as a printable HTML page
+ * @param {Report} report - Report
+ * @returns {string} HTML document
+ */
+export function renderReportHtml({ title, heading, subtitle, color, border, rows, sections = [], footer }) {
+  const table = filledRows(rows)
+    .map(([label, value]) => `      <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('\n');
+  const tables = sections
+    .map(section => {
+      const items = section.items
+        .map(({ label, value, detail, passed }) => {
+          const status = passed === undefined ? '' : ` class="${passed ? 'pass' : 'fail'}"`;
+          return `      <tr><th>${escapeHtml(label)}</th><td${status}>${escapeHtml(value)}</td><td>${escapeHtml(detail)}</td></tr>`;
+        })
+        .join('\n');
+      return `  <h2>${escapeHtml(section.heading)}</h2>\n  <table>\n${items}\n  </table>\n`;
+    })
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Georgia, serif; color: #1f2937; max-width: 800px; margin: 2rem auto; padding: 2rem; border: 4px double ${border}; }
+    h1 { text-align: center; color: ${color}; margin-bottom: 0.25rem; }
+    h2 { color: #374151; font-size: 1.1rem; margin-top: 2rem; }
+    .subtitle { text-align: center; color: #6b7280; margin-top: 0; }
+    table { width: 100%; border-collapse: collapse; margin-top: 1rem; }
+    th { text-align: left; width: 30%; padding: 0.5rem; color: #374151; vertical-align: top; }
+    td { padding: 0.5rem; font-family: monospace; word-break: break-all; }
+    tr { border-bottom: 1px solid #e5e7eb; }
+    .pass { color: #16a34a; font-weight: bold; }
+    .fail { color: #dc2626; font-weight: bold; }
+    .footer { margin-top: 2rem; font-size: 0.85rem; color: #6b7280; }
+    @media print { body { border: none; margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(heading)}</h1>
+  <p class="subtitle">${escapeHtml(subtitle)}</p>
+  <table>
+${table}
+  </table>
+${tables}  <p class="footer">
+    ${escapeHtml(footer)}
+  </p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a report as a PDF
+ * @param {Report} report - Report
+ * @returns {Promise<Buffer>} PDF document
+ */
+export function renderReportPdf({ title, heading, subtitle, color, rows, sections = [], footer }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: title } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fillColor(color).font('Times-Bold').fontSize(22).text(heading, { align: 'center' });
+    doc.moveDown(0.25).fillColor('#6b7280').font('Times-Roman').fontSize(12).text(subtitle, { align: 'center' });
+    doc.moveDown(2);
+
+    for (const [label, value] of filledRows(rows)) {
+      doc.fillColor('#374151').font('Helvetica-Bold').fontSize(10).text(label);
+      doc.fillColor('#1f2937').font('Courier').fontSize(10).text(String(value));
+      doc.moveDown(0.6);
+    }
+
+    for (const section of sections) {
+      doc.moveDown(1).fillColor('#374151').font('Times-Bold').fontSize(14).text(section.heading);
+      doc.moveDown(0.5);
+      for (const { label, value, detail, passed } of section.items) {
+        const labelColor = passed === undefined ? '#374151' : passed ? '#16a34a' : '#dc2626';
+        doc.fillColor(labelColor).font('Helvetica-Bold').fontSize(10).text(`${value}  ${label}`);
+        doc.fillColor('#1f2937').font(section.monospace ? 'Courier' : 'Helvetica').fontSize(10).text(String(detail));
+        doc.moveDown(0.6);
+      }
+    }
+
+    doc.moveDown(1).fillColor('#6b7280').font('Helvetica').fontSize(9).text(footer);
+
+    doc.end();
+  });
+}
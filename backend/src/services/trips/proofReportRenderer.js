@@ -0,0 +1,80 @@
+import { renderReportHtml, renderReportPdf } from '../reports/reportRenderer.js';
+
+/**
+ * Label/value rows shown on every report format
+ * @param {Object} report - Proof verification report
+ * @returns {Array<[string, string]>} Rows
+ */
+function reportRows(report) {
+  const { proof } = report;
+
+  return [
+    ['Result', report.verified ? 'VERIFIED' : 'NOT VERIFIED'],
+    ['Trip', `${report.tripId} (${report.trip.status})`],
+    ['Shipper', report.trip.shipper],
+    ['Carrier', report.trip.carrier],
+    ['Receiver', report.trip.receiver],
+    ['On-chain proof hash', proof.onChainHash],
+    ['Proof source', proof.source && (proof.source === 'upload' ? 'Provided documents' : 'Backend document store')],
+    ['Submitted by', proof.submittedBy],
+    ['Notes', proof.notes],
+    ['Receiver signature', proof.receiverSignature],
+    ['Signed by', proof.signer],
+    ['Contract', `${report.contract.name} ${report.contract.address} (chain ${report.contract.chainId})`],
+    ['Block', report.blockNumber],
+    ['Verified at', report.verifiedAt],
+  ];
+}
+
+/**
+ * Report layout of a proof verification report
+ * @param {Object} report - Proof verification report
+ * @returns {Object} Report for the report renderer
+ */
+function proofReport(report) {
+  return {
+    title: `Delivery Proof Verification Report, Trip ${report.tripId}`,
+    heading: 'Delivery Proof Verification Report',
+    subtitle: `DecentraLogix Trip ${report.tripId}`,
+    color: '#1e1b4b',
+    border: report.verified ? '#10b981' : '#dc2626',
+    rows: reportRows(report),
+    sections: [
+      {
+        heading: 'Checks',
+        items: report.checks.map(({ name, passed, detail }) => ({
+          label: name,
+          value: passed ? 'PASS' : 'FAIL',
+          detail,
+          passed,
+        })),
+      },
+      {
+        heading: 'Documents',
+        monospace: true,
+        items: report.documents.map(({ name, cid, status }) => ({ label: name, value: status, detail: cid })),
+      },
+    ],
+    footer:
+      'CIDs were recomputed from the documents and compared to the proof hash that TripRegistry recorded for ' +
+      `this trip at block ${report.blockNumber} on chain ${report.contract.chainId}.`,
+  };
+}
+
+/**
+ * Render a proof verification report as a printable HTML page
+ * @param {Object} report - Proof verification report
+ * @returns {string} HTML document
+ */
+export function renderProofReportHtml(report) {
+  return renderReportHtml(proofReport(report));
+}
+
+/**
+ * Render a proof verification report as a PDF
+ * @param {Object} report - Proof verification report
+ * @returns {Promise<Buffer>} PDF document
+ */
+export function renderProofReportPdf(report) {
+  return renderReportPdf(proofReport(report));
+}
@@ -0,0 +1,274 @@
+import { CID } from 'multiformats/cid';
+import { TripRegistryService } from '../blockchain/contractService.js';
+import { documentService, DELIVERY_PROOF_TYPE } from '../documents/documentService.js';
+import { computeCid } from '../documents/cid.js';
+import { recoverReceiptSigner } from '../documents/deliveryReceipt.js';
+import { getProvider } from '../../config/blockchain.js';
+import { currentNetwork } from '../../config/networks.js';
+import { TRIP_STATUS } from '../../config/constants.js';
+
+const DELIVERED = TRIP_STATUS.indexOf('Delivered');
+
+/**
+ * Normalize a CID to CIDv1 base32
+ * @param {string} value - CID
+ * @returns {string|null} Normalized CID, null if not a CID
+ */
+function normalizeCid(value) {
+  try {
+    return CID.parse(value).toV1().toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a delivery proof manifest
+ * Every file entry must be an object with a string CID; the file checks and
+ * the receiver signature are computed from these entries.
+ * @param {Uint8Array} content - Document content
+ * @returns {Object|null} Manifest, null if the document is not a well-formed one
+ */
+function parseManifest(content) {
+  let manifest;
+  try {
+    manifest = JSON.parse(Buffer.from(content).toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  const wellFormed =
+    manifest?.type === DELIVERY_PROOF_TYPE &&
+    Array.isArray(manifest.files) &&
+    manifest.files.every(file => file !== null && typeof file === 'object' && typeof file.cid === 'string');
+  return wellFormed ? manifest : null;
+}
+
+/**
+ * Verification of delivery proofs against the chain
+ * `completeTrip` records the proof's CID on-chain. Given the proof documents,
+ * the CIDs are recomputed locally and compared to that value and to the
+ * manifest's file list, and the receiver's signed receipt is checked. The
+ * report lists each check, so a failed verification says what did not match.
+ */
+export class ProofVerificationService {
+  /**
+   * @param {Object} [options] - Dependencies
+   */
+  constructor({ tripRegistryService = new TripRegistryService(), documents = documentService } = {}) {
+    this.tripRegistryService = tripRegistryService;
+    this.documents = documents;
+  }
+
+  /**
+   * Verify the delivery proof of a trip
+   * The proof manifest may be one of the files; otherwise the copy stored on
+   * this backend under the on-chain CID is used.
+   * @param {string} tripId - Trip ID
+   * @param {Array} files - Proof documents (`{ buffer, originalname }`)
+   * @returns {Promise<Object>} Verification report
+   */
+  async verify(tripId, files) {
+    const network = currentNetwork();
+    // Sent directly: a block number from the provider's request cache can
+    // predate the trip
+    const blockNumber = Number(await getProvider(network).send('eth_blockNumber', []));
+    const trip = await this.tripRegistryService.getTripMetadata(tripId, blockNumber);
+
+    const provided = [];
+    for (const file of files) {
+      provided.push({
+        name: file.originalname,
+        cid: await computeCid(file.buffer),
+        size: file.buffer.length,
+        content: file.buffer,
+      });
+    }
+
+    const report = {
+      tripId: trip.tripId,
+      verified: false,
+      verifiedAt: new Date().toISOString(),
+      network: network.name,
+      contract: {
+        name: 'TripRegistry',
+        address: network.contractAddresses.tripRegistry,
+        chainId: network.chainId,
+      },
+      blockNumber,
+      trip: {
+        status: TRIP_STATUS[trip.status],
+        shipper: trip.shipper,
+        carrier: trip.carrier,
+        receiver: trip.receiver,
+        completedAt: trip.completedAt,
+      },
+      proof: {
+        onChainHash: trip.ipfsMetadataHash || null,
+        cid: null,
+        source: null,
+        format: null,
+        submittedBy: null,
+        notes: null,
+        receiverSignature: null,
+        signer: null,
+      },
+      documents: [],
+      checks: [],
+    };
+    const check = (name, passed, detail) => report.checks.push({ name, passed, detail });
+    const listDocuments = status => provided.map(({ name, cid, size }) => ({ name, cid, size, status }));
+
+    // The proof hash is only recorded by completeTrip
+    if (trip.status !== DELIVERED) {
+      check('delivered', false, `Trip is ${report.trip.status}, not Delivered`);
+      report.documents = listDocuments('unlisted');
+      return report;
+    }
+    check('delivered', true, `Trip was delivered at ${new Date(Number(trip.completedAt) * 1000).toISOString()}`);
+
+    const onChainCid = normalizeCid(trip.ipfsMetadataHash);
+    if (!onChainCid) {
+      check(
+        'proofHash',
+        false,
+        trip.ipfsMetadataHash
+          ? `On-chain proof hash ${trip.ipfsMetadataHash} is not an IPFS CID`
+          : 'No proof hash was recorded when the trip was completed'
+      );
+      report.documents = listDocuments('unlisted');
+      return report;
+    }
+
+    const proof = await this._findProof(onChainCid, provided);
+    if (!proof) {
+      check('proofHash', false, `None of the documents has the on-chain CID ${onChainCid}`);
+      report.documents = listDocuments('unlisted');
+      return report;
+    }
+    report.proof.cid = onChainCid;
+    report.proof.source = proof.source;
+    check(
+      'proofHash',
+      true,
+      proof.source === 'upload'
+        ? `Recomputed CID of ${proof.name} matches the on-chain proof hash`
+        : 'The manifest was not among the documents; the copy stored on this backend matches the on-chain proof hash'
+    );
+
+    const manifest = parseManifest(proof.content);
+    if (!manifest) {
+      report.proof.format = 'document';
+      report.documents = provided.map(({ name, cid, size }) => ({
+        name,
+        cid,
+        size,
+        status: cid === onChainCid ? 'proof' : 'unlisted',
+      }));
+      check('manifest', false, 'The proof is a single document, not a well-formed delivery proof manifest');
+      check('receiverSignature', false, 'A single-document proof carries no receiver signature');
+      return report;
+    }
+
+    report.proof.format = 'manifest';
+    report.proof.submittedBy = manifest.submittedBy;
+    report.proof.notes = manifest.notes;
+    report.proof.receiverSignature = manifest.receiverSignature || null;
+    check(
+      'manifest',
+      manifest.tripId === trip.tripId,
+      manifest.tripId === trip.tripId
+        ? `Delivery proof manifest of trip ${trip.tripId}`
+        : `The manifest is for trip ${manifest.tripId}, not trip ${trip.tripId}`
+    );
+
+    // Files listed in the manifest, then documents that are neither listed nor the manifest
+    const providedCids = new Set(provided.map(document => document.cid));
+    const listedCids = new Set(manifest.files.map(file => file.cid));
+    report.documents = [
+      ...manifest.files.map(({ name, cid, size }) => ({
+        name,
+        cid,
+        size,
+        status: providedCids.has(cid) ? 'matched' : 'missing',
+      })),
+      ...provided
+        .filter(({ cid }) => cid !== onChainCid && !listedCids.has(cid))
+        .map(({ name, cid, size }) => ({ name, cid, size, status: 'unlisted' })),
+    ];
+    const missing = report.documents.filter(document => document.status === 'missing');
+    check(
+      'documents',
+      missing.length === 0,
+      missing.length === 0
+        ? `All ${manifest.files.length} documents listed in the manifest were provided and match their CIDs`
+        : `Missing or altered: ${missing.map(document => document.name).join(', ')}`
+    );
+
+    const fromCarrier = String(manifest.submittedBy).toLowerCase() === trip.carrier.toLowerCase();
+    check(
+      'carrier',
+      fromCarrier,
+      fromCarrier
+        ? `Submitted by the trip carrier ${trip.carrier}`
+        : `Submitted by ${manifest.submittedBy}, not the trip carrier ${trip.carrier}`
+    );
+
+    this._checkReceiverSignature(report, manifest, trip, check);
+
+    report.verified = report.checks.every(({ passed }) => passed);
+    return report;
+  }
+
+  /**
+   * Find the proof document with the on-chain CID
+   * @param {string} cid - On-chain CID
+   * @param {Array} provided - Provided documents, with recomputed CIDs
+   * @returns {Promise<Object|null>} `{ name, content, source }`, null if not found
+   * @private
+   */
+  async _findProof(cid, provided) {
+    const uploaded = provided.find(document => document.cid === cid);
+    if (uploaded) {
+      return { name: uploaded.name, content: uploaded.content, source: 'upload' };
+    }
+
+    // Recompute rather than trust the store
+    const stored = await this.documents.getDocument(cid);
+    if (stored && (await computeCid(stored.content)) === cid) {
+      return { name: stored.record.name, content: stored.content, source: 'document-store' };
+    }
+    return null;
+  }
+
+  /**
+   * Check the receiver's signed receipt of the proof files
+   * @param {Object} report - Report being built
+   * @param {Object} manifest - Proof manifest
+   * @param {Object} trip - Trip metadata
+   * @param {Function} check - Adds a check to the report
+   * @private
+   */
+  _checkReceiverSignature(report, manifest, trip, check) {
+    if (!manifest.receiverSignature) {
+      check('receiverSignature', false, 'The manifest has no receiver signature');
+      return;
+    }
+
+    const signer = recoverReceiptSigner(
+      { tripId: trip.tripId, carrier: trip.carrier, documents: manifest.files.map(file => file.cid) },
+      manifest.receiverSignature
+    );
+    report.proof.signer = signer;
+
+    if (!signer) {
+      check('receiverSignature', false, 'The receiver signature is malformed');
+    } else if (signer.toLowerCase() !== trip.receiver.toLowerCase()) {
+      check('receiverSignature', false, `Signed by ${signer}, not the trip receiver ${trip.receiver}`);
+    } else {
+      check('receiverSignature', true, `Signed by the trip receiver ${trip.receiver}`);
+    }
+  }
+}
+
+export const proofVerificationService = new ProofVerificationService();
@@ -0,0 +1,152 @@
+import { TripRegistryService } from '../blockchain/contractService.js';
+import { eventIndexer } from '../indexer/eventIndexer.js';
+import { TRIP_INDEX_COLLECTION } from '../indexer/tripProjection.js';
+import { TRIP_SORT_FIELDS } from '../../config/constants.js';
+import { decodeCursor, encodeCursor } from '../../utils/cursor.js';
+import { logger } from '../../utils/logger.js';
+
+const NUMERIC_FIELDS = new Set(TRIP_SORT_FIELDS);
+
+// Number of getTripMetadata calls in flight during a chain scan
+const SCAN_CONCURRENCY = 10;
+
+/**
+ * Compare two field values (numeric strings compare as integers)
+ */
+function compareValues(a, b, field) {
+  if (NUMERIC_FIELDS.has(field)) {
+    const x = BigInt(a ?? 0);
+    const y = BigInt(b ?? 0);
+    return x < y ? -1 : x > y ? 1 : 0;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Check whether a trip matches the list filters
+ * @param {Object} trip - Trip metadata
+ * @param {Object} filters - Normalized filters
+ * @returns {boolean} True if the trip matches
+ */
+function matches(trip, filters) {
+  const address = value => String(value).toLowerCase();
+  const inRange = (value, range) => {
+    if (!range) {
+      return true;
+    }
+    const time = Number(value);
+    if (!time) {
+      return false;
+    }
+    return (range.from === undefined || time >= range.from) && (range.to === undefined || time <= range.to);
+  };
+  const contains = (value, text) => !text || String(value).toLowerCase().includes(text.toLowerCase());
+
+  return (
+    (!filters.shipper || address(trip.shipper) === filters.shipper) &&
+    (!filters.carrier || address(trip.carrier) === filters.carrier) &&
+    (!filters.receiver || address(trip.receiver) === filters.receiver) &&
+    (!filters.party || [trip.shipper, trip.carrier, trip.receiver].map(address).includes(filters.party)) &&
+    (!filters.status || filters.status.includes(Number(trip.status))) &&
+    inRange(trip.createdAt, filters.created) &&
+    inRange(trip.startedAt, filters.started) &&
+    inRange(trip.completedAt, filters.completed) &&
+    contains(trip.originLocation, filters.origin) &&
+    contains(trip.destinationLocation, filters.destination)
+  );
+}
+
+/**
+ * Service for listing trips
+ * Served from the event indexer's trip index when available; otherwise scans
+ * the registry with getTotalTrips() + getTripMetadata().
+ */
+export class TripListService {
+  /**
+   * @param {EventIndexer} [indexer] - Event indexer
+   * @param {TripRegistryService} [tripRegistryService] - Trip registry service
+   */
+  constructor(indexer = eventIndexer, tripRegistryService = new TripRegistryService()) {
+    this.indexer = indexer;
+    this.tripRegistryService = tripRegistryService;
+  }
+
+  /**
+   * List trips
+   * @param {Object} filters - Normalized filters (lowercase addresses, status codes, unix-second ranges)
+   * @param {Object} options - Pagination options
+   * @param {string} options.sort - Sort field
+   * @param {string} options.order - `asc` or `desc`
+   * @param {number} options.limit - Page size
+   * @param {string} [options.cursor] - Cursor from the previous page
+   * @returns {Promise<Object>} Page of trips with pagination info
+   */
+  async listTrips(filters, { sort, order, limit, cursor }) {
+    // A cursor only continues a listing in the same sort
+    const after = cursor
+      ? decodeCursor(cursor, decoded => decoded.s === sort && decoded.v !== undefined && decoded.id !== undefined)
+      : null;
+    const { source, trips } = await this._loadTrips();
+    const direction = order === 'desc' ? -1 : 1;
+
+    const compare = (a, b) =>
+      direction * (compareValues(a[sort], b[sort], sort) || compareValues(a.tripId, b.tripId, 'tripId'));
+
+    let results = trips.filter(trip => matches(trip, filters)).sort(compare);
+
+    if (after) {
+      const position = { [sort]: after.v, tripId: after.id };
+      results = results.filter(trip => compare(trip, position) > 0);
+    }
+
+    const page = results.slice(0, limit);
+    const hasMore = results.length > limit;
+    const last = page[page.length - 1];
+
+    return {
+      source,
+      trips: page,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ s: sort, v: String(last[sort]), id: String(last.tripId) }) : null,
+      },
+    };
+  }
+
+  /**
+   * Load all trips from the index, or from the chain as a fallback
+   * @returns {Promise<Object>} Source name and trip list
+   */
+  async _loadTrips() {
+    try {
+      if (await this.indexer.isAvailable()) {
+        const documents = await this.indexer.listDocuments(TRIP_INDEX_COLLECTION);
+        return { source: 'index', trips: documents.map(({ id, ...trip }) => trip) };
+      }
+    } catch (error) {
+      logger.warn('Trip index unavailable, scanning chain', { error: error.message });
+    }
+
+    return { source: 'chain', trips: await this._scanChain() };
+  }
+
+  /**
+   * Read every trip from the registry
+   * @returns {Promise<Array>} Trip metadata list
+   */
+  async _scanChain() {
+    const total = await this.tripRegistryService.getTotalTrips();
+    const trips = [];
+
+    for (let start = 1; start <= total; start += SCAN_CONCURRENCY) {
+      const ids = [];
+      for (let id = start; id < start + SCAN_CONCURRENCY && id <= total; id++) {
+        ids.push(id);
+      }
+      trips.push(...(await Promise.all(ids.map(id => this.tripRegistryService.getTripMetadata(id)))));
+    }
+
+    return trips;
+  }
+}
@@ -0,0 +1,516 @@
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import { ethers } from 'ethers';
+import { PaymentEscrowService, TripRegistryService } from '../blockchain/contractService.js';
+import { eventId, eventIndexer, matchesEventFilters } from '../indexer/eventIndexer.js';
+import { createStorageAdapter } from '../cache/adapters/index.js';
+import { backoffDelay } from '../workers/retry.js';
+import { WEBHOOK_EVENTS } from '../../config/constants.js';
+import { indexerConfig } from '../../config/indexer.js';
+import { storageConfig } from '../../config/storage.js';
+import { webhookConfig } from '../../config/webhooks.js';
+import { defaultNetwork, runInNetwork } from '../../config/networks.js';
+import { logger } from '../../utils/logger.js';
+
+const COLLECTIONS = {
+  subscriptions: 'webhook_subscriptions',
+  deliveries: 'webhook_deliveries',
+};
+
+const ACTIVE_STATUSES = ['pending', 'retrying'];
+
+/**
+ * Sign a webhook body
+ * Subscribers recompute the HMAC-SHA256 of `<t>.<body>` with their secret and
+ * compare it to `v1`, and reject old timestamps to prevent replays.
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw request body
+ * @returns {string} `X-DecentraLogix-Signature` header value (`t=<timestamp>,v1=<hex>`)
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Subscription without its secret
+ * @param {Object} subscription - Stored subscription
+ * @returns {Object} Subscription as returned by the API
+ */
+function toPublic({ id, secret, ...subscription }) {
+  return subscription;
+}
+
+/**
+ * Outbound webhooks for trip and payment events
+ * Subscribers register a URL and the events they want (optionally for one
+ * trip). Every matching event becomes one delivery per subscriber, POSTed as
+ * JSON and signed with the subscriber's secret (see signWebhookPayload).
+ * Failed deliveries (non-2xx, timeout, network error) are retried with
+ * exponential backoff; after WEBHOOK_MAX_ATTEMPTS they are dead letters until
+ * an operator redelivers them.
+ *
+ * Events come from the event indexer when enabled, otherwise from live
+ * contract subscriptions, on the default network. Delivery IDs are
+ * `<subscriptionId>:<eventId>`, so an event seen twice is delivered once.
+ * Deliveries to a subscriber are sent one at a time, in event order.
+ */
+export class WebhookService {
+  /**
+   * @param {Object} [options] - Dependencies and configuration
+   */
+  constructor({
+    config = webhookConfig,
+    store = createStorageAdapter(webhookConfig.backend, {
+      filePath: webhookConfig.filePath,
+      firestore: storageConfig.firestore,
+    }),
+    indexer = indexerConfig.enabled ? eventIndexer : null,
+    tripRegistryService = new TripRegistryService(),
+    paymentEscrowService = new PaymentEscrowService(),
+  } = {}) {
+    this.config = config;
+    this.store = store;
+    this.indexer = indexer;
+    this.tripRegistryService = tripRegistryService;
+    this.paymentEscrowService = paymentEscrowService;
+    this.network = defaultNetwork;
+    this.queues = new Map();
+    this.timers = new Map();
+    this.running = false;
+  }
+
+  /**
+   * Subscribe to contract events and resume unfinished deliveries
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    const onEvent = record => {
+      this.dispatch(record).catch(error => {
+        logger.error('Failed to queue webhook deliveries', { event: record.event, id: record.id, error: error.message });
+      });
+    };
+
+    if (this.indexer) {
+      this.indexer.on('event', onEvent);
+    } else {
+      const onLiveEvent = event => onEvent(this._fromLiveEvent(event));
+      this.tripRegistryService.listenToEvents(onLiveEvent);
+      this.paymentEscrowService.listenToEvents(onLiveEvent);
+    }
+
+    const store = await this.store;
+    const deliveries = await store.list(COLLECTIONS.deliveries);
+    for (const delivery of deliveries.filter(d => ACTIVE_STATUSES.includes(d.status))) {
+      this._schedule(delivery, delivery.nextAttemptAt);
+    }
+
+    logger.info('Webhook service started', { source: this.indexer ? 'indexer' : 'live' });
+  }
+
+  /**
+   * Stop scheduled deliveries
+   */
+  stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  /**
+   * Register a subscription
+   * @param {Object} fields - Subscription
+   * @param {string} fields.url - Endpoint receiving the POSTs
+   * @param {string[]} fields.events - Event names (see WEBHOOK_EVENTS)
+   * @param {string} [fields.tripId] - Only events of this trip
+   * @param {string} [fields.description] - Free text, e.g. the receiving system
+   * @returns {Promise<Object>} Subscription, including its signing secret
+   */
+  async createSubscription({ url, events, tripId = null, description = '' }) {
+    const store = await this.store;
+    const subscription = {
+      subscriptionId: randomUUID(),
+      url,
+      events,
+      tripId,
+      description,
+      active: true,
+      secret: `whsec_${randomBytes(32).toString('hex')}`,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    await store.set(COLLECTIONS.subscriptions, subscription.subscriptionId, subscription);
+    return subscription;
+  }
+
+  /**
+   * List subscriptions
+   * @returns {Promise<Array>} Subscriptions (without secrets), oldest first
+   */
+  async listSubscriptions() {
+    const store = await this.store;
+    return (await store.list(COLLECTIONS.subscriptions))
+      .map(toPublic)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Get a subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<Object|null>} Subscription (without its secret)
+   */
+  async getSubscription(subscriptionId) {
+    const store = await this.store;
+    const subscription = await store.get(COLLECTIONS.subscriptions, subscriptionId);
+    return subscription ? toPublic(subscription) : null;
+  }
+
+  /**
+   * Update a subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} fields - Any of url, events, tripId, description, active
+   * @returns {Promise<Object|null>} Updated subscription, or null if unknown
+   */
+  async updateSubscription(subscriptionId, fields) {
+    const store = await this.store;
+    if (!(await store.get(COLLECTIONS.subscriptions, subscriptionId))) {
+      return null;
+    }
+
+    await store.merge(COLLECTIONS.subscriptions, subscriptionId, { ...fields, updatedAt: new Date().toISOString() });
+    return this.getSubscription(subscriptionId);
+  }
+
+  /**
+   * Delete a subscription
+   * Its queued deliveries become dead letters when they come up.
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<boolean>} False if unknown
+   */
+  async deleteSubscription(subscriptionId) {
+    const store = await this.store;
+    if (!(await store.get(COLLECTIONS.subscriptions, subscriptionId))) {
+      return false;
+    }
+
+    await store.delete(COLLECTIONS.subscriptions, subscriptionId);
+    return true;
+  }
+
+  /**
+   * Queue deliveries of an event to the subscriptions it matches
+   * @param {Object} record - Event record, as indexed
+   * @returns {Promise<Array>} New deliveries
+   */
+  async dispatch(record) {
+    if (!WEBHOOK_EVENTS[record.event]) {
+      return [];
+    }
+
+    const store = await this.store;
+    const subscriptions = (await store.list(COLLECTIONS.subscriptions)).filter(
+      subscription => subscription.active && subscription.events.includes(record.event)
+    );
+    if (subscriptions.length === 0) {
+      return [];
+    }
+
+    const event = await this._withTripId(record);
+    const created = [];
+
+    for (const subscription of subscriptions) {
+      if (!matchesEventFilters(event, { tripId: subscription.tripId ?? undefined })) {
+        continue;
+      }
+
+      const deliveryId = `${subscription.subscriptionId}:${event.id}`;
+      if (await store.get(COLLECTIONS.deliveries, deliveryId)) {
+        continue;
+      }
+
+      const delivery = {
+        deliveryId,
+        subscriptionId: subscription.subscriptionId,
+        event: event.event,
+        eventId: event.id,
+        payload: {
+          id: deliveryId,
+          event: event.event,
+          network: this.network.name,
+          chainId: this.network.chainId,
+          createdAt: new Date().toISOString(),
+          data: {
+            eventId: event.id,
+            contract: event.contract,
+            tripId: event.tripId,
+            escrowId: event.escrowId,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+            logIndex: event.logIndex,
+            args: event.args,
+          },
+        },
+        status: 'pending',
+        failures: 0,
+        attempts: [],
+        nextAttemptAt: null,
+        deliveredAt: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+      await store.set(COLLECTIONS.deliveries, deliveryId, delivery);
+      this._schedule(delivery);
+      created.push(delivery);
+    }
+
+    return created;
+  }
+
+  /**
+   * List deliveries
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - Delivery status (`dead` for the dead-letter list)
+   * @param {string} [filters.subscriptionId] - Subscription ID
+   * @returns {Promise<Array>} Deliveries, most recently updated first
+   */
+  async listDeliveries({ status, subscriptionId } = {}) {
+    const store = await this.store;
+    return (await store.list(COLLECTIONS.deliveries))
+      .map(({ id, ...delivery }) => delivery)
+      .filter(delivery => !status || delivery.status === status)
+      .filter(delivery => !subscriptionId || delivery.subscriptionId === subscriptionId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Get a delivery
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object|null>} Delivery
+   */
+  async getDelivery(deliveryId) {
+    const store = await this.store;
+    return store.get(COLLECTIONS.deliveries, deliveryId);
+  }
+
+  /**
+   * Send a dead or delivered delivery again (operator action)
+   * It gets a fresh set of WEBHOOK_MAX_ATTEMPTS attempts; earlier attempts
+   * stay in its history.
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object|null>} Updated delivery, or null if unknown
+   */
+  async redeliver(deliveryId) {
+    const store = await this.store;
+    const delivery = await store.get(COLLECTIONS.deliveries, deliveryId);
+    if (!delivery) {
+      return null;
+    }
+
+    if (!ACTIVE_STATUSES.includes(delivery.status)) {
+      await store.merge(COLLECTIONS.deliveries, deliveryId, {
+        status: 'pending',
+        failures: 0,
+        nextAttemptAt: null,
+        updatedAt: new Date().toISOString(),
+      });
+      this._schedule(delivery);
+    }
+
+    return this.getDelivery(deliveryId);
+  }
+
+  /**
+   * Convert an event from a live contract subscription into an event record
+   * @param {Object} event - Event passed to a `listenToEvents` callback
+   * @returns {Object} Event record, shaped as the indexer's
+   * @private
+   */
+  _fromLiveEvent({ type, blockNumber, transactionHash, logIndex, ...fields }) {
+    const args = {};
+    for (const [name, value] of Object.entries(fields)) {
+      args[name] = typeof value === 'string' && ethers.isAddress(value) ? value.toLowerCase() : value;
+    }
+
+    return {
+      id: eventId(blockNumber, logIndex),
+      contract: WEBHOOK_EVENTS[type],
+      event: type,
+      blockNumber,
+      transactionHash,
+      logIndex,
+      args,
+      tripId: args.tripId ?? null,
+      escrowId: args.escrowId ?? null,
+      accounts: Object.values(args).filter(value => typeof value === 'string' && ethers.isAddress(value)),
+    };
+  }
+
+  /**
+   * Add the trip ID to payment events, which only carry the escrow ID
+   * @param {Object} record - Event record
+   * @returns {Promise<Object>} Event record with `tripId` when it can be read
+   * @private
+   */
+  async _withTripId(record) {
+    if (record.tripId || !record.escrowId) {
+      return record;
+    }
+
+    try {
+      const escrow = await runInNetwork(this.network, () => this.paymentEscrowService.getEscrow(record.escrowId));
+      return { ...record, tripId: escrow.tripId };
+    } catch (error) {
+      logger.warn('Could not read the trip of an escrow event', { escrowId: record.escrowId, error: error.message });
+      return record;
+    }
+  }
+
+  /**
+   * Schedule a delivery, serialized with the other deliveries to its subscriber
+   * @param {Object} delivery - Delivery
+   * @param {string} [at] - ISO time of the next attempt
+   * @private
+   */
+  _schedule({ deliveryId, subscriptionId }, at = null) {
+    clearTimeout(this.timers.get(deliveryId));
+    const delay = at ? Math.max(new Date(at).getTime() - Date.now(), 0) : 0;
+
+    this.timers.set(
+      deliveryId,
+      setTimeout(() => {
+        this.timers.delete(deliveryId);
+        const queue = (this.queues.get(subscriptionId) || Promise.resolve())
+          .then(() => this._process(deliveryId))
+          .catch(error => {
+            logger.error('Webhook delivery error', { deliveryId, error: error.message });
+          });
+        this.queues.set(subscriptionId, queue);
+        queue.then(() => {
+          if (this.queues.get(subscriptionId) === queue) {
+            this.queues.delete(subscriptionId);
+          }
+        });
+      }, delay)
+    );
+  }
+
+  /**
+   * Make one delivery attempt and record the outcome
+   * @param {string} deliveryId - Delivery ID
+   * @private
+   */
+  async _process(deliveryId) {
+    if (!this.running) {
+      return;
+    }
+
+    const store = await this.store;
+    const delivery = await store.get(COLLECTIONS.deliveries, deliveryId);
+    if (!delivery || !ACTIVE_STATUSES.includes(delivery.status)) {
+      return;
+    }
+
+    const subscription = await store.get(COLLECTIONS.subscriptions, delivery.subscriptionId);
+    const attempt = { attempt: delivery.attempts.length + 1, at: new Date().toISOString() };
+    let update;
+
+    if (!subscription || !subscription.active) {
+      update = { status: 'dead', outcome: subscription ? 'Subscription is disabled' : 'Subscription was deleted' };
+    } else {
+      const result = await this._send(subscription, delivery);
+      attempt.responseStatus = result.responseStatus;
+      attempt.durationMs = result.durationMs;
+      update = result.ok
+        ? { status: 'delivered', outcome: result.outcome, failures: 0, deliveredAt: new Date().toISOString() }
+        : this._retryOrDead(delivery.failures + 1, result.outcome);
+    }
+
+    const { outcome, ...fields } = update;
+    attempt.status = fields.status;
+    attempt.outcome = outcome;
+
+    await store.merge(COLLECTIONS.deliveries, deliveryId, {
+      ...fields,
+      attempts: [...delivery.attempts, attempt],
+      nextAttemptAt: fields.nextAttemptAt || null,
+      updatedAt: new Date().toISOString(),
+    });
+
+    const log = fields.status === 'dead' ? 'error' : 'info';
+    logger[log]('Webhook delivery attempt', {
+      deliveryId,
+      url: subscription?.url,
+      attempt: attempt.attempt,
+      status: fields.status,
+      outcome,
+    });
+
+    if (fields.status === 'retrying') {
+      this._schedule(delivery, fields.nextAttemptAt);
+    }
+  }
+
+  /**
+   * POST a delivery to its subscriber
+   * @param {Object} subscription - Stored subscription
+   * @param {Object} delivery - Delivery
+   * @returns {Promise<Object>} `{ ok, responseStatus, outcome, durationMs }`
+   * @private
+   */
+  async _send(subscription, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'DecentraLogix-Webhooks/1.0',
+          'X-DecentraLogix-Event': delivery.event,
+          'X-DecentraLogix-Delivery': delivery.deliveryId,
+          'X-DecentraLogix-Signature': signWebhookPayload(subscription.secret, Math.floor(Date.now() / 1000), body),
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.config.timeoutMs),
+      });
+      await response.body?.cancel();
+
+      return {
+        ok: response.ok,
+        responseStatus: response.status,
+        outcome: `HTTP ${response.status}`,
+        durationMs: Date.now() - startedAt,
+      };
+    } catch (error) {
+      const outcome =
+        error.name === 'TimeoutError'
+          ? `No response within ${this.config.timeoutMs / 1000}s`
+          : error.cause?.message || error.message;
+      return { ok: false, responseStatus: null, outcome, durationMs: Date.now() - startedAt };
+    }
+  }
+
+  /**
+   * Decide between another attempt and the dead-letter list
+   * @param {number} failures - Failed attempts in a row, including this one
+   * @param {string} outcome - Why the attempt failed
+   * @returns {Object} Delivery update
+   * @private
+   */
+  _retryOrDead(failures, outcome) {
+    if (failures >= this.config.maxAttempts) {
+      return { status: 'dead', outcome, failures };
+    }
+
+    const delay = backoffDelay(failures, this.config.retryBaseMs, this.config.retryMaxMs);
+    return { status: 'retrying', outcome, failures, nextAttemptAt: new Date(Date.now() + delay).toISOString() };
+  }
+}
+
+export const webhookService = new WebhookService();
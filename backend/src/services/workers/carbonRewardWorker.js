@@ -0,0 +1,160 @@
+import { CarbonCreditsService } from '../blockchain/contractService.js';
+import { firestoreService } from '../cache/firestoreService.js';
+import { TRIP_INDEX_COLLECTION } from '../indexer/tripProjection.js';
+import { classifyReward, parseRewardRules } from '../carbon/rewardRules.js';
+import { REWARD_TYPE, TRIP_STATUS } from '../../config/constants.js';
+import { workerConfig } from '../../config/workers.js';
+import { TripCompletionWorker } from './tripCompletionWorker.js';
+
+const COLLECTION = 'carbon_rewards';
+
+/**
+ * Worker that mints carbon credits to the carrier when a trip completes
+ * The offset is the trip's estimated footprint minus the actual footprint from
+ * TripCompleted; the reward type comes from the configured rules. Before
+ * minting, the mint transaction of a previous attempt is checked, then the
+ * carrier's on-chain rewards for the trip, so a trip is never rewarded twice,
+ * even if the worker store was lost.
+ */
+export class CarbonRewardWorker extends TripCompletionWorker {
+  /**
+   * @param {Object} [options] - Dependencies and configuration
+   */
+  constructor({
+    config = workerConfig.carbonRewards,
+    carbonCreditsService = new CarbonCreditsService(),
+    ...options
+  } = {}) {
+    super({ name: 'Carbon reward worker', collection: COLLECTION, config, ...options });
+    this.carbonCreditsService = carbonCreditsService;
+    this.rules = null;
+  }
+
+  /**
+   * Validate the reward rules, then start listening
+   */
+  async start() {
+    this.rules = parseRewardRules(this.config.rules);
+    await super.start();
+  }
+
+  /**
+   * Attempt the reward for a trip
+   * @param {Object} record - Reward record
+   * @returns {Promise<Object>} Record update
+   */
+  async attempt(record) {
+    const { tripId, actualCarbonFootprint } = record;
+    if (actualCarbonFootprint === null) {
+      return { status: 'failed', outcome: 'Actual carbon footprint unknown' };
+    }
+
+    const pending = await this.checkPendingTransaction(record);
+    if (pending.waiting) {
+      return this.waitForPendingTransaction(record);
+    }
+    if (pending.receipt) {
+      return this._minted(record.carrier, this.carbonCreditsService.decodeMintReward(pending.receipt), record.rule);
+    }
+
+    const trip = await this.tripRegistryService.getTripMetadata(tripId);
+    if (TRIP_STATUS[trip.status] !== 'Delivered') {
+      // TripCompleted was seen, so another status usually means a lagging node
+      return this.retryOrFail(record.attempts.length + 1, `Trip is ${TRIP_STATUS[trip.status]}`);
+    }
+
+    const carrier = trip.carrier;
+    const existing = await this.carbonCreditsService.findTripReward(carrier, tripId);
+    if (existing) {
+      return {
+        ...this._rewardFields(carrier, existing),
+        status: 'minted',
+        outcome: 'Already rewarded on-chain',
+      };
+    }
+
+    const carbonOffset = BigInt(trip.estimatedCarbonFootprint) - BigInt(actualCarbonFootprint);
+    if (carbonOffset <= 0n) {
+      return { carrier, carbonOffset: carbonOffset.toString(), status: 'skipped', outcome: 'No carbon offset' };
+    }
+
+    const countBatch = this.indexer ? (...args) => this._countBatch(...args) : null;
+    const classification = await classifyReward(trip, actualCarbonFootprint, this.rules, countBatch);
+    if (!classification) {
+      return { carrier, carbonOffset: carbonOffset.toString(), status: 'skipped', outcome: 'No reward rule matched' };
+    }
+
+    // Saved first, for an attempt that picks up the mint transaction
+    const store = await this.store;
+    await store.merge(this.collection, tripId, { carrier, rule: classification.rule });
+
+    const receipt = await this.sendTransaction(record, () =>
+      this.carbonCreditsService.sendMintReward(carrier, tripId, carbonOffset.toString(), classification.rewardType)
+    );
+    return this._minted(carrier, this.carbonCreditsService.decodeMintReward(receipt), classification.rule);
+  }
+
+  /**
+   * Record update for a mined mint transaction
+   * @param {string} carrier - Reward recipient
+   * @param {Object} result - Decoded mintReward result
+   * @param {number} rule - Index of the matched reward rule
+   * @returns {Promise<Object>} Record update
+   */
+  async _minted(carrier, result, rule) {
+    await firestoreService.invalidateCredits(carrier);
+
+    return {
+      ...this._rewardFields(carrier, result),
+      rule,
+      status: 'minted',
+      outcome: 'Minted',
+      txHash: result.txHash,
+      pendingTx: null,
+    };
+  }
+
+  /**
+   * Record fields describing a minted reward
+   * @param {string} carrier - Reward recipient
+   * @param {Object} reward - Reward from decodeMintReward or getReward
+   * @returns {Object} Record fields
+   */
+  _rewardFields(carrier, reward) {
+    return {
+      carrier,
+      rewardId: reward.rewardId,
+      carbonOffset: reward.carbonOffset,
+      rewardType: reward.rewardType,
+      rewardTypeName: REWARD_TYPE[reward.rewardType],
+      amount: reward.amount,
+    };
+  }
+
+  /**
+   * Count trips a carrier completed in the window ending at `completedAt`
+   * Used by batch rules; reads the indexer's trip index.
+   * @param {string} carrier - Lowercase carrier address
+   * @param {number} completedAt - Completion time of the trip being rewarded
+   * @param {number} windowSeconds - Window length
+   * @returns {Promise<number>} Trips completed in the window
+   */
+  async _countBatch(carrier, completedAt, windowSeconds) {
+    if (!(await this.indexer.isAvailable())) {
+      return 0;
+    }
+
+    const trips = await this.indexer.listDocuments(TRIP_INDEX_COLLECTION);
+    return trips.filter(trip => {
+      const time = Number(trip.completedAt);
+      return (
+        trip.carrier.toLowerCase() === carrier &&
+        time > 0 &&
+        time <= completedAt &&
+        time > completedAt - windowSeconds
+      );
+    }).length;
+  }
+}
+
+export const carbonRewardWorker = new CarbonRewardWorker();
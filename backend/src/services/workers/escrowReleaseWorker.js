@@ -0,0 +1,100 @@
+import { PaymentEscrowService } from '../blockchain/contractService.js';
+import { firestoreService } from '../cache/firestoreService.js';
+import { workerConfig } from '../../config/workers.js';
+import { TripCompletionWorker } from './tripCompletionWorker.js';
+
+const COLLECTION = 'escrow_releases';
+
+// canReleasePayment reasons that mean there is nothing left to do
+const SETTLED_REASONS = ['Payment already released', 'Payment refunded'];
+
+/**
+ * Worker that releases escrow payments when trips complete
+ * Checks canReleasePayment for the trip's escrow and calls
+ * releaseOnTripCompletion; see TripCompletionWorker for queueing and retries.
+ * A release sent by an earlier attempt is checked first, since
+ * canReleasePayment stays true until it is mined.
+ */
+export class EscrowReleaseWorker extends TripCompletionWorker {
+  /**
+   * @param {Object} [options] - Dependencies and configuration
+   */
+  constructor({
+    config = workerConfig.autoRelease,
+    paymentEscrowService = new PaymentEscrowService(),
+    ...options
+  } = {}) {
+    super({ name: 'Escrow release worker', collection: COLLECTION, config, ...options });
+    this.paymentEscrowService = paymentEscrowService;
+  }
+
+  /**
+   * Attempt the release for a trip
+   * @param {Object} record - Release record
+   * @returns {Promise<Object>} Record update
+   */
+  async attempt(record) {
+    const { tripId } = record;
+    const escrowId = record.escrowId || (await this._findEscrow(tripId));
+    if (!escrowId) {
+      return { status: 'skipped', outcome: 'No escrow for trip' };
+    }
+
+    const pending = await this.checkPendingTransaction(record);
+    if (pending.waiting) {
+      return { escrowId, ...this.waitForPendingTransaction(record) };
+    }
+    if (pending.receipt) {
+      return this._released(escrowId, pending.receipt);
+    }
+
+    const { canRelease, reason } = await this.paymentEscrowService.canReleasePayment(escrowId);
+
+    if (canRelease) {
+      // Saved first, for an attempt that picks up the release transaction
+      const store = await this.store;
+      await store.merge(this.collection, tripId, { escrowId });
+
+      const receipt = await this.sendTransaction(record, () =>
+        this.paymentEscrowService.sendReleaseOnTripCompletion(escrowId, tripId)
+      );
+      return this._released(escrowId, receipt);
+    }
+    if (SETTLED_REASONS.includes(reason)) {
+      return { escrowId, status: 'skipped', outcome: reason };
+    }
+
+    // The trip just completed, so unmet conditions usually mean a lagging node
+    return { escrowId, ...this.retryOrFail(record.attempts.length + 1, reason) };
+  }
+
+  /**
+   * Record update for a mined release transaction
+   * @param {string} escrowId - Escrow ID
+   * @param {ethers.TransactionReceipt} receipt - Receipt
+   * @returns {Promise<Object>} Record update
+   */
+  async _released(escrowId, receipt) {
+    const result = this.paymentEscrowService.decodeReleasePayment(receipt);
+    await firestoreService.invalidateEscrow(escrowId);
+    return { escrowId, status: 'released', outcome: 'Released', txHash: result.txHash, pendingTx: null };
+  }
+
+  /**
+   * Look up the escrow for a trip
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<string|null>} Escrow ID, or null if the trip has none
+   */
+  async _findEscrow(tripId) {
+    try {
+      return await this.paymentEscrowService.getEscrowByTrip(tripId);
+    } catch (error) {
+      if (/No escrow for trip/.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+export const escrowReleaseWorker = new EscrowReleaseWorker();
@@ -0,0 +1,22 @@
+/**
+ * Check whether a failed call is worth retrying
+ * Contract reverts are deterministic and will fail again; RPC, network and
+ * nonce errors are usually transient.
+ * @param {Error} error - Error thrown by ethers
+ * @returns {boolean} True if the call should be retried
+ */
+export function isTransientError(error) {
+  return error.code !== 'CALL_EXCEPTION' && error.code !== 'INVALID_ARGUMENT';
+}
+
+/**
+ * Exponential backoff delay with jitter
+ * @param {number} attempt - Attempt number (1-based)
+ * @param {number} baseMs - Delay after the first attempt
+ * @param {number} maxMs - Upper bound
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(attempt, baseMs, maxMs) {
+  const delay = Math.min(baseMs * 2 ** (attempt - 1), maxMs);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
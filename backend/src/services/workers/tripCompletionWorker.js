@@ -0,0 +1,353 @@
+import { TripRegistryService } from '../blockchain/contractService.js';
+import { transactionManagers } from '../blockchain/transactionManager.js';
+import { getProvider } from '../../config/blockchain.js';
+import { eventIndexer } from '../indexer/eventIndexer.js';
+import { indexerConfig } from '../../config/indexer.js';
+import { defaultNetwork, runInNetwork } from '../../config/networks.js';
+import { workerStore } from './workerStore.js';
+import { backoffDelay, isTransientError } from './retry.js';
+import { logger } from '../../utils/logger.js';
+
+const ACTIVE_STATUSES = ['pending', 'retrying'];
+const RETRYABLE_STATUSES = ['failed', 'skipped'];
+
+/**
+ * Base class for workers that act once per completed trip
+ * Listens for TripCompleted (from the event indexer when enabled, otherwise a
+ * live contract subscription) and keeps one record per trip in the worker
+ * store. Every attempt is appended to the record; transient failures are
+ * retried with exponential backoff, contract reverts fail immediately.
+ *
+ * Subclasses set `name` and `collection` and implement `attempt(record)`,
+ * which returns `{ status, outcome, ...fields }` or throws. They send their
+ * transaction with `sendTransaction`, which saves it on the record before
+ * waiting, and start each attempt with `checkPendingTransaction` so a retry
+ * never sends a second transaction while the first may still be mined.
+ *
+ * Workers follow the indexed (default) network; attempts run on it even when
+ * an operator retry comes in on another network.
+ */
+export class TripCompletionWorker {
+  /**
+   * @param {Object} options - Dependencies and configuration
+   * @param {string} options.name - Worker name for logs
+   * @param {string} options.collection - Worker store collection
+   * @param {Object} options.config - Retry configuration
+   */
+  constructor({
+    name,
+    collection,
+    config,
+    store = workerStore,
+    indexer = indexerConfig.enabled ? eventIndexer : null,
+    tripRegistryService = new TripRegistryService(),
+  }) {
+    this.name = name;
+    this.collection = collection;
+    this.config = config;
+    this.store = store;
+    this.indexer = indexer;
+    this.tripRegistryService = tripRegistryService;
+    this.network = defaultNetwork;
+    this.queue = Promise.resolve();
+    this.timers = new Map();
+    this.running = false;
+  }
+
+  /**
+   * Handle one attempt for a trip (implemented by subclasses)
+   * @param {Object} record - Current trip record
+   * @returns {Promise<Object>} Record update with `status` and `outcome`
+   */
+  async attempt() {
+    throw new Error(`${this.name} does not implement attempt()`);
+  }
+
+  /**
+   * Send the backend transaction of an attempt and wait for it to be mined
+   * The transaction is saved as the record's `pendingTx` before waiting, so
+   * an attempt after a failed wait or a restart finds it. The attempt's
+   * update should clear `pendingTx` once the receipt is handled.
+   * @param {Object} record - Current trip record
+   * @param {Function} send - async () => submitted transaction
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  async sendTransaction(record, send) {
+    const tx = await send();
+    const store = await this.store;
+    await store.merge(this.collection, record.tripId, {
+      pendingTx: { hash: tx.hash, from: tx.from, nonce: tx.nonce },
+      updatedAt: new Date().toISOString(),
+    });
+
+    return transactionManagers.get(this.network).wait(tx);
+  }
+
+  /**
+   * Find out what became of the transaction a previous attempt sent
+   * A fee bump or cancellation replaces the transaction under the same nonce,
+   * so once the nonce is used without the saved hash being mined, the
+   * contract state tells whether the action happened.
+   * @param {Object} record - Current trip record
+   * @returns {Promise<Object>} `{ receipt }` if it was mined successfully, `{ waiting: true }` while its
+   *   nonce is unused, `{}` if there is none or it reverted or was replaced (check the contract state)
+   */
+  async checkPendingTransaction(record) {
+    const { pendingTx } = record;
+    if (!pendingTx) {
+      return {};
+    }
+
+    const provider = getProvider(this.network);
+    const receipt = await provider.getTransactionReceipt(pendingTx.hash);
+    const settled = receipt || (await provider.getTransactionCount(pendingTx.from, 'latest')) > pendingTx.nonce;
+
+    if (settled) {
+      const store = await this.store;
+      await store.merge(this.collection, record.tripId, { pendingTx: null });
+      return receipt?.status === 1 ? { receipt } : {};
+    }
+
+    // Still pending; make sure it is bumped if it gets stuck (after a restart
+    // the transaction manager no longer tracks it)
+    const tx = await provider.getTransaction(pendingTx.hash);
+    if (tx) {
+      transactionManagers.get(this.network).track(tx);
+    }
+    return { waiting: true };
+  }
+
+  /**
+   * Record update for an attempt whose transaction is not mined yet
+   * @param {Object} record - Current trip record
+   * @returns {Object} Record update
+   */
+  waitForPendingTransaction(record) {
+    return this.retryOrFail(record.attempts.length + 1, `Waiting for transaction ${record.pendingTx.hash}`);
+  }
+
+  /**
+   * Subscribe to TripCompleted and resume unfinished work
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    const onTripCompleted = event => {
+      this.enqueue(event).catch(error => {
+        logger.error(`Failed to queue ${this.name} job`, { tripId: event.tripId, error: error.message });
+      });
+    };
+
+    if (this.indexer) {
+      this.indexer.on('event', event => {
+        if (event.event === 'TripCompleted') {
+          onTripCompleted({ tripId: event.tripId, actualCarbonFootprint: event.args.actualCarbonFootprint });
+        }
+      });
+    } else {
+      this.tripRegistryService.listenToEvents(event => {
+        if (event.type === 'TripCompleted') {
+          onTripCompleted(event);
+        }
+      });
+    }
+
+    await this.reconcile();
+    logger.info(`${this.name} started`, { source: this.indexer ? 'indexer' : 'live' });
+  }
+
+  /**
+   * Stop scheduled attempts
+   */
+  stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  /**
+   * Resume pending and retrying records, and queue completed trips the
+   * indexer saw while the worker was down
+   */
+  async reconcile() {
+    const store = await this.store;
+    const records = await store.list(this.collection);
+
+    for (const record of records.filter(r => ACTIVE_STATUSES.includes(r.status))) {
+      this._schedule(record.tripId, record.nextAttemptAt);
+    }
+
+    if (this.indexer && (await this.indexer.isAvailable())) {
+      const known = new Set(records.map(record => record.tripId));
+      const completed = await this.indexer.getEvents({ event: 'TripCompleted' });
+      for (const event of completed.filter(e => !known.has(e.tripId))) {
+        await this.enqueue({ tripId: event.tripId, actualCarbonFootprint: event.args.actualCarbonFootprint });
+      }
+    }
+  }
+
+  /**
+   * Queue a completed trip (no-op if already recorded)
+   * @param {Object} event - TripCompleted data
+   * @param {string} event.tripId - Trip ID
+   * @param {string} event.actualCarbonFootprint - Footprint reported on completion
+   * @returns {Promise<Object>} Trip record
+   */
+  async enqueue({ tripId, actualCarbonFootprint }) {
+    const store = await this.store;
+    const existing = await store.get(this.collection, tripId);
+    if (existing) {
+      return existing;
+    }
+
+    const record = {
+      tripId: String(tripId),
+      actualCarbonFootprint: actualCarbonFootprint !== undefined ? String(actualCarbonFootprint) : null,
+      status: 'pending',
+      attempts: [],
+      txHash: null,
+      pendingTx: null,
+      nextAttemptAt: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    await store.set(this.collection, tripId, record);
+    this._schedule(record.tripId);
+    return record;
+  }
+
+  /**
+   * Re-queue a failed or skipped trip (operator action)
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<Object|null>} Updated record, or null if unknown
+   */
+  async retry(tripId) {
+    const store = await this.store;
+    const record = await store.get(this.collection, tripId);
+    if (!record) {
+      return null;
+    }
+
+    if (RETRYABLE_STATUSES.includes(record.status)) {
+      await store.merge(this.collection, tripId, {
+        status: 'pending',
+        nextAttemptAt: null,
+        updatedAt: new Date().toISOString(),
+      });
+      this._schedule(record.tripId);
+    }
+
+    return store.get(this.collection, tripId);
+  }
+
+  /**
+   * Get the record for a trip
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<Object|null>} Trip record
+   */
+  async getRecord(tripId) {
+    const store = await this.store;
+    return store.get(this.collection, tripId);
+  }
+
+  /**
+   * List records
+   * @param {string} [status] - Filter by status
+   * @returns {Promise<Array>} Records, most recently updated first
+   */
+  async listRecords(status) {
+    const store = await this.store;
+    return (await store.list(this.collection))
+      .map(({ id, ...record }) => record)
+      .filter(record => !status || record.status === status)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Schedule processing of a trip, serialized through the worker queue
+   * @param {string} tripId - Trip ID
+   * @param {string} [at] - ISO time of the next attempt
+   */
+  _schedule(tripId, at = null) {
+    clearTimeout(this.timers.get(tripId));
+    const delay = at ? Math.max(new Date(at).getTime() - Date.now(), 0) : 0;
+
+    this.timers.set(
+      tripId,
+      setTimeout(() => {
+        this.timers.delete(tripId);
+        this.queue = this.queue
+          .then(() => runInNetwork(this.network, () => this._process(tripId)))
+          .catch(error => {
+            logger.error(`${this.name} error`, { tripId, error: error.message });
+          });
+      }, delay)
+    );
+  }
+
+  /**
+   * Run one attempt for a trip and record the outcome
+   * @param {string} tripId - Trip ID
+   */
+  async _process(tripId) {
+    if (!this.running) {
+      return;
+    }
+
+    const store = await this.store;
+    const record = await store.get(this.collection, tripId);
+    if (!record || !ACTIVE_STATUSES.includes(record.status)) {
+      return;
+    }
+
+    const attempt = { attempt: record.attempts.length + 1, at: new Date().toISOString() };
+    let update;
+
+    try {
+      update = await this.attempt(record);
+    } catch (error) {
+      update = isTransientError(error)
+        ? this.retryOrFail(attempt.attempt, error.shortMessage || error.message)
+        : { status: 'failed', outcome: error.reason || error.shortMessage || error.message };
+    }
+
+    const { outcome, ...fields } = update;
+    attempt.status = fields.status;
+    attempt.outcome = outcome;
+    if (fields.txHash) {
+      attempt.txHash = fields.txHash;
+    }
+
+    await store.merge(this.collection, tripId, {
+      ...fields,
+      attempts: [...record.attempts, attempt],
+      nextAttemptAt: fields.nextAttemptAt || null,
+      updatedAt: new Date().toISOString(),
+    });
+
+    const log = fields.status === 'failed' ? 'error' : 'info';
+    logger[log](`${this.name} attempt`, { tripId, attempt: attempt.attempt, status: fields.status, outcome });
+
+    if (fields.status === 'retrying') {
+      this._schedule(tripId, fields.nextAttemptAt);
+    }
+  }
+
+  /**
+   * Decide between another attempt and giving up
+   * @param {number} attempt - Attempt number just made
+   * @param {string} outcome - Why the attempt did not succeed
+   * @returns {Object} Record update
+   */
+  retryOrFail(attempt, outcome) {
+    if (attempt >= this.config.maxAttempts) {
+      return { status: 'failed', outcome };
+    }
+
+    const delay = backoffDelay(attempt, this.config.retryBaseMs, this.config.retryMaxMs);
+    return { status: 'retrying', outcome, nextAttemptAt: new Date(Date.now() + delay).toISOString() };
+  }
+}
@@ -0,0 +1,12 @@
+import { workerConfig } from '../../config/workers.js';
+import { storageConfig } from '../../config/storage.js';
+import { createStorageAdapter } from '../cache/adapters/index.js';
+
+/**
+ * Shared storage for background worker state (attempt records, queues)
+ * Resolves to a storage adapter.
+ */
+export const workerStore = createStorageAdapter(workerConfig.backend, {
+  filePath: workerConfig.filePath,
+  firestore: storageConfig.firestore,
+});
@@ -0,0 +1,303 @@
+import { ethers } from 'ethers';
+
+/**
+ * Contract revert catalog
+ * Maps every `require` message in TripRegistry, PaymentEscrow and
+ * CarbonCredits to a stable error code, an HTTP status and a message for API
+ * clients. The frontend reads a copy, frontend/src/config/contractErrors.json;
+ * run `npm run export:errors` after changing this one.
+ */
+export const CONTRACT_ERRORS = {
+  // TripRegistry
+  'TripRegistry: Trip does not exist': { code: 'TRIP_NOT_FOUND', status: 404, message: 'Trip not found' },
+  'TripRegistry: Token does not exist': { code: 'TRIP_TOKEN_NOT_FOUND', status: 404, message: 'Trip NFT not found' },
+  'TripRegistry: Not authorized carrier': {
+    code: 'NOT_TRIP_CARRIER',
+    status: 403,
+    message: 'Only the trip carrier can perform this action',
+  },
+  'TripRegistry: Not authorized': {
+    code: 'NOT_TRIP_PARTY',
+    status: 403,
+    message: 'Only the trip shipper or carrier can perform this action',
+  },
+  'TripRegistry: Trip cannot be started': {
+    code: 'TRIP_NOT_STARTABLE',
+    status: 409,
+    message: 'Trip has already been started or closed',
+  },
+  'TripRegistry: Trip cannot be completed': {
+    code: 'TRIP_NOT_IN_TRANSIT',
+    status: 409,
+    message: 'Trip is not in transit',
+  },
+  'TripRegistry: Trip cannot be cancelled': {
+    code: 'TRIP_NOT_CANCELLABLE',
+    status: 409,
+    message: 'Trip has already been delivered or closed',
+  },
+  'TripRegistry: Invalid carrier address': {
+    code: 'INVALID_CARRIER',
+    status: 422,
+    message: 'Carrier address is invalid',
+  },
+  'TripRegistry: Invalid receiver address': {
+    code: 'INVALID_RECEIVER',
+    status: 422,
+    message: 'Receiver address is invalid',
+  },
+  'TripRegistry: Cannot be own carrier': {
+    code: 'SHIPPER_IS_CARRIER',
+    status: 422,
+    message: 'The shipper cannot be the carrier of its own trip',
+  },
+  'TripRegistry: Distance must be greater than 0': {
+    code: 'INVALID_DISTANCE',
+    status: 422,
+    message: 'Distance must be greater than 0',
+  },
+  'TripRegistry: Carbon footprint must be greater than 0': {
+    code: 'INVALID_CARBON_FOOTPRINT',
+    status: 422,
+    message: 'Carbon footprint must be greater than 0',
+  },
+
+  // PaymentEscrow
+  'PaymentEscrow: Escrow does not exist': { code: 'ESCROW_NOT_FOUND', status: 404, message: 'Escrow not found' },
+  'PaymentEscrow: No escrow for trip': {
+    code: 'ESCROW_NOT_FOUND',
+    status: 404,
+    message: 'No escrow exists for this trip',
+  },
+  'PaymentEscrow: Trip does not exist': { code: 'TRIP_NOT_FOUND', status: 404, message: 'Trip not found' },
+  'PaymentEscrow: Not authorized payer': {
+    code: 'NOT_ESCROW_PAYER',
+    status: 403,
+    message: 'Only the escrow payer can perform this action',
+  },
+  'PaymentEscrow: Only payer can deposit': {
+    code: 'NOT_ESCROW_PAYER',
+    status: 403,
+    message: 'Only the escrow payer can deposit',
+  },
+  'PaymentEscrow: Not authorized to release': {
+    code: 'NOT_AUTHORIZED_TO_RELEASE',
+    status: 403,
+    message: 'Only the escrow payer or the contract owner can release payment',
+  },
+  'PaymentEscrow: Escrow already exists for trip': {
+    code: 'ESCROW_EXISTS',
+    status: 409,
+    message: 'An escrow already exists for this trip',
+  },
+  'PaymentEscrow: Cannot release payment': {
+    code: 'ESCROW_CLOSED',
+    status: 409,
+    message: 'Escrow has already been released or refunded',
+  },
+  'PaymentEscrow: Cannot deposit to escrow': {
+    code: 'ESCROW_CLOSED',
+    status: 409,
+    message: 'Escrow has already been released or refunded',
+  },
+  'PaymentEscrow: Cannot refund': {
+    code: 'ESCROW_CLOSED',
+    status: 409,
+    message: 'Escrow has already been released or refunded',
+  },
+  'PaymentEscrow: Escrow not in pending status': {
+    code: 'ESCROW_NOT_PENDING',
+    status: 409,
+    message: 'Escrow is no longer pending',
+  },
+  'PaymentEscrow: Trip not completed': {
+    code: 'TRIP_NOT_DELIVERED',
+    status: 409,
+    message: 'Trip has not been delivered yet',
+  },
+  'PaymentEscrow: No amount to release': {
+    code: 'NOTHING_TO_RELEASE',
+    status: 409,
+    message: 'There is no payment left to release',
+  },
+  'PaymentEscrow: No amount to refund': {
+    code: 'NOTHING_TO_REFUND',
+    status: 409,
+    message: 'There is no payment left to refund',
+  },
+  'PaymentEscrow: Must send payment': {
+    code: 'INVALID_AMOUNT',
+    status: 422,
+    message: 'A payment amount is required',
+  },
+  'PaymentEscrow: Amount must be greater than 0': {
+    code: 'INVALID_AMOUNT',
+    status: 422,
+    message: 'Amount must be greater than 0',
+  },
+  'PaymentEscrow: Invalid milestone amount': {
+    code: 'INVALID_AMOUNT',
+    status: 422,
+    message: 'Milestone amount must be greater than 0',
+  },
+  'PaymentEscrow: Insufficient balance': {
+    code: 'INSUFFICIENT_ESCROW_BALANCE',
+    status: 422,
+    message: 'Amount exceeds the escrow balance',
+  },
+  'PaymentEscrow: Exceeds escrow amount': {
+    code: 'INSUFFICIENT_ESCROW_BALANCE',
+    status: 422,
+    message: 'Amount exceeds the escrow balance',
+  },
+  'PaymentEscrow: Invalid payee address': {
+    code: 'INVALID_PAYEE',
+    status: 422,
+    message: 'Payee address is invalid',
+  },
+  'PaymentEscrow: Invalid percentage sum': {
+    code: 'INVALID_CONDITIONS',
+    status: 422,
+    message: 'Milestone and completion percentages must not exceed 100',
+  },
+  'PaymentEscrow: Trip ID mismatch': {
+    code: 'ESCROW_TRIP_MISMATCH',
+    status: 422,
+    message: 'Escrow does not belong to this trip',
+  },
+  'PaymentEscrow: Transfer failed': {
+    code: 'TRANSFER_FAILED',
+    status: 422,
+    message: 'The recipient rejected the transfer',
+  },
+  'PaymentEscrow: Refund failed': {
+    code: 'TRANSFER_FAILED',
+    status: 422,
+    message: 'The payer rejected the refund',
+  },
+  'PaymentEscrow: Invalid trip registry address': {
+    code: 'INVALID_TRIP_REGISTRY',
+    status: 422,
+    message: 'Trip registry address is invalid',
+  },
+
+  // CarbonCredits
+  'CarbonCredits: Reward does not exist': { code: 'REWARD_NOT_FOUND', status: 404, message: 'Reward not found' },
+  'CarbonCredits: Not authorized minter': {
+    code: 'NOT_AUTHORIZED_MINTER',
+    status: 403,
+    message: 'Only authorized minters can mint carbon credits',
+  },
+  'CarbonCredits: Not authorized': {
+    code: 'NOT_REWARD_RECIPIENT',
+    status: 403,
+    message: 'Only the recipient or the contract owner can perform this action',
+  },
+  'CarbonCredits: Not reward recipient': {
+    code: 'NOT_REWARD_RECIPIENT',
+    status: 403,
+    message: 'Only the reward recipient can claim this reward',
+  },
+  'CarbonCredits: Reward already claimed': {
+    code: 'REWARD_ALREADY_CLAIMED',
+    status: 409,
+    message: 'Reward has already been claimed',
+  },
+  'CarbonCredits: Invalid recipient': {
+    code: 'INVALID_RECIPIENT',
+    status: 422,
+    message: 'Recipient address is invalid',
+  },
+  'CarbonCredits: Carbon offset must be greater than 0': {
+    code: 'INVALID_CARBON_OFFSET',
+    status: 422,
+    message: 'Carbon offset must be greater than 0',
+  },
+  'CarbonCredits: Calculated reward is zero': {
+    code: 'REWARD_ZERO',
+    status: 422,
+    message: 'The carbon offset is too small to earn a reward',
+  },
+  'CarbonCredits: Amount must be greater than 0': {
+    code: 'INVALID_AMOUNT',
+    status: 422,
+    message: 'Amount must be greater than 0',
+  },
+  'CarbonCredits: Insufficient balance': {
+    code: 'INSUFFICIENT_CREDITS',
+    status: 422,
+    message: 'Amount exceeds the carbon credit balance',
+  },
+  'CarbonCredits: Invalid base multiplier': {
+    code: 'INVALID_REWARD_PARAMETERS',
+    status: 422,
+    message: 'Base multiplier must be greater than 0',
+  },
+};
+
+/**
+ * OpenZeppelin custom errors the contracts can revert with, by signature
+ */
+export const CUSTOM_CONTRACT_ERRORS = {
+  'OwnableUnauthorizedAccount(address)': {
+    code: 'NOT_CONTRACT_OWNER',
+    status: 403,
+    message: 'Only the contract owner can perform this action',
+  },
+  'ERC20InsufficientBalance(address,uint256,uint256)': {
+    code: 'INSUFFICIENT_CREDITS',
+    status: 422,
+    message: 'Amount exceeds the carbon credit balance',
+  },
+  'ERC721NonexistentToken(uint256)': { code: 'TRIP_TOKEN_NOT_FOUND', status: 404, message: 'Trip NFT not found' },
+};
+
+// Reverts that are not in the catalog
+const UNKNOWN_REVERT = { code: 'CONTRACT_REVERTED', status: 422 };
+
+const CUSTOM_ERROR_SELECTORS = Object.fromEntries(
+  Object.entries(CUSTOM_CONTRACT_ERRORS).map(([signature, entry]) => [ethers.id(signature).slice(0, 10), entry])
+);
+
+/**
+ * Revert string of a failed contract call
+ * ethers reports it as `reason` on CALL_EXCEPTION errors; providers that
+ * wrap the error only keep it in the message.
+ * @param {Error} error - Error thrown by ethers
+ * @returns {string|null} Revert string, null if none
+ */
+export function getRevertReason(error) {
+  if (typeof error?.reason === 'string' && error.reason) {
+    return error.reason;
+  }
+  if (error?.revert?.name === 'Error') {
+    return error.revert.args[0];
+  }
+
+  const match = /reverted with reason string '([^']*)'|execution reverted: "?([^"]*)"?/.exec(error?.message || '');
+  return match ? match[1] ?? match[2] : null;
+}
+
+/**
+ * Decode a contract revert into an API error
+ * @param {Error} error - Error thrown by ethers
+ * @returns {Object|null} `{ code, status, message, reason }`, null if the error is not a revert
+ */
+export function decodeContractError(error) {
+  const reason = getRevertReason(error);
+
+  if (reason !== null && CONTRACT_ERRORS[reason]) {
+    return { ...CONTRACT_ERRORS[reason], reason };
+  }
+
+  const selector = typeof error?.data === 'string' ? error.data.slice(0, 10) : null;
+  if (selector && CUSTOM_ERROR_SELECTORS[selector]) {
+    return { ...CUSTOM_ERROR_SELECTORS[selector], reason };
+  }
+
+  if (error?.code === 'CALL_EXCEPTION' || reason !== null) {
+    return { ...UNKNOWN_REVERT, message: reason || 'Contract call reverted', reason };
+  }
+
+  return null;
+}
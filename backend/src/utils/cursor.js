@@ -0,0 +1,32 @@
+/**
+ * Encode a pagination cursor
+ * @param {Object} position - Where the page ended (e.g. sort value and ID of its last item)
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Opaque cursor
+ * @param {Function} [isValid] - Checks the decoded position, e.g. that it is for the current sort
+ * @returns {Object} Position the previous page ended at
+ * @throws {Error} 400 `Invalid cursor` if the cursor is malformed or fails the check
+ */
+export function decodeCursor(cursor, isValid = () => true) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    decoded = null;
+  }
+
+  if (!decoded || typeof decoded !== 'object' || !isValid(decoded)) {
+    const error = new Error('Invalid cursor');
+    error.status = 400;
+    throw error;
+  }
+
+  return decoded;
+}
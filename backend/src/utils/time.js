@@ -0,0 +1,14 @@
+/**
+ * Parse a date query value (unix seconds or ISO 8601) into unix seconds
+ * @param {string} value - Query value
+ * @returns {number|undefined} Unix timestamp, undefined if absent, NaN if invalid
+ */
+export function parseTime(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  return Math.floor(new Date(value).getTime() / 1000);
+}
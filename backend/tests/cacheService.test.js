@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+import { CacheService } from '../src/services/cache/firestoreService.js';
+import { networkCollection } from '../src/config/networks.js';
+import { createStorageAdapter, MemoryAdapter } from '../src/services/cache/adapters/index.js';
+import { logger } from '../src/utils/logger.js';
+
+const CONFIG = { backend: 'memory', ttlSeconds: 60 };
+const TRIPS = networkCollection('trips');
+
+/**
+ * Cache service over an in-memory adapter
+ * @returns {CacheService} Service, with `adapter`
+ */
+function memoryCache() {
+  const adapter = new MemoryAdapter();
+  const cache = new CacheService(CONFIG, adapter);
+  cache.adapter = adapter;
+  return cache;
+}
+
+/**
+ * Age every cached trip past the TTL
+ * @param {CacheService} cache - Service from memoryCache
+ */
+async function expireTrips(cache) {
+  for (const trip of await cache.adapter.list(TRIPS)) {
+    await cache.adapter.merge(TRIPS, trip.tripId, { cachedAt: new Date(Date.now() - 61000).toISOString() });
+  }
+}
+
+describe('cache service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('treats a trip cached longer than the TTL as a miss', async () => {
+    const cache = memoryCache();
+    await cache.saveTrip('1', { status: 0 });
+
+    expect(await cache.getTrip('1')).toMatchObject({ tripId: '1', status: 0 });
+    await expireTrips(cache);
+    expect(await cache.getTrip('1')).toBeNull();
+  });
+
+  it('merges updates into cached trips only', async () => {
+    const cache = memoryCache();
+    await cache.saveTrip('1', { status: 0, distance: '620' });
+
+    await cache.updateTrip('1', { status: 2 });
+    await cache.updateTrip('2', { status: 2 });
+
+    expect(await cache.getTrip('1')).toMatchObject({ status: 2, distance: '620' });
+    expect(await cache.adapter.get(TRIPS, '2')).toBeNull();
+  });
+
+  it('drops a cached trip whose update fails', async () => {
+    const cache = memoryCache();
+    await cache.saveTrip('1', { status: 0 });
+    jest.spyOn(cache.adapter, 'merge').mockRejectedValue(new Error('write failed'));
+
+    await cache.updateTrip('1', { status: 2 });
+
+    expect(await cache.adapter.get(TRIPS, '1')).toBeNull();
+  });
+
+  it('rejects unknown storage backends instead of keeping data in memory', async () => {
+    await expect(createStorageAdapter('redis')).rejects.toThrow('Unknown storage backend "redis"');
+    expect((await createStorageAdapter('memory')).name).toBe('memory');
+  });
+
+  it('caches in memory, logging an error, when its backend is unavailable', async () => {
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const cache = new CacheService({ ...CONFIG, backend: 'redis' });
+
+    expect((await cache.getAdapter()).name).toBe('memory');
+    expect(error).toHaveBeenCalledWith(
+      'Cache backend unavailable, caching in memory until restart',
+      expect.objectContaining({ backend: 'redis' })
+    );
+  });
+});
@@ -0,0 +1,120 @@
+import { account, chainAvailable, configureBackend, createTrip, deployAll, startChain } from './helpers/chain.js';
+
+const COLLECTION = 'carbon_rewards';
+
+// A retried reward attempt must pick up the mint transaction of the attempt
+// before it instead of minting again
+(chainAvailable ? describe : describe.skip)('carbon reward worker retries', () => {
+  let chain;
+  let tripRegistry;
+  let carbonCredits;
+  let parties;
+  let worker;
+  let store;
+
+  /**
+   * Create and complete a trip with a carbon offset, and queue its record
+   * @returns {Promise<string>} Trip ID
+   */
+  async function completedTrip() {
+    const tripId = await createTrip(tripRegistry, parties);
+    await (await tripRegistry.connect(parties.carrier).startTrip(tripId)).wait();
+    await (await tripRegistry.connect(parties.carrier).completeTrip(tripId, 900, '')).wait();
+
+    await store.set(COLLECTION, tripId, {
+      tripId,
+      actualCarbonFootprint: '900',
+      status: 'pending',
+      attempts: [],
+      txHash: null,
+      pendingTx: null,
+      nextAttemptAt: null,
+    });
+    return tripId;
+  }
+
+  /**
+   * Wait until the record of a trip has a pending transaction
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<Object>} Record
+   */
+  async function pendingRecord(tripId) {
+    for (;;) {
+      const record = await store.get(COLLECTION, tripId);
+      if (record.pendingTx) {
+        return record;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+
+  beforeAll(async () => {
+    chain = await startChain(18547);
+    parties = {
+      shipper: account(1, chain.provider),
+      carrier: account(2, chain.provider),
+      receiver: account(3, chain.provider),
+    };
+
+    const deployed = await deployAll(account(0, chain.provider));
+    tripRegistry = deployed.tripRegistry;
+    carbonCredits = deployed.carbonCredits;
+    configureBackend(chain, deployed.addresses);
+
+    const { CarbonRewardWorker } = await import('../src/services/workers/carbonRewardWorker.js');
+    const { parseRewardRules } = await import('../src/services/carbon/rewardRules.js');
+    worker = new CarbonRewardWorker({ indexer: null, config: { maxAttempts: 5, retryBaseMs: 1000, retryMaxMs: 1000 } });
+    worker.rules = parseRewardRules(null);
+    worker.running = true;
+    store = await worker.store;
+  }, 60000);
+
+  afterAll(async () => {
+    worker?.stop();
+    const { getProvider } = await import('../src/config/blockchain.js');
+    getProvider().destroy();
+    chain?.stop();
+  });
+
+  afterEach(async () => {
+    await chain.provider.send('evm_setAutomine', [true]);
+  });
+
+  it('waits for a mint transaction that is still pending instead of sending another', async () => {
+    const tripId = await completedTrip();
+    await chain.provider.send('evm_setAutomine', [false]);
+
+    const first = worker._process(tripId);
+    const record = await pendingRecord(tripId);
+
+    const retry = await worker.attempt(record);
+    expect(retry.status).toBe('retrying');
+    expect(retry.outcome).toBe(`Waiting for transaction ${record.pendingTx.hash}`);
+    expect(await chain.provider.getTransactionCount(record.pendingTx.from, 'pending')).toBe(record.pendingTx.nonce + 1);
+
+    await chain.provider.send('evm_mine', []);
+    await first;
+
+    const minted = await store.get(COLLECTION, tripId);
+    expect(minted).toMatchObject({ status: 'minted', txHash: record.pendingTx.hash, pendingTx: null });
+  }, 30000);
+
+  it('records the mined mint transaction of a failed wait instead of minting again', async () => {
+    const tripId = await completedTrip();
+    await worker._process(tripId);
+    const { txHash, carrier } = await store.get(COLLECTION, tripId);
+
+    // As if the wait had failed after the transaction was sent
+    const tx = await chain.provider.getTransaction(txHash);
+    const rewardCount = (await carbonCredits.getUserRewards(carrier)).length;
+    await store.merge(COLLECTION, tripId, {
+      status: 'retrying',
+      txHash: null,
+      pendingTx: { hash: tx.hash, from: tx.from, nonce: tx.nonce },
+    });
+    await worker._process(tripId);
+
+    expect(await store.get(COLLECTION, tripId)).toMatchObject({ status: 'minted', txHash, pendingTx: null });
+    expect(await carbonCredits.getUserRewards(carrier)).toHaveLength(rewardCount);
+  }, 30000);
+});
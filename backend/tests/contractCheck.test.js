@@ -0,0 +1,106 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ethers } from 'ethers';
+import { account, chainAvailable, configureBackend, deployAll, startChain } from './helpers/chain.js';
+
+// The check server.js runs before listening: contracts deployed from the
+// compiled sources pass, a manifest recording another ABI does not
+(chainAvailable ? describe : describe.skip)('startup contract check', () => {
+  let chain;
+  let dir;
+  let deployed;
+  let contractCheckService;
+
+  beforeAll(async () => {
+    chain = await startChain(18551);
+    deployed = await deployAll(account(0, chain.provider));
+    const { loadContractABI } = await import('../src/config/loadABI.js');
+
+    // Manifest of the deployment, as the deploy scripts write it, except that
+    // CarbonCredits was recorded with the ABI of an older build
+    const contracts = {};
+    for (const name of ['TripRegistry', 'PaymentEscrow', 'CarbonCredits']) {
+      const key = name.charAt(0).toLowerCase() + name.slice(1);
+      contracts[name] = {
+        address: await deployed[key].getAddress(),
+        deploymentBlock: 1,
+        transactionHash: deployed[key].deploymentTransaction().hash,
+        abiHash: ethers.id(JSON.stringify(loadContractABI(name).abi)),
+      };
+    }
+    contracts.CarbonCredits.abiHash = ethers.id(JSON.stringify([]));
+
+    dir = mkdtempSync(join(tmpdir(), 'deployments-'));
+    writeFileSync(
+      join(dir, 'localhost.json'),
+      JSON.stringify({ network: 'localhost', chainId: 1337, deployer: account(0).address, contracts })
+    );
+
+    configureBackend(chain, {});
+    process.env.DEPLOYMENTS_PATH = dir;
+
+    ({ contractCheckService } = await import('../src/services/blockchain/contractCheck.js'));
+  }, 60000);
+
+  afterAll(() => {
+    chain?.stop();
+    if (dir) {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * Problems reported for a contract
+   * @param {Object} report - Result of check()
+   * @param {string} name - Contract name
+   * @returns {string[]} Problems
+   */
+  function problemsOf(report, name) {
+    return report.contracts.find(contract => contract.name === name).problems;
+  }
+
+  it('passes contracts whose ABI and bytecode match', async () => {
+    const report = await contractCheckService.check();
+
+    expect(report.contracts.map(({ network, name }) => `${network}:${name}`)).toEqual([
+      'localhost:TripRegistry',
+      'localhost:PaymentEscrow',
+      'localhost:CarbonCredits',
+    ]);
+    expect(problemsOf(report, 'TripRegistry')).toEqual([]);
+    expect(problemsOf(report, 'PaymentEscrow')).toEqual([]);
+  }, 30000);
+
+  it('reports an ABI hash that differs from the manifest', async () => {
+    const report = await contractCheckService.check();
+
+    expect(report.ok).toBe(false);
+    expect(problemsOf(report, 'CarbonCredits')).toEqual([
+      `ABI differs from the deployed one (abiHash in ${join(dir, 'localhost.json')})`,
+    ]);
+    expect(contractCheckService.formatReport(report)).toContain(
+      `CarbonCredits on localhost at ${await deployed.carbonCredits.getAddress()}`
+    );
+  }, 30000);
+
+  it('reports an address without a contract or without the functions the services call', async () => {
+    const { networks } = await import('../src/config/networks.js');
+    const network = networks.get('localhost');
+    const addresses = { ...network.contractAddresses };
+
+    try {
+      // A wallet, and a contract compiled from other sources
+      network.contractAddresses.tripRegistry = account(5).address;
+      network.contractAddresses.paymentEscrow = await deployed.carbonCredits.getAddress();
+      const report = await contractCheckService.check();
+
+      expect(problemsOf(report, 'TripRegistry')).toEqual(['No contract deployed at this address']);
+      expect(problemsOf(report, 'PaymentEscrow')).toContain(
+        'Deployed bytecode does not emit EscrowCreated(uint256,uint256,address,address,uint256)'
+      );
+    } finally {
+      Object.assign(network.contractAddresses, addresses);
+    }
+  }, 30000);
+});
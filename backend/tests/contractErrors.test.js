@@ -0,0 +1,143 @@
+import { readFileSync } from 'fs';
+import { jest } from '@jest/globals';
+import { ethers } from 'ethers';
+import {
+  CONTRACT_ERRORS,
+  CUSTOM_CONTRACT_ERRORS,
+  decodeContractError,
+  getRevertReason,
+} from '../src/utils/contractErrors.js';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+import { logger } from '../src/utils/logger.js';
+
+// Catalog generated for the frontend by `npm run export:errors`
+const FRONTEND_CATALOG = new URL('../../frontend/src/config/contractErrors.json', import.meta.url);
+
+const OWNABLE = new ethers.Interface(['error OwnableUnauthorizedAccount(address account)']);
+
+/**
+ * A CALL_EXCEPTION as ethers throws it
+ * @param {Object} info - Error fields (`reason`, `data`, `revert`)
+ * @returns {Error} Error
+ */
+function callException(info) {
+  return ethers.makeError('execution reverted', 'CALL_EXCEPTION', { action: 'estimateGas', ...info });
+}
+
+/**
+ * Run the error handler on an error
+ * @param {Error} error - Error
+ * @returns {Object} `{ status, body }`
+ */
+function handle(error) {
+  const response = { status: null, body: null };
+  const res = {
+    status(status) {
+      response.status = status;
+      return this;
+    },
+    json(body) {
+      response.body = body;
+      return this;
+    },
+  };
+  errorHandler(error, { path: '/api/trip/start/1', method: 'POST' }, res, () => {});
+  return response;
+}
+
+describe('contract revert decoding', () => {
+  it('maps a catalogued revert string to its code, status and message', () => {
+    const error = callException({ reason: 'TripRegistry: Trip cannot be started' });
+
+    expect(decodeContractError(error)).toEqual({
+      code: 'TRIP_NOT_STARTABLE',
+      status: 409,
+      message: 'Trip has already been started or closed',
+      reason: 'TripRegistry: Trip cannot be started',
+    });
+  });
+
+  it('reads the revert string from the decoded Error(string) revert', () => {
+    const error = callException({
+      revert: { name: 'Error', signature: 'Error(string)', args: ['PaymentEscrow: Insufficient balance'] },
+    });
+
+    expect(decodeContractError(error)).toMatchObject({ code: 'INSUFFICIENT_ESCROW_BALANCE', status: 422 });
+  });
+
+  it.each([
+    ["Error: VM Exception while processing transaction: reverted with reason string 'CarbonCredits: Reward already claimed'"],
+    ['execution reverted: "CarbonCredits: Reward already claimed"'],
+  ])('reads the revert string from a wrapped provider message: %s', message => {
+    const error = new Error(message);
+
+    expect(getRevertReason(error)).toBe('CarbonCredits: Reward already claimed');
+    expect(decodeContractError(error)).toMatchObject({ code: 'REWARD_ALREADY_CLAIMED', status: 409 });
+  });
+
+  it('maps OpenZeppelin custom errors by selector', () => {
+    const data = OWNABLE.encodeErrorResult('OwnableUnauthorizedAccount', [ethers.ZeroAddress]);
+
+    expect(decodeContractError(callException({ data }))).toEqual({
+      code: 'NOT_CONTRACT_OWNER',
+      status: 403,
+      message: 'Only the contract owner can perform this action',
+      reason: null,
+    });
+  });
+
+  it('answers reverts that are not catalogued with their revert string', () => {
+    expect(decodeContractError(callException({ reason: 'Something new' }))).toEqual({
+      code: 'CONTRACT_REVERTED',
+      status: 422,
+      message: 'Something new',
+      reason: 'Something new',
+    });
+    expect(decodeContractError(callException({ data: '0x' }))).toMatchObject({
+      code: 'CONTRACT_REVERTED',
+      message: 'Contract call reverted',
+    });
+  });
+
+  it('ignores errors that are not reverts', () => {
+    expect(decodeContractError(new Error('connect ECONNREFUSED'))).toBeNull();
+    expect(decodeContractError(null)).toBeNull();
+  });
+
+  it('matches the catalog exported to the frontend', () => {
+    const catalog = JSON.parse(readFileSync(FRONTEND_CATALOG, 'utf8'));
+
+    expect(catalog).toEqual({ errors: CONTRACT_ERRORS, customErrors: CUSTOM_CONTRACT_ERRORS });
+  });
+
+  describe('error handler', () => {
+    beforeEach(() => {
+      jest.spyOn(logger, 'error').mockImplementation(() => logger);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('responds to a revert with its catalog entry', () => {
+      const { status, body } = handle(callException({ reason: 'TripRegistry: Not authorized carrier' }));
+
+      expect(status).toBe(403);
+      expect(body).toEqual({
+        success: false,
+        error: 'Only the trip carrier can perform this action',
+        code: 'NOT_TRIP_CARRIER',
+      });
+    });
+
+    it('responds to other errors with their status and code, or 500', () => {
+      const conflict = Object.assign(new Error('Job is running'), { status: 409, code: 'JOB_RUNNING' });
+
+      expect(handle(conflict)).toEqual({
+        status: 409,
+        body: { success: false, error: 'Job is running', code: 'JOB_RUNNING' },
+      });
+      expect(handle(new Error('boom'))).toEqual({ status: 500, body: { success: false, error: 'boom' } });
+    });
+  });
+});
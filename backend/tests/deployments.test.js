@@ -0,0 +1,119 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const SEPOLIA_REGISTRY = '0x1111111111111111111111111111111111111111';
+const OVERRIDE_REGISTRY = '0x2222222222222222222222222222222222222222';
+
+/**
+ * Deployment manifest, as the deploy scripts write it
+ * @param {string} network - Network name
+ * @param {number} chainId - Chain ID
+ * @param {Object} addresses - Contract addresses by name
+ * @returns {Object} Manifest
+ */
+function manifest(network, chainId, addresses) {
+  return {
+    network,
+    chainId,
+    deployer: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+    deployedAt: '2026-01-01T00:00:00.000Z',
+    contracts: Object.fromEntries(
+      Object.entries(addresses).map(([name, address], index) => [
+        name,
+        {
+          address,
+          deploymentBlock: 100 + index,
+          transactionHash: `0x${'ab'.repeat(32)}`,
+          abiHash: `0x${'cd'.repeat(32)}`,
+        },
+      ])
+    ),
+  };
+}
+
+// Networks configured from NETWORKS, with their chain IDs and addresses
+// resolved from deployments/<network>.json
+describe('deployment manifests', () => {
+  let dir;
+  let deployments;
+  let networks;
+  let getDeployedContract;
+
+  beforeAll(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'deployments-'));
+    const files = {
+      'sepolia.json': manifest('sepolia', 11155111, {
+        TripRegistry: SEPOLIA_REGISTRY,
+        PaymentEscrow: '0x3333333333333333333333333333333333333333',
+        CarbonCredits: '0x4444444444444444444444444444444444444444',
+      }),
+      'amoy.json': manifest('amoy', 80002, { TripRegistry: '0x5555555555555555555555555555555555555555' }),
+      // Two manifests for one chain, e.g. a renamed network
+      'fork-a.json': manifest('fork-a', 31337, {}),
+      'fork-b.json': manifest('fork-b', 31337, {}),
+    };
+    for (const [file, content] of Object.entries(files)) {
+      writeFileSync(join(dir, file), JSON.stringify(content));
+    }
+    writeFileSync(join(dir, 'README.md'), 'Not a manifest');
+
+    Object.assign(process.env, {
+      DEPLOYMENTS_PATH: dir,
+      NETWORKS: 'sepolia,amoy',
+      SEPOLIA_RPC_URL: 'http://127.0.0.1:1',
+      AMOY_RPC_URL: 'http://127.0.0.1:2',
+      AMOY_TRIP_REGISTRY_ADDRESS: OVERRIDE_REGISTRY,
+    });
+
+    deployments = await import('../src/config/deployments.js');
+    ({ networks } = await import('../src/config/networks.js'));
+    ({ getDeployedContract } = await import('../src/config/blockchain.js'));
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads the manifest of a network and of a chain', () => {
+    expect(deployments.loadNetworkDeployment('sepolia')).toMatchObject({
+      network: 'sepolia',
+      chainId: 11155111,
+      path: join(dir, 'sepolia.json'),
+      contracts: { TripRegistry: { address: SEPOLIA_REGISTRY, deploymentBlock: 100 } },
+    });
+    expect(deployments.loadDeployment(80002).network).toBe('amoy');
+    expect(deployments.loadNetworkDeployment('mainnet')).toBeNull();
+    expect(deployments.loadDeployment(1)).toBeNull();
+  });
+
+  it('refuses to pick between several manifests for one chain', () => {
+    expect(() => deployments.loadDeployment(31337)).toThrow(
+      `Several deployment manifests for chain 31337: ${join(dir, 'fork-a.json')}, ${join(dir, 'fork-b.json')}`
+    );
+  });
+
+  it('configures networks from their manifests, with address variables taking precedence', () => {
+    const sepolia = networks.get('sepolia');
+    expect(sepolia.chainId).toBe(11155111);
+    expect(sepolia.contractAddresses).toEqual({
+      tripRegistry: SEPOLIA_REGISTRY,
+      paymentEscrow: '0x3333333333333333333333333333333333333333',
+      carbonCredits: '0x4444444444444444444444444444444444444444',
+    });
+
+    const amoy = networks.get('amoy');
+    expect(amoy.chainId).toBe(80002);
+    expect(amoy.contractAddresses).toEqual({ tripRegistry: OVERRIDE_REGISTRY, paymentEscrow: '', carbonCredits: '' });
+  });
+
+  it('only uses manifest entries for contracts deployed at the configured address', () => {
+    expect(getDeployedContract('TripRegistry', networks.get('sepolia'))).toMatchObject({
+      address: SEPOLIA_REGISTRY,
+      deploymentBlock: 100,
+    });
+    // Overridden by AMOY_TRIP_REGISTRY_ADDRESS: the manifest's block and ABI hash are not its own
+    expect(getDeployedContract('TripRegistry', networks.get('amoy'))).toBeNull();
+    expect(getDeployedContract('CarbonCredits', networks.get('amoy'))).toBeNull();
+  });
+});
@@ -0,0 +1,190 @@
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { account, createApp, signIn } from './helpers/chain.js';
+import { computeCid } from '../src/services/documents/cid.js';
+import { logger } from '../src/utils/logger.js';
+
+/**
+ * Deterministic test content
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Bytes 0, 1, ... 250, 0, 1, ...
+ */
+function pattern(length) {
+  return Uint8Array.from({ length }, (_, index) => index % 251);
+}
+
+// CIDs an IPFS node returns for `ipfs add --cid-version 1` of the same content
+describe('document CIDs', () => {
+  it('gives small files the CID of their single raw block', async () => {
+    expect(await computeCid(Buffer.from('hello world'))).toBe(
+      'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e'
+    );
+    expect(await computeCid(new Uint8Array(0))).toBe('bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku');
+    // Exactly one chunk
+    expect(await computeCid(pattern(262144))).toBe('bafkreibruh455iawsviqslif5c7uurdcfdemh22mtnytyzvnzn75kpejxy');
+  });
+
+  it('chunks larger files into a UnixFS DAG', async () => {
+    expect(await computeCid(pattern(600000))).toBe('bafybeicp64het67shnhxiyl3sg5mylxqop6pnqsqpfecb6pmni2ghoxzom');
+  });
+});
+
+// Documents on the filesystem store, uploaded and read back through the API
+describe('document storage', () => {
+  let dir;
+  let app;
+  let token;
+  let documentService;
+  const uploader = account(4);
+
+  beforeAll(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'documents-'));
+    Object.assign(process.env, {
+      DOCUMENT_STORAGE: 'filesystem',
+      DOCUMENT_DIR: dir,
+      AUTH_JWT_SECRET: 'test-secret',
+    });
+
+    app = await createApp();
+    token = await signIn(app, uploader);
+    ({ documentService } = await import('../src/services/documents/documentService.js'));
+  });
+
+  afterAll(async () => {
+    // Created to verify sign-in messages
+    const { getProvider } = await import('../src/config/blockchain.js');
+    getProvider().destroy();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Upload files through the API
+   * @param {Array} files - `[content, filename, contentType]` of each file
+   * @returns {Promise<Object>} Response
+   */
+  function upload(files) {
+    let req = request(app).post('/api/documents').auth(token, { type: 'bearer' });
+    for (const [content, filename, contentType] of files) {
+      req = req.attach('files', Buffer.from(content), { filename, contentType });
+    }
+    return req;
+  }
+
+  it('stores uploads by CID and serves them back', async () => {
+    const response = await upload([
+      ['%PDF-1.4 signed POD', 'pod.pdf', 'application/pdf'],
+      ['<script>alert(1)</script>', 'notes.html', 'text/html'],
+    ]);
+
+    expect(response.status).toBe(201);
+    const [pod, notes] = response.body.data;
+    const cid = await computeCid(Buffer.from('%PDF-1.4 signed POD'));
+    expect(pod).toMatchObject({
+      cid,
+      uri: `ipfs://${cid}`,
+      name: 'pod.pdf',
+      contentType: 'application/pdf',
+      size: 19,
+      kind: 'file',
+      uploadedBy: uploader.address,
+      storage: 'filesystem',
+    });
+    expect(readdirSync(dir).sort()).toEqual([pod.cid, notes.cid].sort());
+
+    const info = await request(app).get(`/api/documents/${pod.cid}/info`);
+    expect(info.body.data).toEqual(pod);
+
+    const download = await request(app).get(`/api/documents/${pod.cid}`);
+    expect(download.status).toBe(200);
+    expect(download.headers).toMatchObject({
+      'content-type': 'application/pdf',
+      'content-disposition': 'inline; filename="pod.pdf"',
+      etag: `"${pod.cid}"`,
+    });
+    expect(download.body.toString()).toBe('%PDF-1.4 signed POD');
+
+    // Never rendered on the API origin
+    const html = await request(app).get(`/api/documents/${notes.cid}`);
+    expect(html.headers['content-type']).toBe('application/octet-stream');
+    expect(html.headers['content-disposition']).toBe('attachment; filename="notes.html"');
+  });
+
+  it('keeps the first record of content uploaded twice', async () => {
+    const [first] = (await upload([['same bytes', 'first.txt', 'text/plain']])).body.data;
+    const [second] = (await upload([['same bytes', 'second.txt', 'text/plain']])).body.data;
+
+    expect(second).toEqual(first);
+  });
+
+  it('rejects uploads without a session or without files', async () => {
+    const anonymous = await request(app).post('/api/documents').attach('files', Buffer.from('x'), 'x.txt');
+    expect(anonymous.status).toBe(401);
+
+    const empty = await upload([]);
+    expect(empty.status).toBe(400);
+
+    jest.spyOn(logger, 'error').mockImplementation(() => logger);
+    const emptyFile = await upload([['', 'empty.txt', 'text/plain']]);
+    logger.error.mockRestore();
+    expect(emptyFile.status).toBe(400);
+    expect(emptyFile.body.error).toBe('empty.txt is empty');
+  });
+
+  it('only serves documents uploaded here', async () => {
+    const unknown = await computeCid(Buffer.from('never uploaded'));
+
+    expect((await request(app).get(`/api/documents/${unknown}`)).status).toBe(404);
+    expect((await request(app).get(`/api/documents/${unknown}/info`)).status).toBe(404);
+    expect((await request(app).get('/api/documents/not-a-cid')).status).toBe(400);
+  });
+
+  it('stores trip metadata that references uploaded documents', async () => {
+    const [invoice] = (await upload([['invoice 42', 'invoice.pdf', 'application/pdf']])).body.data;
+    const missing = await computeCid(Buffer.from('not uploaded'));
+    const store = metadata =>
+      request(app).post('/api/documents/metadata').auth(token, { type: 'bearer' }).send(metadata);
+
+    jest.spyOn(logger, 'error').mockImplementation(() => logger);
+    const rejected = await store({ description: 'Pallets', documents: [{ cid: missing }] });
+    logger.error.mockRestore();
+    expect(rejected.status).toBe(404);
+    expect(rejected.body.error).toBe(`Document ${missing} not found`);
+
+    const created = await store({ description: 'Pallets', documents: [{ cid: invoice.cid, name: 'Invoice' }] });
+    expect(created.status).toBe(201);
+    const { document, cid } = created.body.data;
+    expect(document).toEqual({
+      type: 'decentralogix/trip-metadata',
+      version: 1,
+      description: 'Pallets',
+      documents: [{ cid: invoice.cid, name: 'Invoice' }],
+    });
+    expect(cid).toBe(await computeCid(Buffer.from(JSON.stringify(document))));
+  });
+
+  it('gives the same delivery proof the same manifest CID', async () => {
+    const files = [
+      { buffer: Buffer.from('photo'), originalname: 'photo.jpg', mimetype: 'image/jpeg' },
+      { buffer: Buffer.from('signed POD'), originalname: 'pod.pdf', mimetype: 'application/pdf' },
+    ];
+
+    const first = await documentService.createDeliveryProof({ tripId: '7', notes: 'Dock 3' }, files, uploader.address);
+    const again = await documentService.createDeliveryProof({ tripId: '7', notes: 'Dock 3' }, files, uploader.address);
+
+    expect(again.cid).toBe(first.cid);
+    expect(first.manifest).toMatchObject({
+      type: 'decentralogix/delivery-proof',
+      tripId: '7',
+      files: [
+        { cid: await computeCid(Buffer.from('photo')), name: 'photo.jpg', size: 5 },
+        { cid: await computeCid(Buffer.from('signed POD')), name: 'pod.pdf', size: 10 },
+      ],
+    });
+    await expect(documentService.createDeliveryProof({ tripId: '7' }, [], uploader.address)).rejects.toMatchObject({
+      status: 400,
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { ethers } from 'ethers';
+import { account, chainAvailable, configureBackend, createTrip, deployAll, startChain } from './helpers/chain.js';
+
+const COLLECTION = 'escrow_releases';
+const AMOUNT = ethers.parseEther('1');
+
+// A retried release attempt must pick up the release transaction of the
+// attempt before it: escrows releasing part of their amount on completion
+// would otherwise pay the carrier twice
+(chainAvailable ? describe : describe.skip)('escrow release worker retries', () => {
+  let chain;
+  let tripRegistry;
+  let paymentEscrow;
+  let parties;
+  let worker;
+  let store;
+
+  /**
+   * Create a trip with an escrow releasing half on completion, complete it
+   * and queue its record
+   * @returns {Promise<Object>} `{ tripId, escrowId }`
+   */
+  async function completedTrip() {
+    const { shipper, carrier } = parties;
+    const tripId = await createTrip(tripRegistry, parties);
+    await (
+      await paymentEscrow.connect(shipper).createEscrow(tripId, carrier.address, [true, false, false, 0, 50], {
+        value: AMOUNT,
+      })
+    ).wait();
+    await (await tripRegistry.connect(carrier).startTrip(tripId)).wait();
+    await (await tripRegistry.connect(carrier).completeTrip(tripId, 900, '')).wait();
+
+    await store.set(COLLECTION, tripId, {
+      tripId,
+      actualCarbonFootprint: '900',
+      status: 'pending',
+      attempts: [],
+      txHash: null,
+      pendingTx: null,
+      nextAttemptAt: null,
+    });
+    return { tripId, escrowId: (await paymentEscrow.getEscrowByTrip(tripId)).toString() };
+  }
+
+  /**
+   * Wait until the record of a trip has a pending transaction
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<Object>} Record
+   */
+  async function pendingRecord(tripId) {
+    for (;;) {
+      const record = await store.get(COLLECTION, tripId);
+      if (record.pendingTx) {
+        return record;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+
+  beforeAll(async () => {
+    chain = await startChain(18548);
+    parties = {
+      shipper: account(1, chain.provider),
+      carrier: account(2, chain.provider),
+      receiver: account(3, chain.provider),
+    };
+
+    const deployed = await deployAll(account(0, chain.provider));
+    tripRegistry = deployed.tripRegistry;
+    paymentEscrow = deployed.paymentEscrow;
+    configureBackend(chain, deployed.addresses);
+
+    const { EscrowReleaseWorker } = await import('../src/services/workers/escrowReleaseWorker.js');
+    worker = new EscrowReleaseWorker({ indexer: null, config: { maxAttempts: 5, retryBaseMs: 1000, retryMaxMs: 1000 } });
+    worker.running = true;
+    store = await worker.store;
+  }, 60000);
+
+  afterAll(async () => {
+    worker?.stop();
+    const { getProvider } = await import('../src/config/blockchain.js');
+    getProvider().destroy();
+    chain?.stop();
+  });
+
+  afterEach(async () => {
+    await chain.provider.send('evm_setAutomine', [true]);
+  });
+
+  it('waits for a release transaction that is still pending instead of sending another', async () => {
+    const { tripId, escrowId } = await completedTrip();
+    await chain.provider.send('evm_setAutomine', [false]);
+
+    const first = worker._process(tripId);
+    const record = await pendingRecord(tripId);
+
+    const retry = await worker.attempt(record);
+    expect(retry).toMatchObject({ escrowId, status: 'retrying' });
+    expect(retry.outcome).toBe(`Waiting for transaction ${record.pendingTx.hash}`);
+    expect(await chain.provider.getTransactionCount(record.pendingTx.from, 'pending')).toBe(record.pendingTx.nonce + 1);
+
+    await chain.provider.send('evm_mine', []);
+    await first;
+
+    expect(await store.get(COLLECTION, tripId)).toMatchObject({
+      status: 'released',
+      txHash: record.pendingTx.hash,
+      pendingTx: null,
+    });
+    expect((await paymentEscrow.getEscrow(escrowId)).releasedAmount).toBe(AMOUNT / 2n);
+  }, 30000);
+
+  it('records the mined release transaction of a failed wait instead of releasing again', async () => {
+    const { tripId, escrowId } = await completedTrip();
+    await worker._process(tripId);
+    const { txHash } = await store.get(COLLECTION, tripId);
+
+    // As if the wait had failed after the transaction was sent
+    const tx = await chain.provider.getTransaction(txHash);
+    await store.merge(COLLECTION, tripId, {
+      status: 'retrying',
+      txHash: null,
+      pendingTx: { hash: tx.hash, from: tx.from, nonce: tx.nonce },
+    });
+    await worker._process(tripId);
+
+    expect(await store.get(COLLECTION, tripId)).toMatchObject({ status: 'released', txHash, pendingTx: null });
+    expect((await paymentEscrow.getEscrow(escrowId)).releasedAmount).toBe(AMOUNT / 2n);
+  }, 30000);
+});
@@ -0,0 +1,163 @@
+import request from 'supertest';
+import { ethers } from 'ethers';
+import {
+  account,
+  chainAvailable,
+  configureBackend,
+  createApp,
+  createTrip,
+  deployAll,
+  signIn,
+  startChain,
+} from './helpers/chain.js';
+
+const AMOUNT = ethers.parseEther('1').toString();
+
+// Escrows are created, funded and released by the shipper's wallet, never by the
+// backend signer
+(chainAvailable ? describe : describe.skip)('wallet-funded escrows', () => {
+  let chain;
+  let app;
+  let tripRegistry;
+  let paymentEscrow;
+  let backendSigner;
+  let shipper;
+  let carrier;
+  let receiver;
+  let shipperToken;
+  let carrierToken;
+
+  /**
+   * Create an escrow through the API, signed by the shipper
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<Object>} Relay response
+   */
+  async function createEscrow(tripId) {
+    const body = { tripId, payee: carrier.address, amount: AMOUNT };
+    const prepared = await request(app).post('/api/payment/escrow').auth(shipperToken, { type: 'bearer' }).send(body);
+    const signedTransaction = await shipper.signTransaction(prepared.body.data.transaction);
+
+    return request(app)
+      .post('/api/payment/escrow')
+      .auth(shipperToken, { type: 'bearer' })
+      .send({ ...body, signedTransaction });
+  }
+
+  beforeAll(async () => {
+    chain = await startChain(18546);
+    backendSigner = account(0, chain.provider);
+    shipper = account(1, chain.provider);
+    carrier = account(2, chain.provider);
+    receiver = account(3, chain.provider);
+
+    const deployed = await deployAll(backendSigner);
+    tripRegistry = deployed.tripRegistry;
+    paymentEscrow = deployed.paymentEscrow;
+    configureBackend(chain, deployed.addresses);
+
+    app = await createApp();
+    shipperToken = await signIn(app, shipper);
+    carrierToken = await signIn(app, carrier);
+  }, 60000);
+
+  afterAll(async () => {
+    const { getProvider } = await import('../src/config/blockchain.js');
+    getProvider().destroy();
+    chain?.stop();
+  });
+
+  it('prepares the escrow with its amount as the transaction value and the shipper as payer', async () => {
+    const tripId = await createTrip(tripRegistry, { shipper, carrier, receiver });
+    const signerBalance = await chain.provider.getBalance(backendSigner.address);
+
+    const prepared = await request(app)
+      .post('/api/payment/escrow')
+      .auth(shipperToken, { type: 'bearer' })
+      .send({ tripId, payee: carrier.address, amount: AMOUNT });
+    expect(prepared.status).toBe(200);
+    expect(prepared.body.data.transaction).toMatchObject({ from: shipper.address, value: AMOUNT });
+
+    const created = await createEscrow(tripId);
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ tripId, payer: shipper.address, payee: carrier.address, amount: AMOUNT });
+
+    const escrow = await paymentEscrow.getEscrow(created.body.data.escrowId);
+    expect(escrow.payer).toBe(shipper.address);
+    expect(escrow.amount).toBe(BigInt(AMOUNT));
+    expect(await chain.provider.getBalance(backendSigner.address)).toBe(signerBalance);
+  }, 30000);
+
+  it('tops up an escrow from the payer\'s wallet', async () => {
+    const tripId = await createTrip(tripRegistry, { shipper, carrier, receiver });
+    const { escrowId } = (await createEscrow(tripId)).body.data;
+    const path = `/api/payment/escrow/${escrowId}/deposit`;
+
+    const prepared = await request(app).post(path).auth(shipperToken, { type: 'bearer' }).send({ amount: AMOUNT });
+    const tx = await shipper.sendTransaction(prepared.body.data.transaction);
+    const deposited = await request(app)
+      .post(path)
+      .auth(shipperToken, { type: 'bearer' })
+      .send({ amount: AMOUNT, txHash: tx.hash });
+
+    expect(deposited.status).toBe(200);
+    expect(deposited.body.data).toMatchObject({ escrowId, amount: AMOUNT, totalAmount: (2n * BigInt(AMOUNT)).toString() });
+  }, 30000);
+
+  it('releases payment from the payer\'s wallet', async () => {
+    const tripId = await createTrip(tripRegistry, { shipper, carrier, receiver });
+    const { escrowId } = (await createEscrow(tripId)).body.data;
+    const body = { escrowId, amount: AMOUNT, reason: 'Delivered' };
+    const carrierBalance = await chain.provider.getBalance(carrier.address);
+
+    const prepared = await request(app).post('/api/payment/release').auth(shipperToken, { type: 'bearer' }).send(body);
+    expect(prepared.body.data.transaction.from).toBe(shipper.address);
+
+    const signedTransaction = await shipper.signTransaction(prepared.body.data.transaction);
+    const released = await request(app)
+      .post('/api/payment/release')
+      .auth(shipperToken, { type: 'bearer' })
+      .send({ ...body, signedTransaction });
+
+    expect(released.status).toBe(200);
+    expect(released.body.data).toMatchObject({ escrowId, amount: AMOUNT, recipient: carrier.address });
+    expect(await chain.provider.getBalance(carrier.address)).toBe(carrierBalance + BigInt(AMOUNT));
+  }, 30000);
+
+  it('does not let the payee release payment', async () => {
+    const tripId = await createTrip(tripRegistry, { shipper, carrier, receiver });
+    const { escrowId } = (await createEscrow(tripId)).body.data;
+
+    const response = await request(app)
+      .post('/api/payment/release')
+      .auth(carrierToken, { type: 'bearer' })
+      .send({ escrowId, amount: AMOUNT });
+
+    expect(response.status).toBe(403);
+  }, 30000);
+
+  it('rejects a signed transaction that sends a different amount', async () => {
+    const tripId = await createTrip(tripRegistry, { shipper, carrier, receiver });
+    const body = { tripId, payee: carrier.address, amount: AMOUNT };
+
+    const prepared = await request(app).post('/api/payment/escrow').auth(shipperToken, { type: 'bearer' }).send(body);
+    const signedTransaction = await shipper.signTransaction({ ...prepared.body.data.transaction, value: '1' });
+    const relayed = await request(app)
+      .post('/api/payment/escrow')
+      .auth(shipperToken, { type: 'bearer' })
+      .send({ ...body, signedTransaction });
+
+    expect(relayed.status).toBe(400);
+    expect(relayed.body.code).toBe('TRANSACTION_MISMATCH');
+  }, 30000);
+
+  it('does not let the carrier create an escrow', async () => {
+    const tripId = await createTrip(tripRegistry, { shipper, carrier, receiver });
+
+    const response = await request(app)
+      .post('/api/payment/escrow')
+      .auth(carrierToken, { type: 'bearer' })
+      .send({ tripId, payee: carrier.address, amount: AMOUNT });
+
+    expect(response.status).toBe(403);
+  }, 30000);
+});
@@ -0,0 +1,147 @@
+import { ethers } from 'ethers';
+import { EventIndexer } from '../src/services/indexer/eventIndexer.js';
+import { loadContractABI } from '../src/config/loadABI.js';
+
+const REGISTRY = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const { abi } = loadContractABI('TripRegistry');
+const TRIP_REGISTRY = new ethers.Interface(abi);
+
+/**
+ * Stand-in chain with one TripStarted event per block
+ * `reorg(fromBlock)` replaces the blocks from `fromBlock` on with blocks of
+ * another fork, whose events start trip `100 + block` instead of `block`.
+ * @param {number} length - Number of blocks after the genesis block
+ * @returns {Object} Provider, with `logRanges` (getLogs block ranges), `mine()` and `reorg()`
+ */
+function fakeChain(length) {
+  const blocks = [];
+  let fork = 0;
+
+  const mine = () => {
+    const number = blocks.length;
+    const hash = ethers.id(`${fork}:${number}`);
+    const tripId = fork * 100 + number;
+    const { data, topics } = TRIP_REGISTRY.encodeEventLog('TripStarted', [tripId, 1700000000 + number]);
+    const log = {
+      address: REGISTRY,
+      blockNumber: number,
+      blockHash: hash,
+      transactionHash: ethers.id(`tx:${hash}`),
+      index: 0,
+      data,
+      topics,
+    };
+    blocks.push({ number, hash, timestamp: 1700000000 + number, logs: number > 0 ? [log] : [] });
+  };
+
+  const chain = {
+    logRanges: [],
+    mine(count = 1) {
+      for (let i = 0; i < count; i++) {
+        mine();
+      }
+    },
+    reorg(fromBlock) {
+      const count = blocks.length - fromBlock;
+      blocks.length = fromBlock;
+      fork += 1;
+      chain.mine(count);
+    },
+    getBlockNumber: async () => blocks.length - 1,
+    getBlock: async number => blocks[number] ?? null,
+    async getLogs({ fromBlock, toBlock }) {
+      chain.logRanges.push([fromBlock, toBlock]);
+      return blocks.slice(fromBlock, toBlock + 1).flatMap(block => block.logs);
+    },
+  };
+  chain.mine(length + 1);
+  return chain;
+}
+
+/**
+ * Indexer of the TripRegistry on a stand-in chain
+ * @param {Object} chain - Chain from fakeChain
+ * @param {Promise<Object>} [store] - Storage adapter of an earlier indexer
+ * @returns {EventIndexer} Indexer, with a projection recording `applied` and `rolledBack` records
+ */
+function indexerOn(chain, store) {
+  const indexer = new EventIndexer({
+    startBlock: 1,
+    batchSize: 4,
+    confirmations: 0,
+    reorgDepth: 6,
+    backend: 'memory',
+  });
+  indexer.provider = chain;
+  indexer.contracts = [{ name: 'TripRegistry', contract: new ethers.Contract(REGISTRY, abi) }];
+  if (store) {
+    indexer.store = store;
+  }
+
+  const projection = { applied: [], rolledBack: [] };
+  projection.apply = async (_, records) => projection.applied.push(...records);
+  projection.rollback = async (_, orphaned) => projection.rolledBack.push(...orphaned);
+  indexer.addProjection(projection);
+  indexer.projection = projection;
+  return indexer;
+}
+
+/**
+ * Trip IDs of the indexed events
+ * @param {EventIndexer} indexer - Indexer
+ * @param {Object} [filters] - Query filters
+ * @returns {Promise<string[]>} Trip IDs, in chain order
+ */
+async function indexedTrips(indexer, filters) {
+  return (await indexer.getEvents(filters)).map(event => event.tripId);
+}
+
+describe('event indexer', () => {
+  it('indexes in batches and resumes from its checkpoint after a restart', async () => {
+    const chain = fakeChain(10);
+    const first = indexerOn(chain);
+
+    expect(await first.sync()).toEqual({ head: 10, indexedTo: 10, indexed: 10 });
+    expect(chain.logRanges).toEqual([
+      [1, 4],
+      [5, 8],
+      [9, 10],
+    ]);
+    expect(await first.getCheckpoint()).toMatchObject({ blockNumber: 10, blockHash: ethers.id('0:10') });
+
+    chain.mine(3);
+    chain.logRanges = [];
+    const restarted = indexerOn(chain, first.store);
+
+    expect(await restarted.sync()).toEqual({ head: 13, indexedTo: 13, indexed: 3 });
+    expect(chain.logRanges).toEqual([[11, 13]]);
+    expect(await indexedTrips(restarted)).toEqual(['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12', '13']);
+  });
+
+  it('reads events of a block range', async () => {
+    const indexer = indexerOn(fakeChain(10));
+    await indexer.sync();
+
+    expect(await indexedTrips(indexer, { fromBlock: 3, toBlock: 5 })).toEqual(['3', '4', '5']);
+    expect(await indexedTrips(indexer, { fromBlock: 9 })).toEqual(['9', '10']);
+    expect(await indexedTrips(indexer, { toBlock: 2, tripId: '2' })).toEqual(['2']);
+  });
+
+  it('rolls back to the common ancestor on a reorg and indexes the new fork', async () => {
+    const chain = fakeChain(10);
+    const indexer = indexerOn(chain);
+    await indexer.sync();
+    const reorgs = [];
+    indexer.on('reorg', reorg => reorgs.push(reorg));
+
+    // Blocks 8 to 10 are replaced, and the new fork is one block longer
+    chain.reorg(8);
+    chain.mine();
+    await indexer.sync();
+
+    expect(reorgs).toEqual([{ from: 10, to: 7, removed: 3 }]);
+    expect(indexer.projection.rolledBack.map(event => event.tripId)).toEqual(['8', '9', '10']);
+    expect(await indexedTrips(indexer)).toEqual(['1', '2', '3', '4', '5', '6', '7', '108', '109', '110', '111']);
+    expect(await indexer.getCheckpoint()).toMatchObject({ blockNumber: 11, blockHash: ethers.id('1:11') });
+  });
+});
@@ -0,0 +1,113 @@
+import http from 'http';
+import { jest } from '@jest/globals';
+import WebSocket from 'ws';
+import { attachEventSocket } from '../src/routes/eventSocket.js';
+import { indexerConfig } from '../src/config/indexer.js';
+import { eventIndexer } from '../src/services/indexer/eventIndexer.js';
+import { eventStream } from '../src/services/indexer/eventStream.js';
+
+/**
+ * Indexed event record
+ * @param {number} blockNumber - Block number
+ * @param {string} contract - Contract name
+ * @returns {Object} Event record
+ */
+function record(blockNumber, contract) {
+  return {
+    id: `${String(blockNumber).padStart(12, '0')}-000000`,
+    blockNumber,
+    contract,
+    event: 'Test',
+    accounts: [],
+  };
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every 10 ms
+ */
+async function until(condition) {
+  while (!condition()) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Open a stream connection and collect its messages
+ * @param {string} url - WebSocket URL
+ * @returns {Promise<Object>} `{ socket, messages, received(type) }`
+ */
+async function connect(url) {
+  const socket = new WebSocket(url);
+  const client = { socket, messages: [] };
+  socket.on('message', data => client.messages.push(JSON.parse(data.toString())));
+  client.received = type => client.messages.filter(message => message.type === type);
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+  return client;
+}
+
+describe('event stream WebSocket', () => {
+  let server;
+  let client;
+  let enabled;
+
+  beforeEach(async () => {
+    enabled = indexerConfig.enabled;
+    indexerConfig.enabled = true;
+    server = http.createServer();
+    attachEventSocket(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async () => {
+    client?.socket.terminate();
+    client = null;
+    jest.restoreAllMocks();
+    indexerConfig.enabled = enabled;
+    await new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+  });
+
+  it('drops a subscription superseded while its replay was running', async () => {
+    let finishReplay;
+    jest
+      .spyOn(eventIndexer, 'getEvents')
+      .mockImplementation(() => new Promise(resolve => (finishReplay = () => resolve([record(6, 'TripRegistry')]))));
+    const { port } = server.address();
+
+    // The first subscription replays from block 5, the second starts at once
+    client = await connect(`ws://127.0.0.1:${port}/api/events/stream?contract=TripRegistry&after=5`);
+    client.socket.send(JSON.stringify({ type: 'subscribe', contract: 'PaymentEscrow' }));
+    await until(() => client.received('subscribed').length === 2 && finishReplay);
+    finishReplay();
+    await until(() => eventStream.size === 1);
+
+    eventIndexer.emit('event', record(7, 'TripRegistry'));
+    eventIndexer.emit('event', record(8, 'PaymentEscrow'));
+    await until(() => client.received('event').length > 0);
+
+    // Neither the replayed nor the live TripRegistry event reaches the client
+    expect(client.received('event')).toEqual([{ type: 'event', id: record(8).id, data: record(8, 'PaymentEscrow') }]);
+    expect(eventStream.size).toBe(1);
+  });
+
+  it('ends the subscription on unsubscribe and when the socket closes', async () => {
+    const { port } = server.address();
+    client = await connect(`ws://127.0.0.1:${port}/api/events/stream`);
+    await until(() => client.received('subscribed').length === 1);
+    expect(eventStream.size).toBe(1);
+
+    client.socket.send(JSON.stringify({ type: 'unsubscribe' }));
+    client.socket.send(JSON.stringify({ type: 'subscribe' }));
+    await until(() => client.received('subscribed').length === 2);
+    expect(eventStream.size).toBe(1);
+
+    client.socket.close();
+    await until(() => eventStream.size === 0);
+  });
+});
@@ -0,0 +1,102 @@
+import { ethers } from 'ethers';
+import { GasStrategy } from '../src/services/blockchain/gasStrategy.js';
+
+const GWEI = 10n ** 9n;
+
+const POLICY = {
+  feeHistoryBlocks: 3,
+  priorityFeePercentile: 50,
+  baseFeeMultiplier: 2,
+  minPriorityFeeGwei: null,
+  maxPriorityFeeGwei: null,
+  maxFeeGwei: null,
+};
+
+/**
+ * Provider answering eth_feeHistory and getFeeData
+ * @param {Object} history - Fee history (amounts in wei)
+ * @param {bigint} [gasPrice] - Legacy gas price
+ * @returns {Object} Provider, with `requests` (eth_feeHistory parameters)
+ */
+function fakeProvider({ baseFees = [], rewards = [] }, gasPrice = 5n * GWEI) {
+  const provider = {
+    requests: [],
+    async send(method, params) {
+      provider.requests.push([method, params]);
+      return {
+        baseFeePerGas: baseFees.map(fee => ethers.toQuantity(fee)),
+        reward: rewards.map(reward => [ethers.toQuantity(reward)]),
+      };
+    },
+    getFeeData: async () => ({ gasPrice }),
+  };
+  return provider;
+}
+
+// Three blocks at a 10 gwei base fee, 11 gwei next; median priority fee 2 gwei
+const HISTORY = {
+  baseFees: [10n * GWEI, 10n * GWEI, 10n * GWEI, 11n * GWEI],
+  rewards: [GWEI, 3n * GWEI, 2n * GWEI],
+};
+
+describe('gas strategy', () => {
+  it('prices from the next base fee and the median priority fee', async () => {
+    const provider = fakeProvider(HISTORY);
+
+    const fees = await new GasStrategy(provider, POLICY).getFees();
+
+    expect(provider.requests).toEqual([['eth_feeHistory', ['0x3', 'latest', [50]]]]);
+    expect(fees).toEqual({ maxFeePerGas: 24n * GWEI, maxPriorityFeePerGas: 2n * GWEI });
+  });
+
+  it.each([
+    ['raises the priority fee to its minimum', { minPriorityFeeGwei: '30' }, ['52', '30']],
+    ['lowers the priority fee to its maximum', { maxPriorityFeeGwei: '1.5' }, ['23.5', '1.5']],
+    ['caps the max fee', { maxFeeGwei: '20' }, ['20', '2']],
+    ['keeps the priority fee within a capped max fee', { minPriorityFeeGwei: '30', maxFeeGwei: '25' }, ['25', '25']],
+  ])('%s', async (_, policy, [maxFee, priorityFee]) => {
+    expect(await new GasStrategy(fakeProvider(HISTORY), { ...POLICY, ...policy }).getFees()).toEqual({
+      maxFeePerGas: ethers.parseUnits(maxFee, 'gwei'),
+      maxPriorityFeePerGas: ethers.parseUnits(priorityFee, 'gwei'),
+    });
+  });
+
+  it('uses a legacy gas price on chains without a base fee', async () => {
+    const provider = fakeProvider({ baseFees: [0n, 0n], rewards: [0n] }, 7n * GWEI);
+
+    expect(await new GasStrategy(provider, POLICY).getFees()).toEqual({ gasPrice: 7n * GWEI });
+    expect(await new GasStrategy(provider, { ...POLICY, maxFeeGwei: '6' }).getFees()).toEqual({ gasPrice: 6n * GWEI });
+  });
+
+  describe('replacement fees', () => {
+    it('bumps the previous fees by the percentage', async () => {
+      const strategy = new GasStrategy(fakeProvider(HISTORY), POLICY);
+
+      const fees = await strategy.getReplacementFees({ maxFeePerGas: 30n * GWEI, maxPriorityFeePerGas: 11n * GWEI }, 10);
+
+      expect(fees).toEqual({ maxFeePerGas: 33n * GWEI, maxPriorityFeePerGas: 12100000000n });
+    });
+
+    it('uses the current fees where they are higher than the bumped ones', async () => {
+      const strategy = new GasStrategy(fakeProvider(HISTORY), POLICY);
+
+      const fees = await strategy.getReplacementFees({ maxFeePerGas: 21n * GWEI, maxPriorityFeePerGas: 11n }, 10);
+
+      expect(fees).toEqual({ maxFeePerGas: 24n * GWEI, maxPriorityFeePerGas: 2n * GWEI });
+    });
+
+    it('rounds a fractional bump up so nodes accept the replacement', async () => {
+      const strategy = new GasStrategy(fakeProvider({ baseFees: [0n], rewards: [] }, 1n), POLICY);
+
+      expect(await strategy.getReplacementFees({ gasPrice: 11n }, 10)).toEqual({ gasPrice: 13n });
+    });
+
+    it('gives up when the bumped fees exceed the cap', async () => {
+      const strategy = new GasStrategy(fakeProvider(HISTORY), { ...POLICY, maxFeeGwei: '30' });
+
+      const fees = await strategy.getReplacementFees({ maxFeePerGas: 28n * GWEI, maxPriorityFeePerGas: 2n * GWEI }, 10);
+
+      expect(fees).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,184 @@
+import { spawn } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import { SiweMessage } from 'siwe';
+import request from 'supertest';
+
+const SMART_CONTRACTS = join(dirname(fileURLToPath(import.meta.url)), '../../../smart-contracts');
+const HARDHAT = join(SMART_CONTRACTS, 'node_modules/.bin/hardhat');
+const ARTIFACTS = join(SMART_CONTRACTS, 'artifacts/contracts/core');
+
+// Accounts of the Hardhat node
+const MNEMONIC = 'test test test test test test test test test test test junk';
+const CHAIN_ID = 1337;
+
+/**
+ * Whether a Hardhat node and compiled contracts are available
+ * (`npm install` and `npx hardhat compile` in smart-contracts)
+ */
+export const chainAvailable = existsSync(HARDHAT) && existsSync(ARTIFACTS);
+
+/**
+ * Wallet of a Hardhat account
+ * @param {number} index - Account index
+ * @param {ethers.Provider} [provider] - Provider to connect
+ * @returns {ethers.HDNodeWallet} Wallet
+ */
+export function account(index, provider = null) {
+  return ethers.HDNodeWallet.fromPhrase(MNEMONIC, undefined, `m/44'/60'/0'/0/${index}`).connect(provider);
+}
+
+/**
+ * Start a Hardhat node
+ * @param {number} port - RPC port
+ * @returns {Promise<Object>} `{ url, provider, stop() }`
+ */
+export async function startChain(port) {
+  const node = spawn(HARDHAT, ['node', '--hostname', '127.0.0.1', '--port', String(port)], {
+    cwd: SMART_CONTRACTS,
+    env: { ...process.env, HARDHAT_DISABLE_TELEMETRY_PROMPT: 'true' },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  await new Promise((resolve, reject) => {
+    let output = '';
+    node.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Started HTTP')) {
+        resolve();
+      }
+    });
+    node.stderr.on('data', chunk => {
+      output += chunk;
+    });
+    node.on('exit', code => reject(new Error(`Hardhat node exited with ${code}:\n${output}`)));
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+  // No request cache: back-to-back transactions from one wallet must each read its nonce
+  const provider = new ethers.JsonRpcProvider(url, CHAIN_ID, { staticNetwork: true, pollingInterval: 100, cacheTimeout: -1 });
+
+  return {
+    url,
+    provider,
+    stop() {
+      provider.destroy();
+      node.kill();
+    },
+  };
+}
+
+/**
+ * Deploy a contract from the Hardhat artifacts
+ * @param {string} name - Contract name
+ * @param {ethers.Signer} deployer - Deployer
+ * @param {Array} [args] - Constructor arguments
+ * @returns {Promise<ethers.Contract>} Deployed contract
+ */
+export async function deploy(name, deployer, args = []) {
+  const { abi, bytecode } = JSON.parse(readFileSync(join(ARTIFACTS, `${name}.sol/${name}.json`), 'utf8'));
+  const contract = await new ethers.ContractFactory(abi, bytecode, deployer).deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+/**
+ * Deploy the core contracts, as the deploy script does
+ * @param {ethers.Signer} deployer - Deployer (becomes their owner)
+ * @returns {Promise<Object>} `{ tripRegistry, paymentEscrow, carbonCredits, addresses }`
+ */
+export async function deployAll(deployer) {
+  const tripRegistry = await deploy('TripRegistry', deployer);
+  const paymentEscrow = await deploy('PaymentEscrow', deployer, [await tripRegistry.getAddress()]);
+  const carbonCredits = await deploy('CarbonCredits', deployer);
+
+  return {
+    tripRegistry,
+    paymentEscrow,
+    carbonCredits,
+    addresses: {
+      TRIP_REGISTRY_ADDRESS: await tripRegistry.getAddress(),
+      PAYMENT_ESCROW_ADDRESS: await paymentEscrow.getAddress(),
+      CARBON_CREDITS_ADDRESS: await carbonCredits.getAddress(),
+    },
+  };
+}
+
+/**
+ * Create a trip from the shipper's wallet
+ * @param {ethers.Contract} tripRegistry - TripRegistry
+ * @param {Object} parties - `{ shipper, carrier, receiver }` wallets
+ * @returns {Promise<string>} Trip ID
+ */
+export async function createTrip(tripRegistry, { shipper, carrier, receiver }) {
+  const tx = await tripRegistry
+    .connect(shipper)
+    .createTrip(carrier.address, receiver.address, 'Lisbon', 'Madrid', 620, 1000, '');
+  const receipt = await tx.wait();
+  const created = receipt.logs
+    .map(log => tripRegistry.interface.parseLog(log))
+    .find(event => event?.name === 'TripCreated');
+  return created.args.tripId.toString();
+}
+
+/**
+ * Point the backend at a chain (before the backend is imported)
+ * @param {Object} chain - Chain from startChain
+ * @param {Object} addresses - Contract address variables (see deployAll)
+ */
+export function configureBackend(chain, addresses) {
+  Object.assign(process.env, {
+    RPC_URL: chain.url,
+    CHAIN_ID: String(CHAIN_ID),
+    PRIVATE_KEY: account(0).privateKey,
+    // No deployment manifests; the addresses are set here
+    DEPLOYMENTS_PATH: join(SMART_CONTRACTS, 'no-deployments'),
+    AUTH_JWT_SECRET: 'test-secret',
+    ...addresses,
+  });
+}
+
+/**
+ * Express app with the API routes, as server.js mounts them
+ * @returns {Promise<express.Application>} App
+ */
+export async function createApp() {
+  const { default: express } = await import('express');
+  const { default: routes } = await import('../../src/routes/index.js');
+  const { selectNetwork } = await import('../../src/middleware/network.js');
+  const { errorHandler, notFoundHandler } = await import('../../src/middleware/errorHandler.js');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', selectNetwork, routes);
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  return app;
+}
+
+/**
+ * Sign in with Ethereum
+ * @param {express.Application} app - App
+ * @param {ethers.Wallet} wallet - Wallet
+ * @returns {Promise<string>} Session token
+ */
+export async function signIn(app, wallet) {
+  const { body: nonce } = await request(app).get('/api/auth/nonce');
+  const message = new SiweMessage({
+    domain: 'localhost:3000',
+    address: wallet.address,
+    statement: 'Sign in to DecentraLogix',
+    uri: 'http://localhost:3000',
+    version: '1',
+    chainId: CHAIN_ID,
+    nonce: nonce.data.nonce,
+    issuedAt: new Date().toISOString(),
+  }).prepareMessage();
+
+  const { body } = await request(app)
+    .post('/api/auth/verify')
+    .send({ message, signature: await wallet.signMessage(message) });
+  return body.data.token;
+}
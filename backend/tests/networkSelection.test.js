@@ -0,0 +1,116 @@
+import request from 'supertest';
+
+/**
+ * Wait a little, so concurrent requests interleave
+ * @param {number} ms - Delay
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Requests run with the network they pick as the current network, through
+// every await and middleware of the request
+describe('network selection', () => {
+  let app;
+
+  beforeAll(async () => {
+    Object.assign(process.env, {
+      NETWORKS: 'alpha,beta',
+      DEFAULT_NETWORK: 'alpha',
+      ALPHA_CHAIN_ID: '1001',
+      ALPHA_RPC_URL: 'http://127.0.0.1:1',
+      BETA_CHAIN_ID: '1002',
+      BETA_RPC_URL: 'http://127.0.0.1:2',
+    });
+
+    const { default: express } = await import('express');
+    const { currentNetwork, networkCollection } = await import('../src/config/networks.js');
+    const { selectNetwork } = await import('../src/middleware/network.js');
+    const { uploadFiles } = await import('../src/middleware/upload.js');
+
+    /**
+     * Respond with the network the request sees at this point
+     */
+    const respond = (req, res) => {
+      res.json({
+        network: currentNetwork().name,
+        requestNetwork: req.network.name,
+        collection: networkCollection('trips'),
+        files: req.files?.map(file => file.originalname),
+      });
+    };
+
+    const routes = express.Router();
+    routes.get('/slow', async (req, res) => {
+      await delay(Number(req.query.ms));
+      await Promise.resolve();
+      setTimeout(() => respond(req, res), 5);
+    });
+    routes.post('/upload', uploadFiles('files'), async (req, res) => {
+      await delay(5);
+      respond(req, res);
+    });
+
+    app = express();
+    app.use('/api/networks/:network', selectNetwork, routes);
+    app.use('/api', selectNetwork, routes);
+  });
+
+  it('defaults to DEFAULT_NETWORK and picks the X-Network header or the path', async () => {
+    const byDefault = await request(app).get('/api/slow?ms=1');
+    expect(byDefault.headers['x-network']).toBe('alpha');
+    expect(byDefault.body).toEqual({ network: 'alpha', requestNetwork: 'alpha', collection: 'alpha_trips' });
+
+    const byHeader = await request(app).get('/api/slow?ms=1').set('X-Network', 'beta');
+    expect(byHeader.body).toMatchObject({ network: 'beta', collection: 'beta_trips' });
+
+    const byPath = await request(app).get('/api/networks/beta/slow?ms=1');
+    expect(byPath.headers['x-network']).toBe('beta');
+    expect(byPath.body).toMatchObject({ network: 'beta', collection: 'beta_trips' });
+  });
+
+  it('keeps concurrent requests on their own networks across awaits and timers', async () => {
+    // Beta requests start first and finish last
+    const responses = await Promise.all([
+      request(app).get('/api/networks/beta/slow?ms=60'),
+      request(app).get('/api/slow?ms=40').set('X-Network', 'beta'),
+      request(app).get('/api/slow?ms=1'),
+      request(app).get('/api/networks/alpha/slow?ms=20'),
+    ]);
+
+    expect(responses.map(response => response.body.network)).toEqual(['beta', 'beta', 'alpha', 'alpha']);
+  });
+
+  it('keeps the network through multipart uploads', async () => {
+    const upload = (path, network) =>
+      request(app)
+        .post(path)
+        .set('X-Network', network)
+        .attach('files', Buffer.alloc(256 * 1024, network), `${network}.bin`)
+        .field('note', network);
+
+    const [beta, alpha] = await Promise.all([upload('/api/upload', 'beta'), upload('/api/upload', 'alpha')]);
+
+    expect(beta.body).toEqual({
+      network: 'beta',
+      requestNetwork: 'beta',
+      collection: 'beta_trips',
+      files: ['beta.bin'],
+    });
+    expect(alpha.body).toMatchObject({ network: 'alpha', collection: 'alpha_trips', files: ['alpha.bin'] });
+  });
+
+  it('rejects unknown networks and a header that contradicts the path', async () => {
+    const unknown = await request(app).get('/api/networks/gamma/slow?ms=1');
+    expect(unknown.status).toBe(404);
+    expect(unknown.body).toEqual({
+      success: false,
+      error: 'Unknown network gamma (configured: alpha, beta)',
+      code: 'UNKNOWN_NETWORK',
+    });
+
+    const mismatch = await request(app).get('/api/networks/beta/slow?ms=1').set('X-Network', 'alpha');
+    expect(mismatch.status).toBe(400);
+    expect(mismatch.body.code).toBe('NETWORK_MISMATCH');
+  });
+});
@@ -0,0 +1,138 @@
+import { account, chainAvailable, configureBackend, createTrip, deployAll, startChain } from './helpers/chain.js';
+
+// Delivery proofs are checked against the CID completeTrip recorded on-chain
+(chainAvailable ? describe : describe.skip)('proof verification report', () => {
+  let chain;
+  let tripRegistry;
+  let parties;
+  let service;
+  let computeCid;
+  let receiptDomain;
+  let RECEIPT_TYPES;
+
+  const invoice = { buffer: Buffer.from('invoice 42'), originalname: 'invoice.pdf' };
+  const photo = { buffer: Buffer.from('pallets at the dock'), originalname: 'photo.jpg' };
+
+  /**
+   * Deliver a trip with a proof manifest of some files
+   * @param {Array} files - Proof files
+   * @param {Function} [edit] - Changes the manifest before it is recorded
+   * @returns {Promise<Object>} `{ tripId, manifest }`, the manifest as an upload
+   */
+  async function deliver(files, edit = manifest => manifest) {
+    const tripId = await createTrip(tripRegistry, parties);
+    const entries = [];
+    for (const file of files) {
+      entries.push({ name: file.originalname, cid: await computeCid(file.buffer), size: file.buffer.length });
+    }
+    const receiverSignature = await parties.receiver.signTypedData(receiptDomain(), RECEIPT_TYPES, {
+      tripId,
+      carrier: parties.carrier.address,
+      documents: entries.map(entry => entry.cid),
+    });
+
+    const content = Buffer.from(
+      JSON.stringify(
+        edit({
+          type: 'decentralogix/delivery-proof',
+          version: 1,
+          tripId,
+          files: entries,
+          notes: 'Signed for at the gate',
+          submittedBy: parties.carrier.address,
+          receiverSignature,
+        })
+      )
+    );
+    const carrierRegistry = tripRegistry.connect(parties.carrier);
+    await (await carrierRegistry.startTrip(tripId)).wait();
+    await (await carrierRegistry.completeTrip(tripId, 900, await computeCid(content))).wait();
+
+    return { tripId, manifest: { buffer: content, originalname: 'proof.json' } };
+  }
+
+  beforeAll(async () => {
+    chain = await startChain(18549);
+    parties = {
+      shipper: account(1, chain.provider),
+      carrier: account(2, chain.provider),
+      receiver: account(3, chain.provider),
+    };
+
+    const deployed = await deployAll(account(0, chain.provider));
+    tripRegistry = deployed.tripRegistry;
+    configureBackend(chain, deployed.addresses);
+
+    const { ProofVerificationService } = await import('../src/services/trips/proofVerificationService.js');
+    ({ computeCid } = await import('../src/services/documents/cid.js'));
+    ({ deliveryReceiptDomain: receiptDomain, DELIVERY_RECEIPT_TYPES: RECEIPT_TYPES } = await import(
+      '../src/services/documents/deliveryReceipt.js'
+    ));
+    // Only uploaded proofs; nothing is stored on this backend
+    service = new ProofVerificationService({ documents: { getDocument: async () => null } });
+  }, 60000);
+
+  afterAll(async () => {
+    const { getProvider } = await import('../src/config/blockchain.js');
+    getProvider().destroy();
+    chain?.stop();
+  });
+
+  it('verifies a manifest, its files and the receiver signature', async () => {
+    const { tripId, manifest } = await deliver([invoice, photo]);
+
+    const report = await service.verify(tripId, [manifest, invoice, photo]);
+
+    expect(report.verified).toBe(true);
+    expect(report.checks.map(({ name, passed }) => [name, passed])).toEqual([
+      ['delivered', true],
+      ['proofHash', true],
+      ['manifest', true],
+      ['documents', true],
+      ['carrier', true],
+      ['receiverSignature', true],
+    ]);
+    expect(report.proof).toMatchObject({ format: 'manifest', source: 'upload', signer: parties.receiver.address });
+    expect(report.documents.map(({ name, status }) => [name, status])).toEqual([
+      ['invoice.pdf', 'matched'],
+      ['photo.jpg', 'matched'],
+    ]);
+  }, 30000);
+
+  it('reports a listed file that was altered as missing', async () => {
+    const { tripId, manifest } = await deliver([invoice, photo]);
+    const altered = { ...photo, buffer: Buffer.from('empty dock') };
+
+    const report = await service.verify(tripId, [manifest, invoice, altered]);
+
+    expect(report.verified).toBe(false);
+    expect(report.checks.find(({ name }) => name === 'documents')).toMatchObject({
+      passed: false,
+      detail: 'Missing or altered: photo.jpg',
+    });
+    expect(report.documents.map(({ name, status }) => [name, status])).toEqual([
+      ['invoice.pdf', 'matched'],
+      ['photo.jpg', 'missing'],
+      ['photo.jpg', 'unlisted'],
+    ]);
+  }, 30000);
+
+  it('rejects a manifest whose file entries are not objects with a CID', async () => {
+    const malformed = [
+      files => files.map(file => file.cid),
+      files => [...files, null],
+      files => files.map(({ name }) => ({ name })),
+      files => files.map(file => ({ ...file, cid: { '/': file.cid } })),
+    ];
+
+    for (const edit of malformed) {
+      const { tripId, manifest } = await deliver([invoice], proof => ({ ...proof, files: edit(proof.files) }));
+
+      const report = await service.verify(tripId, [manifest, invoice]);
+
+      expect(report.verified).toBe(false);
+      expect(report.proof.format).toBe('document');
+      expect(report.checks.find(({ name }) => name === 'manifest')).toMatchObject({ passed: false });
+    }
+  }, 30000);
+});
@@ -0,0 +1,170 @@
+import http from 'http';
+import { ProviderPool } from '../src/services/blockchain/providerPool.js';
+import { rpcConfig } from '../src/config/rpc.js';
+
+const CHAIN_ID = 1337;
+
+/**
+ * Local JSON-RPC endpoint
+ * Answers eth_chainId and an increasing eth_blockNumber; `reply` can be set
+ * to answer differently (return `{ status, headers, body }` for a raw HTTP
+ * response, `{ error }` for a JSON-RPC error, or undefined for the default).
+ * @returns {Promise<Object>} `{ url, calls, reply, close() }`
+ */
+async function rpcEndpoint() {
+  const endpoint = { calls: [], reply: () => undefined, chainId: CHAIN_ID, block: 100 };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      endpoint.calls.push(method);
+
+      const reply = endpoint.reply(method, params);
+      if (reply?.status) {
+        res.writeHead(reply.status, reply.headers || {});
+        res.end(reply.body || '');
+        return;
+      }
+
+      const result = method === 'eth_chainId' ? endpoint.chainId : endpoint.block++;
+      const answer = reply?.error ? { error: reply.error } : { result: `0x${result.toString(16)}` };
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, ...answer }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint.url = `http://127.0.0.1:${server.address().port}`;
+  endpoint.close = () =>
+    new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+  return endpoint;
+}
+
+describe('RPC provider pool', () => {
+  let endpoints;
+  let pool;
+
+  /**
+   * Pool over the local endpoints
+   * @param {Object} [config] - Configuration overrides
+   * @param {Array} [rateLimits] - Rate limit of each endpoint
+   * @returns {ProviderPool} Pool
+   */
+  function poolOf(config = {}, rateLimits = []) {
+    pool = new ProviderPool(
+      {
+        name: 'test',
+        chainId: CHAIN_ID,
+        rpcEndpoints: endpoints.map(({ url }, index) => ({ url, maxRequestsPerSecond: rateLimits[index] })),
+      },
+      { ...rpcConfig, healthCheckIntervalMs: 0, failureThreshold: 2, cooldownMs: 60000, ...config }
+    );
+    return pool;
+  }
+
+  const status = index => pool.getStatus().endpoints[index];
+
+  beforeEach(async () => {
+    endpoints = [await rpcEndpoint(), await rpcEndpoint()];
+  });
+
+  afterEach(async () => {
+    pool?.destroy();
+    pool = null;
+    await Promise.all(endpoints.map(endpoint => endpoint.close()));
+  });
+
+  it('fails over to the next endpoint when one fails', async () => {
+    endpoints[0].reply = () => ({ status: 502 });
+
+    expect(await poolOf().send('eth_blockNumber', [])).toBe('0x64');
+    expect(endpoints.map(endpoint => endpoint.calls)).toEqual([['eth_blockNumber'], ['eth_blockNumber']]);
+    expect(status(0)).toMatchObject({ status: 'ok', failures: 1 });
+  });
+
+  it('cools an endpoint down after repeated failures and brings it back once it answers', async () => {
+    endpoints[0].reply = () => ({ status: 502 });
+    poolOf();
+
+    await pool.checkEndpoints();
+    await pool.checkEndpoints();
+    expect(status(0)).toMatchObject({ status: 'cooling-down', failures: 2 });
+
+    await pool.send('eth_blockNumber', []);
+    expect(endpoints[0].calls).toHaveLength(2);
+
+    endpoints[0].reply = () => undefined;
+    await pool.checkEndpoints();
+    expect(status(0)).toMatchObject({ status: 'ok', cooldownUntil: null, chainId: CHAIN_ID });
+  });
+
+  it('treats JSON-RPC errors such as reverts as answers', async () => {
+    endpoints[0].reply = () => ({ error: { code: 3, message: 'execution reverted' } });
+
+    await expect(poolOf().send('eth_call', [{}, 'latest'])).rejects.toMatchObject({ code: 'CALL_EXCEPTION' });
+    expect(endpoints[1].calls).toEqual([]);
+    expect(status(0)).toMatchObject({ failures: 0 });
+  });
+
+  it('cools a throttling endpoint down for its Retry-After and uses the next one', async () => {
+    endpoints[0].reply = () => ({ status: 429, headers: { 'retry-after': '7' } });
+    poolOf();
+
+    const startedAt = Date.now();
+    expect(await pool.send('eth_blockNumber', [])).toBe('0x64');
+
+    const cooldownMs = Date.parse(status(0).cooldownUntil) - startedAt;
+    expect(cooldownMs).toBeGreaterThan(6000);
+    expect(cooldownMs).toBeLessThanOrEqual(8000);
+  });
+
+  it('recognizes throttling reported as a JSON-RPC error', async () => {
+    endpoints[0].reply = () => ({ error: { code: -32005, message: 'daily request count exceeded' } });
+
+    expect(await poolOf().send('eth_blockNumber', [])).toBe('0x64');
+    expect(status(0)).toMatchObject({ status: 'cooling-down', failures: 1 });
+  });
+
+  it('keeps each endpoint under its rate limit', async () => {
+    await endpoints.pop().close();
+    poolOf({}, [2]);
+
+    const startedAt = Date.now();
+    for (let request = 0; request < 4; request++) {
+      await pool.send('eth_blockNumber', []);
+    }
+
+    // Two requests right away, then one every 500 ms
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(900);
+    expect(endpoints[0].calls).toHaveLength(4);
+  });
+
+  it('stops using an endpoint on another chain', async () => {
+    endpoints[0].chainId = 1;
+    poolOf();
+
+    await pool.checkEndpoints();
+    const checks = endpoints[0].calls.length;
+    await pool.send('eth_blockNumber', []);
+
+    expect(status(0).status).toBe('wrong-chain');
+    expect(endpoints[0].calls).toHaveLength(checks);
+  });
+
+  it('reads block numbers and nonces fresh every time', async () => {
+    await endpoints.pop().close();
+    poolOf();
+
+    const first = await pool.getBlockNumber();
+    const second = await pool.getBlockNumber();
+
+    expect(second).toBe(first + 1);
+  });
+});
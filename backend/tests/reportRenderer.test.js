@@ -0,0 +1,69 @@
+import { renderCertificateHtml, renderCertificatePdf } from '../src/services/carbon/certificateRenderer.js';
+import { renderProofReportHtml, renderProofReportPdf } from '../src/services/trips/proofReportRenderer.js';
+
+const CONTRACT = { address: '0x5FbDB2315678afecb367f032d93F642f64180aa3', chainId: 1337 };
+
+const CERTIFICATE = {
+  certificateId: '7-2',
+  amount: '150',
+  beneficiary: 'Acme <Logistics> & Co',
+  periodStart: null,
+  periodEnd: null,
+  tripIds: [],
+  note: '',
+  reason: 'plain reason',
+  structured: false,
+  account: '0x70997970c51812dc3a010c7d01b50e0d17dc79c8',
+  retiredAt: '2026-01-01T00:00:00.000Z',
+  transactionHash: '0xabc',
+  blockNumber: 7,
+  logIndex: 2,
+  contract: { name: 'CarbonCredits', ...CONTRACT },
+  verification: { status: 'verified', checkedAt: '2026-01-02T00:00:00.000Z' },
+};
+
+const REPORT = {
+  tripId: '3',
+  verified: false,
+  trip: { status: 'Delivered', shipper: '0x1', carrier: '0x2', receiver: '0x3' },
+  proof: { onChainHash: 'bafy', source: 'upload', submittedBy: '0x2' },
+  checks: [
+    { name: 'Proof hash', passed: true, detail: 'matches' },
+    { name: 'Documents', passed: false, detail: 'missing "bill.pdf"' },
+  ],
+  documents: [{ name: 'invoice.pdf', cid: 'bafyinvoice', status: 'matched' }],
+  contract: { name: 'TripRegistry', ...CONTRACT },
+  blockNumber: 12,
+  verifiedAt: '2026-01-03T00:00:00.000Z',
+};
+
+describe('report rendering', () => {
+  it('renders a certificate page with escaped values and no empty rows', () => {
+    const html = renderCertificateHtml(CERTIFICATE);
+
+    expect(html).toContain('<title>Carbon Credit Retirement Certificate 7-2</title>');
+    expect(html).toContain('<tr><th>Beneficiary</th><td>Acme &lt;Logistics&gt; &amp; Co</td></tr>');
+    expect(html).toContain('<tr><th>Block</th><td>7 (log 2)</td></tr>');
+    expect(html).not.toContain('<th>Period</th>');
+    expect(html).not.toContain('<th>Note</th>');
+    expect(html).toContain('border: 4px double #10b981');
+  });
+
+  it('renders the checks and documents of a proof report', () => {
+    const html = renderProofReportHtml(REPORT);
+
+    expect(html).toContain('<tr><th>Result</th><td>NOT VERIFIED</td></tr>');
+    expect(html).toContain('<tr><th>Proof hash</th><td class="pass">PASS</td><td>matches</td></tr>');
+    expect(html).toContain('<tr><th>Documents</th><td class="fail">FAIL</td><td>missing &quot;bill.pdf&quot;</td></tr>');
+    expect(html).toContain('<h2>Documents</h2>');
+    expect(html).toContain('<tr><th>invoice.pdf</th><td>matched</td><td>bafyinvoice</td></tr>');
+    expect(html).toContain('border: 4px double #dc2626');
+    expect(html).not.toContain('<th>Notes</th>');
+  });
+
+  it('renders both as PDF', async () => {
+    for (const pdf of [await renderCertificatePdf(CERTIFICATE), await renderProofReportPdf(REPORT)]) {
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    }
+  });
+});
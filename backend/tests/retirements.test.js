@@ -0,0 +1,193 @@
+import { jest } from '@jest/globals';
+import { ethers } from 'ethers';
+import request from 'supertest';
+import { account, chainAvailable, configureBackend, createApp, deployAll, startChain } from './helpers/chain.js';
+
+const ADMIN_KEY = 'test-admin-key';
+const RETIREMENT = {
+  amount: '100',
+  beneficiary: 'Acme <Logistics>',
+  periodStart: '2026-01-01',
+  periodEnd: '2026-03-31',
+  tripIds: ['1', '2'],
+  note: 'Q1 shipments',
+};
+
+// Credits are retired by burning them; certificates are read back from the
+// burn transaction and checked against the indexed CarbonCreditsBurned event
+(chainAvailable ? describe : describe.skip)('carbon credit retirements', () => {
+  let chain;
+  let app;
+  let carbonCredits;
+  let backendWallet;
+  let holder;
+  let eventIndexer;
+  let logger;
+
+  beforeAll(async () => {
+    chain = await startChain(18553);
+    backendWallet = account(0, chain.provider);
+    holder = account(5, chain.provider);
+
+    const deployed = await deployAll(backendWallet);
+    carbonCredits = deployed.carbonCredits;
+    await (await carbonCredits.mintReward(backendWallet.address, 1, 10000, 0)).wait();
+    await (await carbonCredits.mintReward(holder.address, 2, 10000, 0)).wait();
+
+    configureBackend(chain, deployed.addresses);
+    Object.assign(process.env, {
+      ADMIN_API_KEY: ADMIN_KEY,
+      INDEXER_ENABLED: 'true',
+      INDEXER_START_BLOCK: '0',
+      INDEXER_CONFIRMATIONS: '0',
+      // Synced by the tests
+      INDEXER_POLL_INTERVAL_MS: '600000',
+    });
+
+    app = await createApp();
+    ({ eventIndexer } = await import('../src/services/indexer/eventIndexer.js'));
+    ({ logger } = await import('../src/utils/logger.js'));
+    await eventIndexer.start();
+    await eventIndexer.sync();
+  }, 60000);
+
+  afterAll(async () => {
+    eventIndexer?.stop();
+    const { getProvider } = await import('../src/config/blockchain.js');
+    getProvider().destroy();
+    chain?.stop();
+  });
+
+  /**
+   * Retire credits from the backend wallet through the API
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Response
+   */
+  function retire(body) {
+    return request(app).post('/api/carbon/retirements').set('X-Admin-Key', ADMIN_KEY).send(body);
+  }
+
+  /**
+   * Certificate of a burn transaction
+   * @param {string} txHash - Transaction hash
+   * @param {string} [format] - json, html or pdf
+   * @returns {Promise<Object>} Response
+   */
+  function certificate(txHash, format = 'json') {
+    return request(app).get(`/api/carbon/retirements/${txHash}?format=${format}`);
+  }
+
+  it('retires backend credits and verifies the certificate once the burn is indexed', async () => {
+    const before = await carbonCredits.balanceOf(backendWallet.address);
+
+    const retired = await retire(RETIREMENT);
+
+    expect(retired.status).toBe(201);
+    const issued = retired.body.data;
+    expect(issued).toMatchObject({
+      account: backendWallet.address,
+      amount: '100',
+      structured: true,
+      beneficiary: 'Acme <Logistics>',
+      periodStart: '2026-01-01',
+      periodEnd: '2026-03-31',
+      tripIds: ['1', '2'],
+      note: 'Q1 shipments',
+      certificateId: `DLX-RET-${issued.blockNumber}-${issued.logIndex}`,
+      contract: { name: 'CarbonCredits', address: await carbonCredits.getAddress(), chainId: 1337 },
+      // Mined after the last sync
+      verification: { status: 'pending', eventId: null },
+    });
+    expect(JSON.parse(issued.reason)).toMatchObject({ type: 'dlx-retirement', beneficiary: 'Acme <Logistics>' });
+    expect(await carbonCredits.balanceOf(backendWallet.address)).toBe(before - 100n);
+
+    await eventIndexer.sync();
+    const verified = await certificate(issued.transactionHash);
+
+    expect(verified.status).toBe(200);
+    expect(verified.body.data).toMatchObject({
+      certificateId: issued.certificateId,
+      verification: { status: 'verified', eventId: expect.any(String) },
+    });
+  }, 30000);
+
+  it('renders certificates as printable HTML and PDF', async () => {
+    const { body } = await retire({ amount: '5', beneficiary: 'Acme <Logistics>' });
+    const { transactionHash, certificateId } = body.data;
+
+    const html = await certificate(transactionHash, 'html');
+    expect(html.headers['content-type']).toMatch(/^text\/html/);
+    expect(html.text).toContain('Acme &lt;Logistics&gt;');
+    expect(html.text).toContain(transactionHash);
+
+    const pdf = await certificate(transactionHash, 'pdf');
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+    expect(pdf.headers['content-disposition']).toBe(`inline; filename="${certificateId}.pdf"`);
+    expect(pdf.body.subarray(0, 5).toString()).toBe('%PDF-');
+  }, 30000);
+
+  it('lists certificates of indexed burns, including burns sent from wallets', async () => {
+    // A holder burning from its own wallet with a free-text reason
+    const tx = await carbonCredits.connect(holder).burnCredits(40, 'Company offsetting');
+    await tx.wait();
+    await eventIndexer.sync();
+
+    const all = await request(app).get('/api/carbon/retirements');
+    expect(all.status).toBe(200);
+    expect(all.body.data[0]).toMatchObject({
+      account: holder.address,
+      amount: '40',
+      structured: false,
+      beneficiary: null,
+      reason: 'Company offsetting',
+      transactionHash: tx.hash,
+      verification: { status: 'verified' },
+    });
+    expect(all.body.data.map(item => item.account)).toEqual([
+      holder.address,
+      backendWallet.address,
+      backendWallet.address,
+    ]);
+
+    const byHolder = await request(app).get(`/api/carbon/retirements?account=${holder.address}`);
+    expect(byHolder.body.data.map(item => item.transactionHash)).toEqual([tx.hash]);
+  }, 30000);
+
+  it('rejects unauthorized, invalid and unfunded retirements', async () => {
+    const anonymous = await request(app).post('/api/carbon/retirements').send(RETIREMENT);
+    expect(anonymous.status).toBe(401);
+
+    const backwards = await retire({ ...RETIREMENT, periodStart: '2026-04-01' });
+    expect(backwards.status).toBe(400);
+
+    jest.spyOn(logger, 'error').mockImplementation(() => logger);
+    jest.spyOn(logger, 'warn').mockImplementation(() => logger);
+    const unfunded = await retire({ ...RETIREMENT, amount: ethers.parseEther('1000000').toString() });
+    logger.error.mockRestore();
+    logger.warn.mockRestore();
+    expect(unfunded.status).toBe(422);
+    expect(unfunded.body).toMatchObject({ success: false, code: 'INSUFFICIENT_CREDITS' });
+  }, 30000);
+
+  it('answers 404 for transactions without a burn', async () => {
+    const mint = await carbonCredits.mintReward(holder.address, 3, 10000, 0);
+    await mint.wait();
+
+    expect((await certificate(mint.hash)).status).toBe(404);
+    expect((await certificate(ethers.id('no such transaction'))).status).toBe(404);
+    expect((await certificate('0x1234')).status).toBe(400);
+  }, 30000);
+
+  it('still issues certificates, unverified, without the event index', async () => {
+    const { body } = await retire({ amount: '1', beneficiary: 'Acme' });
+    eventIndexer.stop();
+
+    const unverified = await certificate(body.data.transactionHash);
+    expect(unverified.status).toBe(200);
+    expect(unverified.body.data.verification).toMatchObject({ status: 'unavailable', eventId: null });
+
+    const list = await request(app).get('/api/carbon/retirements');
+    expect(list.status).toBe(503);
+    expect(list.body).toMatchObject({ success: false, error: 'Event index is not available' });
+  }, 30000);
+});
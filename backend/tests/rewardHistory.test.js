@@ -0,0 +1,117 @@
+import { RewardHistoryService } from '../src/services/carbon/rewardHistoryService.js';
+import { encodeCursor } from '../src/utils/cursor.js';
+
+const WALLET = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+
+/**
+ * Reward as getReward returns it
+ * Reward N is minted at 1700000000 + N * 100 for trip N.
+ * @param {number} rewardId - Reward ID
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Reward
+ */
+function reward(rewardId, fields = {}) {
+  return {
+    rewardId: String(rewardId),
+    recipient: WALLET,
+    tripId: String(rewardId),
+    amount: '1000',
+    carbonOffset: '500',
+    rewardType: 0,
+    createdAt: String(1700000000 + rewardId * 100),
+    claimedAt: '0',
+    ...fields,
+  };
+}
+
+/**
+ * Reward history service over a wallet's rewards
+ * @param {Array} rewards - Rewards of the wallet, oldest first
+ * @returns {RewardHistoryService} Service, with `reads` (reward IDs passed to getReward)
+ */
+function historyOf(rewards) {
+  const reads = [];
+  const carbonCredits = {
+    getUserRewards: async () => rewards.map(({ rewardId }) => rewardId),
+    getPendingRewards: async () => '2000',
+    getReward: async rewardId => {
+      reads.push(rewardId);
+      return rewards.find(item => item.rewardId === rewardId);
+    },
+  };
+  const service = new RewardHistoryService(carbonCredits);
+  service.reads = reads;
+  return service;
+}
+
+/**
+ * Read every page of a wallet's history
+ * @param {RewardHistoryService} service - Service
+ * @param {Object} options - Date range, order and page size
+ * @returns {Promise<string[][]>} Reward IDs of each page
+ */
+async function allPages(service, options) {
+  const pages = [];
+  let cursor;
+  do {
+    const { rewards, pagination } = await service.listRewards(WALLET, { ...options, cursor });
+    pages.push(rewards.map(({ rewardId }) => rewardId));
+    cursor = pagination.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+describe('reward history', () => {
+  const rewards = [1, 2, 3, 4, 5, 6, 7].map(id => reward(id));
+
+  it('pages through every reward once, in either order', async () => {
+    const service = historyOf(rewards);
+
+    expect(await allPages(service, { order: 'desc', limit: 3 })).toEqual([['7', '6', '5'], ['4', '3', '2'], ['1']]);
+    expect(await allPages(service, { order: 'asc', limit: 4 })).toEqual([
+      ['1', '2', '3', '4'],
+      ['5', '6', '7'],
+    ]);
+  });
+
+  it('summarizes the wallet and shapes each reward', async () => {
+    const service = historyOf([reward(1, { rewardType: 2, claimedAt: '1700000500' }), reward(2)]);
+
+    const { summary, rewards: page, pagination } = await service.listRewards(WALLET, { order: 'asc', limit: 5 });
+
+    expect(summary).toEqual({ walletAddress: WALLET, rewardCount: 2, pendingRewards: '2000' });
+    expect(page[0]).toMatchObject({ rewardId: '1', rewardTypeName: 'CarbonNeutral', claimed: true });
+    expect(page[1]).toMatchObject({ rewardId: '2', rewardTypeName: 'TripCompletion', claimed: false });
+    expect(pagination).toEqual({ limit: 5, hasMore: false, nextCursor: null });
+  });
+
+  it('filters by creation time and pages through the range', async () => {
+    // Rewards 3 to 5 were minted between 1700000300 and 1700000500
+    const range = { from: 1700000300, to: 1700000500 };
+    const service = historyOf(rewards);
+
+    expect(await allPages(service, { ...range, order: 'asc', limit: 2 })).toEqual([['3', '4'], ['5']]);
+    expect(await allPages(service, { ...range, order: 'desc', limit: 2 })).toEqual([['5', '4'], ['3']]);
+  });
+
+  it('stops resolving rewards once the scan leaves the date range', async () => {
+    const service = historyOf(Array.from({ length: 30 }, (_, index) => reward(index + 1)));
+
+    const { rewards: page } = await service.listRewards(WALLET, { to: 1700000300, order: 'asc', limit: 10 });
+
+    expect(page.map(({ rewardId }) => rewardId)).toEqual(['1', '2', '3']);
+    // One batch of ten, not all thirty
+    expect(service.reads).toHaveLength(10);
+  });
+
+  it('rejects malformed cursors', async () => {
+    const service = historyOf(rewards);
+
+    for (const cursor of ['not-a-cursor', encodeCursor({ id: 'abc' }), encodeCursor({ s: 'createdAt' })]) {
+      await expect(service.listRewards(WALLET, { order: 'asc', limit: 2, cursor })).rejects.toMatchObject({
+        status: 400,
+        message: 'Invalid cursor',
+      });
+    }
+  });
+});
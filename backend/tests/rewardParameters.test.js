@@ -0,0 +1,63 @@
+import { computeReward, RewardParametersService } from '../src/services/carbon/rewardParametersService.js';
+
+const PARAMETERS = { baseMultiplier: '10', lowCarbonBonus: '20', carbonNeutralBonus: '50', batchOptimizationBonus: '10' };
+
+/**
+ * CarbonCredits service answering calculateReward with a formula
+ * @param {Function} calculate - (carbonOffset, rewardType) => amount
+ * @returns {Object} Service
+ */
+function carbonCredits(calculate) {
+  return {
+    getRewardParameters: async () => PARAMETERS,
+    calculateReward: async (carbonOffset, rewardType) => calculate(carbonOffset, rewardType).toString(),
+  };
+}
+
+describe('reward parameters', () => {
+  it.each([
+    ['TripCompletion', 1000n],
+    ['LowCarbonFootprint', 1200n],
+    ['CarbonNeutral', 1500n],
+    ['BatchOptimization', 1100n],
+    ['SustainableMode', 1000n],
+  ])('computes a %s reward with the contract formula', (rewardTypeName, amount) => {
+    expect(computeReward('100', rewardTypeName, PARAMETERS)).toBe(amount);
+  });
+
+  it('rounds bonuses down like the contract', () => {
+    expect(computeReward('1', 'LowCarbonFootprint', { ...PARAMETERS, baseMultiplier: '3' })).toBe(3n);
+  });
+
+  it('previews rewards under proposed parameters against the live ones', async () => {
+    // A contract that only pays the low carbon bonus
+    const service = new RewardParametersService(
+      carbonCredits((offset, type) => computeReward(offset, type === 1 ? 'LowCarbonFootprint' : 'TripCompletion', PARAMETERS)),
+      null
+    );
+
+    const preview = await service.preview({ ...PARAMETERS, baseMultiplier: '20' }, ['100']);
+
+    expect(preview.samples).toHaveLength(5);
+    expect(preview.samples[1]).toEqual({
+      carbonOffset: '100',
+      rewardType: 1,
+      rewardTypeName: 'LowCarbonFootprint',
+      current: '1200',
+      proposed: '2400',
+      change: '1200',
+      changePercent: 100,
+      formulaMatches: true,
+    });
+    expect(preview.samples.map(sample => sample.formulaMatches)).toEqual([true, true, false, false, true]);
+    expect(preview.formulaMatches).toBe(false);
+  });
+
+  it('leaves the change percentage out for rewards that are currently zero', async () => {
+    const service = new RewardParametersService(carbonCredits(() => 0n), null);
+
+    const preview = await service.preview(PARAMETERS, ['0']);
+
+    expect(preview.samples.every(sample => sample.changePercent === null && sample.change === '0')).toBe(true);
+  });
+});
@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+import { classifyReward, parseRewardRules } from '../src/services/carbon/rewardRules.js';
+
+const CARRIER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+/**
+ * Completed trip metadata, as getTripMetadata returns it
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Trip
+ */
+function trip(fields = {}) {
+  return {
+    tripId: '1',
+    carrier: CARRIER,
+    distance: '100',
+    estimatedCarbonFootprint: '1000',
+    completedAt: '1700000000',
+    ...fields,
+  };
+}
+
+describe('carbon reward rules', () => {
+  describe('parseRewardRules', () => {
+    it('uses the default rules without configuration', () => {
+      expect(parseRewardRules(null).map(rule => rule.rewardType)).toEqual([
+        'CarbonNeutral',
+        'LowCarbonFootprint',
+        'TripCompletion',
+      ]);
+    });
+
+    it('parses JSON and normalizes carriers and the batch window', () => {
+      const [rule] = parseRewardRules(
+        JSON.stringify([{ rewardType: 'BatchOptimization', carriers: [CARRIER], minBatchSize: 3 }])
+      );
+
+      expect(rule).toEqual({
+        rewardType: 'BatchOptimization',
+        carriers: [CARRIER.toLowerCase()],
+        minBatchSize: 3,
+        batchWindowSeconds: 86400,
+      });
+    });
+
+    it.each([
+      ['an empty list', [], 'Carbon reward rules must be a non-empty array'],
+      ['an unknown reward type', [{ rewardType: 'Bonus' }], 'Reward rule 0: rewardType must be one of'],
+      [
+        'a negative condition',
+        [{ rewardType: 'TripCompletion' }, { rewardType: 'TripCompletion', minOffset: -1 }],
+        'Reward rule 1: minOffset must be a non-negative number',
+      ],
+      ['a string condition', [{ rewardType: 'TripCompletion', minDistance: '5' }], 'minDistance must be a non-negative'],
+      ['carriers that are not a list', [{ rewardType: 'TripCompletion', carriers: CARRIER }], 'carriers must be an array'],
+    ])('rejects %s', (_, rules, message) => {
+      expect(() => parseRewardRules(rules)).toThrow(message);
+    });
+  });
+
+  describe('classifyReward', () => {
+    const rules = parseRewardRules(null);
+
+    it.each([
+      ['a carbon neutral trip', '0', { rewardType: 2, rewardTypeName: 'CarbonNeutral', rule: 0 }],
+      ['a 30% reduction', '700', { rewardType: 1, rewardTypeName: 'LowCarbonFootprint', rule: 1 }],
+      ['a smaller reduction', '701', { rewardType: 0, rewardTypeName: 'TripCompletion', rule: 2 }],
+      ['a trip over its estimate', '1200', { rewardType: 0, rewardTypeName: 'TripCompletion', rule: 2 }],
+    ])('classifies %s with the default rules', async (_, actual, reward) => {
+      expect(await classifyReward(trip(), actual, rules)).toEqual(reward);
+    });
+
+    it('picks the first rule whose conditions all hold', async () => {
+      const custom = parseRewardRules([
+        { rewardType: 'SustainableMode', maxFootprintPerKm: 2, minDistance: 500 },
+        { rewardType: 'SustainableMode', maxFootprintPerKm: 2, carriers: ['0x0000000000000000000000000000000000000001'] },
+        { rewardType: 'LowCarbonFootprint', minOffset: 500, maxDistance: 200 },
+      ]);
+
+      expect(await classifyReward(trip(), '150', custom)).toMatchObject({ rewardTypeName: 'LowCarbonFootprint', rule: 2 });
+      expect(await classifyReward(trip({ distance: '600' }), '900', custom)).toMatchObject({ rule: 0 });
+      expect(await classifyReward(trip({ distance: '300' }), '150', custom)).toBeNull();
+    });
+
+    it('counts the carrier\'s trips in the batch window', async () => {
+      const custom = parseRewardRules([
+        { rewardType: 'BatchOptimization', minBatchSize: 3, batchWindowSeconds: 3600 },
+        { rewardType: 'TripCompletion' },
+      ]);
+      const countBatch = jest.fn(async () => 3);
+
+      expect(await classifyReward(trip(), '900', custom, countBatch)).toMatchObject({ rewardTypeName: 'BatchOptimization' });
+      expect(countBatch).toHaveBeenCalledWith(CARRIER.toLowerCase(), 1700000000, 3600);
+
+      countBatch.mockResolvedValue(2);
+      expect(await classifyReward(trip(), '900', custom, countBatch)).toMatchObject({ rewardTypeName: 'TripCompletion' });
+      // Without a trip count, batch rules never match
+      expect(await classifyReward(trip(), '900', custom)).toMatchObject({ rewardTypeName: 'TripCompletion' });
+    });
+  });
+});
@@ -0,0 +1,7 @@
+// Stores in memory, so tests leave nothing under .data/, and only errors logged
+const BACKENDS = ['AUTH', 'CACHE', 'DOCUMENT', 'INDEXER', 'TX_JOB', 'WEBHOOK', 'WORKER'];
+
+for (const prefix of BACKENDS) {
+  process.env[`${prefix}_BACKEND`] = 'memory';
+}
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
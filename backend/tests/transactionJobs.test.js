@@ -0,0 +1,134 @@
+import { randomUUID } from 'crypto';
+import request from 'supertest';
+import { account, chainAvailable, configureBackend, createApp, deployAll, startChain } from './helpers/chain.js';
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - async () => boolean
+ * @param {number} [timeoutMs] - Time to give up after
+ */
+async function until(condition, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+// Jobs sent by the backend wallet, followed on a Hardhat node that mines a
+// block per transaction
+(chainAvailable ? describe : describe.skip)('transaction jobs', () => {
+  let chain;
+  let app;
+  let tripRegistry;
+  let transactionJobs;
+  let transactionManagers;
+  let carrier;
+  let receiver;
+
+  beforeAll(async () => {
+    chain = await startChain(18550);
+    carrier = account(2, chain.provider);
+    receiver = account(3, chain.provider);
+
+    const deployed = await deployAll(account(0, chain.provider));
+    tripRegistry = deployed.tripRegistry;
+    configureBackend(chain, deployed.addresses);
+    // One block on top of the transaction's own, to see a job between mined and confirmed
+    process.env.TX_CONFIRMATIONS = '2';
+
+    // The trip controllers register the job types
+    app = await createApp();
+    ({ transactionJobs } = await import('../src/services/blockchain/transactionJobs.js'));
+    ({ transactionManagers } = await import('../src/services/blockchain/transactionManager.js'));
+  }, 60000);
+
+  afterAll(async () => {
+    const { getProvider } = await import('../src/config/blockchain.js');
+    getProvider().destroy();
+    chain?.stop();
+  });
+
+  /**
+   * Job status as the API reports it
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Job
+   */
+  async function jobStatus(jobId) {
+    const response = await request(app).get(`/api/tx/${jobId}`);
+    expect(response.status).toBe(200);
+    return response.body.data;
+  }
+
+  /**
+   * Submit a job for a TripRegistry call from the backend wallet
+   * @param {string} type - Job type
+   * @param {Function} call - (tripRegistry) => submitted transaction
+   * @returns {Promise<Object>} Job
+   */
+  function submit(type, call) {
+    return transactionJobs.submit(type, () => call(tripRegistry.connect(transactionManagers.get().signer)));
+  }
+
+  it('follows a job from submitted through mined to confirmed', async () => {
+    const job = await submit('createTrip', registry =>
+      registry.createTrip(carrier.address, receiver.address, 'Lisbon', 'Madrid', 620, 1000, '')
+    );
+
+    expect(job).toMatchObject({ type: 'createTrip', status: 'submitted', result: null, confirmationsRequired: 2 });
+    expect(job.context).toBeUndefined();
+
+    await until(async () => (await jobStatus(job.jobId)).status === 'mined');
+    const mined = await jobStatus(job.jobId);
+    const receipt = await chain.provider.getTransactionReceipt(job.txHash);
+    expect(mined).toMatchObject({ txHash: job.txHash, blockNumber: receipt.blockNumber, confirmations: 1 });
+    expect(mined.result.tripId).toBe('1');
+
+    await chain.provider.send('evm_mine', []);
+    await until(async () => (await jobStatus(job.jobId)).status === 'confirmed');
+    expect(await jobStatus(job.jobId)).toMatchObject({ status: 'confirmed', confirmations: 2, error: null });
+  }, 30000);
+
+  it('fails a job whose transaction reverts', async () => {
+    // With a gas limit and automining off, the node accepts the call and mines the revert
+    await chain.provider.send('evm_setAutomine', [false]);
+    const job = await submit('startTrip', registry => registry.startTrip(999, { gasLimit: 200000 }));
+    await chain.provider.send('evm_mine', []);
+    await chain.provider.send('evm_setAutomine', [true]);
+
+    await until(async () => (await jobStatus(job.jobId)).status !== 'submitted');
+    const failed = await jobStatus(job.jobId);
+    const receipt = await chain.provider.getTransactionReceipt(job.txHash);
+    expect(receipt.status).toBe(0);
+    expect(failed).toMatchObject({
+      status: 'failed',
+      blockNumber: receipt.blockNumber,
+      result: null,
+      error: { code: 'CALL_EXCEPTION' },
+    });
+  }, 30000);
+
+  it('rejects jobs of unknown types before sending anything', async () => {
+    let sent = false;
+
+    await expect(
+      transactionJobs.submit('launchRocket', async () => {
+        sent = true;
+      })
+    ).rejects.toThrow('Unknown transaction job type: launchRocket');
+    expect(sent).toBe(false);
+  });
+
+  it('looks up jobs by ID', async () => {
+    expect(await transactionJobs.get(randomUUID())).toBeNull();
+
+    const missing = await request(app).get(`/api/tx/${randomUUID()}`);
+    expect(missing.status).toBe(404);
+    expect(missing.body).toEqual({ success: false, error: 'Transaction job not found' });
+
+    const malformed = await request(app).get('/api/tx/not-a-job');
+    expect(malformed.status).toBe(400);
+  });
+});
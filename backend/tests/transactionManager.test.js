@@ -0,0 +1,313 @@
+import { ethers } from 'ethers';
+import { TransactionManager } from '../src/services/blockchain/transactionManager.js';
+import { transactionConfig } from '../src/config/transactions.js';
+import { GasStrategy } from '../src/services/blockchain/gasStrategy.js';
+
+const ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+// Fees for a base fee of 40 wei and priority fees of 10 wei (see gasStrategyFor)
+const FEES = { maxFeePerGas: 90n, maxPriorityFeePerGas: 10n };
+
+/**
+ * Backend wallet on a stand-in node
+ * The node mines nothing by itself, rejects mined nonces and only accepts a
+ * pending nonce again as a replacement with a higher fee.
+ * @param {Object} [options] - `{ latest, pending }` transaction counts
+ * @returns {Object} Wallet, with `sent` (accepted requests) and `inFlight`
+ */
+function fakeWallet({ latest = 0, pending = latest } = {}) {
+  const node = { latest, pending, fees: new Map() };
+  const wallet = {
+    address: ADDRESS,
+    node,
+    sent: [],
+    inFlight: 0,
+    maxInFlight: 0,
+    failNext: null,
+    provider: {
+      getTransactionCount: async (address, tag) => node[tag],
+    },
+    async sendTransaction(request) {
+      wallet.inFlight += 1;
+      wallet.maxInFlight = Math.max(wallet.maxInFlight, wallet.inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      wallet.inFlight -= 1;
+
+      if (wallet.failNext) {
+        const error = wallet.failNext;
+        wallet.failNext = null;
+        throw error;
+      }
+      const fee = request.maxFeePerGas ?? request.gasPrice;
+      if (request.nonce < node.latest) {
+        throw ethers.makeError('nonce has already been used', 'NONCE_EXPIRED', { transaction: request });
+      }
+      if (request.nonce < node.pending && !(fee > node.fees.get(request.nonce))) {
+        throw ethers.makeError('replacement fee too low', 'REPLACEMENT_UNDERPRICED', { transaction: request });
+      }
+
+      node.pending = Math.max(node.pending, request.nonce + 1);
+      node.fees.set(request.nonce, fee);
+      const tx = {
+        ...request,
+        hash: ethers.id(`${request.nonce}:${wallet.sent.length}`),
+        chainId: 1337n,
+        wait: async () => ({ hash: tx.hash, status: 1 }),
+      };
+      wallet.sent.push(tx);
+      return tx;
+    },
+  };
+  return wallet;
+}
+
+/**
+ * Gas strategy over a fee history with a 40 wei base fee and 10 wei priority fees
+ * @param {Object} [gas] - Fee policy overrides
+ * @returns {GasStrategy} Gas strategy
+ */
+function gasStrategyFor(gas = {}) {
+  const provider = {
+    send: async () => ({ baseFeePerGas: ['0x28', '0x28'], reward: [['0xa']] }),
+  };
+  return new GasStrategy(provider, {
+    feeHistoryBlocks: 1,
+    priorityFeePercentile: 50,
+    baseFeeMultiplier: 2,
+    minPriorityFeeGwei: null,
+    maxPriorityFeeGwei: null,
+    maxFeeGwei: null,
+    ...gas,
+  });
+}
+
+/**
+ * Transaction manager over a stand-in wallet
+ * @param {Object} wallet - Wallet from fakeWallet
+ * @param {Object} [config] - Configuration overrides (`gas` for the fee policy)
+ * @returns {TransactionManager} Manager
+ */
+function managerFor(wallet, { gas, ...config } = {}) {
+  const manager = new TransactionManager({ ...transactionConfig, ...config }, { name: 'test' });
+  manager.wallet = wallet;
+  manager.gasStrategy = gasStrategyFor(gas);
+  return manager;
+}
+
+describe('transaction manager', () => {
+  describe('nonce queue', () => {
+    it('gives concurrent submissions consecutive nonces, one at a time', async () => {
+      const wallet = fakeWallet({ latest: 4 });
+      const manager = managerFor(wallet);
+
+      const txs = await Promise.all(
+        [0, 1, 2].map(index => manager.sendTransaction({ to: CONTRACT, data: ethers.toBeHex(index) }))
+      );
+
+      expect(txs.map(tx => tx.nonce)).toEqual([4, 5, 6]);
+      expect(txs.map(tx => tx.data)).toEqual(['0x00', '0x01', '0x02']);
+      expect(wallet.maxInFlight).toBe(1);
+      expect(manager.getStatus()).toMatchObject({ address: ADDRESS, nextNonce: 7, queued: 0 });
+      expect(manager.getStatus().pending.map(entry => entry.nonce)).toEqual([4, 5, 6]);
+    });
+
+    it('starts after transactions a previous run left pending', async () => {
+      const manager = managerFor(fakeWallet({ latest: 2, pending: 5 }));
+
+      const tx = await manager.sendTransaction({ to: CONTRACT });
+
+      expect(tx.nonce).toBe(5);
+    });
+
+    it('resyncs and retries when another sender used the nonce', async () => {
+      const wallet = fakeWallet({ latest: 1 });
+      const manager = managerFor(wallet);
+      await manager.sendTransaction({ to: CONTRACT });
+
+      // Another process sent two transactions from the same wallet
+      wallet.node.pending += 2;
+      const tx = await manager.sendTransaction({ to: CONTRACT });
+
+      expect(tx.nonce).toBe(4);
+      expect(manager.nextNonce).toBe(5);
+    });
+
+    it('gives up after repeated nonce conflicts', async () => {
+      const wallet = fakeWallet();
+      const manager = managerFor(wallet);
+      const conflict = ethers.makeError('replacement fee too low', 'REPLACEMENT_UNDERPRICED', {});
+      let attempts = 0;
+      wallet.sendTransaction = async () => {
+        attempts += 1;
+        throw conflict;
+      };
+
+      await expect(manager.sendTransaction({ to: CONTRACT })).rejects.toBe(conflict);
+      expect(attempts).toBe(4);
+    });
+
+    it('keeps the queue going after a failed submission and resyncs its nonce', async () => {
+      const wallet = fakeWallet({ latest: 3 });
+      const manager = managerFor(wallet);
+      wallet.failNext = ethers.makeError('insufficient funds', 'INSUFFICIENT_FUNDS', {});
+
+      const [failed, sent] = await Promise.allSettled([
+        manager.sendTransaction({ to: CONTRACT }),
+        manager.sendTransaction({ to: CONTRACT }),
+      ]);
+
+      expect(failed).toMatchObject({ status: 'rejected', reason: { code: 'INSUFFICIENT_FUNDS' } });
+      expect(sent).toMatchObject({ status: 'fulfilled', value: { nonce: 3 } });
+    });
+
+    it('uses the gas strategy unless the caller sets fees', async () => {
+      const wallet = fakeWallet();
+      const manager = managerFor(wallet);
+
+      const priced = await manager.sendTransaction({ to: CONTRACT });
+      const legacy = await manager.sendTransaction({ to: CONTRACT, gasPrice: 7n });
+
+      expect(priced).toMatchObject(FEES);
+      expect(legacy.gasPrice).toBe(7n);
+      expect(legacy.maxFeePerGas).toBeUndefined();
+    });
+  });
+
+  describe('stuck transactions', () => {
+    const STUCK = { stuckAfterSeconds: 60, feeBumpPercent: 20, maxFeeBumps: 2, cancelStuck: true };
+
+    /**
+     * Submit a transaction and make it look stuck
+     * @param {TransactionManager} manager - Manager
+     * @returns {Promise<Object>} Submitted transaction
+     */
+    async function stuckTransaction(manager) {
+      const tx = await manager.sendTransaction({ to: CONTRACT, data: '0x1234', gasLimit: 100000n });
+      age(manager);
+      return tx;
+    }
+
+    /**
+     * Make every pending transaction older than stuckAfterSeconds
+     * @param {TransactionManager} manager - Manager
+     */
+    function age(manager) {
+      for (const entry of manager.pending.values()) {
+        entry.lastSentAt -= 61000;
+      }
+    }
+
+    it('resends a stuck transaction under its nonce with bumped fees', async () => {
+      const wallet = fakeWallet();
+      const manager = managerFor(wallet, STUCK);
+      const replaced = [];
+      manager.on('replaced', replacement => replaced.push(replacement));
+      const tx = await stuckTransaction(manager);
+
+      await manager.checkStuck();
+
+      const speedUp = wallet.sent[1];
+      expect(speedUp).toMatchObject({ nonce: 0, to: CONTRACT, data: '0x1234', gasLimit: 100000n });
+      // 20% more, rounded up
+      expect(speedUp).toMatchObject({ maxFeePerGas: 108n, maxPriorityFeePerGas: 12n });
+      expect(replaced).toEqual([
+        {
+          nonce: 0,
+          previousHash: tx.hash,
+          hash: speedUp.hash,
+          reason: 'speed-up',
+          fees: { maxFeePerGas: '108', maxPriorityFeePerGas: '12' },
+        },
+      ]);
+      expect(manager.getStatus().pending[0]).toMatchObject({
+        hash: speedUp.hash,
+        replacements: [{ hash: speedUp.hash, reason: 'speed-up' }],
+      });
+    });
+
+    it('leaves transactions that are recent or already mined', async () => {
+      const wallet = fakeWallet();
+      const manager = managerFor(wallet, STUCK);
+      await stuckTransaction(manager);
+      await manager.sendTransaction({ to: CONTRACT });
+
+      // The stuck one was mined in the meantime
+      wallet.node.latest = 1;
+      await manager.checkStuck();
+
+      expect(wallet.sent).toHaveLength(2);
+    });
+
+    it('cancels the transaction once its fee bumps are used up', async () => {
+      const wallet = fakeWallet();
+      const manager = managerFor(wallet, STUCK);
+      await stuckTransaction(manager);
+
+      for (let check = 0; check < 3; check++) {
+        await manager.checkStuck();
+        age(manager);
+      }
+
+      expect(wallet.sent.map(tx => tx.maxFeePerGas)).toEqual([90n, 108n, 130n, 156n]);
+      expect(wallet.sent[3]).toMatchObject({ nonce: 0, to: ADDRESS, value: 0n, data: '0x', gasLimit: 21000n });
+      expect(manager.getStatus().pending[0].replacements.map(({ reason }) => reason)).toEqual([
+        'speed-up',
+        'speed-up',
+        'cancel',
+      ]);
+    });
+
+    it('stops replacing when cancelling is disabled', async () => {
+      const wallet = fakeWallet();
+      const manager = managerFor(wallet, { ...STUCK, maxFeeBumps: 0, cancelStuck: false });
+      await stuckTransaction(manager);
+
+      await manager.checkStuck();
+
+      expect(wallet.sent).toHaveLength(1);
+      expect(manager.pending.get(0).abandoned).toBe(true);
+    });
+
+    it('stops replacing when the bumped fee would exceed the fee cap', async () => {
+      const wallet = fakeWallet();
+      // 100 wei: the initial 90 wei fits, a 20% bump does not
+      const manager = managerFor(wallet, { ...STUCK, gas: { maxFeeGwei: '0.0000001' } });
+      await stuckTransaction(manager);
+
+      await manager.checkStuck();
+
+      expect(wallet.sent).toHaveLength(1);
+      expect(manager.pending.get(0).abandoned).toBe(true);
+    });
+
+    it('reports a mined speed-up as the receipt of the original transaction', async () => {
+      const wallet = fakeWallet();
+      const manager = managerFor(wallet, STUCK);
+      const tx = await stuckTransaction(manager);
+      await manager.checkStuck();
+
+      const receipt = { hash: wallet.sent[1].hash, status: 1 };
+      tx.wait = async () => {
+        throw ethers.makeError('transaction was replaced', 'TRANSACTION_REPLACED', { reason: 'repriced', receipt });
+      };
+
+      expect(await manager.wait(tx)).toBe(receipt);
+      expect(manager.pending.size).toBe(0);
+    });
+
+    it('fails the wait of a cancelled transaction', async () => {
+      const wallet = fakeWallet();
+      const manager = managerFor(wallet, STUCK);
+      const tx = await stuckTransaction(manager);
+
+      tx.wait = async () => {
+        throw ethers.makeError('transaction was replaced', 'TRANSACTION_REPLACED', {
+          reason: 'cancelled',
+          receipt: { status: 1 },
+        });
+      };
+
+      await expect(manager.wait(tx)).rejects.toMatchObject({ code: 'TRANSACTION_REPLACED', reason: 'cancelled' });
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { TripListService } from '../src/services/trips/tripListService.js';
+import { decodeCursor } from '../src/utils/cursor.js';
+
+const SHIPPER = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const OTHER = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+
+/**
+ * Trip as the trip index stores it
+ * @param {number} tripId - Trip ID
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Trip
+ */
+function trip(tripId, fields = {}) {
+  return {
+    tripId: String(tripId),
+    shipper: SHIPPER,
+    carrier: OTHER,
+    receiver: OTHER,
+    originLocation: 'Lisbon',
+    destinationLocation: 'Madrid',
+    distance: '620',
+    estimatedCarbonFootprint: '1000',
+    status: 0,
+    createdAt: String(1700000000 + tripId),
+    startedAt: '0',
+    completedAt: '0',
+    ...fields,
+  };
+}
+
+/**
+ * Trip list service over an indexed trip list
+ * @param {Array} trips - Indexed trips
+ * @returns {TripListService} Service
+ */
+function indexed(trips) {
+  const indexer = {
+    isAvailable: async () => true,
+    listDocuments: async () => trips.map(document => ({ id: document.tripId, ...document })),
+  };
+  return new TripListService(indexer, null);
+}
+
+/**
+ * Read every page of a listing
+ * @param {TripListService} service - Service
+ * @param {Object} filters - Filters
+ * @param {Object} options - Sort and page size
+ * @returns {Promise<string[][]>} Trip IDs of each page
+ */
+async function allPages(service, filters, options) {
+  const pages = [];
+  let cursor;
+  do {
+    const { trips, pagination } = await service.listTrips(filters, { ...options, cursor });
+    pages.push(trips.map(({ tripId }) => tripId));
+    cursor = pagination.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+describe('trip listing pagination', () => {
+  // Distances tie in pairs, so the trip ID breaks ties
+  const trips = [1, 2, 3, 4, 5, 6, 7].map(id => trip(id, { distance: String(100 * Math.ceil(id / 2)) }));
+
+  it('pages through every trip once, newest first', async () => {
+    const pages = await allPages(indexed(trips), {}, { sort: 'createdAt', order: 'desc', limit: 3 });
+
+    expect(pages).toEqual([['7', '6', '5'], ['4', '3', '2'], ['1']]);
+  });
+
+  it('orders ties by trip ID in the requested direction', async () => {
+    const service = indexed(trips);
+
+    expect(await allPages(service, {}, { sort: 'distance', order: 'asc', limit: 2 })).toEqual([
+      ['1', '2'],
+      ['3', '4'],
+      ['5', '6'],
+      ['7'],
+    ]);
+    expect((await allPages(service, {}, { sort: 'distance', order: 'desc', limit: 3 })).flat()).toEqual([
+      '7',
+      '6',
+      '5',
+      '4',
+      '3',
+      '2',
+      '1',
+    ]);
+  });
+
+  it('compares numeric sort fields as integers', async () => {
+    const service = indexed([trip(1, { distance: '90' }), trip(2, { distance: '100' }), trip(3, { distance: '1000' })]);
+
+    const { trips: page } = await service.listTrips({}, { sort: 'distance', order: 'asc', limit: 10 });
+
+    expect(page.map(({ distance }) => distance)).toEqual(['90', '100', '1000']);
+  });
+
+  it('continues after the cursor trip even when it has left the list', async () => {
+    const list = [...trips];
+    const service = indexed(list);
+    const first = await service.listTrips({}, { sort: 'createdAt', order: 'desc', limit: 3 });
+
+    // Trip 5 ended the first page and is gone from the index
+    list.splice(4, 1);
+    const { nextCursor: cursor } = first.pagination;
+    const second = await service.listTrips({}, { sort: 'createdAt', order: 'desc', limit: 3, cursor });
+
+    expect(second.trips.map(({ tripId }) => tripId)).toEqual(['4', '3', '2']);
+    expect(second.pagination.hasMore).toBe(true);
+  });
+
+  it('paginates the filtered list', async () => {
+    const service = indexed(trips.map(item => (Number(item.tripId) % 2 ? { ...item, shipper: OTHER } : item)));
+
+    expect(await allPages(service, { shipper: SHIPPER }, { sort: 'tripId', order: 'asc', limit: 2 })).toEqual([
+      ['2', '4'],
+      ['6'],
+    ]);
+  });
+
+  it('returns no cursor on the last page', async () => {
+    const { pagination } = await indexed(trips).listTrips({}, { sort: 'tripId', order: 'asc', limit: 7 });
+
+    expect(pagination).toEqual({ limit: 7, hasMore: false, nextCursor: null });
+  });
+
+  it('rejects cursors that are malformed or from another sort', async () => {
+    const service = indexed(trips);
+    const { pagination } = await service.listTrips({}, { sort: 'createdAt', order: 'desc', limit: 1 });
+
+    expect(decodeCursor(pagination.nextCursor)).toEqual({ s: 'createdAt', v: '1700000007', id: '7' });
+    await expect(
+      service.listTrips({}, { sort: 'distance', order: 'desc', limit: 1, cursor: pagination.nextCursor })
+    ).rejects.toMatchObject({ status: 400, message: 'Invalid cursor' });
+    await expect(
+      service.listTrips({}, { sort: 'createdAt', order: 'desc', limit: 1, cursor: 'not-a-cursor' })
+    ).rejects.toMatchObject({ status: 400, message: 'Invalid cursor' });
+  });
+
+  it('scans the registry when the index is unavailable', async () => {
+    const registry = {
+      getTotalTrips: async () => 3,
+      getTripMetadata: async tripId => trip(tripId),
+    };
+    const service = new TripListService({ isAvailable: async () => false }, registry);
+
+    const result = await service.listTrips({}, { sort: 'tripId', order: 'desc', limit: 2 });
+
+    expect(result.source).toBe('chain');
+    expect(result.trips.map(({ tripId }) => tripId)).toEqual(['3', '2']);
+  });
+});
@@ -0,0 +1,129 @@
+import { renderTripBadge, tripStatusLabel } from '../src/services/nft/tripBadge.js';
+import { TripTokenService } from '../src/services/nft/tripTokenService.js';
+
+const SHIPPER = '0x70997970C51812dc3A010C7d01b50e0D17dc79C8';
+const CARRIER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const RECEIVER = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+
+/**
+ * Trip as getTripMetadata returns it
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Trip
+ */
+function trip(fields = {}) {
+  return {
+    tripId: '7',
+    shipper: SHIPPER,
+    carrier: CARRIER,
+    receiver: RECEIVER,
+    originLocation: 'Lisbon',
+    destinationLocation: 'Madrid',
+    distance: '620',
+    estimatedCarbonFootprint: '1500',
+    status: 0,
+    createdAt: '1700000000',
+    startedAt: '0',
+    completedAt: '0',
+    ipfsMetadataHash: '',
+    ...fields,
+  };
+}
+
+/**
+ * Token service over a fixed trip and indexed TripCompleted events
+ * @param {Object} tripFields - Trip fields to override
+ * @param {Array|null} completedEvents - Indexed TripCompleted events, null if the index is unavailable
+ * @returns {TripTokenService} Service
+ */
+function tokenServiceFor(tripFields, completedEvents = null) {
+  const tripRegistryService = {
+    getTripIdByToken: async () => '7',
+    getTripMetadata: async () => trip(tripFields),
+  };
+  const indexer = {
+    isAvailable: async () => completedEvents !== null,
+    getEvents: async () => completedEvents,
+  };
+  return new TripTokenService(tripRegistryService, indexer);
+}
+
+describe('trip NFT metadata', () => {
+  it('describes the trip with ERC-721 metadata and attributes', async () => {
+    const service = tokenServiceFor({ status: 1, startedAt: '1700000500', ipfsMetadataHash: 'bafkreiabc' });
+    const token = await service.getToken('12');
+
+    const metadata = service.buildMetadata(token, 'https://api.example.com/nft/12/image.svg');
+
+    expect(metadata).toMatchObject({
+      name: 'DecentraLogix Trip #7',
+      image: 'https://api.example.com/nft/12/image.svg',
+      properties: { tripId: '7', tokenId: '12', shipper: SHIPPER, documents: 'ipfs://bafkreiabc' },
+    });
+    expect(metadata.description).toBe(
+      'Shipment from Lisbon to Madrid (620 km), in transit. ' +
+        `Shipped by ${SHIPPER} to ${RECEIVER}, carried by ${CARRIER}.`
+    );
+    expect(metadata.attributes).toEqual([
+      { trait_type: 'Status', value: 'In Transit' },
+      { trait_type: 'Origin', value: 'Lisbon' },
+      { trait_type: 'Destination', value: 'Madrid' },
+      { trait_type: 'Distance (km)', value: 620, display_type: 'number' },
+      { trait_type: 'Estimated CO2 (kg)', value: 1500, display_type: 'number' },
+      { trait_type: 'Created', value: 1700000000, display_type: 'date' },
+      { trait_type: 'Started', value: 1700000500, display_type: 'date' },
+    ]);
+  });
+
+  it('adds the actual carbon footprint of delivered trips when it is indexed', async () => {
+    const delivered = { status: 2, startedAt: '1700000500', completedAt: '1700009000' };
+
+    const indexed = await tokenServiceFor(delivered, [{ args: { actualCarbonFootprint: '1200' } }]).getToken('12');
+    expect(indexed.actualCarbonFootprint).toBe('1200');
+    expect(tokenServiceFor(delivered).buildMetadata(indexed, '').attributes).toContainEqual({
+      trait_type: 'Actual CO2 (kg)',
+      value: 1200,
+      display_type: 'number',
+    });
+
+    // Without the event index the metadata still renders, without the actual footprint
+    expect((await tokenServiceFor(delivered).getToken('12')).actualCarbonFootprint).toBeNull();
+  });
+});
+
+describe('trip NFT badge', () => {
+  it('shows the route, distance, carbon footprint and status', () => {
+    const svg = renderTripBadge({
+      tokenId: '12',
+      network: 'localhost',
+      trip: trip({ status: 2, distance: '12500' }),
+      actualCarbonFootprint: '1200',
+    });
+
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+    expect(svg).toContain('aria-label="DecentraLogix trip 7: Delivered"');
+    expect(svg).toContain('>Lisbon</text>');
+    expect(svg).toContain('>12,500 km</text>');
+    expect(svg).toContain('>1,200 kg (est. 1,500)</text>');
+    expect(svg).toContain('fill="#16a34a"');
+    expect(svg).toContain('DLXTRIP #12 · localhost');
+  });
+
+  it('escapes trip text and shortens long locations', () => {
+    const svg = renderTripBadge({
+      tokenId: '12',
+      network: 'localhost',
+      trip: trip({ originLocation: '<script>alert("x")</script>', destinationLocation: 'A'.repeat(40) }),
+      actualCarbonFootprint: null,
+    });
+
+    expect(svg).not.toContain('<script>');
+    expect(svg).toContain('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;');
+    expect(svg).toContain(`>${'A'.repeat(31)}…</text>`);
+    expect(svg).toContain('>1,500 kg (est.)</text>');
+  });
+
+  it('labels unknown statuses', () => {
+    expect(tripStatusLabel(1)).toBe('In Transit');
+    expect(tripStatusLabel(99)).toBe('Unknown');
+  });
+});
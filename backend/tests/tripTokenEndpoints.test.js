@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { account, chainAvailable, configureBackend, createApp, deployAll, startChain } from './helpers/chain.js';
+
+// tokenURI targets, read from a Hardhat node
+(chainAvailable ? describe : describe.skip)('trip NFT endpoints', () => {
+  let chain;
+  let app;
+  let tripRegistry;
+  let carrier;
+  let tokenId;
+
+  beforeAll(async () => {
+    chain = await startChain(18552);
+    const shipper = account(1, chain.provider);
+    carrier = account(2, chain.provider);
+
+    const deployed = await deployAll(account(0, chain.provider));
+    tripRegistry = deployed.tripRegistry;
+    configureBackend(chain, deployed.addresses);
+    app = await createApp();
+
+    const tx = await tripRegistry
+      .connect(shipper)
+      .createTrip(carrier.address, account(3).address, 'Porto', 'Seville', 540, 800, '');
+    const created = (await tx.wait()).logs
+      .map(log => tripRegistry.interface.parseLog(log))
+      .find(event => event?.name === 'TripCreated');
+    tokenId = created.args.tokenId.toString();
+  }, 60000);
+
+  afterAll(async () => {
+    const { getProvider } = await import('../src/config/blockchain.js');
+    getProvider().destroy();
+    chain?.stop();
+  });
+
+  it('serves token metadata that follows the trip status', async () => {
+    const created = await request(app).get(`/api/nft/${tokenId}`).set('Host', 'api.example.com');
+
+    expect(created.status).toBe(200);
+    expect(created.headers['cache-control']).toBe('public, max-age=60');
+    expect(created.body).toMatchObject({
+      name: 'DecentraLogix Trip #1',
+      image: `http://api.example.com/api/networks/default/nft/${tokenId}/image.svg`,
+    });
+    expect(created.body.attributes[0]).toEqual({ trait_type: 'Status', value: 'Created' });
+
+    await (await tripRegistry.connect(carrier).startTrip(1)).wait();
+    const started = await request(app).get(`/api/nft/${tokenId}`);
+    expect(started.body.attributes[0]).toEqual({ trait_type: 'Status', value: 'In Transit' });
+  }, 30000);
+
+  it('serves the badge as SVG', async () => {
+    const badge = await request(app).get(`/api/nft/${tokenId}/image.svg`);
+
+    expect(badge.status).toBe(200);
+    expect(badge.headers['content-type']).toMatch(/^image\/svg\+xml/);
+    expect(badge.body.toString()).toContain('>Porto</text>');
+  });
+
+  it('answers 404 for tokens that were never minted', async () => {
+    const { logger } = await import('../src/utils/logger.js');
+    jest.spyOn(logger, 'error').mockImplementation(() => logger);
+    const missing = await request(app).get('/api/nft/999');
+    logger.error.mockRestore();
+
+    expect(missing.status).toBe(404);
+    expect(missing.body).toMatchObject({ success: false, code: 'TRIP_TOKEN_NOT_FOUND' });
+  });
+});
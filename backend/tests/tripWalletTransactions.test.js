@@ -0,0 +1,177 @@
+import request from 'supertest';
+import {
+  account,
+  chainAvailable,
+  configureBackend,
+  createApp,
+  createTrip,
+  deployAll,
+  signIn,
+  startChain,
+} from './helpers/chain.js';
+
+const IN_TRANSIT = 1n;
+const DELIVERED = 2n;
+
+// Trip parties send their own transactions: the API prepares the
+// transaction, the party's wallet signs it and the API relays it
+(chainAvailable ? describe : describe.skip)('wallet-signed trip transactions', () => {
+  let chain;
+  let app;
+  let tripRegistry;
+  let shipper;
+  let carrier;
+  let receiver;
+  let carrierToken;
+  let shipperToken;
+
+  beforeAll(async () => {
+    chain = await startChain(18545);
+    shipper = account(1, chain.provider);
+    carrier = account(2, chain.provider);
+    receiver = account(3, chain.provider);
+
+    const deployed = await deployAll(account(0, chain.provider));
+    tripRegistry = deployed.tripRegistry;
+    configureBackend(chain, deployed.addresses);
+
+    app = await createApp();
+    carrierToken = await signIn(app, carrier);
+    shipperToken = await signIn(app, shipper);
+  }, 60000);
+
+  afterAll(async () => {
+    const { getProvider } = await import('../src/config/blockchain.js');
+    getProvider().destroy();
+    chain?.stop();
+  });
+
+  it('creates a trip from the shipper\'s wallet', async () => {
+    const trip = {
+      carrier: carrier.address,
+      receiver: receiver.address,
+      originLocation: 'Porto',
+      destinationLocation: 'Seville',
+      distance: '540',
+      estimatedCarbonFootprint: '800',
+    };
+
+    const prepared = await request(app).post('/api/trip/create').auth(shipperToken, { type: 'bearer' }).send(trip);
+    expect(prepared.status).toBe(200);
+
+    const signedTransaction = await shipper.signTransaction(prepared.body.data.transaction);
+    const created = await request(app)
+      .post('/api/trip/create')
+      .auth(shipperToken, { type: 'bearer' })
+      .send({ ...trip, signedTransaction });
+
+    expect(created.status).toBe(201);
+    const metadata = await tripRegistry.getTripMetadata(created.body.data.tripId);
+    expect(metadata.shipper).toBe(shipper.address);
+    expect(metadata.carrier).toBe(carrier.address);
+
+    // The carrier recorded on-chain can act on it
+    const start = await request(app)
+      .post(`/api/trip/${created.body.data.tripId}/start`)
+      .auth(carrierToken, { type: 'bearer' });
+    expect(start.status).toBe(200);
+  }, 30000);
+
+  it('prepares startTrip for the carrier and relays the signed transaction', async () => {
+    const tripId = await createTrip(tripRegistry, { shipper, carrier, receiver });
+
+    const prepared = await request(app).post(`/api/trip/${tripId}/start`).auth(carrierToken, { type: 'bearer' });
+    expect(prepared.status).toBe(200);
+    const { transaction } = prepared.body.data;
+    expect(transaction.from).toBe(carrier.address);
+    expect(transaction.to).toBe(await tripRegistry.getAddress());
+    expect(transaction.chainId).toBe(1337);
+
+    const signedTransaction = await carrier.signTransaction(transaction);
+    const relayed = await request(app)
+      .post(`/api/trip/${tripId}/start`)
+      .auth(carrierToken, { type: 'bearer' })
+      .send({ signedTransaction });
+
+    expect(relayed.status).toBe(200);
+    expect(relayed.body.data).toMatchObject({ success: true, tripId });
+    expect((await tripRegistry.getTripMetadata(tripId)).status).toBe(IN_TRANSIT);
+  }, 30000);
+
+  it('accepts the hash of a transaction the carrier broadcast', async () => {
+    const tripId = await createTrip(tripRegistry, { shipper, carrier, receiver });
+    await (await tripRegistry.connect(carrier).startTrip(tripId)).wait();
+    const body = { tripId, actualCarbonFootprint: '900', ipfsProofHash: '' };
+
+    const prepared = await request(app).post('/api/trip/end').auth(carrierToken, { type: 'bearer' }).send(body);
+    expect(prepared.status).toBe(200);
+
+    const tx = await carrier.sendTransaction(prepared.body.data.transaction);
+    const relayed = await request(app)
+      .post('/api/trip/end')
+      .auth(carrierToken, { type: 'bearer' })
+      .send({ ...body, txHash: tx.hash });
+
+    expect(relayed.status).toBe(200);
+    expect(relayed.body.data).toMatchObject({ tripId, actualCarbonFootprint: '900', txHash: tx.hash });
+    expect((await tripRegistry.getTripMetadata(tripId)).status).toBe(DELIVERED);
+  }, 30000);
+
+  it('rejects a transaction signed by another wallet', async () => {
+    const tripId = await createTrip(tripRegistry, { shipper, carrier, receiver });
+
+    const prepared = await request(app).post(`/api/trip/${tripId}/start`).auth(carrierToken, { type: 'bearer' });
+    const signedTransaction = await shipper.signTransaction({
+      ...prepared.body.data.transaction,
+      from: shipper.address,
+      nonce: await chain.provider.getTransactionCount(shipper.address),
+    });
+
+    const relayed = await request(app)
+      .post(`/api/trip/${tripId}/start`)
+      .auth(carrierToken, { type: 'bearer' })
+      .send({ signedTransaction });
+
+    expect(relayed.status).toBe(403);
+    expect(relayed.body.code).toBe('WRONG_SIGNER');
+    expect((await tripRegistry.getTripMetadata(tripId)).status).toBe(0n);
+  }, 30000);
+
+  it('rejects a signed transaction for a different call', async () => {
+    const tripId = await createTrip(tripRegistry, { shipper, carrier, receiver });
+    await (await tripRegistry.connect(carrier).startTrip(tripId)).wait();
+
+    const prepared = await request(app)
+      .post('/api/trip/end')
+      .auth(carrierToken, { type: 'bearer' })
+      .send({ tripId, actualCarbonFootprint: '900' });
+    const signedTransaction = await carrier.signTransaction(prepared.body.data.transaction);
+
+    const relayed = await request(app)
+      .post('/api/trip/end')
+      .auth(carrierToken, { type: 'bearer' })
+      .send({ tripId, actualCarbonFootprint: '1', signedTransaction });
+
+    expect(relayed.status).toBe(400);
+    expect(relayed.body.code).toBe('TRANSACTION_MISMATCH');
+    expect((await tripRegistry.getTripMetadata(tripId)).status).toBe(IN_TRANSIT);
+  }, 30000);
+
+  it('reports a call the contract would reject when preparing it', async () => {
+    const tripId = await createTrip(tripRegistry, { shipper, carrier, receiver });
+    await (await tripRegistry.connect(carrier).startTrip(tripId)).wait();
+
+    const prepared = await request(app).post(`/api/trip/${tripId}/start`).auth(carrierToken, { type: 'bearer' });
+
+    expect(prepared.status).toBe(409);
+    expect(prepared.body.code).toBe('TRIP_NOT_STARTABLE');
+  }, 30000);
+
+  it('does not let the shipper start a trip', async () => {
+    const tripId = await createTrip(tripRegistry, { shipper, carrier, receiver });
+
+    const response = await request(app).post(`/api/trip/${tripId}/start`).auth(shipperToken, { type: 'bearer' });
+
+    expect(response.status).toBe(403);
+  }, 30000);
+});
@@ -0,0 +1,103 @@
+import { validate, schemas } from '../src/middleware/validator.js';
+
+const PAYEE = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const PAYEE_CHECKSUM = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+/**
+ * Run a validation middleware on a request
+ * @param {Object} schema - Route schema
+ * @param {Object} req - Request parts (`params`, `query`, `body`)
+ * @returns {Object} `{ req, status, body }`; status is null if the request passed
+ */
+function run(schema, req) {
+  const result = { req, status: null, body: null };
+  const res = {
+    status(status) {
+      result.status = status;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+  validate(schema)(req, res, () => {});
+  return result;
+}
+
+describe('request validation', () => {
+  describe('uint256', () => {
+    it('normalizes integers and decimal strings to decimal strings', () => {
+      const { req, status } = run(schemas.createEscrow, {
+        body: { tripId: 7, payee: PAYEE, amount: '000123' },
+      });
+
+      expect(status).toBeNull();
+      expect(req.body).toMatchObject({ tripId: '7', amount: '123' });
+    });
+
+    it('keeps amounts above 2^53 exact', () => {
+      const amount = (2n ** 256n - 1n).toString();
+      const { req, status } = run(schemas.depositToEscrow, { params: { id: '1' }, body: { amount } });
+
+      expect(status).toBeNull();
+      expect(req.body.amount).toBe(amount);
+    });
+
+    it.each([
+      ['a value above 2^256-1', (2n ** 256n).toString()],
+      ['a negative string', '-1'],
+      ['a fraction', '1.5'],
+      ['a hex string', '0x10'],
+      ['a number above 2^53', 2 ** 53],
+      ['a negative number', -1],
+    ])('rejects %s', (_, amount) => {
+      const { status, body } = run(schemas.depositToEscrow, { params: { id: '1' }, body: { amount } });
+
+      expect(status).toBe(400);
+      expect(body.details).toEqual([
+        expect.objectContaining({ field: 'amount', location: 'body', message: expect.stringContaining('unsigned integer') }),
+      ]);
+    });
+
+    it('applies positive() to the normalized value', () => {
+      const { status, body } = run(schemas.depositToEscrow, { params: { id: '1' }, body: { amount: '0' } });
+
+      expect(status).toBe(400);
+      expect(body.details[0].message).toBe('"amount" must be greater than or equal to 1');
+    });
+  });
+
+  describe('address', () => {
+    it('normalizes lowercase addresses to their checksum form', () => {
+      const { req, status } = run(schemas.createEscrow, {
+        body: { tripId: '1', payee: PAYEE, amount: '1' },
+      });
+
+      expect(status).toBeNull();
+      expect(req.body.payee).toBe(PAYEE_CHECKSUM);
+    });
+
+    it('rejects a mixed-case address with a wrong checksum', () => {
+      const payee = PAYEE_CHECKSUM.replace('C51812', 'c51812');
+      const { status, body } = run(schemas.createEscrow, { body: { tripId: '1', payee, amount: '1' } });
+
+      expect(status).toBe(400);
+      expect(body.details[0].message).toBe('"payee" has an invalid EIP-55 checksum');
+    });
+
+    it('rejects values that are not addresses', () => {
+      const { status, body } = run(schemas.listTrips, { query: { carrier: '0x1234' } });
+
+      expect(status).toBe(400);
+      expect(body.details[0]).toMatchObject({ field: 'carrier', location: 'query' });
+    });
+  });
+
+  it('reports errors from every request part together', () => {
+    const { status, body } = run(schemas.depositToEscrow, { params: { id: 'abc' }, body: { amount: 'abc' } });
+
+    expect(status).toBe(400);
+    expect(body.details.map(({ field, location }) => `${location}.${field}`)).toEqual(['params.id', 'body.amount']);
+  });
+});
@@ -0,0 +1,201 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { createHmac } from 'crypto';
+import http from 'http';
+import { WebhookService } from '../src/services/webhooks/webhookService.js';
+import { createStorageAdapter } from '../src/services/cache/adapters/index.js';
+import { logger } from '../src/utils/logger.js';
+
+const CONFIG = { maxAttempts: 3, retryBaseMs: 40, retryMaxMs: 1000, timeoutMs: 200 };
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - async () => boolean
+ * @param {number} [timeoutMs] - Time to give up after
+ */
+async function until(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Local HTTP server standing in for a subscriber
+ * Answers each POST with the next status of `statuses` (the last one once
+ * they run out); `null` leaves the request unanswered.
+ * @returns {Promise<Object>} `{ url, requests, statuses, close() }`
+ */
+async function startReceiver() {
+  const receiver = { requests: [], statuses: [200] };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body, receivedAt: Date.now() });
+      const status = receiver.statuses.length > 1 ? receiver.statuses.shift() : receiver.statuses[0];
+      if (status !== null) {
+        res.writeHead(status).end();
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  receiver.url = `http://127.0.0.1:${server.address().port}/hooks`;
+  receiver.close = () =>
+    new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+  return receiver;
+}
+
+/**
+ * Indexed TripStarted event
+ * @param {string} tripId - Trip ID
+ * @param {number} blockNumber - Block number
+ * @returns {Object} Event record
+ */
+function tripStarted(tripId, blockNumber) {
+  return {
+    id: `${String(blockNumber).padStart(12, '0')}-000000`,
+    contract: 'TripRegistry',
+    event: 'TripStarted',
+    blockNumber,
+    transactionHash: `0x${String(blockNumber).padStart(64, '0')}`,
+    logIndex: 0,
+    args: { tripId, startTime: '1700000000' },
+    tripId,
+    escrowId: null,
+    accounts: [],
+  };
+}
+
+describe('webhook service', () => {
+  let receiver;
+  let indexer;
+  let service;
+
+  beforeEach(async () => {
+    receiver = await startReceiver();
+    indexer = new EventEmitter();
+    service = new WebhookService({
+      config: CONFIG,
+      store: createStorageAdapter('memory'),
+      indexer,
+      tripRegistryService: {},
+      paymentEscrowService: {},
+    });
+    await service.start();
+  });
+
+  afterEach(async () => {
+    service.stop();
+    await receiver.close();
+  });
+
+  /**
+   * Queue an event and wait until its delivery settles
+   * @param {Object} record - Event record
+   * @param {string} status - Final delivery status to wait for
+   * @returns {Promise<Object>} Delivery
+   */
+  async function deliver(record, status) {
+    const [{ deliveryId }] = await service.dispatch(record);
+    await until(async () => (await service.getDelivery(deliveryId)).status === status);
+    return service.getDelivery(deliveryId);
+  }
+
+  it('signs each delivery with the subscription secret', async () => {
+    const subscription = await service.createSubscription({ url: receiver.url, events: ['TripStarted'] });
+
+    const delivery = await deliver(tripStarted('7', 42), 'delivered');
+
+    const [{ headers, body }] = receiver.requests;
+    expect(headers['x-decentralogix-event']).toBe('TripStarted');
+    expect(headers['x-decentralogix-delivery']).toBe(delivery.deliveryId);
+    expect(JSON.parse(body)).toMatchObject({
+      id: delivery.deliveryId,
+      event: 'TripStarted',
+      data: { tripId: '7', blockNumber: 42, args: { tripId: '7' } },
+    });
+
+    // What a subscriber does to check the request
+    const { t, v1 } = Object.fromEntries(headers['x-decentralogix-signature'].split(',').map(part => part.split('=')));
+    const expected = createHmac('sha256', subscription.secret).update(`${t}.${body}`).digest('hex');
+    expect(v1).toBe(expected);
+    expect(Math.abs(Date.now() / 1000 - Number(t))).toBeLessThan(5);
+  });
+
+  it('delivers indexed events once, to the subscriptions they match', async () => {
+    const all = await service.createSubscription({ url: receiver.url, events: ['TripStarted', 'TripCompleted'] });
+    const tripSeven = await service.createSubscription({ url: receiver.url, events: ['TripStarted'], tripId: '7' });
+    await service.createSubscription({ url: receiver.url, events: ['TripCreated'] });
+
+    indexer.emit('event', tripStarted('8', 43));
+    indexer.emit('event', tripStarted('7', 44));
+    await until(async () => (await service.listDeliveries({ status: 'delivered' })).length === 3);
+    // Seen again, e.g. after a restart
+    expect(await service.dispatch(tripStarted('7', 44))).toEqual([]);
+
+    const delivered = await service.listDeliveries({ status: 'delivered' });
+    expect(delivered.filter(delivery => delivery.subscriptionId === all.subscriptionId)).toHaveLength(2);
+    expect(delivered.filter(delivery => delivery.subscriptionId === tripSeven.subscriptionId)).toMatchObject([
+      { payload: { data: { tripId: '7' } } },
+    ]);
+    expect(receiver.requests).toHaveLength(3);
+  });
+
+  it('retries failed deliveries with exponential backoff', async () => {
+    receiver.statuses = [500, 503, 200];
+    await service.createSubscription({ url: receiver.url, events: ['TripStarted'] });
+
+    const delivery = await deliver(tripStarted('7', 42), 'delivered');
+
+    expect(delivery.attempts.map(({ status, outcome }) => [status, outcome])).toEqual([
+      ['retrying', 'HTTP 500'],
+      ['retrying', 'HTTP 503'],
+      ['delivered', 'HTTP 200'],
+    ]);
+    expect(delivery).toMatchObject({ failures: 0, nextAttemptAt: null });
+    // 40 ms then 80 ms, give or take 20% jitter
+    const [first, second, third] = receiver.requests.map(request => request.receivedAt);
+    expect(second - first).toBeGreaterThanOrEqual(30);
+    expect(third - second).toBeGreaterThanOrEqual(60);
+  });
+
+  it('moves a delivery to the dead letters after its last attempt, until it is redelivered', async () => {
+    // Two attempts time out, the third is refused
+    receiver.statuses = [null, null, 500];
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => logger);
+    await service.createSubscription({ url: receiver.url, events: ['TripStarted'] });
+
+    const dead = await deliver(tripStarted('7', 42), 'dead');
+
+    expect(dead.failures).toBe(3);
+    expect(dead.attempts.map(attempt => attempt.outcome)).toEqual([
+      'No response within 0.2s',
+      'No response within 0.2s',
+      'HTTP 500',
+    ]);
+    expect(await service.listDeliveries({ status: 'dead' })).toMatchObject([{ deliveryId: dead.deliveryId }]);
+    expect(error).toHaveBeenCalledWith(
+      'Webhook delivery attempt',
+      expect.objectContaining({ deliveryId: dead.deliveryId, status: 'dead' })
+    );
+    error.mockRestore();
+
+    receiver.statuses = [200];
+    await service.redeliver(dead.deliveryId);
+    await until(async () => (await service.getDelivery(dead.deliveryId)).status === 'delivered');
+
+    const redelivered = await service.getDelivery(dead.deliveryId);
+    expect(redelivered.attempts).toHaveLength(4);
+    expect(await service.listDeliveries({ status: 'dead' })).toEqual([]);
+  });
+});
@@ -7,6 +7,7 @@ import { TripDetails } from './components/shipment/TripDetails';
 import { PaymentButton } from './components/common/PaymentButton';
 import { CarbonDashboard } from './components/common/CarbonDashboard';
 import { TestPanel } from './components/testing/TestPanel';
+import { ContractGuard } from './components/common/ContractGuard';
 import './App.css';
 
 function App() {
@@ -30,81 +31,83 @@ function App() {
           </div>
         </header>
 
-        <nav className="app-nav">
-          <button
-            className={activeTab === 'create' ? 'nav-btn active' : 'nav-btn'}
-            onClick={() => setActiveTab('create')}
-          >
-            Create Trip
-          </button>
-          <button
-            className={activeTab === 'view' ? 'nav-btn active' : 'nav-btn'}
-            onClick={() => setActiveTab('view')}
-          >
-            View Trip
-          </button>
-          <button
-            className={activeTab === 'payment' ? 'nav-btn active' : 'nav-btn'}
-            onClick={() => setActiveTab('payment')}
-          >
-            Payment
-          </button>
-          <button
-            className={activeTab === 'carbon' ? 'nav-btn active' : 'nav-btn'}
-            onClick={() => setActiveTab('carbon')}
-          >
-            Carbon Credits
-          </button>
-          <button
-            className={activeTab === 'testing' ? 'nav-btn active' : 'nav-btn'}
-            onClick={() => setActiveTab('testing')}
-          >
-            Testing
-          </button>
-        </nav>
+        <ContractGuard>
+          <nav className="app-nav">
+            <button
+              className={activeTab === 'create' ? 'nav-btn active' : 'nav-btn'}
+              onClick={() => setActiveTab('create')}
+            >
+              Create Trip
+            </button>
+            <button
+              className={activeTab === 'view' ? 'nav-btn active' : 'nav-btn'}
+              onClick={() => setActiveTab('view')}
+            >
+              View Trip
+            </button>
+            <button
+              className={activeTab === 'payment' ? 'nav-btn active' : 'nav-btn'}
+              onClick={() => setActiveTab('payment')}
+            >
+              Payment
+            </button>
+            <button
+              className={activeTab === 'carbon' ? 'nav-btn active' : 'nav-btn'}
+              onClick={() => setActiveTab('carbon')}
+            >
+              Carbon Credits
+            </button>
+            <button
+              className={activeTab === 'testing' ? 'nav-btn active' : 'nav-btn'}
+              onClick={() => setActiveTab('testing')}
+            >
+              Testing
+            </button>
+          </nav>
 
-        <main className="app-main">
-          {activeTab === 'create' && (
-            <TripForm onTripCreated={handleTripCreated} />
-          )}
+          <main className="app-main">
+            {activeTab === 'create' && (
+              <TripForm onTripCreated={handleTripCreated} />
+            )}
 
-          {activeTab === 'view' && (
-            <div className="view-trip-container">
-              <div className="trip-input-section">
-                <h3>Enter Trip ID</h3>
-                <input
-                  type="text"
-                  placeholder="Trip ID"
-                  value={selectedTripId || ''}
-                  onChange={(e) => setSelectedTripId(e.target.value)}
-                  className="trip-id-input"
-                />
+            {activeTab === 'view' && (
+              <div className="view-trip-container">
+                <div className="trip-input-section">
+                  <h3>Enter Trip ID</h3>
+                  <input
+                    type="text"
+                    placeholder="Trip ID"
+                    value={selectedTripId || ''}
+                    onChange={(e) => setSelectedTripId(e.target.value)}
+                    className="trip-id-input"
+                  />
+                </div>
+                {selectedTripId && (
+                  <TripDetails tripId={selectedTripId} />
+                )}
               </div>
-              {selectedTripId && (
-                <TripDetails tripId={selectedTripId} />
-              )}
-            </div>
-          )}
+            )}
 
-          {activeTab === 'payment' && (
-            <div className="payment-container">
-              <h2>Release Payment</h2>
-              <PaymentButton
-                escrowId="1"
-                amount="1000000000000000000"
-                reason="Trip completed"
-              />
-            </div>
-          )}
+            {activeTab === 'payment' && (
+              <div className="payment-container">
+                <h2>Release Payment</h2>
+                <PaymentButton
+                  escrowId="1"
+                  amount="1000000000000000000"
+                  reason="Trip completed"
+                />
+              </div>
+            )}
 
-          {activeTab === 'carbon' && (
-            <CarbonDashboard />
-          )}
+            {activeTab === 'carbon' && (
+              <CarbonDashboard />
+            )}
 
-          {activeTab === 'testing' && (
-            <TestPanel />
-          )}
-        </main>
+            {activeTab === 'testing' && (
+              <TestPanel />
+            )}
+          </main>
+        </ContractGuard>
 
         <footer className="app-footer">
           <p>DecentraLogix - Web3 Logistics Platform</p>
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useWeb3 } from '../../context/Web3Context';
 import { getCarbonCredits } from '../../services/contractService';
 import { getCarbonCreditsAPI } from '../../services/apiService';
+import { RetirementForm } from './RetirementForm';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 import toast from 'react-hot-toast';
 import './CarbonDashboard.css';
@@ -46,6 +47,15 @@ export function CarbonDashboard() {
     }
   };
 
+  // Refresh balances from chain after a retirement (the API cache may lag)
+  const handleRetired = async () => {
+    try {
+      setCredits(await getCarbonCredits(provider, account));
+    } catch (error) {
+      console.error('Error refreshing carbon credits:', error);
+    }
+  };
+
   const formatNumber = (num) => {
     if (!num) return '0';
     return Number(num).toLocaleString();
@@ -127,6 +137,8 @@ export function CarbonDashboard() {
         </div>
       )}
 
+      <RetirementForm balance={credits.balance} onRetired={handleRetired} />
+
       <div className="dashboard-actions">
         <button onClick={loadCredits} className="btn-refresh">
           Refresh Data
@@ -0,0 +1,42 @@
+import React from 'react';
+import { useWeb3 } from '../../context/Web3Context';
+import './ContractGuard.css';
+
+/**
+ * Blocks the app when the deployed contracts do not match the bundled ABIs
+ */
+export function ContractGuard({ children }) {
+  const { contractCheck, chainId } = useWeb3();
+
+  if (!contractCheck || contractCheck.ok) {
+    return children;
+  }
+
+  return (
+    <div className="contract-guard">
+      <h2>Contracts do not match this app</h2>
+      <p>
+        The contracts on the connected network (chain {chainId}) are not the ones this app was built
+        for. Switch to the right network, or update the contract addresses and run{' '}
+        <code>npm run export:abis</code> in smart-contracts.
+      </p>
+      <ul className="contract-guard-list">
+        {contractCheck.contracts.map(contract => (
+          <li key={contract.name}>
+            <div className="contract-guard-name">
+              {contract.name} <span className="contract-guard-address">{contract.address || 'no address'}</span>
+              {contract.problems.length === 0 && <span className="contract-guard-ok">OK</span>}
+            </div>
+            {contract.problems.length > 0 && (
+              <ul>
+                {contract.problems.map(problem => (
+                  <li key={problem}>{problem}</li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -2,6 +2,8 @@ import React, { useState } from 'react';
 import { useWeb3 } from '../../context/Web3Context';
 import { releasePayment } from '../../services/contractService';
 import { releasePaymentAPI } from '../../services/apiService';
+import { ensureSession } from '../../services/authService';
+import { getErrorMessage } from '../../utils/contractErrors';
 import toast from 'react-hot-toast';
 import './PaymentButton.css';
 
@@ -27,12 +29,14 @@ export function PaymentButton({ escrowId, amount, reason = 'Payment release' })
       
       toast.success('Payment released successfully!');
 
-      // Optionally sync with backend API
+      // Optionally sync with backend API (it checks and records the wallet's transaction)
       try {
+        await ensureSession(signer);
         await releasePaymentAPI({
           escrowId,
           amount,
           reason,
+          txHash,
         });
       } catch (apiError) {
         console.warn('Failed to sync with API:', apiError);
@@ -42,7 +46,7 @@ export function PaymentButton({ escrowId, amount, reason = 'Payment release' })
       toast.success(`Transaction: ${txHash.slice(0, 10)}...`);
     } catch (error) {
       console.error('Error releasing payment:', error);
-      toast.error(error.message || 'Failed to release payment');
+      toast.error(getErrorMessage(error, 'Failed to release payment'));
     } finally {
       setIsProcessing(false);
     }
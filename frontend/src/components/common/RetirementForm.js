@@ -0,0 +1,251 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../../context/Web3Context';
+import { retireCredits } from '../../services/contractService';
+import { getRetirementCertificateAPI, getRetirementCertificateURL } from '../../services/apiService';
+import { encodeRetirementReason, parseTripIds } from '../../utils/retirement';
+import { getErrorMessage } from '../../utils/contractErrors';
+import toast from 'react-hot-toast';
+import './RetirementForm.css';
+
+const EMPTY_FORM = {
+  amount: '',
+  beneficiary: '',
+  periodStart: '',
+  periodEnd: '',
+  tripIds: '',
+  note: '',
+};
+
+export function RetirementForm({ balance, onRetired }) {
+  const { signer, isConnected } = useWeb3();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [txHash, setTxHash] = useState(null);
+  const [certificate, setCertificate] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
+  const loadCertificate = async (hash) => {
+    try {
+      const apiResponse = await getRetirementCertificateAPI(hash);
+      setCertificate(apiResponse.data);
+    } catch (apiError) {
+      console.warn('Failed to load certificate:', apiError);
+      toast.error('Certificate not available yet');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isConnected) {
+      toast.error('Please connect your wallet first');
+      return;
+    }
+
+    // Validate form
+    if (!/^\d+$/.test(formData.amount) || Number(formData.amount) <= 0) {
+      toast.error('Amount must be a positive whole number');
+      return;
+    }
+
+    if (balance !== undefined && BigInt(formData.amount) > BigInt(balance)) {
+      toast.error('Amount exceeds your balance');
+      return;
+    }
+
+    if (!formData.beneficiary.trim()) {
+      toast.error('Beneficiary is required');
+      return;
+    }
+
+    if (formData.periodStart && formData.periodEnd && formData.periodStart > formData.periodEnd) {
+      toast.error('Period start must be before period end');
+      return;
+    }
+
+    const tripIds = parseTripIds(formData.tripIds);
+    if (tripIds.some(id => !/^\d+$/.test(id))) {
+      toast.error('Linked trips must be trip IDs separated by commas');
+      return;
+    }
+
+    if (!window.confirm(`Permanently retire ${formData.amount} credits? This cannot be undone.`)) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const reason = encodeRetirementReason({
+        beneficiary: formData.beneficiary.trim(),
+        periodStart: formData.periodStart,
+        periodEnd: formData.periodEnd,
+        tripIds,
+        note: formData.note.trim(),
+      });
+
+      // Burn credits on blockchain
+      const hash = await retireCredits(signer, formData.amount, reason);
+
+      toast.success('Credits retired successfully!');
+      setTxHash(hash);
+      setFormData(EMPTY_FORM);
+
+      await loadCertificate(hash);
+
+      if (onRetired) {
+        onRetired(hash);
+      }
+    } catch (error) {
+      console.error('Error retiring credits:', error);
+      toast.error(getErrorMessage(error, 'Failed to retire credits'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="retirement-form-container">
+      <h3>Retire Credits</h3>
+      <form onSubmit={handleSubmit} className="retirement-form">
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="amount">Amount *</label>
+            <input
+              type="number"
+              id="amount"
+              name="amount"
+              value={formData.amount}
+              onChange={handleChange}
+              placeholder="1000"
+              min="1"
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="beneficiary">Beneficiary *</label>
+            <input
+              type="text"
+              id="beneficiary"
+              name="beneficiary"
+              value={formData.beneficiary}
+              onChange={handleChange}
+              placeholder="Acme Corp"
+              maxLength={200}
+              required
+            />
+          </div>
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="periodStart">Period Start</label>
+            <input
+              type="date"
+              id="periodStart"
+              name="periodStart"
+              value={formData.periodStart}
+              onChange={handleChange}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="periodEnd">Period End</label>
+            <input
+              type="date"
+              id="periodEnd"
+              name="periodEnd"
+              value={formData.periodEnd}
+              onChange={handleChange}
+            />
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="tripIds">Linked Trips (Optional)</label>
+          <input
+            type="text"
+            id="tripIds"
+            name="tripIds"
+            value={formData.tripIds}
+            onChange={handleChange}
+            placeholder="1, 2, 3"
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="note">Note (Optional)</label>
+          <input
+            type="text"
+            id="note"
+            name="note"
+            value={formData.note}
+            onChange={handleChange}
+            maxLength={500}
+            placeholder="Annual offset"
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={isSubmitting || !isConnected}
+          className="btn-retire"
+        >
+          {isSubmitting ? 'Retiring...' : 'Retire Credits'}
+        </button>
+      </form>
+
+      {txHash && (
+        <div className="retirement-certificate">
+          <h4>Retirement Certificate</h4>
+          {certificate ? (
+            <>
+              <div className="certificate-row">
+                <span className="certificate-label">Certificate ID:</span>
+                <span className="certificate-value">{certificate.certificateId}</span>
+              </div>
+              <div className="certificate-row">
+                <span className="certificate-label">Credits Retired:</span>
+                <span className="certificate-value">{Number(certificate.amount).toLocaleString()}</span>
+              </div>
+              <div className="certificate-row">
+                <span className="certificate-label">Beneficiary:</span>
+                <span className="certificate-value">{certificate.beneficiary}</span>
+              </div>
+              <div className="certificate-row">
+                <span className="certificate-label">Verification:</span>
+                <span className={`certificate-status status-${certificate.verification.status}`}>
+                  {certificate.verification.status}
+                </span>
+              </div>
+            </>
+          ) : (
+            <p className="certificate-pending">Certificate not loaded</p>
+          )}
+          <div className="certificate-row">
+            <span className="certificate-label">Transaction:</span>
+            <span className="certificate-value">{txHash}</span>
+          </div>
+          <div className="certificate-actions">
+            <button type="button" onClick={() => loadCertificate(txHash)} className="btn-verify">
+              Refresh Verification
+            </button>
+            <a href={getRetirementCertificateURL(txHash, 'html')} target="_blank" rel="noopener noreferrer">
+              Printable Certificate
+            </a>
+            <a href={getRetirementCertificateURL(txHash, 'pdf')} target="_blank" rel="noopener noreferrer">
+              Download PDF
+            </a>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useWeb3 } from '../../context/Web3Context';
 import { getTripMetadata } from '../../services/contractService';
-import { getTripAPI } from '../../services/apiService';
+import { getTripAPI, streamTripEventsAPI, getDocumentURL } from '../../services/apiService';
 import { TRIP_STATUS } from '../../config/constants';
+import { getErrorMessage } from '../../utils/contractErrors';
 import toast from 'react-hot-toast';
 import './TripDetails.css';
 
@@ -18,14 +19,25 @@ export function TripDetails({ tripId }) {
     }
   }, [tripId, provider]);
 
-  const loadTrip = async () => {
+  // Reload when the trip's events come in instead of waiting for a page reload
+  useEffect(() => {
+    if (!tripId || !provider) {
+      return undefined;
+    }
+    const close = streamTripEventsAPI(tripId, () => loadTrip({ quiet: true }));
+    return close || undefined;
+  }, [tripId, provider]);
+
+  const loadTrip = async ({ quiet = false } = {}) => {
     if (!provider) {
       setError('Please connect your wallet');
       setLoading(false);
       return;
     }
 
-    setLoading(true);
+    if (!quiet) {
+      setLoading(true);
+    }
     setError(null);
 
     try {
@@ -42,7 +54,7 @@ export function TripDetails({ tripId }) {
       setTrip(tripData);
     } catch (err) {
       console.error('Error loading trip:', err);
-      setError(err.message || 'Failed to load trip');
+      setError(getErrorMessage(err, 'Failed to load trip'));
       toast.error('Failed to load trip details');
     } finally {
       setLoading(false);
@@ -162,7 +174,14 @@ export function TripDetails({ tripId }) {
             <h3>Metadata</h3>
             <div className="info-row">
               <span className="info-label">IPFS Hash:</span>
-              <span className="info-value ipfs-hash">{trip.ipfsMetadataHash}</span>
+              <a
+                className="info-value ipfs-hash"
+                href={getDocumentURL(trip.ipfsMetadataHash)}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                {trip.ipfsMetadataHash}
+              </a>
             </div>
           </div>
         )}
@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
 import { useWeb3 } from '../../context/Web3Context';
 import { createTrip } from '../../services/contractService';
-import { createTripAPI } from '../../services/apiService';
+import { createTripAPI, uploadDocumentsAPI, createTripMetadataAPI } from '../../services/apiService';
+import { ensureSession } from '../../services/authService';
+import { getErrorMessage } from '../../utils/contractErrors';
 import toast from 'react-hot-toast';
 import './TripForm.css';
 
@@ -15,8 +17,10 @@ export function TripForm({ onTripCreated }) {
     destinationLocation: '',
     distance: '',
     estimatedCarbonFootprint: '',
-    ipfsMetadataHash: '',
+    description: '',
   });
+  const [attachments, setAttachments] = useState([]);
+  const [fileInputKey, setFileInputKey] = useState(0);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -26,6 +30,29 @@ export function TripForm({ onTripCreated }) {
     }));
   };
 
+  const handleFilesChange = (e) => {
+    setAttachments(Array.from(e.target.files));
+  };
+
+  // Store the description and attachments; the metadata CID goes on-chain
+  const storeMetadata = async () => {
+    if (!formData.description && attachments.length === 0) {
+      return '';
+    }
+
+    await ensureSession(signer);
+    const uploaded = attachments.length > 0 ? (await uploadDocumentsAPI(attachments)).data : [];
+    const metadata = {
+      documents: uploaded.map(({ cid, name }) => ({ cid, name })),
+    };
+    if (formData.description) {
+      metadata.description = formData.description;
+    }
+
+    const response = await createTripMetadataAPI(metadata);
+    return response.data.cid;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -50,6 +77,8 @@ export function TripForm({ onTripCreated }) {
 
     setIsSubmitting(true);
     try {
+      const ipfsMetadataHash = await storeMetadata();
+
       // Create trip on blockchain
       const result = await createTrip(signer, {
         carrier: formData.carrier,
@@ -58,13 +87,14 @@ export function TripForm({ onTripCreated }) {
         destinationLocation: formData.destinationLocation,
         distance: parseInt(formData.distance, 10),
         estimatedCarbonFootprint: parseInt(formData.estimatedCarbonFootprint, 10),
-        ipfsMetadataHash: formData.ipfsMetadataHash,
+        ipfsMetadataHash,
       });
 
       toast.success(`Trip created! ID: ${result.tripId}`);
 
-      // Optionally sync with backend API
+      // Optionally sync with backend API (it checks and records the wallet's transaction)
       try {
+        await ensureSession(signer);
         await createTripAPI({
           carrier: formData.carrier,
           receiver: formData.receiver,
@@ -72,7 +102,8 @@ export function TripForm({ onTripCreated }) {
           destinationLocation: formData.destinationLocation,
           distance: formData.distance,
           estimatedCarbonFootprint: formData.estimatedCarbonFootprint,
-          ipfsMetadataHash: formData.ipfsMetadataHash,
+          ipfsMetadataHash,
+          txHash: result.txHash,
         });
       } catch (apiError) {
         console.warn('Failed to sync with API:', apiError);
@@ -86,8 +117,10 @@ export function TripForm({ onTripCreated }) {
         destinationLocation: '',
         distance: '',
         estimatedCarbonFootprint: '',
-        ipfsMetadataHash: '',
+        description: '',
       });
+      setAttachments([]);
+      setFileInputKey(key => key + 1);
 
       // Notify parent
       if (onTripCreated) {
@@ -95,7 +128,7 @@ export function TripForm({ onTripCreated }) {
       }
     } catch (error) {
       console.error('Error creating trip:', error);
-      toast.error(error.message || 'Failed to create trip');
+      toast.error(getErrorMessage(error, 'Failed to create trip'));
     } finally {
       setIsSubmitting(false);
     }
@@ -188,15 +221,30 @@ export function TripForm({ onTripCreated }) {
         </div>
 
         <div className="form-group">
-          <label htmlFor="ipfsMetadataHash">IPFS Metadata Hash (Optional)</label>
-          <input
-            type="text"
-            id="ipfsMetadataHash"
-            name="ipfsMetadataHash"
-            value={formData.ipfsMetadataHash}
+          <label htmlFor="description">Cargo Description (Optional)</label>
+          <textarea
+            id="description"
+            name="description"
+            value={formData.description}
             onChange={handleChange}
-            placeholder="QmHash..."
+            placeholder="20 pallets of electronics, fragile"
+            rows={3}
+            maxLength={2000}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="attachments">Documents (Optional)</label>
+          <input
+            key={fileInputKey}
+            type="file"
+            id="attachments"
+            multiple
+            onChange={handleFilesChange}
           />
+          <span className="form-hint">
+            Bills of lading, photos or PDFs. They are stored with the description and linked to the trip on-chain.
+          </span>
         </div>
 
         <button
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { useWeb3 } from '../../context/Web3Context';
 import { createTrip, getTripMetadata } from '../../services/contractService';
 import { generateTestTrip, formatTxHash } from '../../utils/testUtils';
+import { getErrorMessage } from '../../utils/contractErrors';
 import toast from 'react-hot-toast';
 import './TestPanel.css';
 
@@ -68,10 +69,10 @@ export function TestPanel() {
       const lastResult = testResults[testResults.length - 1];
       if (lastResult) {
         lastResult.status = 'error';
-        lastResult.error = error.message;
+        lastResult.error = getErrorMessage(error, 'Test failed');
         setTestResults([...testResults]);
       }
-      toast.error(`Test failed: ${error.message}`);
+      toast.error(`Test failed: ${getErrorMessage(error, 'unknown error')}`);
     } finally {
       setIsRunning(false);
     }
@@ -1,9 +1,4 @@
-// Contract addresses (update after deployment)
-export const CONTRACT_ADDRESSES = {
-  TRIP_REGISTRY: process.env.REACT_APP_TRIP_REGISTRY_ADDRESS || '0x5FbDB2315678afecb367f032d93F642f64180aa3',
-  PAYMENT_ESCROW: process.env.REACT_APP_PAYMENT_ESCROW_ADDRESS || '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
-  CARBON_CREDITS: process.env.REACT_APP_CARBON_CREDITS_ADDRESS || '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0',
-};
+import deployments from './deployments.json';
 
 // API URL
 export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
@@ -11,6 +6,41 @@ export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/a
 // Network configuration
 export const CHAIN_ID = parseInt(process.env.REACT_APP_CHAIN_ID || '1337', 10);
 
+// Contract names in the deployment manifests
+export const CONTRACT_NAMES = {
+  TRIP_REGISTRY: 'TripRegistry',
+  PAYMENT_ESCROW: 'PaymentEscrow',
+  CARBON_CREDITS: 'CarbonCredits',
+};
+
+// Address overrides for CHAIN_ID
+const ADDRESS_OVERRIDES = {
+  TRIP_REGISTRY: process.env.REACT_APP_TRIP_REGISTRY_ADDRESS,
+  PAYMENT_ESCROW: process.env.REACT_APP_PAYMENT_ESCROW_ADDRESS,
+  CARBON_CREDITS: process.env.REACT_APP_CARBON_CREDITS_ADDRESS,
+};
+
+/**
+ * Contract addresses on a chain
+ * Read from the deployment manifest of the chain (config/deployments.json,
+ * written by the deploy scripts); the REACT_APP_*_ADDRESS variables override
+ * them on CHAIN_ID.
+ * @param {number} chainId - Chain ID
+ * @returns {Object} Addresses by contract, undefined when not deployed
+ */
+export function getContractAddresses(chainId) {
+  const contracts = deployments[chainId]?.contracts || {};
+  return Object.fromEntries(
+    Object.entries(CONTRACT_NAMES).map(([key, name]) => [
+      key,
+      (chainId === CHAIN_ID && ADDRESS_OVERRIDES[key]) || contracts[name]?.address,
+    ])
+  );
+}
+
+// Contract addresses on CHAIN_ID
+export const CONTRACT_ADDRESSES = getContractAddresses(CHAIN_ID);
+
 // Trip status mapping
 export const TRIP_STATUS = {
   0: 'Created',
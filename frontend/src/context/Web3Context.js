@@ -1,6 +1,8 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { ethers } from 'ethers';
 import toast from 'react-hot-toast';
+import { signOut } from '../services/authService';
+import { checkContracts, setActiveChain } from '../services/contractService';
 
 const Web3Context = createContext();
 
@@ -18,6 +20,7 @@ export function Web3Provider({ children }) {
   const [signer, setSigner] = useState(null);
   const [isConnecting, setIsConnecting] = useState(false);
   const [chainId, setChainId] = useState(null);
+  const [contractCheck, setContractCheck] = useState(null);
 
   // Check if MetaMask is installed
   const isMetaMaskInstalled = () => {
@@ -56,6 +59,14 @@ export function Web3Provider({ children }) {
       // Get chain ID
       const network = await web3Provider.getNetwork();
       setChainId(Number(network.chainId));
+      setActiveChain(Number(network.chainId));
+
+      // Make sure the contracts on this network match the bundled ABIs
+      const report = await checkContracts(web3Provider);
+      setContractCheck(report);
+      if (!report.ok) {
+        console.error('Deployed contracts do not match the ABIs:', report);
+      }
 
       toast.success('Wallet connected successfully');
     } catch (error) {
@@ -68,10 +79,12 @@ export function Web3Provider({ children }) {
 
   // Disconnect wallet
   const disconnectWallet = () => {
+    signOut();
     setAccount(null);
     setProvider(null);
     setSigner(null);
     setChainId(null);
+    setContractCheck(null);
     toast.success('Wallet disconnected');
   };
 
@@ -110,6 +123,7 @@ export function Web3Provider({ children }) {
     signer,
     isConnecting,
     chainId,
+    contractCheck,
     connectWallet,
     disconnectWallet,
     isMetaMaskInstalled,
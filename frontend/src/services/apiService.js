@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { API_URL } from '../config/constants';
+import { getSession } from '../utils/session';
 
 const api = axios.create({
   baseURL: API_URL,
@@ -8,6 +9,39 @@ const api = axios.create({
   },
 });
 
+// Send the session token, if signed in
+api.interceptors.request.use((config) => {
+  const session = getSession();
+  if (session) {
+    config.headers.Authorization = `Bearer ${session.token}`;
+  }
+  return config;
+});
+
+/**
+ * Get a Sign-In with Ethereum nonce via API
+ */
+export async function getAuthNonceAPI() {
+  const response = await api.get('/auth/nonce');
+  return response.data;
+}
+
+/**
+ * Exchange a signed SIWE message for a session via API
+ */
+export async function verifySignInAPI(message, signature) {
+  const response = await api.post('/auth/verify', { message, signature });
+  return response.data;
+}
+
+/**
+ * End the current session via API
+ */
+export async function signOutAPI() {
+  const response = await api.post('/auth/logout');
+  return response.data;
+}
+
 /**
  * Create trip via API
  */
@@ -48,5 +82,68 @@ export async function getCarbonCreditsAPI(walletAddress) {
   return response.data;
 }
 
+/**
+ * Get retirement certificate via API
+ */
+export async function getRetirementCertificateAPI(txHash) {
+  const response = await api.get(`/carbon/retirements/${txHash}`);
+  return response.data;
+}
+
+/**
+ * Get printable retirement certificate URL (html or pdf)
+ */
+export function getRetirementCertificateURL(txHash, format) {
+  return `${API_URL}/carbon/retirements/${txHash}?format=${format}`;
+}
+
+/**
+ * Upload documents (photos, bills of lading, PDFs) via API
+ * @param {File[]} files - Files to upload
+ * @returns {Promise<Object>} Document records, with the CID of each file
+ */
+export async function uploadDocumentsAPI(files) {
+  const formData = new FormData();
+  files.forEach((file) => formData.append('files', file));
+  const response = await api.post('/documents', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  });
+  return response.data;
+}
+
+/**
+ * Store trip metadata JSON via API
+ * The returned CID is the trip's `ipfsMetadataHash`.
+ */
+export async function createTripMetadataAPI(metadata) {
+  const response = await api.post('/documents/metadata', metadata);
+  return response.data;
+}
+
+/**
+ * Get the download URL of a document
+ */
+export function getDocumentURL(cid) {
+  return `${API_URL}/documents/${cid}`;
+}
+
+/**
+ * Stream events of a trip from the backend (Server-Sent Events)
+ * The browser reconnects on its own and resumes after the last event it got.
+ * Needs the backend event indexer; returns null where EventSource is missing.
+ * @param {string} tripId - Trip ID
+ * @param {Function} onEvent - Called with each indexed event
+ * @returns {Function|null} Function that closes the stream
+ */
+export function streamTripEventsAPI(tripId, onEvent) {
+  if (typeof EventSource === 'undefined') {
+    return null;
+  }
+
+  const source = new EventSource(`${API_URL}/events/stream?tripId=${encodeURIComponent(tripId)}`);
+  source.onmessage = (message) => onEvent(JSON.parse(message.data));
+  return () => source.close();
+}
+
 export default api;
 
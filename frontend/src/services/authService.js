@@ -0,0 +1,73 @@
+import { ethers } from 'ethers';
+import { getAuthNonceAPI, verifySignInAPI, signOutAPI } from './apiService';
+import { getSession, saveSession, clearSession } from '../utils/session';
+
+/**
+ * Build an EIP-4361 (Sign-In with Ethereum) message
+ */
+function buildSiweMessage({ domain, address, uri, chainId, nonce }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    'Sign in to DecentraLogix',
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`,
+  ].join('\n');
+}
+
+/**
+ * Sign in to the backend with the connected wallet
+ * @param {ethers.Signer} signer - Signer instance
+ * @returns {Promise<Object>} Session
+ */
+export async function signIn(signer) {
+  const address = ethers.getAddress(await signer.getAddress());
+  const { data } = await getAuthNonceAPI();
+
+  const message = buildSiweMessage({
+    domain: window.location.host,
+    address,
+    uri: window.location.origin,
+    chainId: data.chainId,
+    nonce: data.nonce,
+  });
+  const signature = await signer.signMessage(message);
+
+  const response = await verifySignInAPI(message, signature);
+  saveSession(response.data);
+  return response.data;
+}
+
+/**
+ * Reuse the session of the connected wallet, signing in if there is none
+ * @param {ethers.Signer} signer - Signer instance
+ * @returns {Promise<Object>} Session
+ */
+export async function ensureSession(signer) {
+  const session = getSession();
+  const address = await signer.getAddress();
+
+  if (session && session.address.toLowerCase() === address.toLowerCase()) {
+    return session;
+  }
+  return signIn(signer);
+}
+
+/**
+ * Sign out of the backend
+ */
+export async function signOut() {
+  if (getSession()) {
+    try {
+      await signOutAPI();
+    } catch (error) {
+      console.warn('Failed to end session:', error);
+    }
+  }
+  clearSession();
+}
@@ -1,5 +1,51 @@
 import { ethers } from 'ethers';
-import { CONTRACT_ADDRESSES } from '../config/constants';
+import { CHAIN_ID, CONTRACT_NAMES, getContractAddresses } from '../config/constants';
+// Generated by `npm run export:abis` in smart-contracts
+import abis from '../config/abis.json';
+
+// Functions called and events decoded by the frontend, by contract
+const REQUIRED_ABI = {
+  TRIP_REGISTRY: {
+    functions: [
+      'createTrip(address,address,string,string,uint256,uint256,string)',
+      'startTrip(uint256)',
+      'completeTrip(uint256,uint256,string)',
+      'getTripMetadata(uint256)',
+      'getTokenIdByTrip(uint256)',
+    ],
+    events: ['TripCreated(uint256,uint256,address,address)'],
+  },
+  PAYMENT_ESCROW: {
+    functions: [
+      'releasePayment(uint256,uint256,string)',
+      'releaseOnTripCompletion(uint256,uint256)',
+      'getEscrow(uint256)',
+      'getEscrowByTrip(uint256)',
+      'getEscrowBalance(uint256)',
+    ],
+    events: [],
+  },
+  CARBON_CREDITS: {
+    functions: [
+      'balanceOf(address)',
+      'getTotalCarbonOffset(address)',
+      'getUserRewards(address)',
+      'burnCredits(uint256,string)',
+    ],
+    events: [],
+  },
+};
+
+// Chain the wallet is connected to
+let activeChainId = CHAIN_ID;
+
+/**
+ * Set the chain contract addresses are resolved on
+ * @param {number} chainId - Chain ID of the connected wallet
+ */
+export function setActiveChain(chainId) {
+  activeChainId = chainId;
+}
 
 /**
  * Get contract instance
@@ -8,51 +54,99 @@ import { CONTRACT_ADDRESSES } from '../config/constants';
  * @returns {ethers.Contract} Contract instance
  */
 export function getContract(contractName, signer) {
-  const address = CONTRACT_ADDRESSES[contractName];
+  const address = getContractAddresses(activeChainId)[contractName];
   if (!address) {
-    throw new Error(`Contract address for ${contractName} not found`);
+    throw new Error(`Contract address for ${contractName} not found on chain ${activeChainId}`);
   }
 
-  // Minimal ABI for frontend operations
   const abi = getContractABI(contractName);
   return new ethers.Contract(address, abi, signer);
 }
 
 /**
- * Get contract ABI (minimal for frontend)
+ * Get contract ABI from the generated bundle
  */
 function getContractABI(contractName) {
-  if (contractName === 'TRIP_REGISTRY') {
-    return [
-      'function createTrip(address,address,string,string,uint256,uint256,string) returns (uint256, uint256)',
-      'function startTrip(uint256)',
-      'function completeTrip(uint256,uint256,string)',
-      'function getTripMetadata(uint256) view returns (tuple(uint256,address,address,address,string,string,uint256,uint256,uint8,uint256,uint256,uint256,string))',
-      'function getTokenIdByTrip(uint256) view returns (uint256)',
-      'event TripCreated(uint256 indexed, uint256 indexed, address indexed, address)',
-      'event TripCompleted(uint256 indexed, uint256, uint256)',
-    ];
+  const entry = abis[CONTRACT_NAMES[contractName]];
+  if (!entry) {
+    throw new Error(`ABI for ${contractName} not found`);
   }
+  return entry.abi;
+}
+
+/**
+ * Check the deployed contracts against the bundled ABIs
+ * Verifies that the ABI has every function and event the frontend uses, that
+ * code is deployed at each address and that the bytecode contains every ABI
+ * function selector and the topics of the events the frontend decodes.
+ * @param {ethers.Provider} provider - Provider
+ * @returns {Promise<Object>} `{ ok, contracts: [{ name, address, problems }] }`
+ */
+export async function checkContracts(provider) {
+  const contracts = await Promise.all(
+    Object.keys(REQUIRED_ABI).map(name => checkContract(provider, name))
+  );
+
+  return {
+    ok: contracts.every(contract => contract.problems.length === 0),
+    contracts,
+  };
+}
+
+async function checkContract(provider, name) {
+  const result = {
+    name: CONTRACT_NAMES[name],
+    address: getContractAddresses(activeChainId)[name] || null,
+    problems: [],
+  };
 
-  if (contractName === 'PAYMENT_ESCROW') {
-    return [
-      'function releasePayment(uint256,uint256,string)',
-      'function releaseOnTripCompletion(uint256,uint256)',
-      'function getEscrow(uint256) view returns (tuple(uint256,uint256,address,address,uint256,uint256,uint8,uint256,uint256,tuple(bool,bool,bool,uint8,uint8)))',
-      'function getEscrowByTrip(uint256) view returns (uint256)',
-      'function getEscrowBalance(uint256) view returns (uint256)',
-    ];
+  let contractInterface;
+  try {
+    contractInterface = new ethers.Interface(getContractABI(name));
+  } catch (error) {
+    result.problems.push(`ABI could not be loaded: ${error.message}`);
+    return result;
   }
 
-  if (contractName === 'CARBON_CREDITS') {
-    return [
-      'function balanceOf(address) view returns (uint256)',
-      'function getTotalCarbonOffset(address) view returns (uint256)',
-      'function getUserRewards(address) view returns (uint256[])',
-    ];
+  const required = REQUIRED_ABI[name];
+  required.functions
+    .filter(signature => !contractInterface.getFunction(signature))
+    .forEach(signature => result.problems.push(`ABI has no function ${signature}`));
+  required.events
+    .filter(signature => !contractInterface.getEvent(signature))
+    .forEach(signature => result.problems.push(`ABI has no event ${signature}`));
+
+  if (!result.address) {
+    result.problems.push(`Not deployed on chain ${activeChainId} (no deployment manifest)`);
+    return result;
+  }
+
+  let code;
+  try {
+    code = (await provider.getCode(result.address)).toLowerCase();
+  } catch (error) {
+    result.problems.push(`Could not read deployed code: ${error.shortMessage || error.message}`);
+    return result;
+  }
+
+  if (code === '0x') {
+    result.problems.push('No contract deployed at this address (wrong network?)');
+    return result;
   }
 
-  return [];
+  contractInterface.forEachFunction(fragment => {
+    if (!code.includes(fragment.selector.slice(2))) {
+      result.problems.push(`Deployed bytecode has no function ${fragment.format('sighash')}`);
+    }
+  });
+  required.events.forEach(signature => {
+    const fragment = contractInterface.getEvent(signature);
+    if (fragment && !code.includes(fragment.topicHash.slice(2))) {
+      result.problems.push(`Deployed bytecode does not emit ${signature}`);
+    }
+  });
+
+  return result;
 }
 
 /**
@@ -86,8 +180,8 @@ export async function createTrip(signer, tripData) {
   if (event) {
     const parsed = contract.interface.parseLog(event);
     return {
-      tripId: parsed.args[0].toString(),
-      tokenId: parsed.args[1].toString(),
+      tripId: parsed.args.tripId.toString(),
+      tokenId: parsed.args.tokenId.toString(),
       txHash: receipt.hash,
     };
   }
@@ -103,19 +197,19 @@ export async function getTripMetadata(provider, tripId) {
   const metadata = await contract.getTripMetadata(tripId);
   
   return {
-    tripId: metadata[0].toString(),
-    shipper: metadata[1],
-    carrier: metadata[2],
-    receiver: metadata[3],
-    originLocation: metadata[4],
-    destinationLocation: metadata[5],
-    distance: metadata[6].toString(),
-    estimatedCarbonFootprint: metadata[7].toString(),
-    status: metadata[8],
-    createdAt: metadata[9].toString(),
-    startedAt: metadata[10].toString(),
-    completedAt: metadata[11].toString(),
-    ipfsMetadataHash: metadata[12],
+    tripId: metadata.tripId.toString(),
+    shipper: metadata.shipper,
+    carrier: metadata.carrier,
+    receiver: metadata.receiver,
+    originLocation: metadata.originLocation,
+    destinationLocation: metadata.destinationLocation,
+    distance: metadata.distance.toString(),
+    estimatedCarbonFootprint: metadata.estimatedCarbonFootprint.toString(),
+    status: Number(metadata.status),
+    createdAt: metadata.createdAt.toString(),
+    startedAt: metadata.startedAt.toString(),
+    completedAt: metadata.completedAt.toString(),
+    ipfsMetadataHash: metadata.ipfsMetadataHash,
   };
 }
 
@@ -158,3 +252,13 @@ export async function getCarbonCredits(provider, walletAddress) {
   };
 }
 
+
+/**
+ * Retire (burn) carbon credits from the connected wallet
+ */
+export async function retireCredits(signer, amount, reason) {
+  const contract = getContract('CARBON_CREDITS', signer);
+  const tx = await contract.burnCredits(amount, reason);
+  const receipt = await tx.wait();
+  return receipt.hash;
+}
@@ -0,0 +1,81 @@
+import { ethers } from 'ethers';
+
+import catalog from '../config/contractErrors.json';
+
+/**
+ * Contract revert catalog
+ * Generated from the backend catalog (backend/src/utils/contractErrors.js) by
+ * `npm run export:errors` in backend, so wallet transactions show the same
+ * messages as API errors. Do not edit src/config/contractErrors.json by hand.
+ */
+export const CONTRACT_ERRORS = catalog.errors;
+
+/**
+ * OpenZeppelin custom errors the contracts can revert with, by signature
+ */
+export const CUSTOM_CONTRACT_ERRORS = catalog.customErrors;
+
+// Reverts that are not in the catalog
+const UNKNOWN_REVERT = { code: 'CONTRACT_REVERTED', status: 422 };
+
+const CUSTOM_ERROR_SELECTORS = Object.fromEntries(
+  Object.entries(CUSTOM_CONTRACT_ERRORS).map(([signature, entry]) => [ethers.id(signature).slice(0, 10), entry])
+);
+
+/**
+ * Revert string of a failed contract call, null if none
+ */
+function getRevertReason(error) {
+  if (typeof error?.reason === 'string' && error.reason) {
+    return error.reason;
+  }
+  if (error?.revert?.name === 'Error') {
+    return error.revert.args[0];
+  }
+
+  const match = /reverted with reason string '([^']*)'|execution reverted: "?([^"]*)"?/.exec(error?.message || '');
+  return match ? match[1] ?? match[2] : null;
+}
+
+/**
+ * Decode a contract revert into `{ code, status, message, reason }`, null if
+ * the error is not a revert
+ */
+export function decodeContractError(error) {
+  const reason = getRevertReason(error);
+
+  if (reason !== null && CONTRACT_ERRORS[reason]) {
+    return { ...CONTRACT_ERRORS[reason], reason };
+  }
+
+  const selector = typeof error?.data === 'string' ? error.data.slice(0, 10) : null;
+  if (selector && CUSTOM_ERROR_SELECTORS[selector]) {
+    return { ...CUSTOM_ERROR_SELECTORS[selector], reason };
+  }
+
+  if (error?.code === 'CALL_EXCEPTION' || reason !== null) {
+    return { ...UNKNOWN_REVERT, message: reason || 'Contract call reverted', reason };
+  }
+
+  return null;
+}
+
+/**
+ * Message to show for a failed wallet transaction or API request
+ * API errors carry the catalog message already; wallet errors are decoded here.
+ */
+export function getErrorMessage(error, fallback) {
+  if (error?.response?.data?.error) {
+    return error.response.data.error;
+  }
+  if (error?.code === 'ACTION_REJECTED') {
+    return 'Transaction rejected in wallet';
+  }
+
+  const contractError = decodeContractError(error);
+  if (contractError) {
+    return contractError.message;
+  }
+
+  return error?.shortMessage || error?.message || fallback;
+}
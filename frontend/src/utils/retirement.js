@@ -0,0 +1,38 @@
+/**
+ * Carbon credit retirement helpers
+ */
+
+// Marks a burn reason as a structured retirement (must match the backend)
+export const RETIREMENT_REASON_TYPE = 'dlx-retirement';
+
+/**
+ * Encode retirement details as the on-chain burn reason
+ * Same format as the backend's encodeRetirementReason, so certificates can be
+ * issued for burns made from the wallet.
+ */
+export function encodeRetirementReason({ beneficiary, periodStart, periodEnd, tripIds, note }) {
+  const reason = { type: RETIREMENT_REASON_TYPE, v: 1, beneficiary };
+  if (periodStart) {
+    reason.periodStart = periodStart;
+  }
+  if (periodEnd) {
+    reason.periodEnd = periodEnd;
+  }
+  if (tripIds && tripIds.length > 0) {
+    reason.tripIds = tripIds.map(String);
+  }
+  if (note) {
+    reason.note = note;
+  }
+  return JSON.stringify(reason);
+}
+
+/**
+ * Parse a comma-separated list of trip IDs
+ */
+export function parseTripIds(value) {
+  return value
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,36 @@
+/**
+ * Backend session storage (Sign-In with Ethereum)
+ * Sessions are kept per browser tab and only used for the wallet that
+ * signed in.
+ */
+
+const SESSION_KEY = 'dlx.session';
+
+/**
+ * Get the stored session if it has not expired
+ */
+export function getSession() {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+    if (session && Date.parse(session.expiresAt) > Date.now()) {
+      return session;
+    }
+  } catch {
+    // Corrupt entry, treat as signed out
+  }
+  return null;
+}
+
+/**
+ * Store a session returned by POST /auth/verify
+ */
+export function saveSession(session) {
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+/**
+ * Forget the stored session
+ */
+export function clearSession() {
+  sessionStorage.removeItem(SESSION_KEY);
+}
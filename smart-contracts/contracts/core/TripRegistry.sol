@@ -5,6 +5,7 @@ import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
 import "../interfaces/ITripRegistry.sol";
 
 /**
@@ -27,6 +28,9 @@ contract TripRegistry is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard, ITr
     // Mapping from trip ID to token ID
     mapping(uint256 => uint256) private _tripToToken;
     
+    // Base URI of token metadata (e.g. the backend's /nft/ endpoint)
+    string private _metadataBaseURI;
+    
     // ============ MODIFIERS ============
     
     /**
@@ -178,6 +182,7 @@ contract TripRegistry is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard, ITr
         
         emit TripStatusUpdated(tripId, oldStatus, TripStatus.InTransit);
         emit TripStarted(tripId, block.timestamp);
+        emit MetadataUpdate(_tripToToken[tripId]);
     }
     
     /**
@@ -201,11 +206,13 @@ contract TripRegistry is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard, ITr
         _trips[tripId].status = TripStatus.Delivered;
         _trips[tripId].completedAt = block.timestamp;
         
-        // Update IPFS hash if provided
+        // Update IPFS hash if provided (_setTokenURI emits MetadataUpdate)
+        uint256 tokenId = _tripToToken[tripId];
         if (bytes(ipfsProofHash).length > 0) {
-            uint256 tokenId = _tripToToken[tripId];
             _setTokenURI(tokenId, ipfsProofHash);
             _trips[tripId].ipfsMetadataHash = ipfsProofHash;
+        } else {
+            emit MetadataUpdate(tokenId);
         }
         
         emit TripStatusUpdated(tripId, oldStatus, TripStatus.Delivered);
@@ -234,6 +241,7 @@ contract TripRegistry is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard, ITr
         
         emit TripStatusUpdated(tripId, oldStatus, TripStatus.Cancelled);
         emit TripMetadataUpdated(tripId, "cancellation_reason", bytes(reason));
+        emit MetadataUpdate(_tripToToken[tripId]);
     }
     
     /**
@@ -251,6 +259,21 @@ contract TripRegistry is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard, ITr
         _trips[tripId].status = newStatus;
         
         emit TripStatusUpdated(tripId, oldStatus, newStatus);
+        emit MetadataUpdate(_tripToToken[tripId]);
+    }
+    
+    /**
+     * @notice Set the base URI of token metadata (admin only)
+     * @dev Once set, tokenURI points at live metadata instead of the stored IPFS hash
+     * @param baseURI_ Base URI, ending with a slash (empty to serve the stored IPFS hashes)
+     */
+    function setBaseURI(string memory baseURI_) external override onlyOwner {
+        _metadataBaseURI = baseURI_;
+        
+        emit BaseURIUpdated(baseURI_);
+        if (_tokenCounter > 0) {
+            emit BatchMetadataUpdate(1, _tokenCounter);
+        }
     }
     
     // ============ VIEW FUNCTIONS ============
@@ -332,10 +355,18 @@ contract TripRegistry is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard, ITr
         return _tripCounter;
     }
     
+    /**
+     * @notice Get the base URI of token metadata
+     * @return Base URI, empty if not set
+     */
+    function baseURI() external view override returns (string memory) {
+        return _metadataBaseURI;
+    }
+    
     // ============ OVERRIDE FUNCTIONS ============
     
     /**
-     * @notice Override tokenURI to return IPFS hash
+     * @notice Override tokenURI to return the metadata URL, or the IPFS hash when no base URI is set
      */
     function tokenURI(uint256 tokenId)
         public
@@ -343,6 +374,10 @@ contract TripRegistry is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard, ITr
         override(ERC721, ERC721URIStorage)
         returns (string memory)
     {
+        if (bytes(_metadataBaseURI).length > 0) {
+            _requireOwned(tokenId);
+            return string.concat(_metadataBaseURI, Strings.toString(tokenId));
+        }
         return super.tokenURI(tokenId);
     }
     
@@ -114,6 +114,12 @@ interface ITripRegistry {
         bytes newValue
     );
 
+    /**
+     * @notice Emitted when the token metadata base URI changes
+     * @param baseURI New base URI (empty to serve the stored IPFS hashes)
+     */
+    event BaseURIUpdated(string baseURI);
+
     // ============ FUNCTIONS ============
 
     /**
@@ -170,6 +176,12 @@ interface ITripRegistry {
      */
     function updateTripStatus(uint256 tripId, TripStatus newStatus) external;
 
+    /**
+     * @notice Set the base URI of token metadata (admin only)
+     * @param baseURI Base URI; tokenURI is the base URI followed by the token ID
+     */
+    function setBaseURI(string memory baseURI) external;
+
     /**
      * @notice Get trip metadata by trip ID
      * @param tripId Unique trip identifier
@@ -210,5 +222,11 @@ interface ITripRegistry {
         external 
         view 
         returns (bool isAuthorized);
+
+    /**
+     * @notice Get the base URI of token metadata
+     * @return baseURI Base URI, empty if not set
+     */
+    function baseURI() external view returns (string memory);
 }
 
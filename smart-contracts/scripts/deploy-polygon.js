@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { writeDeploymentManifest } = require("./deployment-manifest");
 
 async function main() {
   console.log("Deploying DecentraLogix contracts to Polygon Mumbai Testnet...\n");
@@ -49,6 +50,12 @@ async function main() {
   console.log("   Waiting for confirmation...");
   await carbonCredits.deploymentTransaction()?.wait(5);
 
+  // Point tokenURI at the backend's live metadata
+  if (process.env.TRIP_METADATA_BASE_URI) {
+    await (await tripRegistry.setBaseURI(process.env.TRIP_METADATA_BASE_URI)).wait();
+    console.log("\nTripRegistry token base URI set to:", process.env.TRIP_METADATA_BASE_URI);
+  }
+
   // Summary
   console.log("\n" + "=".repeat(60));
   console.log("=== Deployment Summary ===");
@@ -62,23 +69,12 @@ async function main() {
   console.log("CarbonCredits:", carbonCreditsAddress);
   console.log("=".repeat(60) + "\n");
 
-  // Save deployment info
-  const network = await hre.ethers.provider.getNetwork();
-  const deploymentInfo = {
-    network: "polygonMumbai",
-    chainId: Number(network.chainId),
-    deployer: deployer.address,
-    contracts: {
-      TripRegistry: tripRegistryAddress,
-      PaymentEscrow: paymentEscrowAddress,
-      CarbonCredits: carbonCreditsAddress,
-    },
-    timestamp: new Date().toISOString(),
-    explorer: "https://mumbai.polygonscan.com",
-  };
-
-  console.log("=== Deployment Info (JSON) ===");
-  console.log(JSON.stringify(deploymentInfo, null, 2));
+  // Save deployment manifest (read by the backend and frontend)
+  await writeDeploymentManifest(hre, deployer, {
+    TripRegistry: tripRegistry,
+    PaymentEscrow: paymentEscrow,
+    CarbonCredits: carbonCredits,
+  });
   console.log("\n");
 
   // Verification instructions
@@ -87,9 +83,8 @@ async function main() {
   console.log(`   npx hardhat verify --network polygonMumbai ${tripRegistryAddress}`);
   console.log(`   npx hardhat verify --network polygonMumbai ${paymentEscrowAddress} ${tripRegistryAddress}`);
   console.log(`   npx hardhat verify --network polygonMumbai ${carbonCreditsAddress}`);
-  console.log("\n2. Update backend .env with contract addresses");
-  console.log("3. Update frontend .env with contract addresses");
-  console.log("4. Update REACT_APP_CHAIN_ID to 80001\n");
+  console.log(`\n2. Commit deployments/${hre.network.name}.json and frontend/src/config/deployments.json`);
+  console.log("3. Set CHAIN_ID (backend) and REACT_APP_CHAIN_ID (frontend) to 80001\n");
 }
 
 main()
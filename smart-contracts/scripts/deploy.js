@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { writeDeploymentManifest } = require("./deployment-manifest");
 
 async function main() {
   console.log("Deploying DecentraLogix contracts...\n");
@@ -31,6 +32,12 @@ async function main() {
   const carbonCreditsAddress = await carbonCredits.getAddress();
   console.log("CarbonCredits deployed to:", carbonCreditsAddress);
 
+  // Point tokenURI at the backend's live metadata
+  if (process.env.TRIP_METADATA_BASE_URI) {
+    await (await tripRegistry.setBaseURI(process.env.TRIP_METADATA_BASE_URI)).wait();
+    console.log("\nTripRegistry token base URI set to:", process.env.TRIP_METADATA_BASE_URI);
+  }
+
   // Summary
   console.log("\n=== Deployment Summary ===");
   console.log("TripRegistry:", tripRegistryAddress);
@@ -38,22 +45,12 @@ async function main() {
   console.log("CarbonCredits:", carbonCreditsAddress);
   console.log("\nDeployment completed successfully!");
 
-  // Save deployment addresses (optional - for frontend/backend)
-  const network = await hre.ethers.provider.getNetwork();
-  const deploymentInfo = {
-    network: hre.network.name,
-    chainId: Number(network.chainId),
-    deployer: deployer.address,
-    contracts: {
-      TripRegistry: tripRegistryAddress,
-      PaymentEscrow: paymentEscrowAddress,
-      CarbonCredits: carbonCreditsAddress,
-    },
-    timestamp: new Date().toISOString(),
-  };
-
-  console.log("\n=== Deployment Info (JSON) ===");
-  console.log(JSON.stringify(deploymentInfo, null, 2));
+  // Save deployment manifest (read by the backend and frontend)
+  await writeDeploymentManifest(hre, deployer, {
+    TripRegistry: tripRegistry,
+    PaymentEscrow: paymentEscrow,
+    CarbonCredits: carbonCredits,
+  });
 }
 
 main()
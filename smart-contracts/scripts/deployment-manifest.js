@@ -0,0 +1,69 @@
+const fs = require("fs");
+const path = require("path");
+
+// Versioned manifests, one per network (deployments/<network>.json)
+const DEPLOYMENTS_DIR = path.join(__dirname, "../../deployments");
+
+// Copy for the frontend, which cannot import files outside src/
+const FRONTEND_DEPLOYMENTS = path.join(__dirname, "../../frontend/src/config/deployments.json");
+
+/**
+ * Write the deployment manifest of the current network
+ * Records the address, deployment block and transaction, and the hash of the
+ * ABI of each contract, then rebuilds the frontend copy of all manifests.
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {Object} deployer - Deployer signer
+ * @param {Object} contracts - Deployed contracts by name
+ * @returns {Promise<Object|null>} Manifest, null on the in-process network
+ */
+async function writeDeploymentManifest(hre, deployer, contracts) {
+  // The in-process network is gone when the script exits
+  if (hre.network.name === "hardhat") {
+    console.log("\nIn-process Hardhat network: deployment manifest not written");
+    return null;
+  }
+
+  const network = await hre.ethers.provider.getNetwork();
+  const manifest = {
+    network: hre.network.name,
+    chainId: Number(network.chainId),
+    deployer: deployer.address,
+    deployedAt: new Date().toISOString(),
+    contracts: {},
+  };
+
+  for (const [name, contract] of Object.entries(contracts)) {
+    const artifact = await hre.artifacts.readArtifact(name);
+    const receipt = await contract.deploymentTransaction().wait();
+    manifest.contracts[name] = {
+      address: await contract.getAddress(),
+      deploymentBlock: receipt.blockNumber,
+      transactionHash: receipt.hash,
+      abiHash: hre.ethers.id(JSON.stringify(artifact.abi)),
+    };
+  }
+
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  const manifestPath = path.join(DEPLOYMENTS_DIR, `${hre.network.name}.json`);
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+  console.log("\nDeployment manifest written to", path.relative(process.cwd(), manifestPath));
+
+  exportDeployments();
+  return manifest;
+}
+
+/**
+ * Write all manifests, keyed by chain ID, to the frontend copy
+ */
+function exportDeployments() {
+  const byChainId = {};
+  for (const file of fs.readdirSync(DEPLOYMENTS_DIR).filter((file) => file.endsWith(".json")).sort()) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(DEPLOYMENTS_DIR, file), "utf8"));
+    byChainId[manifest.chainId] = manifest;
+  }
+
+  fs.writeFileSync(FRONTEND_DEPLOYMENTS, JSON.stringify(byChainId, null, 2) + "\n");
+  console.log("Deployments written to", path.relative(process.cwd(), FRONTEND_DEPLOYMENTS));
+}
+
+module.exports = { writeDeploymentManifest, exportDeployments };
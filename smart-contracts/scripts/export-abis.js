@@ -0,0 +1,37 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// Contracts used by the backend and the frontend
+const CONTRACTS = ["TripRegistry", "PaymentEscrow", "CarbonCredits"];
+
+// Bundles read when the Hardhat artifacts are not available
+const OUTPUTS = [
+  path.join(__dirname, "../../backend/src/config/abis.json"),
+  path.join(__dirname, "../../frontend/src/config/abis.json"),
+];
+
+async function main() {
+  const bundle = {};
+
+  for (const name of CONTRACTS) {
+    const artifact = await hre.artifacts.readArtifact(name);
+    bundle[name] = {
+      sourceName: artifact.sourceName,
+      abi: artifact.abi,
+    };
+  }
+
+  const json = JSON.stringify(bundle, null, 2) + "\n";
+  for (const output of OUTPUTS) {
+    fs.writeFileSync(output, json);
+    console.log("ABIs written to", path.relative(process.cwd(), output));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
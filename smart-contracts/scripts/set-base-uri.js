@@ -0,0 +1,37 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+async function main() {
+  // Address from the deployment manifest, unless set in .env
+  const manifestPath = path.join(__dirname, `../../deployments/${hre.network.name}.json`);
+  const deployed = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, "utf8")).contracts : {};
+  const address = process.env.TRIP_REGISTRY_ADDRESS || deployed.TripRegistry?.address;
+
+  if (!address) {
+    throw new Error(`No TripRegistry address for ${hre.network.name}: deploy first or set TRIP_REGISTRY_ADDRESS`);
+  }
+  if (process.env.TRIP_METADATA_BASE_URI === undefined) {
+    throw new Error("Set TRIP_METADATA_BASE_URI (empty to go back to the stored IPFS hashes)");
+  }
+
+  const baseURI = process.env.TRIP_METADATA_BASE_URI;
+  const tripRegistry = await hre.ethers.getContractAt("TripRegistry", address);
+
+  console.log(`Setting the token base URI of TripRegistry ${address} to "${baseURI}"...`);
+  const tx = await tripRegistry.setBaseURI(baseURI);
+  await tx.wait();
+  console.log("Done:", tx.hash);
+
+  const total = await tripRegistry.getTotalTrips();
+  if (total > 0n) {
+    console.log("tokenURI(1):", await tripRegistry.tokenURI(1));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,10 +1,16 @@
 const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
 
 async function main() {
+  // Addresses from the deployment manifest, unless set in .env
+  const manifestPath = path.join(__dirname, `../../deployments/${hre.network.name}.json`);
+  const deployed = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, "utf8")).contracts : {};
+
   const contractAddresses = {
-    TripRegistry: process.env.TRIP_REGISTRY_ADDRESS || "",
-    PaymentEscrow: process.env.PAYMENT_ESCROW_ADDRESS || "",
-    CarbonCredits: process.env.CARBON_CREDITS_ADDRESS || "",
+    TripRegistry: process.env.TRIP_REGISTRY_ADDRESS || deployed.TripRegistry?.address || "",
+    PaymentEscrow: process.env.PAYMENT_ESCROW_ADDRESS || deployed.PaymentEscrow?.address || "",
+    CarbonCredits: process.env.CARBON_CREDITS_ADDRESS || deployed.CarbonCredits?.address || "",
   };
 
   console.log("Verifying contracts on Polygon Mumbai...\n");
@@ -235,5 +235,70 @@ describe("TripRegistry", function () {
       expect(await tripRegistry.isAuthorizedForTrip(1, addr1.address)).to.be.false;
     });
   });
+
+  describe("Token Metadata", function () {
+    const BASE_URI = "https://api.decentralogix.io/api/networks/localhost/nft/";
+
+    beforeEach(async function () {
+      await tripRegistry
+        .connect(shipper)
+        .createTrip(
+          carrier.address,
+          receiver.address,
+          "Origin",
+          "Destination",
+          100,
+          50,
+          "QmHash"
+        );
+    });
+
+    it("Should return the IPFS hash while no base URI is set", async function () {
+      expect(await tripRegistry.baseURI()).to.equal("");
+      expect(await tripRegistry.tokenURI(1)).to.equal("QmHash");
+    });
+
+    it("Should return the base URI followed by the token ID once set", async function () {
+      await expect(tripRegistry.setBaseURI(BASE_URI))
+        .to.emit(tripRegistry, "BaseURIUpdated")
+        .withArgs(BASE_URI)
+        .and.to.emit(tripRegistry, "BatchMetadataUpdate")
+        .withArgs(1, 1);
+
+      expect(await tripRegistry.baseURI()).to.equal(BASE_URI);
+      expect(await tripRegistry.tokenURI(1)).to.equal(BASE_URI + "1");
+    });
+
+    it("Should go back to the IPFS hash when the base URI is cleared", async function () {
+      await tripRegistry.setBaseURI(BASE_URI);
+      await tripRegistry.setBaseURI("");
+
+      expect(await tripRegistry.tokenURI(1)).to.equal("QmHash");
+    });
+
+    it("Should revert for a token that does not exist", async function () {
+      await tripRegistry.setBaseURI(BASE_URI);
+
+      await expect(tripRegistry.tokenURI(2))
+        .to.be.revertedWithCustomError(tripRegistry, "ERC721NonexistentToken")
+        .withArgs(2);
+    });
+
+    it("Should revert if non-owner sets the base URI", async function () {
+      await expect(tripRegistry.connect(addr1).setBaseURI(BASE_URI))
+        .to.be.revertedWithCustomError(tripRegistry, "OwnableUnauthorizedAccount")
+        .withArgs(addr1.address);
+    });
+
+    it("Should signal a metadata refresh on status changes", async function () {
+      await expect(tripRegistry.connect(carrier).startTrip(1))
+        .to.emit(tripRegistry, "MetadataUpdate")
+        .withArgs(1);
+
+      await expect(tripRegistry.connect(carrier).completeTrip(1, 40, ""))
+        .to.emit(tripRegistry, "MetadataUpdate")
+        .withArgs(1);
+    });
+  });
 });
 